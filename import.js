@@ -0,0 +1,72 @@
+const fs = require('fs');
+const { getPool, ensureDatabaseInitialized } = require('./src/db');
+const { IMPORT_TYPES, parseColumnMapping } = require('./src/utils/dataImport');
+const importService = require('./src/services/importService');
+
+const USAGE = `Uso: node import.js <${Object.keys(IMPORT_TYPES).join('|')}> <archivo.csv> [--dry-run] [--map "Columna=campo"]...`;
+
+function parseArgs(args) {
+	const options = { positional: [], dryRun: false, mapLines: [] };
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === '--dry-run') {
+			options.dryRun = true;
+		} else if (args[i] === '--map') {
+			options.mapLines.push(args[++i] || '');
+		} else {
+			options.positional.push(args[i]);
+		}
+	}
+
+	return options;
+}
+
+function printResult(result) {
+	const label = IMPORT_TYPES[result.type].label.toLowerCase();
+
+	console.log(`📄 Filas leídas: ${result.total}`);
+	if (result.ignoredColumns.length > 0) {
+		console.log(`   Columnas ignoradas: ${result.ignoredColumns.join(', ')}`);
+	}
+
+	if (result.errors.length > 0) {
+		console.log(`\n❌ ${result.errors.length} errores; no se importó nada:\n`);
+		result.errors.forEach(error => {
+			console.log(`   Fila ${error.row}${error.field ? ` [${error.field}]` : ''}: ${error.message}`);
+		});
+	} else if (result.dryRun) {
+		console.log(`\n✅ Prueba sin errores: ${result.valid} ${label} listos para importar (no se guardó nada)`);
+	} else {
+		console.log(`\n✅ Importación completada: ${result.imported} ${label} importados`);
+	}
+}
+
+async function runImport() {
+	const { positional: [type, file], dryRun, mapLines } = parseArgs(process.argv.slice(2));
+	let exitCode = 0;
+
+	if (!IMPORT_TYPES[type] || !file) {
+		console.error(USAGE);
+		process.exit(1);
+	}
+
+	try {
+		const mapping = parseColumnMapping(mapLines.join('\n'));
+		const content = fs.readFileSync(file);
+
+		await ensureDatabaseInitialized();
+		console.log(`📥 Importando ${IMPORT_TYPES[type].label.toLowerCase()} desde ${file}${dryRun ? ' (modo de prueba)' : ''}...\n`);
+
+		const result = await importService.importCsv(type, content, { dryRun, mapping });
+		printResult(result);
+		exitCode = result.errors.length > 0 ? 1 : 0;
+	} catch (error) {
+		console.error('❌ Error al importar:', error.message);
+		exitCode = 1;
+	} finally {
+		await getPool().end();
+		process.exit(exitCode);
+	}
+}
+
+runImport();
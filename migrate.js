@@ -0,0 +1,71 @@
+const { getPool } = require('./src/db');
+const { Migrator, formatMigration } = require('./src/migrations');
+
+const USAGE = `Uso: node migrate.js <comando>
+
+  up [versión]   Aplica las migraciones pendientes, o solo hasta la versión indicada
+  down [pasos]   Revierte las últimas migraciones aplicadas (1 por defecto)
+  status         Muestra las migraciones aplicadas y pendientes`;
+
+function parsePositiveInt(value, fallback) {
+	if (value === undefined) {
+		return fallback;
+	}
+	const number = Number(value);
+	return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+function printStatus(rows) {
+	if (rows.length === 0) {
+		console.log('No hay migraciones');
+		return;
+	}
+
+	rows.forEach(row => {
+		let state = '⏳ pendiente';
+		if (row.missing) {
+			state = `⚠️  aplicada el ${row.appliedAt.toLocaleString('es-ES')}, pero falta el archivo`;
+		} else if (row.appliedAt) {
+			state = `✅ aplicada el ${row.appliedAt.toLocaleString('es-ES')}`;
+		}
+		console.log(`${formatMigration(row)}  ${state}`);
+	});
+
+	const pending = rows.filter(row => !row.appliedAt).length;
+	console.log(`\n${pending} migraciones pendientes`);
+}
+
+async function runMigrate() {
+	const [command, arg] = process.argv.slice(2);
+	let exitCode = 0;
+
+	const value = parsePositiveInt(arg, command === 'down' ? 1 : Infinity);
+	if (!['up', 'down', 'status'].includes(command) || value === null) {
+		console.error(USAGE);
+		process.exit(1);
+	}
+
+	try {
+		const migrator = new Migrator({ pool: getPool() });
+
+		if (command === 'status') {
+			printStatus(await migrator.status());
+		} else if (command === 'up') {
+			const applied = await migrator.up({ to: value });
+			applied.forEach(migration => console.log(`✅ Aplicada ${formatMigration(migration)}`));
+			console.log(applied.length > 0 ? `\n${applied.length} migraciones aplicadas` : 'El esquema ya está al día');
+		} else {
+			const reverted = await migrator.down(value);
+			reverted.forEach(migration => console.log(`↩️  Revertida ${formatMigration(migration)}`));
+			console.log(reverted.length > 0 ? `\n${reverted.length} migraciones revertidas` : 'No hay migraciones aplicadas');
+		}
+	} catch (error) {
+		console.error('❌ Error en las migraciones:', error.message);
+		exitCode = 1;
+	} finally {
+		await getPool().end();
+		process.exit(exitCode);
+	}
+}
+
+runMigrate();
@@ -2,6 +2,7 @@
  * Configuración centralizada de la aplicación
  */
 require('dotenv').config();
+const path = require('path');
 
 const config = {
 	env: process.env.NODE_ENV || 'development',
@@ -23,6 +24,35 @@ const config = {
 		maxAge: 1000 * 60 * 60 * 8, // 8 horas
 	},
 
+	// Inicio de sesión del personal
+	auth: {
+		// Intentos fallidos seguidos que bloquean la cuenta
+		maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10),
+		lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10),
+		// Días que se conserva la auditoría de accesos
+		auditRetentionDays: parseInt(process.env.LOGIN_AUDIT_RETENTION_DAYS || '180', 10),
+	},
+
+	// Política de contraseñas del personal
+	passwordPolicy: {
+		minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+		requireMixedCase: process.env.PASSWORD_REQUIRE_MIXED_CASE === 'true',
+		requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+		requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+		// Contraseñas anteriores (incluida la actual) que no pueden reutilizarse; 0 lo desactiva
+		historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10),
+		// Días de vigencia de una contraseña; 0 = no caduca
+		maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0', 10),
+	},
+
+	// Verificación en dos pasos (TOTP)
+	twoFactor: {
+		// Nombre con el que aparece la cuenta en la aplicación de autenticación
+		issuer: process.env.TOTP_ISSUER || 'Sistema de Tickets',
+		// Minutos para introducir el código tras validar la contraseña
+		pendingLoginMinutes: 5,
+	},
+
 	// Admin por defecto
 	admin: {
 		username: process.env.ADMIN_USER || 'admin',
@@ -44,8 +74,99 @@ const config = {
 
 	// Uploads
 	uploads: {
-		maxSize: 5 * 1024 * 1024, // 5MB
+		maxSize: parseInt(process.env.UPLOAD_MAX_SIZE_MB || '5', 10) * 1024 * 1024,
+		maxFiles: parseInt(process.env.UPLOAD_MAX_FILES || '5', 10),
 		allowedTypes: /jpeg|jpg|png|gif|webp/,
+		// Los adjuntos se guardan fuera de /uploads y se sirven con control de acceso
+		attachmentsDir: path.resolve(process.env.ATTACHMENTS_DIR || path.join(__dirname, '..', '..', 'attachments')),
+	},
+
+	// SLA
+	sla: {
+		// Horario laboral en la zona horaria del servidor (variable TZ)
+		businessHours: {
+			start: parseInt(process.env.SLA_BUSINESS_START || '9', 10),
+			end: parseInt(process.env.SLA_BUSINESS_END || '18', 10),
+			days: (process.env.SLA_BUSINESS_DAYS || '1,2,3,4,5').split(',').map(d => parseInt(d, 10)),
+		},
+		warningMinutes: parseInt(process.env.SLA_WARNING_MINUTES || '30', 10),
+		checkInterval: parseInt(process.env.SLA_CHECK_INTERVAL || '5', 10) * 60 * 1000,
+	},
+
+	// Webhooks salientes
+	webhooks: {
+		timeout: parseInt(process.env.WEBHOOK_TIMEOUT || '5000', 10),
+		maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+		// Espera antes del primer reintento; se duplica en cada intento fallido
+		retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || '60', 10),
+		retryInterval: parseInt(process.env.WEBHOOK_RETRY_INTERVAL || '1', 10) * 60 * 1000,
+	},
+
+	// Correo entrante: crea tickets y comentarios a partir de mensajes RFC 822
+	inboundEmail: {
+		// Carpeta revisada periódicamente en busca de archivos .eml
+		dropDir: process.env.INBOUND_EMAIL_DIR ? path.resolve(process.env.INBOUND_EMAIL_DIR) : null,
+		pollInterval: parseInt(process.env.INBOUND_EMAIL_INTERVAL || '1', 10) * 60 * 1000,
+		// Servidor SMTP local (0 = deshabilitado)
+		smtpPort: parseInt(process.env.INBOUND_SMTP_PORT || '0', 10),
+		smtpHost: process.env.INBOUND_SMTP_HOST || '127.0.0.1',
+		maxMessageSize: parseInt(process.env.INBOUND_EMAIL_MAX_SIZE_MB || '25', 10) * 1024 * 1024,
+		// Reglas de remitente: direcciones completas o dominios (@empresa.com)
+		allow: (process.env.INBOUND_EMAIL_ALLOW || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+		deny: (process.env.INBOUND_EMAIL_DENY || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean),
+		// Valores de los tickets creados por correo
+		department: process.env.INBOUND_EMAIL_DEPARTMENT || 'Correo entrante',
+		supportType: process.env.INBOUND_EMAIL_SUPPORT_TYPE || 'Otro',
+		priority: process.env.INBOUND_EMAIL_PRIORITY || 'Media – Puede esperar unas horas',
+	},
+
+	// Portal del solicitante (acceso con enlace mágico por email)
+	requesterPortal: {
+		linkTtlMinutes: parseInt(process.env.REQUESTER_LINK_TTL_MINUTES || '30', 10),
+		// Días tras la resolución en los que el solicitante puede reabrir su ticket
+		reopenWindowDays: parseInt(process.env.REQUESTER_REOPEN_DAYS || '7', 10),
+	},
+
+	// Encuestas de satisfacción (CSAT) enviadas al resolver un ticket
+	csat: {
+		enabled: process.env.CSAT_ENABLED !== 'false',
+		// Días durante los que el enlace de la encuesta acepta respuestas
+		surveyDays: parseInt(process.env.CSAT_SURVEY_DAYS || '30', 10),
+	},
+
+	// Papelera de tickets
+	trash: {
+		// Días que un ticket eliminado puede restaurarse antes de borrarse definitivamente
+		retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10),
+		purgeInterval: parseInt(process.env.TRASH_PURGE_INTERVAL || '60', 10) * 60 * 1000,
+	},
+
+	// Reportes programados (resúmenes semanales o mensuales por email)
+	reports: {
+		checkInterval: parseInt(process.env.REPORTS_CHECK_INTERVAL || '60', 10) * 60 * 1000,
+		// Hora local a partir de la que se envía el reporte del periodo recién cerrado
+		sendHour: parseInt(process.env.REPORTS_SEND_HOUR || '7', 10),
+	},
+
+	// Notificaciones del personal: resumen diario por email e historial
+	notifications: {
+		digestInterval: parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL || '60', 10) * 60 * 1000,
+		// Hora local a partir de la que se envía el resumen del día
+		digestHour: parseInt(process.env.NOTIFICATION_DIGEST_HOUR || '8', 10),
+		// Días que se conservan las notificaciones, leídas o no
+		retentionDays: parseInt(process.env.NOTIFICATION_RETENTION_DAYS || '30', 10),
+	},
+
+	// Eventos en tiempo real (Server-Sent Events sobre LISTEN/NOTIFY)
+	realtime: {
+		// Comentario periódico que mantiene abiertas las conexiones tras proxies
+		heartbeatInterval: parseInt(process.env.REALTIME_HEARTBEAT_INTERVAL || '25', 10) * 1000,
+		reconnectDelay: parseInt(process.env.REALTIME_RECONNECT_DELAY || '5', 10) * 1000,
+	},
+
+	// Tareas en segundo plano
+	jobs: {
+		enabled: process.env.JOBS_ENABLED !== 'false',
 	},
 };
 
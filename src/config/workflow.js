@@ -0,0 +1,39 @@
+/**
+ * Flujo de estados de los tickets
+ * Define las transiciones permitidas, el permiso que exige cada una y los
+ * campos obligatorios. Puede reemplazarse con un archivo JSON con la misma
+ * estructura indicado en la variable WORKFLOW_FILE.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_WORKFLOW = {
+	transitions: [
+		{ from: 'Pendiente', to: 'En Proceso', permission: 'change_ticket_status' },
+		{ from: 'Pendiente', to: 'Resuelto', permission: 'change_ticket_status', required: ['resolution_note'] },
+		{ from: 'Pendiente', to: 'Cerrado', permission: 'change_ticket_status' },
+		{ from: 'En Proceso', to: 'Pendiente', permission: 'change_ticket_status' },
+		{ from: 'En Proceso', to: 'Resuelto', permission: 'change_ticket_status', required: ['resolution_note'] },
+		{ from: 'En Proceso', to: 'Cerrado', permission: 'change_ticket_status' },
+		{ from: 'Resuelto', to: 'En Proceso', permission: 'change_ticket_status' },
+		{ from: 'Resuelto', to: 'Cerrado', permission: 'change_ticket_status' },
+		{ from: 'Cerrado', to: 'En Proceso', permission: 'reopen_tickets' },
+	],
+};
+
+/**
+ * Carga la definición del flujo desde WORKFLOW_FILE o la definición por defecto
+ * @returns {Object}
+ */
+function loadWorkflowDefinition() {
+	const file = process.env.WORKFLOW_FILE;
+	if (!file) {
+		return DEFAULT_WORKFLOW;
+	}
+	return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+module.exports = {
+	DEFAULT_WORKFLOW,
+	loadWorkflowDefinition,
+};
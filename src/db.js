@@ -1,6 +1,7 @@
 const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
 const config = require('./config');
+const { Migrator, formatMigration } = require('./migrations');
 
 let pool;
 let initializationPromise = null;
@@ -49,22 +50,23 @@ async function ensureDatabaseInitialized() {
 }
 
 async function doInitialize() {
+	// Esquema: migraciones pendientes (ver src/migrations)
+	const applied = await new Migrator({ pool: getPool() }).up();
+	applied.forEach(migration => console.log('✅ Migración aplicada:', formatMigration(migration)));
+
 	const client = await getPool().connect();
 	try {
 		await client.query('BEGIN');
 
-		// Crear tablas base
-		await createTables(client);
-
-		// Crear índices
-		await createIndexes(client);
-
 		// Crear sistema de roles y permisos
 		await createRolesAndPermissions(client);
 
 		// Crear usuarios por defecto
 		await createDefaultUsers(client);
 
+		// Crear políticas de SLA por defecto
+		await createDefaultSlaPolicies(client);
+
 		await client.query('COMMIT');
 	} catch (e) {
 		await client.query('ROLLBACK');
@@ -75,136 +77,6 @@ async function doInitialize() {
 	}
 }
 
-async function createTables(client) {
-	// Tabla de usuarios
-	await client.query(`
-		CREATE TABLE IF NOT EXISTS users (
-			id SERIAL PRIMARY KEY,
-			username TEXT UNIQUE NOT NULL,
-			password_hash TEXT NOT NULL,
-			role TEXT NOT NULL CHECK (role IN ('admin','supervisor','tecnico','user')),
-			role_id INTEGER,
-			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-		);
-	`);
-
-	// Tabla de tickets
-	await client.query(`
-		CREATE TABLE IF NOT EXISTS tickets (
-			id SERIAL PRIMARY KEY,
-			reference TEXT UNIQUE NOT NULL,
-			requester_name TEXT NOT NULL,
-			department TEXT NOT NULL,
-			support_type TEXT NOT NULL,
-			priority TEXT NOT NULL,
-			subject TEXT NOT NULL,
-			description TEXT NOT NULL,
-			image_path TEXT,
-			has_anydesk BOOLEAN NOT NULL DEFAULT false,
-			anydesk_code TEXT,
-			status TEXT NOT NULL DEFAULT 'Pendiente',
-			edit_token TEXT NOT NULL,
-			assigned_to INTEGER REFERENCES users(id),
-			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-			updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-		);
-	`);
-
-	// Tabla de comentarios
-	await client.query(`
-		CREATE TABLE IF NOT EXISTS comments (
-			id SERIAL PRIMARY KEY,
-			ticket_id INTEGER NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
-			user_id INTEGER REFERENCES users(id),
-			author_name TEXT NOT NULL,
-			author_email TEXT,
-			content TEXT NOT NULL,
-			is_internal BOOLEAN NOT NULL DEFAULT false,
-			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-		);
-	`);
-
-	// Tabla de notificaciones
-	await client.query(`
-		CREATE TABLE IF NOT EXISTS notifications (
-			id SERIAL PRIMARY KEY,
-			user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-			type TEXT NOT NULL,
-			title TEXT NOT NULL,
-			message TEXT NOT NULL,
-			ticket_id INTEGER REFERENCES tickets(id) ON DELETE CASCADE,
-			is_read BOOLEAN NOT NULL DEFAULT false,
-			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-		);
-	`);
-
-	// Tabla de roles
-	await client.query(`
-		CREATE TABLE IF NOT EXISTS roles (
-			id SERIAL PRIMARY KEY,
-			name TEXT UNIQUE NOT NULL,
-			display_name TEXT NOT NULL,
-			description TEXT,
-			is_system BOOLEAN NOT NULL DEFAULT false,
-			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-		);
-	`);
-
-	// Tabla de permisos
-	await client.query(`
-		CREATE TABLE IF NOT EXISTS permissions (
-			id SERIAL PRIMARY KEY,
-			name TEXT UNIQUE NOT NULL,
-			display_name TEXT NOT NULL,
-			description TEXT,
-			category TEXT NOT NULL,
-			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-		);
-	`);
-
-	// Tabla de relación roles-permisos
-	await client.query(`
-		CREATE TABLE IF NOT EXISTS role_permissions (
-			role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
-			permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
-			PRIMARY KEY (role_id, permission_id)
-		);
-	`);
-
-	// Agregar foreign key de role_id a users si no existe
-	await client.query(`
-		DO $$ BEGIN
-			IF NOT EXISTS (
-				SELECT 1 FROM information_schema.table_constraints
-				WHERE constraint_name = 'users_role_id_fkey'
-			) THEN
-				ALTER TABLE users ADD CONSTRAINT users_role_id_fkey
-				FOREIGN KEY (role_id) REFERENCES roles(id);
-			END IF;
-		EXCEPTION WHEN OTHERS THEN NULL;
-		END $$;
-	`);
-}
-
-async function createIndexes(client) {
-	const indexes = [
-		'CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status)',
-		'CREATE INDEX IF NOT EXISTS idx_tickets_priority ON tickets(priority)',
-		'CREATE INDEX IF NOT EXISTS idx_tickets_support_type ON tickets(support_type)',
-		'CREATE INDEX IF NOT EXISTS idx_tickets_assigned_to ON tickets(assigned_to)',
-		'CREATE INDEX IF NOT EXISTS idx_tickets_created_at ON tickets(created_at DESC)',
-		'CREATE INDEX IF NOT EXISTS idx_comments_ticket_id ON comments(ticket_id)',
-		'CREATE INDEX IF NOT EXISTS idx_comments_created_at ON comments(created_at)',
-		'CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id)',
-		'CREATE INDEX IF NOT EXISTS idx_notifications_is_read ON notifications(is_read)',
-		'CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at DESC)',
-	];
-
-	for (const sql of indexes) {
-		await client.query(sql);
-	}
-}
-
 async function createRolesAndPermissions(client) {
 	// Permisos predefinidos
 	const permissions = [
@@ -216,11 +88,18 @@ async function createRolesAndPermissions(client) {
 		{ name: 'delete_tickets', display_name: 'Eliminar tickets', description: 'Permite eliminar tickets', category: 'tickets' },
 		{ name: 'change_ticket_status', display_name: 'Cambiar estado de tickets', description: 'Permite cambiar el estado de los tickets', category: 'tickets' },
 		{ name: 'assign_tickets', display_name: 'Asignar tickets', description: 'Permite asignar tickets a técnicos', category: 'tickets' },
+		{ name: 'reopen_tickets', display_name: 'Reabrir tickets', description: 'Permite reabrir tickets cerrados', category: 'tickets' },
 		{ name: 'add_comments', display_name: 'Agregar comentarios', description: 'Permite agregar comentarios públicos', category: 'comments' },
 		{ name: 'add_internal_comments', display_name: 'Agregar comentarios internos', description: 'Permite agregar comentarios internos', category: 'comments' },
 		{ name: 'view_statistics', display_name: 'Ver estadísticas', description: 'Permite ver estadísticas del sistema', category: 'statistics' },
+		{ name: 'export_tickets', display_name: 'Exportar tickets', description: 'Permite descargar el listado filtrado de tickets en CSV o Excel', category: 'statistics' },
+		{ name: 'manage_reports', display_name: 'Gestionar reportes programados', description: 'Permite programar el envío de reportes PDF por email', category: 'statistics' },
 		{ name: 'manage_users', display_name: 'Gestionar usuarios', description: 'Permite crear, editar y eliminar usuarios', category: 'administration' },
 		{ name: 'manage_roles', display_name: 'Gestionar roles', description: 'Permite crear y editar roles y permisos', category: 'administration' },
+		{ name: 'manage_sla', display_name: 'Gestionar SLA', description: 'Permite configurar las políticas de SLA', category: 'administration' },
+		{ name: 'manage_webhooks', display_name: 'Gestionar webhooks', description: 'Permite configurar webhooks y reenviar entregas', category: 'administration' },
+		{ name: 'manage_assignment', display_name: 'Gestionar asignación automática', description: 'Permite configurar las reglas de asignación y las habilidades de los técnicos', category: 'administration' },
+		{ name: 'use_macros', display_name: 'Usar macros', description: 'Permite crear macros de respuesta y aplicarlas a los tickets', category: 'comments' },
 		{ name: 'view_notifications', display_name: 'Ver notificaciones', description: 'Permite recibir y ver notificaciones', category: 'notifications' }
 	];
 
@@ -244,13 +123,13 @@ async function createRolesAndPermissions(client) {
 			name: 'supervisor',
 			display_name: '👁️ Supervisor',
 			description: 'Puede gestionar tickets y asignar técnicos',
-			permissions: ['view_tickets', 'view_all_tickets', 'view_ticket_details', 'change_ticket_status', 'assign_tickets', 'add_comments', 'add_internal_comments', 'view_statistics', 'view_notifications']
+			permissions: ['view_tickets', 'view_all_tickets', 'view_ticket_details', 'change_ticket_status', 'reopen_tickets', 'assign_tickets', 'add_comments', 'add_internal_comments', 'use_macros', 'view_statistics', 'export_tickets', 'manage_reports', 'view_notifications']
 		},
 		{
 			name: 'tecnico',
 			display_name: '🔧 Técnico',
 			description: 'Puede ver y trabajar en tickets asignados',
-			permissions: ['view_tickets', 'view_all_tickets', 'view_ticket_details', 'change_ticket_status', 'add_comments', 'add_internal_comments', 'view_notifications']
+			permissions: ['view_tickets', 'view_all_tickets', 'view_ticket_details', 'change_ticket_status', 'add_comments', 'add_internal_comments', 'use_macros', 'view_notifications']
 		}
 	];
 
@@ -307,4 +186,27 @@ async function createDefaultUsers(client) {
 	}
 }
 
+async function createDefaultSlaPolicies(client) {
+	const { rows } = await client.query('SELECT COUNT(*) as count FROM sla_policies');
+	if (parseInt(rows[0].count) > 0) {
+		return;
+	}
+
+	// Tiempos en minutos; las críticas corren 24/7
+	const policies = [
+		{ priority: 'Crítica – Bloquea mi trabajo', first_response: 30, resolution: 240, business_hours_only: false },
+		{ priority: 'Alta – Necesito ayuda pronto', first_response: 60, resolution: 480, business_hours_only: true },
+		{ priority: 'Media – Puede esperar unas horas', first_response: 240, resolution: 1440, business_hours_only: true },
+		{ priority: 'Baja – No es urgente', first_response: 480, resolution: 2880, business_hours_only: true },
+	];
+
+	for (const policy of policies) {
+		await client.query(
+			`INSERT INTO sla_policies (priority, support_type, first_response_minutes, resolution_minutes, business_hours_only)
+			 VALUES ($1, NULL, $2, $3, $4)`,
+			[policy.priority, policy.first_response, policy.resolution, policy.business_hours_only]
+		);
+	}
+}
+
 module.exports = { getPool, ensureDatabaseInitialized };
@@ -0,0 +1,60 @@
+/**
+ * Registro de tareas en segundo plano
+ */
+const config = require('../config');
+const { registerJob, startScheduler, stopScheduler } = require('./scheduler');
+
+let registered = false;
+
+/**
+ * Registra las tareas de la aplicación (una sola vez)
+ */
+function registerJobs() {
+	if (registered) {
+		return;
+	}
+	registered = true;
+
+	const slaService = require('../services/slaService');
+	registerJob('sla-checker', config.sla.checkInterval, () => slaService.checkBreaches());
+
+	const webhookService = require('../services/webhookService');
+	registerJob('webhook-retries', config.webhooks.retryInterval, () => webhookService.processRetries());
+
+	if (config.inboundEmail.dropDir) {
+		const inboundEmailService = require('../services/inboundEmailService');
+		registerJob('inbound-email', config.inboundEmail.pollInterval, () => inboundEmailService.processDropDirectory());
+	}
+
+	const requesterPortalService = require('../services/requesterPortalService');
+	registerJob('requester-login-cleanup', 60 * 60 * 1000, () => requesterPortalService.cleanExpiredLinks());
+
+	const authService = require('../services/authService');
+	registerJob('login-audit-cleanup', 60 * 60 * 1000, () => authService.cleanOldAudit());
+
+	const ticketService = require('../services/ticketService');
+	registerJob('ticket-trash-purge', config.trash.purgeInterval, () => ticketService.purgeDeletedTickets());
+
+	const scheduledReportService = require('../services/scheduledReportService');
+	registerJob('scheduled-reports', config.reports.checkInterval, () => scheduledReportService.sendDue());
+
+	const notificationService = require('../services/notificationService');
+	registerJob('notification-digest', config.notifications.digestInterval, () => notificationService.sendDigests());
+	registerJob('notification-cleanup', 60 * 60 * 1000, () => notificationService.cleanOld());
+}
+
+/**
+ * Registra e inicia las tareas si están habilitadas
+ */
+function startJobs() {
+	if (!config.jobs.enabled) {
+		return;
+	}
+	registerJobs();
+	startScheduler();
+}
+
+module.exports = {
+	startJobs,
+	stopJobs: stopScheduler,
+};
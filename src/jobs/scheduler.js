@@ -0,0 +1,113 @@
+/**
+ * Planificador simple de tareas periódicas en segundo plano.
+ * Cada tarea se ejecuta con setInterval y nunca se solapa consigo misma.
+ * Cada ejecución toma un bloqueo consultivo de PostgreSQL propio de la tarea,
+ * así que con varias instancias de la aplicación solo una la ejecuta a la vez.
+ */
+const { getPool } = require('../db');
+const logger = require('../utils/logger');
+
+// Primera clave de los bloqueos consultivos de tareas; la segunda sale del nombre
+const JOB_LOCK_KEY = 72846151;
+
+const jobs = new Map();
+
+/**
+ * Registra una tarea periódica
+ * @param {string} name - Nombre único de la tarea
+ * @param {number} interval - Intervalo en milisegundos
+ * @param {Function} handler - Función async a ejecutar
+ */
+function registerJob(name, interval, handler) {
+	if (jobs.has(name)) {
+		throw new Error(`La tarea ${name} ya está registrada`);
+	}
+	jobs.set(name, { name, interval, handler, timer: null, running: false });
+}
+
+/**
+ * Ejecuta fn con una conexión que tiene el bloqueo consultivo de la tarea;
+ * no la ejecuta si otra instancia lo tiene
+ * @param {string} name - Nombre de la tarea
+ * @param {Function} fn - Función async a ejecutar
+ * @returns {Promise<{locked: boolean, result?: *}>}
+ * @private
+ */
+async function withJobLock(name, fn) {
+	const client = await getPool().connect();
+	try {
+		const { rows } = await client.query('SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked', [JOB_LOCK_KEY, name]);
+		if (!rows[0].locked) {
+			return { locked: false };
+		}
+		try {
+			return { locked: true, result: await fn() };
+		} finally {
+			await client.query('SELECT pg_advisory_unlock($1, hashtext($2))', [JOB_LOCK_KEY, name]);
+		}
+	} finally {
+		client.release();
+	}
+}
+
+/**
+ * Ejecuta una tarea una vez, ignorando la ejecución si la anterior sigue en curso
+ * en esta u otra instancia
+ * @param {string} name - Nombre de la tarea
+ * @returns {Promise<*>} Resultado de la tarea o undefined si no se ejecutó
+ */
+async function runJob(name) {
+	const job = jobs.get(name);
+	if (!job || job.running) {
+		return undefined;
+	}
+
+	job.running = true;
+	try {
+		const { locked, result } = await withJobLock(name, job.handler);
+		if (!locked) {
+			logger.debug(`Tarea ${name} en curso en otra instancia`);
+			return undefined;
+		}
+		logger.debug(`Tarea ${name} completada`, { result });
+		return result;
+	} catch (err) {
+		logger.error(`Error en tarea ${name}`, { error: err.message, stack: err.stack });
+		return undefined;
+	} finally {
+		job.running = false;
+	}
+}
+
+/**
+ * Inicia todas las tareas registradas
+ */
+function startScheduler() {
+	for (const job of jobs.values()) {
+		if (!job.timer) {
+			job.timer = setInterval(() => runJob(job.name), job.interval);
+			job.timer.unref();
+		}
+	}
+	logger.info('Tareas en segundo plano iniciadas', { jobs: [...jobs.keys()] });
+}
+
+/**
+ * Detiene todas las tareas registradas
+ */
+function stopScheduler() {
+	for (const job of jobs.values()) {
+		if (job.timer) {
+			clearInterval(job.timer);
+			job.timer = null;
+		}
+	}
+}
+
+module.exports = {
+	JOB_LOCK_KEY,
+	registerJob,
+	runJob,
+	startScheduler,
+	stopScheduler,
+};
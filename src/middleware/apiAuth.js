@@ -0,0 +1,55 @@
+/**
+ * Middlewares de autenticación y autorización para la API
+ * Las peticiones se autentican con una API key personal enviada como
+ * "Authorization: Bearer <clave>" o en la cabecera "X-API-Key".
+ */
+const apiKeyService = require('../services/apiKeyService');
+const roleService = require('../services/roleService');
+const { UnauthorizedError, ForbiddenError } = require('./errorHandler');
+
+/**
+ * Extrae la clave de las cabeceras de la petición
+ * @private
+ */
+function extractToken(req) {
+	const authorization = req.get('authorization');
+	if (authorization && authorization.toLowerCase().startsWith('bearer ')) {
+		return authorization.slice(7).trim();
+	}
+	return req.get('x-api-key') || null;
+}
+
+/**
+ * Verificar la API key y cargar el usuario y sus permisos
+ */
+async function requireApiKey(req, res, next) {
+	try {
+		const user = await apiKeyService.authenticate(extractToken(req));
+		if (!user) {
+			return next(new UnauthorizedError('API key inválida o ausente'));
+		}
+
+		req.apiUser = user;
+		req.apiPermissions = await roleService.getUserPermissions(user.id);
+		next();
+	} catch (err) {
+		next(err);
+	}
+}
+
+/**
+ * Verificar que el usuario de la API tenga un permiso específico
+ */
+function requireApiPermission(permissionName) {
+	return (req, res, next) => {
+		if (req.apiPermissions?.includes(permissionName)) {
+			return next();
+		}
+		return next(new ForbiddenError('No tienes permisos suficientes para realizar esta acción'));
+	};
+}
+
+module.exports = {
+	requireApiKey,
+	requireApiPermission,
+};
@@ -105,6 +105,27 @@ function requireAnyPermission(...permissionNames) {
 	};
 }
 
+/**
+ * Limitar la sesión a la página de cambio de contraseña mientras el cambio
+ * sea obligatorio (primer acceso o contraseña caducada)
+ */
+function enforcePasswordChange(req, res, next) {
+	if (req.session?.user && req.session.passwordChange) {
+		return res.redirect('/admin/cambiar-contrasena');
+	}
+	next();
+}
+
+/**
+ * Verificar que el solicitante haya entrado al portal con su enlace de acceso
+ */
+function requireRequester(req, res, next) {
+	if (req.session?.requester?.email) {
+		return next();
+	}
+	return res.redirect('/acceso');
+}
+
 /**
  * Agregar permisos del usuario a la request
  */
@@ -129,5 +150,7 @@ module.exports = {
 	requireSupervisor,
 	requirePermission,
 	requireAnyPermission,
+	enforcePasswordChange,
 	addUserPermissions,
+	requireRequester,
 };
@@ -57,10 +57,20 @@ const commentLimiter = rateLimit({
 	legacyHeaders: false,
 });
 
+// Rate limiting para solicitar enlaces de acceso al portal del solicitante
+const requesterLinkLimiter = rateLimit({
+	windowMs: 15 * 60 * 1000, // 15 minutos
+	max: 5, // máximo 5 enlaces
+	message: 'Demasiadas solicitudes de acceso, intenta de nuevo en 15 minutos',
+	standardHeaders: true,
+	legacyHeaders: false,
+});
+
 module.exports = {
 	helmetConfig,
 	generalLimiter,
 	loginLimiter,
 	ticketCreationLimiter,
 	commentLimiter,
+	requesterLinkLimiter,
 };
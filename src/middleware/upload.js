@@ -1,9 +1,12 @@
 /**
  * Configuración segura de uploads
+ * Los adjuntos se guardan en un directorio privado (config.uploads.attachmentsDir)
+ * y solo se sirven a través de las rutas de descarga, que verifican el acceso.
  */
 const multer = require('multer');
 const path = require('path');
 const crypto = require('crypto');
+const fs = require('fs');
 const config = require('../config');
 const { ValidationError } = require('./errorHandler');
 
@@ -16,42 +19,108 @@ const ALLOWED_MIME_TYPES = {
 	'image/webp': 'webp',
 };
 
+// Documentos permitidos: extensión -> tipos MIME aceptados (el primero es el canónico)
+const ALLOWED_DOCUMENT_TYPES = {
+	pdf: ['application/pdf'],
+	txt: ['text/plain'],
+	log: ['text/plain', 'application/octet-stream'],
+	csv: ['text/csv', 'text/plain', 'application/vnd.ms-excel'],
+	doc: ['application/msword'],
+	docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+	xls: ['application/vnd.ms-excel'],
+	xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+	ppt: ['application/vnd.ms-powerpoint'],
+	pptx: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+};
+
+/**
+ * Obtiene la extensión normalizada del nombre original
+ * @param {string} filename
+ * @returns {string}
+ */
+function getExtension(filename) {
+	const ext = path.extname(filename || '').toLowerCase().slice(1);
+	return ext === 'jpeg' ? 'jpg' : ext;
+}
+
+/**
+ * Resuelve el tipo MIME canónico de un archivo si extensión y MIME declarado coinciden
+ * @param {string} filename - Nombre original
+ * @param {string} mimetype - MIME declarado por el cliente
+ * @returns {string|null} MIME a guardar, o null si el archivo no está permitido
+ */
+function resolveMimeType(filename, mimetype) {
+	const ext = getExtension(filename);
+
+	if (ALLOWED_MIME_TYPES[mimetype]) {
+		return ALLOWED_MIME_TYPES[mimetype] === ext && config.uploads.allowedTypes.test(ext)
+			? (mimetype === 'image/jpg' ? 'image/jpeg' : mimetype)
+			: null;
+	}
+
+	const mimes = ALLOWED_DOCUMENT_TYPES[ext];
+	return mimes && mimes.includes(mimetype) ? mimes[0] : null;
+}
+
+// Límites y extensiones que se muestran en los formularios
+const uploadLimits = {
+	maxFiles: config.uploads.maxFiles,
+	maxSizeMb: config.uploads.maxSize / 1024 / 1024,
+	accept: ['jpg', 'jpeg', 'png', 'gif', 'webp', ...Object.keys(ALLOWED_DOCUMENT_TYPES)].map(ext => '.' + ext).join(','),
+};
+
+/**
+ * Genera un nombre único y seguro para guardar un archivo; el original solo se guarda en BD
+ * @param {string} originalName
+ * @returns {string}
+ */
+function generateStoredName(originalName) {
+	const uniqueId = crypto.randomBytes(16).toString('hex');
+	return `${Date.now()}-${uniqueId}.${getExtension(originalName)}`;
+}
+
 // Configuración de almacenamiento
 const storage = multer.diskStorage({
 	destination: (req, file, cb) => {
-		cb(null, path.join(__dirname, '..', '..', 'uploads'));
+		fs.mkdir(config.uploads.attachmentsDir, { recursive: true }, err => cb(err, config.uploads.attachmentsDir));
 	},
 	filename: (req, file, cb) => {
-		// Generar nombre único y seguro
-		const uniqueId = crypto.randomBytes(16).toString('hex');
-		const timestamp = Date.now();
-		const ext = ALLOWED_MIME_TYPES[file.mimetype] || 'bin';
-		cb(null, `${timestamp}-${uniqueId}.${ext}`);
+		cb(null, generateStoredName(file.originalname));
 	},
 });
 
 // Filtro de archivos
 const fileFilter = (req, file, cb) => {
-	// Verificar tipo MIME
-	if (!ALLOWED_MIME_TYPES[file.mimetype]) {
-		return cb(new ValidationError('Tipo de archivo no permitido. Solo se aceptan imágenes (JPG, PNG, GIF, WebP)'), false);
-	}
-
-	// Verificar extensión
-	const ext = path.extname(file.originalname).toLowerCase().slice(1);
-	if (!config.uploads.allowedTypes.test(ext)) {
-		return cb(new ValidationError('Extensión de archivo no permitida'), false);
+	if (!resolveMimeType(file.originalname, file.mimetype)) {
+		return cb(new ValidationError('Tipo de archivo no permitido. Se aceptan imágenes (JPG, PNG, GIF, WebP), PDF, logs y documentos de Office'), false);
 	}
 
 	cb(null, true);
 };
 
-// Configuración de Multer
+// Configuración de Multer (usar con upload.array('attachments', config.uploads.maxFiles))
 const upload = multer({
 	storage,
 	fileFilter,
 	limits: {
 		fileSize: config.uploads.maxSize,
+		files: config.uploads.maxFiles,
+	},
+});
+
+// Archivos CSV de importación: se leen en memoria y no se guardan en disco
+const IMPORT_MAX_SIZE = 10 * 1024 * 1024;
+
+const importUpload = multer({
+	storage: multer.memoryStorage(),
+	fileFilter: (req, file, cb) => {
+		if (getExtension(file.originalname) !== 'csv') {
+			return cb(new ValidationError('Solo se pueden importar archivos CSV'), false);
+		}
+		cb(null, true);
+	},
+	limits: {
+		fileSize: IMPORT_MAX_SIZE,
 		files: 1,
 	},
 });
@@ -63,15 +132,32 @@ function handleUploadError(err, req, res, next) {
 			return next(new ValidationError(`El archivo excede el tamaño máximo de ${config.uploads.maxSize / 1024 / 1024}MB`));
 		}
 		if (err.code === 'LIMIT_FILE_COUNT') {
-			return next(new ValidationError('Solo se permite un archivo'));
+			return next(new ValidationError(`Solo se permiten ${config.uploads.maxFiles} archivos por envío`));
+		}
+		if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+			return next(new ValidationError(`Solo se permiten ${config.uploads.maxFiles} archivos por envío`));
 		}
 		return next(new ValidationError(`Error de upload: ${err.message}`));
 	}
 	next(err);
 }
 
+// Igual que handleUploadError, con el límite de tamaño de las importaciones
+function handleImportUploadError(err, req, res, next) {
+	if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+		return next(new ValidationError(`El archivo excede el tamaño máximo de ${IMPORT_MAX_SIZE / 1024 / 1024}MB`));
+	}
+	handleUploadError(err, req, res, next);
+}
+
 module.exports = {
 	upload,
 	handleUploadError,
+	importUpload,
+	handleImportUploadError,
 	ALLOWED_MIME_TYPES,
+	ALLOWED_DOCUMENT_TYPES,
+	resolveMimeType,
+	generateStoredName,
+	uploadLimits,
 };
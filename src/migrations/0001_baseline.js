@@ -0,0 +1,480 @@
+/**
+ * Esquema inicial: las tablas e índices que db.js creaba en cada arranque.
+ * Todo usa IF NOT EXISTS, así que sobre una base creada antes de las
+ * migraciones solo queda registrada como aplicada.
+ */
+
+// En orden de creación; down las elimina en orden inverso
+const TABLES = [
+	'users',
+	'tickets',
+	'comments',
+	'notifications',
+	'ticket_events',
+	'sla_policies',
+	'api_keys',
+	'webhooks',
+	'webhook_deliveries',
+	'attachments',
+	'inbound_emails',
+	'requester_login_tokens',
+	'ticket_feedback',
+	'assignment_rules',
+	'macros',
+	'password_history',
+	'login_audit',
+	'report_subscriptions',
+	'roles',
+	'permissions',
+	'role_permissions',
+];
+
+async function createTables(client) {
+	// Tabla de usuarios
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS users (
+			id SERIAL PRIMARY KEY,
+			username TEXT UNIQUE NOT NULL,
+			password_hash TEXT NOT NULL,
+			role TEXT NOT NULL CHECK (role IN ('admin','supervisor','tecnico','user')),
+			role_id INTEGER,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Tabla de tickets
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS tickets (
+			id SERIAL PRIMARY KEY,
+			reference TEXT UNIQUE NOT NULL,
+			requester_name TEXT NOT NULL,
+			department TEXT NOT NULL,
+			support_type TEXT NOT NULL,
+			priority TEXT NOT NULL,
+			subject TEXT NOT NULL,
+			description TEXT NOT NULL,
+			image_path TEXT,
+			has_anydesk BOOLEAN NOT NULL DEFAULT false,
+			anydesk_code TEXT,
+			status TEXT NOT NULL DEFAULT 'Pendiente',
+			edit_token TEXT NOT NULL,
+			assigned_to INTEGER REFERENCES users(id),
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Tabla de comentarios
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS comments (
+			id SERIAL PRIMARY KEY,
+			ticket_id INTEGER NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+			user_id INTEGER REFERENCES users(id),
+			author_name TEXT NOT NULL,
+			author_email TEXT,
+			content TEXT NOT NULL,
+			is_internal BOOLEAN NOT NULL DEFAULT false,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Tabla de notificaciones
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS notifications (
+			id SERIAL PRIMARY KEY,
+			user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+			type TEXT NOT NULL,
+			title TEXT NOT NULL,
+			message TEXT NOT NULL,
+			ticket_id INTEGER REFERENCES tickets(id) ON DELETE CASCADE,
+			is_read BOOLEAN NOT NULL DEFAULT false,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Tabla de historial de eventos de tickets
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS ticket_events (
+			id SERIAL PRIMARY KEY,
+			ticket_id INTEGER NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+			event_type TEXT NOT NULL,
+			field TEXT,
+			old_value TEXT,
+			new_value TEXT,
+			actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+			actor_name TEXT,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Columnas de SLA en tickets
+	await client.query(`
+		ALTER TABLE tickets
+			ADD COLUMN IF NOT EXISTS first_response_due TIMESTAMPTZ,
+			ADD COLUMN IF NOT EXISTS resolution_due TIMESTAMPTZ,
+			ADD COLUMN IF NOT EXISTS first_responded_at TIMESTAMPTZ,
+			ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMPTZ,
+			ADD COLUMN IF NOT EXISTS sla_response_warned BOOLEAN NOT NULL DEFAULT false,
+			ADD COLUMN IF NOT EXISTS sla_response_breached BOOLEAN NOT NULL DEFAULT false,
+			ADD COLUMN IF NOT EXISTS sla_resolution_warned BOOLEAN NOT NULL DEFAULT false,
+			ADD COLUMN IF NOT EXISTS sla_resolution_breached BOOLEAN NOT NULL DEFAULT false;
+	`);
+
+	// Nota de resolución exigida por el flujo de estados
+	await client.query(`
+		ALTER TABLE tickets ADD COLUMN IF NOT EXISTS resolution_note TEXT;
+	`);
+
+	// Tabla de políticas de SLA (support_type NULL aplica a todos los tipos)
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS sla_policies (
+			id SERIAL PRIMARY KEY,
+			priority TEXT NOT NULL,
+			support_type TEXT,
+			first_response_minutes INTEGER NOT NULL CHECK (first_response_minutes > 0),
+			resolution_minutes INTEGER NOT NULL CHECK (resolution_minutes > 0),
+			business_hours_only BOOLEAN NOT NULL DEFAULT true,
+			is_active BOOLEAN NOT NULL DEFAULT true,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Tabla de API keys (solo se guarda el hash SHA-256 de la clave)
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS api_keys (
+			id SERIAL PRIMARY KEY,
+			user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+			name TEXT NOT NULL,
+			key_prefix TEXT NOT NULL,
+			key_hash TEXT UNIQUE NOT NULL,
+			last_used_at TIMESTAMPTZ,
+			revoked_at TIMESTAMPTZ,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Tabla de webhooks salientes
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS webhooks (
+			id SERIAL PRIMARY KEY,
+			name TEXT NOT NULL,
+			url TEXT NOT NULL,
+			secret TEXT NOT NULL,
+			events TEXT[] NOT NULL DEFAULT '{}',
+			is_active BOOLEAN NOT NULL DEFAULT true,
+			created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Registro de entregas de webhooks (status: pending, success, failed)
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS webhook_deliveries (
+			id SERIAL PRIMARY KEY,
+			webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+			event TEXT NOT NULL,
+			payload JSONB NOT NULL,
+			status TEXT NOT NULL DEFAULT 'pending',
+			attempts INTEGER NOT NULL DEFAULT 0,
+			response_status INTEGER,
+			response_body TEXT,
+			error TEXT,
+			next_attempt_at TIMESTAMPTZ,
+			delivered_at TIMESTAMPTZ,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Adjuntos de tickets y comentarios (comment_id NULL = adjunto del ticket)
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS attachments (
+			id SERIAL PRIMARY KEY,
+			ticket_id INTEGER NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+			comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+			original_name TEXT NOT NULL,
+			stored_name TEXT UNIQUE NOT NULL,
+			mime_type TEXT NOT NULL,
+			size_bytes INTEGER NOT NULL,
+			checksum TEXT NOT NULL,
+			uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+			uploaded_by_name TEXT,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Registro de correos entrantes procesados (status: ticket_created, comment_added, rejected, failed)
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS inbound_emails (
+			id SERIAL PRIMARY KEY,
+			message_id TEXT UNIQUE NOT NULL,
+			source TEXT NOT NULL,
+			from_address TEXT,
+			subject TEXT,
+			status TEXT NOT NULL,
+			ticket_id INTEGER REFERENCES tickets(id) ON DELETE SET NULL,
+			comment_id INTEGER REFERENCES comments(id) ON DELETE SET NULL,
+			details TEXT,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Email del solicitante: da acceso a sus tickets desde el portal
+	await client.query(`
+		ALTER TABLE tickets ADD COLUMN IF NOT EXISTS requester_email TEXT;
+	`);
+
+	// Enlaces de acceso al portal del solicitante (solo se guarda el hash del token)
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS requester_login_tokens (
+			id SERIAL PRIMARY KEY,
+			email TEXT NOT NULL,
+			token_hash TEXT UNIQUE NOT NULL,
+			expires_at TIMESTAMPTZ NOT NULL,
+			used_at TIMESTAMPTZ,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Encuestas de satisfacción: una por cada resolución; rating NULL hasta que el solicitante responde
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS ticket_feedback (
+			id SERIAL PRIMARY KEY,
+			ticket_id INTEGER NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+			technician_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+			token_hash TEXT UNIQUE NOT NULL,
+			rating SMALLINT CHECK (rating BETWEEN 1 AND 5),
+			comment TEXT,
+			requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			responded_at TIMESTAMPTZ
+		);
+	`);
+
+	// Reglas de asignación automática: los criterios NULL aplican a cualquier valor y
+	// technician_ids vacío usa a todo el personal; last_assigned_id guarda el turno del round-robin
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS assignment_rules (
+			id SERIAL PRIMARY KEY,
+			name TEXT NOT NULL,
+			department TEXT,
+			support_type TEXT,
+			priority TEXT,
+			strategy TEXT NOT NULL CHECK (strategy IN ('round_robin','least_open','skill_match')),
+			technician_ids INTEGER[] NOT NULL DEFAULT '{}',
+			position INTEGER NOT NULL DEFAULT 0,
+			is_active BOOLEAN NOT NULL DEFAULT true,
+			last_assigned_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Habilidades de los técnicos (tipos de soporte que atienden) para la asignación por habilidad
+	await client.query(`
+		ALTER TABLE users ADD COLUMN IF NOT EXISTS skills TEXT[] NOT NULL DEFAULT '{}';
+	`);
+
+	// Macros: plantillas de respuesta con acciones; owner_id es el autor y is_shared las publica al equipo
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS macros (
+			id SERIAL PRIMARY KEY,
+			name TEXT NOT NULL,
+			content TEXT,
+			internal_note TEXT,
+			set_status TEXT,
+			assign_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+			owner_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+			is_shared BOOLEAN NOT NULL DEFAULT false,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Papelera de tickets: los eliminados se ocultan y se purgan tras el periodo de retención
+	await client.query(`
+		ALTER TABLE tickets
+			ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+			ADD COLUMN IF NOT EXISTS deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+	`);
+
+	// Canal por el que llegó el ticket (web, email, api, phone, walk_in)
+	await client.query(`
+		ALTER TABLE tickets ADD COLUMN IF NOT EXISTS channel TEXT NOT NULL DEFAULT 'web';
+	`);
+
+	// Verificación en dos pasos (TOTP) del personal: totp_last_step impide reutilizar un código
+	// y los códigos de recuperación se guardan como hash SHA-256
+	await client.query(`
+		ALTER TABLE users
+			ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+			ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ,
+			ADD COLUMN IF NOT EXISTS totp_last_step BIGINT,
+			ADD COLUMN IF NOT EXISTS recovery_code_hashes TEXT[] NOT NULL DEFAULT '{}';
+	`);
+
+	// Bloqueo por intentos fallidos y política de contraseñas: caducidad desde
+	// password_changed_at y cambio obligatorio para los usuarios recién creados
+	await client.query(`
+		ALTER TABLE users
+			ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+			ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ,
+			ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false;
+	`);
+
+	// Contraseñas anteriores (hash bcrypt), para impedir reutilizarlas
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS password_history (
+			id SERIAL PRIMARY KEY,
+			user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+			password_hash TEXT NOT NULL,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Auditoría de accesos al panel; username guarda el nombre introducido
+	// aunque no exista el usuario
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS login_audit (
+			id BIGSERIAL PRIMARY KEY,
+			user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+			username TEXT NOT NULL,
+			success BOOLEAN NOT NULL,
+			reason TEXT NOT NULL,
+			ip TEXT,
+			user_agent TEXT,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Reportes programados: resúmenes semanales o mensuales en PDF enviados por email;
+	// last_period_start es el último periodo enviado, para no repetirlo
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS report_subscriptions (
+			id SERIAL PRIMARY KEY,
+			name TEXT NOT NULL,
+			frequency TEXT NOT NULL CHECK (frequency IN ('weekly','monthly')),
+			recipients TEXT[] NOT NULL,
+			is_active BOOLEAN NOT NULL DEFAULT true,
+			last_period_start DATE,
+			last_sent_at TIMESTAMPTZ,
+			last_error TEXT,
+			created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Tabla de roles
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS roles (
+			id SERIAL PRIMARY KEY,
+			name TEXT UNIQUE NOT NULL,
+			display_name TEXT NOT NULL,
+			description TEXT,
+			is_system BOOLEAN NOT NULL DEFAULT false,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Roles cuyos usuarios deben usar la verificación en dos pasos
+	await client.query(`
+		ALTER TABLE roles ADD COLUMN IF NOT EXISTS require_2fa BOOLEAN NOT NULL DEFAULT false;
+	`);
+
+	// Tabla de permisos
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS permissions (
+			id SERIAL PRIMARY KEY,
+			name TEXT UNIQUE NOT NULL,
+			display_name TEXT NOT NULL,
+			description TEXT,
+			category TEXT NOT NULL,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+		);
+	`);
+
+	// Tabla de relación roles-permisos
+	await client.query(`
+		CREATE TABLE IF NOT EXISTS role_permissions (
+			role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+			permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+			PRIMARY KEY (role_id, permission_id)
+		);
+	`);
+
+	// Agregar foreign key de role_id a users si no existe
+	await client.query(`
+		DO $$ BEGIN
+			IF NOT EXISTS (
+				SELECT 1 FROM information_schema.table_constraints
+				WHERE constraint_name = 'users_role_id_fkey'
+			) THEN
+				ALTER TABLE users ADD CONSTRAINT users_role_id_fkey
+				FOREIGN KEY (role_id) REFERENCES roles(id);
+			END IF;
+		EXCEPTION WHEN OTHERS THEN NULL;
+		END $$;
+	`);
+}
+
+async function createIndexes(client) {
+	const indexes = [
+		'CREATE INDEX IF NOT EXISTS idx_tickets_status ON tickets(status)',
+		'CREATE INDEX IF NOT EXISTS idx_tickets_priority ON tickets(priority)',
+		'CREATE INDEX IF NOT EXISTS idx_tickets_support_type ON tickets(support_type)',
+		'CREATE INDEX IF NOT EXISTS idx_tickets_assigned_to ON tickets(assigned_to)',
+		'CREATE INDEX IF NOT EXISTS idx_tickets_created_at ON tickets(created_at DESC)',
+		'CREATE INDEX IF NOT EXISTS idx_comments_ticket_id ON comments(ticket_id)',
+		'CREATE INDEX IF NOT EXISTS idx_comments_created_at ON comments(created_at)',
+		'CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id)',
+		'CREATE INDEX IF NOT EXISTS idx_notifications_is_read ON notifications(is_read)',
+		'CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at DESC)',
+		'CREATE INDEX IF NOT EXISTS idx_ticket_events_ticket_id ON ticket_events(ticket_id, created_at)',
+		"CREATE UNIQUE INDEX IF NOT EXISTS idx_sla_policies_scope ON sla_policies(priority, COALESCE(support_type, ''))",
+		'CREATE INDEX IF NOT EXISTS idx_tickets_resolution_due ON tickets(resolution_due)',
+		'CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)',
+		'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id, created_at DESC)',
+		"CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(next_attempt_at) WHERE status = 'pending'",
+		'CREATE INDEX IF NOT EXISTS idx_attachments_ticket_id ON attachments(ticket_id, created_at)',
+		'CREATE INDEX IF NOT EXISTS idx_attachments_comment_id ON attachments(comment_id)',
+		'CREATE INDEX IF NOT EXISTS idx_inbound_emails_created_at ON inbound_emails(created_at DESC)',
+		'CREATE INDEX IF NOT EXISTS idx_tickets_requester_email ON tickets(requester_email, created_at DESC)',
+		'CREATE INDEX IF NOT EXISTS idx_requester_login_tokens_expires_at ON requester_login_tokens(expires_at)',
+		'CREATE INDEX IF NOT EXISTS idx_ticket_feedback_ticket_id ON ticket_feedback(ticket_id, requested_at DESC)',
+		'CREATE INDEX IF NOT EXISTS idx_ticket_feedback_technician_id ON ticket_feedback(technician_id) WHERE rating IS NOT NULL',
+		'CREATE INDEX IF NOT EXISTS idx_assignment_rules_position ON assignment_rules(position, id) WHERE is_active = true',
+		'CREATE INDEX IF NOT EXISTS idx_macros_owner_id ON macros(owner_id)',
+		'CREATE INDEX IF NOT EXISTS idx_tickets_deleted_at ON tickets(deleted_at) WHERE deleted_at IS NOT NULL',
+		'CREATE INDEX IF NOT EXISTS idx_password_history_user_id ON password_history(user_id, created_at DESC)',
+		'CREATE INDEX IF NOT EXISTS idx_login_audit_created_at ON login_audit(created_at DESC)',
+		'CREATE INDEX IF NOT EXISTS idx_login_audit_user_id ON login_audit(user_id, created_at DESC)',
+		// Búsqueda de texto completo: ticketSearchVector y commentSearchVector de TicketRepository
+		// deben generar estas mismas expresiones; cambiarlas requiere una migración nueva
+		'CREATE INDEX IF NOT EXISTS idx_tickets_search ON tickets USING GIN ('
+			+ "(setweight(to_tsvector('spanish', coalesce(tickets.subject, '')), 'A')"
+			+ " || setweight(to_tsvector('spanish', coalesce(tickets.requester_name, '')), 'B')"
+			+ " || setweight(to_tsvector('spanish', coalesce(tickets.description, '')), 'C')))",
+		"CREATE INDEX IF NOT EXISTS idx_comments_search ON comments USING GIN ((to_tsvector('spanish', coalesce(comments.content, ''))))",
+	];
+
+	for (const sql of indexes) {
+		await client.query(sql);
+	}
+}
+
+async function up(client) {
+	await createTables(client);
+	await createIndexes(client);
+}
+
+async function down(client) {
+	for (const table of [...TABLES].reverse()) {
+		await client.query(`DROP TABLE IF EXISTS ${table} CASCADE`);
+	}
+}
+
+module.exports = { up, down };
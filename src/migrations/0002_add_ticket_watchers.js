@@ -0,0 +1,28 @@
+/**
+ * Observadores de tickets: usuarios del equipo o emails externos que reciben
+ * los avisos de cambios de estado, asignaciones y comentarios públicos.
+ * Cada fila tiene exactamente uno de user_id o email.
+ */
+
+async function up(client) {
+	await client.query(`
+		CREATE TABLE ticket_watchers (
+			id SERIAL PRIMARY KEY,
+			ticket_id INTEGER NOT NULL REFERENCES tickets(id) ON DELETE CASCADE,
+			user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+			email TEXT,
+			added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+			created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+			CHECK ((user_id IS NULL) <> (email IS NULL)),
+			UNIQUE (ticket_id, user_id),
+			UNIQUE (ticket_id, email)
+		)
+	`);
+	await client.query('CREATE INDEX idx_ticket_watchers_user_id ON ticket_watchers(user_id) WHERE user_id IS NOT NULL');
+}
+
+async function down(client) {
+	await client.query('DROP TABLE IF EXISTS ticket_watchers');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+/**
+ * Preferencias de notificación por usuario y tipo de evento, email del
+ * personal para recibirlas y el registro de lo ya enviado por correo.
+ */
+
+async function up(client) {
+	await client.query(`
+		CREATE TABLE notification_preferences (
+			user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+			event_type TEXT NOT NULL,
+			channel TEXT NOT NULL CHECK (channel IN ('in_app', 'email', 'digest', 'off')),
+			PRIMARY KEY (user_id, event_type)
+		)
+	`);
+	await client.query(`
+		ALTER TABLE users
+			ADD COLUMN email TEXT,
+			ADD COLUMN digest_sent_at TIMESTAMPTZ
+	`);
+	// Notificaciones ya enviadas por email, al momento o en un resumen
+	await client.query('ALTER TABLE notifications ADD COLUMN emailed_at TIMESTAMPTZ');
+}
+
+async function down(client) {
+	await client.query('ALTER TABLE notifications DROP COLUMN IF EXISTS emailed_at');
+	await client.query(`
+		ALTER TABLE users
+			DROP COLUMN IF EXISTS email,
+			DROP COLUMN IF EXISTS digest_sent_at
+	`);
+	await client.query('DROP TABLE IF EXISTS notification_preferences');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,93 @@
+/**
+ * Avisos en tiempo real: cada notificación nueva, alta, cambio de estado o
+ * paso a la papelera de un ticket y cada comentario se publica con pg_notify en
+ * el canal ticket_events. Al hacerse en la base de datos llegan a todas las
+ * instancias de la aplicación, sea cual sea la ruta que hizo el cambio.
+ * El payload solo lleva identificadores: pg_notify admite hasta 8000 bytes.
+ */
+
+async function up(client) {
+	await client.query(`
+		CREATE FUNCTION notify_notification_event() RETURNS trigger AS $$
+		BEGIN
+			PERFORM pg_notify('ticket_events', json_build_object(
+				'kind', 'notification',
+				'id', NEW.id,
+				'user_id', NEW.user_id,
+				'type', NEW.type,
+				'ticket_id', NEW.ticket_id
+			)::text);
+			RETURN NULL;
+		END;
+		$$ LANGUAGE plpgsql
+	`);
+	await client.query(`
+		CREATE TRIGGER notifications_realtime
+			AFTER INSERT ON notifications
+			FOR EACH ROW EXECUTE FUNCTION notify_notification_event()
+	`);
+
+	await client.query(`
+		CREATE FUNCTION notify_ticket_event() RETURNS trigger AS $$
+		DECLARE
+			ticket_change TEXT;
+		BEGIN
+			IF TG_OP = 'INSERT' THEN
+				ticket_change := 'created';
+			ELSIF NEW.deleted_at IS DISTINCT FROM OLD.deleted_at THEN
+				ticket_change := CASE WHEN NEW.deleted_at IS NULL THEN 'restored' ELSE 'deleted' END;
+			ELSIF NEW.status IS DISTINCT FROM OLD.status THEN
+				ticket_change := 'status';
+			ELSE
+				RETURN NULL;
+			END IF;
+
+			PERFORM pg_notify('ticket_events', json_build_object(
+				'kind', 'ticket',
+				'change', ticket_change,
+				'ticket_id', NEW.id,
+				'reference', NEW.reference,
+				'status', NEW.status,
+				'previous_status', CASE WHEN TG_OP = 'UPDATE' THEN OLD.status END
+			)::text);
+			RETURN NULL;
+		END;
+		$$ LANGUAGE plpgsql
+	`);
+	await client.query(`
+		CREATE TRIGGER tickets_realtime
+			AFTER INSERT OR UPDATE OF status, deleted_at ON tickets
+			FOR EACH ROW EXECUTE FUNCTION notify_ticket_event()
+	`);
+
+	await client.query(`
+		CREATE FUNCTION notify_comment_event() RETURNS trigger AS $$
+		BEGIN
+			PERFORM pg_notify('ticket_events', json_build_object(
+				'kind', 'comment',
+				'id', NEW.id,
+				'ticket_id', NEW.ticket_id,
+				'user_id', NEW.user_id,
+				'is_internal', NEW.is_internal
+			)::text);
+			RETURN NULL;
+		END;
+		$$ LANGUAGE plpgsql
+	`);
+	await client.query(`
+		CREATE TRIGGER comments_realtime
+			AFTER INSERT ON comments
+			FOR EACH ROW EXECUTE FUNCTION notify_comment_event()
+	`);
+}
+
+async function down(client) {
+	await client.query('DROP TRIGGER IF EXISTS comments_realtime ON comments');
+	await client.query('DROP TRIGGER IF EXISTS tickets_realtime ON tickets');
+	await client.query('DROP TRIGGER IF EXISTS notifications_realtime ON notifications');
+	await client.query('DROP FUNCTION IF EXISTS notify_comment_event()');
+	await client.query('DROP FUNCTION IF EXISTS notify_ticket_event()');
+	await client.query('DROP FUNCTION IF EXISTS notify_notification_event()');
+}
+
+module.exports = { up, down };
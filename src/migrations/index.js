@@ -0,0 +1,204 @@
+/**
+ * Migraciones versionadas del esquema
+ * Cada archivo NNNN_nombre.js de este directorio exporta up(client) y
+ * down(client). Las aplicadas quedan en schema_migrations; cada una corre en
+ * su propia transacción y todo el proceso bajo un bloqueo consultivo de
+ * PostgreSQL, así que varias instancias arrancando a la vez no compiten.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Clave fija del bloqueo consultivo, compartida por todas las instancias
+const LOCK_KEY = 72846150;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Carga las migraciones de un directorio ordenadas por versión
+ * @param {string} directory
+ * @returns {Array<{version: number, name: string, up: Function, down: Function}>}
+ */
+function loadMigrations(directory = __dirname) {
+	const migrations = fs.readdirSync(directory)
+		.map(file => FILE_PATTERN.exec(file))
+		.filter(Boolean)
+		.map(([file, version, name]) => {
+			const migration = require(path.join(directory, file));
+			if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+				throw new Error(`La migración ${file} debe exportar up(client) y down(client)`);
+			}
+			return { version: parseInt(version, 10), name, up: migration.up, down: migration.down };
+		})
+		.sort((a, b) => a.version - b.version);
+
+	migrations.forEach((migration, i) => {
+		if (i > 0 && migration.version === migrations[i - 1].version) {
+			throw new Error(`Hay dos migraciones con la versión ${migration.version}`);
+		}
+	});
+
+	return migrations;
+}
+
+/**
+ * Nombre legible de una migración (ej: "0001_baseline")
+ * @param {{version: number, name: string}} migration
+ * @returns {string}
+ */
+function formatMigration(migration) {
+	return `${String(migration.version).padStart(4, '0')}_${migration.name}`;
+}
+
+/**
+ * Aplica y revierte migraciones con inyección de dependencias
+ */
+class Migrator {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('pg').Pool} deps.pool - Pool de PostgreSQL
+	 * @param {Array} deps.migrations - Migraciones; por defecto las de este directorio
+	 */
+	constructor(deps = {}) {
+		if (!deps.pool) {
+			throw new Error('Pool de base de datos es requerido');
+		}
+		this.pool = deps.pool;
+		this.migrations = deps.migrations || loadMigrations();
+	}
+
+	/**
+	 * Estado de cada migración. Las aplicadas cuyo archivo ya no existe se
+	 * incluyen con missing: true.
+	 * @returns {Promise<Array<{version: number, name: string, appliedAt: Date|null, missing: boolean}>>}
+	 */
+	async status() {
+		return this._withLock(async (client) => {
+			const applied = await this._getApplied(client);
+			const known = new Set(this.migrations.map(migration => migration.version));
+
+			const rows = this.migrations.map(migration => ({
+				version: migration.version,
+				name: migration.name,
+				appliedAt: applied.get(migration.version)?.applied_at || null,
+				missing: false,
+			}));
+			for (const row of applied.values()) {
+				if (!known.has(row.version)) {
+					rows.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true });
+				}
+			}
+
+			return rows.sort((a, b) => a.version - b.version);
+		});
+	}
+
+	/**
+	 * Aplica las migraciones pendientes en orden
+	 * @param {Object} options
+	 * @param {number} options.to - Última versión a aplicar; por defecto todas
+	 * @returns {Promise<Array<{version: number, name: string}>>} Migraciones aplicadas
+	 */
+	async up({ to = Infinity } = {}) {
+		return this._withLock(async (client) => {
+			const applied = await this._getApplied(client);
+			const pending = this.migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+			const done = [];
+			for (const migration of pending) {
+				await this._run(client, migration, 'up', () => client.query(
+					`INSERT INTO ${MIGRATIONS_TABLE} (version, name) VALUES ($1, $2)`,
+					[migration.version, migration.name]
+				));
+				done.push({ version: migration.version, name: migration.name });
+			}
+			return done;
+		});
+	}
+
+	/**
+	 * Revierte las últimas migraciones aplicadas
+	 * @param {number} steps - Número de migraciones a revertir
+	 * @returns {Promise<Array<{version: number, name: string}>>} Migraciones revertidas
+	 */
+	async down(steps = 1) {
+		return this._withLock(async (client) => {
+			const applied = await this._getApplied(client);
+			const versions = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+
+			const done = [];
+			for (const version of versions) {
+				const migration = this.migrations.find(candidate => candidate.version === version);
+				if (!migration) {
+					throw new Error(`No se encuentra el archivo de la migración aplicada ${formatMigration(applied.get(version))}`);
+				}
+				await this._run(client, migration, 'down', () => client.query(
+					`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`,
+					[version]
+				));
+				done.push({ version: migration.version, name: migration.name });
+			}
+			return done;
+		});
+	}
+
+	/**
+	 * Ejecuta un paso de una migración y su registro en una transacción
+	 * @private
+	 */
+	async _run(client, migration, direction, record) {
+		try {
+			await client.query('BEGIN');
+			await migration[direction](client);
+			await record();
+			await client.query('COMMIT');
+		} catch (err) {
+			await client.query('ROLLBACK');
+			throw new Error(`La migración ${formatMigration(migration)} (${direction}) falló: ${err.message}`, { cause: err });
+		}
+	}
+
+	/**
+	 * Migraciones aplicadas por versión
+	 * @private
+	 */
+	async _getApplied(client) {
+		await client.query(`
+			CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+				version INTEGER PRIMARY KEY,
+				name TEXT NOT NULL,
+				applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+			)
+		`);
+		const { rows } = await client.query(`SELECT version, name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+		return new Map(rows.map(row => [row.version, row]));
+	}
+
+	/**
+	 * Ejecuta fn con una conexión que tiene el bloqueo consultivo de migraciones;
+	 * espera si otra instancia lo tiene
+	 * @private
+	 */
+	async _withLock(fn) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+			try {
+				return await fn(client);
+			} finally {
+				await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+			}
+		} finally {
+			client.release();
+		}
+	}
+}
+
+module.exports = {
+	Migrator,
+	loadMigrations,
+	formatMigration,
+	MIGRATIONS_TABLE,
+	LOCK_KEY,
+};
@@ -0,0 +1,77 @@
+/**
+ * API Key Repository
+ * Abstracción de acceso a datos para las claves de acceso a la API.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+class ApiKeyRepository extends BaseRepository {
+    /**
+     * Crea una nueva API key
+     * @param {Object} data - Datos de la clave (solo el hash, nunca la clave en claro)
+     * @returns {Promise<Object>}
+     */
+    async create({ user_id, name, key_prefix, key_hash }) {
+        const sql = `
+			INSERT INTO api_keys (user_id, name, key_prefix, key_hash)
+			VALUES ($1, $2, $3, $4)
+			RETURNING id, user_id, name, key_prefix, last_used_at, revoked_at, created_at
+		`;
+        return this.queryOne(sql, [user_id, name, key_prefix, key_hash]);
+    }
+
+    /**
+     * Busca una clave activa por su hash junto con su usuario
+     * @param {string} keyHash - Hash SHA-256 de la clave
+     * @returns {Promise<Object|null>}
+     */
+    async findActiveByHash(keyHash) {
+        const sql = `
+			SELECT k.id, k.user_id, u.username, u.role, u.role_id
+			FROM api_keys k
+			INNER JOIN users u ON k.user_id = u.id
+			WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+		`;
+        return this.queryOne(sql, [keyHash]);
+    }
+
+    /**
+     * Obtiene las claves de un usuario
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<Array>}
+     */
+    async findByUserId(userId) {
+        const sql = `
+			SELECT id, name, key_prefix, last_used_at, revoked_at, created_at
+			FROM api_keys
+			WHERE user_id = $1
+			ORDER BY created_at DESC
+		`;
+        return this.queryAll(sql, [userId]);
+    }
+
+    /**
+     * Revoca una clave del usuario
+     * @param {number} id - ID de la clave
+     * @param {number} userId - ID del usuario (para verificación)
+     * @returns {Promise<Object|null>}
+     */
+    async revoke(id, userId) {
+        const sql = `
+			UPDATE api_keys SET revoked_at = NOW()
+			WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+			RETURNING id
+		`;
+        return this.queryOne(sql, [id, userId]);
+    }
+
+    /**
+     * Registra el último uso de una clave
+     * @param {number} id - ID de la clave
+     */
+    async touch(id) {
+        await this.query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [id]);
+    }
+}
+
+module.exports = ApiKeyRepository;
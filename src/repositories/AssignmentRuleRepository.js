@@ -0,0 +1,135 @@
+/**
+ * Assignment Rule Repository
+ * Abstracción de acceso a datos para las reglas de asignación automática.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+// Estrategias con las que una regla elige al técnico
+const STRATEGIES = ['round_robin', 'least_open', 'skill_match'];
+
+class AssignmentRuleRepository extends BaseRepository {
+    /**
+     * Obtiene todas las reglas en orden de evaluación
+     * @returns {Promise<Array>}
+     */
+    async findAll() {
+        const sql = `
+			SELECT r.*, u.username as last_assigned_username
+			FROM assignment_rules r
+			LEFT JOIN users u ON r.last_assigned_id = u.id
+			ORDER BY r.position, r.id
+		`;
+        return this.queryAll(sql);
+    }
+
+    /**
+     * Obtiene las reglas activas en orden de evaluación
+     * @returns {Promise<Array>}
+     */
+    async findActive() {
+        const sql = `
+			SELECT * FROM assignment_rules
+			WHERE is_active = true
+			ORDER BY position, id
+		`;
+        return this.queryAll(sql);
+    }
+
+    /**
+     * Busca una regla por ID
+     * @param {number} id - ID de la regla
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return this.queryOne('SELECT * FROM assignment_rules WHERE id = $1', [id]);
+    }
+
+    /**
+     * Crea una regla de asignación
+     * @param {Object} data - Datos de la regla
+     * @returns {Promise<Object>}
+     */
+    async create({ name, department = null, support_type = null, priority = null, strategy, technician_ids = [], position = 0, is_active = true }) {
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error('Estrategia de asignación inválida');
+        }
+
+        const sql = `
+			INSERT INTO assignment_rules (name, department, support_type, priority, strategy, technician_ids, position, is_active)
+			VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+			RETURNING *
+		`;
+        return this.queryOne(sql, [
+            name,
+            department || null,
+            support_type || null,
+            priority || null,
+            strategy,
+            technician_ids,
+            position,
+            !!is_active,
+        ]);
+    }
+
+    /**
+     * Actualiza una regla de asignación
+     * @param {number} id - ID de la regla
+     * @param {Object} data - Datos de la regla
+     * @returns {Promise<Object|null>}
+     */
+    async update(id, { name, department = null, support_type = null, priority = null, strategy, technician_ids = [], position = 0, is_active }) {
+        if (!STRATEGIES.includes(strategy)) {
+            throw new Error('Estrategia de asignación inválida');
+        }
+
+        const sql = `
+			UPDATE assignment_rules
+			SET name = $1,
+				department = $2,
+				support_type = $3,
+				priority = $4,
+				strategy = $5,
+				technician_ids = $6,
+				position = $7,
+				is_active = $8,
+				updated_at = NOW()
+			WHERE id = $9
+			RETURNING *
+		`;
+        return this.queryOne(sql, [
+            name,
+            department || null,
+            support_type || null,
+            priority || null,
+            strategy,
+            technician_ids,
+            position,
+            !!is_active,
+            id,
+        ]);
+    }
+
+    /**
+     * Guarda el último técnico asignado por una regla (turno del round-robin)
+     * @param {number} id - ID de la regla
+     * @param {number} userId - ID del técnico
+     * @returns {Promise<void>}
+     */
+    async updateLastAssigned(id, userId) {
+        await this.query('UPDATE assignment_rules SET last_assigned_id = $2 WHERE id = $1', [id, userId]);
+    }
+
+    /**
+     * Elimina una regla de asignación
+     * @param {number} id - ID de la regla
+     * @returns {Promise<Object|null>}
+     */
+    async delete(id) {
+        return this.queryOne('DELETE FROM assignment_rules WHERE id = $1 RETURNING *', [id]);
+    }
+}
+
+AssignmentRuleRepository.STRATEGIES = STRATEGIES;
+
+module.exports = AssignmentRuleRepository;
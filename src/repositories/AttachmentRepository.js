@@ -0,0 +1,67 @@
+/**
+ * Attachment Repository
+ * Abstracción de acceso a datos para los adjuntos de tickets y comentarios.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+const ATTACHMENT_COLUMNS = `
+			a.id, a.ticket_id, a.comment_id, a.original_name, a.stored_name, a.mime_type,
+			a.size_bytes, a.checksum, a.uploaded_by, a.uploaded_by_name, a.created_at,
+			a.mime_type LIKE 'image/%' AS is_image`;
+
+class AttachmentRepository extends BaseRepository {
+    /**
+     * Registra un adjunto ya guardado en disco
+     * @param {Object} data - Datos del adjunto (comment_id null para adjuntos del ticket)
+     * @returns {Promise<Object>}
+     */
+    async create({ ticket_id, comment_id = null, original_name, stored_name, mime_type, size_bytes, checksum, uploaded_by = null, uploaded_by_name = null }) {
+        const sql = `
+			INSERT INTO attachments (ticket_id, comment_id, original_name, stored_name, mime_type, size_bytes, checksum, uploaded_by, uploaded_by_name)
+			VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+			RETURNING *, mime_type LIKE 'image/%' AS is_image
+		`;
+        return this.queryOne(sql, [ticket_id, comment_id, original_name, stored_name, mime_type, size_bytes, checksum, uploaded_by, uploaded_by_name]);
+    }
+
+    /**
+     * Busca un adjunto por ID junto con la visibilidad de su comentario
+     * @param {number} id - ID del adjunto
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        const sql = `
+			SELECT ${ATTACHMENT_COLUMNS}, COALESCE(c.is_internal, false) AS is_internal
+			FROM attachments a
+			LEFT JOIN comments c ON a.comment_id = c.id
+			WHERE a.id = $1
+		`;
+        return this.queryOne(sql, [id]);
+    }
+
+    /**
+     * Obtiene los adjuntos de un ticket y de sus comentarios
+     * @param {number} ticketId - ID del ticket
+     * @param {boolean} includeInternal - Incluir adjuntos de comentarios internos
+     * @returns {Promise<Array>}
+     */
+    async findByTicketId(ticketId, includeInternal = true) {
+        let sql = `
+			SELECT ${ATTACHMENT_COLUMNS}, COALESCE(c.is_internal, false) AS is_internal
+			FROM attachments a
+			LEFT JOIN comments c ON a.comment_id = c.id
+			WHERE a.ticket_id = $1
+		`;
+
+        if (!includeInternal) {
+            sql += ' AND c.is_internal IS NOT TRUE';
+        }
+
+        sql += ' ORDER BY a.created_at ASC, a.id ASC';
+
+        return this.queryAll(sql, [ticketId]);
+    }
+}
+
+module.exports = AttachmentRepository;
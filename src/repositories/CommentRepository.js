@@ -29,6 +29,33 @@ class CommentRepository extends BaseRepository {
         return this.queryOne(sql, values);
     }
 
+    /**
+     * Inserta un comentario importado conservando su fecha, en el cliente de
+     * la transacción de la importación
+     * @param {Object} data - Datos del comentario con el ID del ticket
+     * @param {import('pg').PoolClient} client - Cliente de la transacción
+     * @returns {Promise<Object>} id del comentario
+     */
+    async createImported(data, client) {
+        const sql = `
+			INSERT INTO comments (
+				ticket_id, user_id, author_name, author_email, content, is_internal, created_at
+			) VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()))
+			RETURNING id
+		`;
+        const values = [
+            data.ticket_id,
+            data.user_id || null,
+            data.author_name,
+            data.author_email || null,
+            data.content,
+            !!data.is_internal,
+            data.created_at || null,
+        ];
+        const { rows } = await client.query(sql, values);
+        return rows[0];
+    }
+
     /**
      * Busca un comentario por ID
      * @param {number} id - ID del comentario
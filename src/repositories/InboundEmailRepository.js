@@ -0,0 +1,66 @@
+/**
+ * Inbound Email Repository
+ * Abstracción de acceso a datos para el registro de correos entrantes.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+const STATUSES = ['ticket_created', 'comment_added', 'rejected', 'failed'];
+
+class InboundEmailRepository extends BaseRepository {
+    /**
+     * Busca un correo ya procesado por su Message-ID
+     * @param {string} messageId
+     * @returns {Promise<Object|null>}
+     */
+    async findByMessageId(messageId) {
+        const sql = 'SELECT * FROM inbound_emails WHERE message_id = $1';
+        return this.queryOne(sql, [messageId]);
+    }
+
+    /**
+     * Registra el resultado de procesar un correo; un reintento de un correo
+     * fallido actualiza el registro existente
+     * @param {Object} data - Datos del correo y resultado
+     * @returns {Promise<Object>}
+     */
+    async record({ message_id, source, from_address = null, subject = null, status, ticket_id = null, comment_id = null, details = null }) {
+        if (!STATUSES.includes(status)) {
+            throw new Error('Estado de correo entrante inválido');
+        }
+
+        const sql = `
+			INSERT INTO inbound_emails (message_id, source, from_address, subject, status, ticket_id, comment_id, details)
+			VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+			ON CONFLICT (message_id) DO UPDATE SET
+				source = EXCLUDED.source,
+				status = EXCLUDED.status,
+				ticket_id = EXCLUDED.ticket_id,
+				comment_id = EXCLUDED.comment_id,
+				details = EXCLUDED.details,
+				updated_at = NOW()
+			RETURNING *
+		`;
+        return this.queryOne(sql, [message_id, source, from_address, subject, status, ticket_id, comment_id, details]);
+    }
+
+    /**
+     * Lista los correos procesados más recientes
+     * @param {number} limit - Límite de resultados
+     * @returns {Promise<Array>}
+     */
+    async findRecent(limit = 50) {
+        const sql = `
+			SELECT e.*, t.reference as ticket_reference
+			FROM inbound_emails e
+			LEFT JOIN tickets t ON e.ticket_id = t.id
+			ORDER BY e.created_at DESC, e.id DESC
+			LIMIT $1
+		`;
+        return this.queryAll(sql, [limit]);
+    }
+}
+
+InboundEmailRepository.STATUSES = STATUSES;
+
+module.exports = InboundEmailRepository;
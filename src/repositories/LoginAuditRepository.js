@@ -0,0 +1,95 @@
+/**
+ * Login Audit Repository
+ * Abstracción de acceso a datos para la auditoría de accesos al panel.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+// Resultados registrados de un intento de acceso
+const REASONS = ['success', 'invalid_password', 'unknown_user', 'locked', 'invalid_2fa'];
+
+class LoginAuditRepository extends BaseRepository {
+    /**
+     * Registra un intento de acceso
+     * @param {Object} data - Datos del intento
+     * @returns {Promise<Object>}
+     */
+    async create({ user_id = null, username, success, reason, ip = null, user_agent = null }) {
+        const sql = `
+			INSERT INTO login_audit (user_id, username, success, reason, ip, user_agent)
+			VALUES ($1, $2, $3, $4, $5, $6)
+			RETURNING *
+		`;
+        return this.queryOne(sql, [user_id, username, !!success, reason, ip, user_agent]);
+    }
+
+    /**
+     * Construye el WHERE de los filtros del listado
+     * @private
+     */
+    _buildFilters(filters, params) {
+        const where = [];
+
+        if (filters.username) {
+            params.push(`%${filters.username}%`);
+            where.push(`username ILIKE $${params.length}`);
+        }
+        if (filters.success !== undefined) {
+            params.push(filters.success);
+            where.push(`success = $${params.length}`);
+        }
+
+        return where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    }
+
+    /**
+     * Obtiene los intentos de acceso más recientes
+     * @param {Object} filters - username (parcial) y success
+     * @param {number} limit - Límite de resultados
+     * @param {number} offset - Offset para paginación
+     * @returns {Promise<Array>}
+     */
+    async findAll(filters = {}, limit = 50, offset = 0) {
+        const params = [];
+        const whereSql = this._buildFilters(filters, params);
+        params.push(limit, offset);
+
+        const sql = `
+			SELECT *
+			FROM login_audit
+			${whereSql}
+			ORDER BY created_at DESC, id DESC
+			LIMIT $${params.length - 1} OFFSET $${params.length}
+		`;
+        return this.queryAll(sql, params);
+    }
+
+    /**
+     * Cuenta los intentos de acceso con los filtros dados
+     * @param {Object} filters - username (parcial) y success
+     * @returns {Promise<number>}
+     */
+    async count(filters = {}) {
+        const params = [];
+        const whereSql = this._buildFilters(filters, params);
+        const row = await this.queryOne(`SELECT COUNT(*) as count FROM login_audit ${whereSql}`, params);
+        return parseInt(row.count, 10);
+    }
+
+    /**
+     * Elimina los registros anteriores al periodo de retención
+     * @param {number} retentionDays - Días a conservar
+     * @returns {Promise<number>} Registros eliminados
+     */
+    async deleteOlderThan(retentionDays) {
+        const result = await this.query(
+            'DELETE FROM login_audit WHERE created_at < NOW() - make_interval(days => $1)',
+            [retentionDays]
+        );
+        return result.rowCount;
+    }
+}
+
+LoginAuditRepository.REASONS = REASONS;
+
+module.exports = LoginAuditRepository;
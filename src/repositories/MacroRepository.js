@@ -0,0 +1,81 @@
+/**
+ * Macro Repository
+ * Abstracción de acceso a datos para las macros de respuesta.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+class MacroRepository extends BaseRepository {
+    /**
+     * Obtiene las macros que puede usar un usuario: las propias y las compartidas
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<Array>}
+     */
+    async findVisible(userId) {
+        const sql = `
+			SELECT m.*, o.username as owner_username, a.username as assign_to_username
+			FROM macros m
+			LEFT JOIN users o ON m.owner_id = o.id
+			LEFT JOIN users a ON m.assign_to = a.id
+			WHERE m.owner_id = $1 OR m.is_shared = true
+			ORDER BY m.is_shared, m.name, m.id
+		`;
+        return this.queryAll(sql, [userId]);
+    }
+
+    /**
+     * Busca una macro por ID
+     * @param {number} id - ID de la macro
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return this.queryOne('SELECT * FROM macros WHERE id = $1', [id]);
+    }
+
+    /**
+     * Crea una macro
+     * @param {Object} data - Datos de la macro
+     * @returns {Promise<Object>}
+     */
+    async create({ name, content = null, internal_note = null, set_status = null, assign_to = null, owner_id, is_shared = false }) {
+        const sql = `
+			INSERT INTO macros (name, content, internal_note, set_status, assign_to, owner_id, is_shared)
+			VALUES ($1, $2, $3, $4, $5, $6, $7)
+			RETURNING *
+		`;
+        return this.queryOne(sql, [name, content, internal_note, set_status, assign_to, owner_id, !!is_shared]);
+    }
+
+    /**
+     * Actualiza una macro
+     * @param {number} id - ID de la macro
+     * @param {Object} data - Datos de la macro
+     * @returns {Promise<Object|null>}
+     */
+    async update(id, { name, content = null, internal_note = null, set_status = null, assign_to = null, is_shared = false }) {
+        const sql = `
+			UPDATE macros
+			SET name = $1,
+				content = $2,
+				internal_note = $3,
+				set_status = $4,
+				assign_to = $5,
+				is_shared = $6,
+				updated_at = NOW()
+			WHERE id = $7
+			RETURNING *
+		`;
+        return this.queryOne(sql, [name, content, internal_note, set_status, assign_to, !!is_shared, id]);
+    }
+
+    /**
+     * Elimina una macro
+     * @param {number} id - ID de la macro
+     * @returns {Promise<Object|null>}
+     */
+    async delete(id) {
+        return this.queryOne('DELETE FROM macros WHERE id = $1 RETURNING *', [id]);
+    }
+}
+
+module.exports = MacroRepository;
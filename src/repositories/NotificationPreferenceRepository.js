@@ -0,0 +1,85 @@
+/**
+ * Notification Preference Repository
+ * Abstracción de acceso a datos para el canal elegido por cada usuario en
+ * cada tipo de notificación.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+// Tipos de notificación que el usuario puede configurar
+const EVENT_TYPES = [
+    'new_ticket',
+    'high_priority',
+    'ticket_assigned',
+    'status_change',
+    'new_comment',
+    'sla_warning',
+    'sla_breach',
+];
+
+// Canales: solo en el panel, además por email al momento, además en el resumen diario, o ninguno
+const CHANNELS = ['in_app', 'email', 'digest', 'off'];
+
+// Canal de los tipos que el usuario no ha configurado
+const DEFAULT_CHANNEL = 'in_app';
+
+class NotificationPreferenceRepository extends BaseRepository {
+    /**
+     * Obtiene las preferencias guardadas de un usuario
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<Array<{event_type: string, channel: string}>>}
+     */
+    async findByUserId(userId) {
+        const sql = `
+			SELECT event_type, channel
+			FROM notification_preferences
+			WHERE user_id = $1
+		`;
+        return this.queryAll(sql, [userId]);
+    }
+
+    /**
+     * Obtiene el canal y el email de cada destinatario de un tipo de notificación.
+     * Los usuarios sin preferencia para el tipo reciben el canal por defecto.
+     * @param {Array<number>} userIds - IDs de los destinatarios
+     * @param {string} eventType - Tipo de notificación
+     * @returns {Promise<Array<{user_id: number, email: string|null, channel: string}>>}
+     */
+    async findChannels(userIds, eventType) {
+        const sql = `
+			SELECT u.id AS user_id, u.email, COALESCE(p.channel, $3) AS channel
+			FROM users u
+			LEFT JOIN notification_preferences p ON p.user_id = u.id AND p.event_type = $2
+			WHERE u.id = ANY($1)
+		`;
+        return this.queryAll(sql, [userIds, eventType, DEFAULT_CHANNEL]);
+    }
+
+    /**
+     * Guarda las preferencias de un usuario; los tipos en el canal por
+     * defecto no se guardan
+     * @param {number} userId - ID del usuario
+     * @param {Object<string, string>} preferences - Canal por tipo de notificación
+     * @returns {Promise<void>}
+     */
+    async replaceForUser(userId, preferences) {
+        await this.withTransaction(async (client) => {
+            await client.query('DELETE FROM notification_preferences WHERE user_id = $1', [userId]);
+            for (const [eventType, channel] of Object.entries(preferences)) {
+                if (channel === DEFAULT_CHANNEL) {
+                    continue;
+                }
+                await client.query(
+                    'INSERT INTO notification_preferences (user_id, event_type, channel) VALUES ($1, $2, $3)',
+                    [userId, eventType, channel]
+                );
+            }
+        });
+    }
+}
+
+NotificationPreferenceRepository.EVENT_TYPES = EVENT_TYPES;
+NotificationPreferenceRepository.CHANNELS = CHANNELS;
+NotificationPreferenceRepository.DEFAULT_CHANNEL = DEFAULT_CHANNEL;
+
+module.exports = NotificationPreferenceRepository;
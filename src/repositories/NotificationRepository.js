@@ -39,22 +39,60 @@ class NotificationRepository extends BaseRepository {
     }
 
     /**
-     * Obtiene todas las notificaciones de un usuario
+     * Construye el WHERE del historial de un usuario
+     * @private
+     */
+    _buildFilters(userId, filters, params) {
+        params.push(userId);
+        const where = [`n.user_id = $${params.length}`];
+
+        if (filters.type) {
+            params.push(filters.type);
+            where.push(`n.type = $${params.length}`);
+        }
+        if (filters.is_read !== undefined) {
+            params.push(filters.is_read);
+            where.push(`n.is_read = $${params.length}`);
+        }
+
+        return `WHERE ${where.join(' AND ')}`;
+    }
+
+    /**
+     * Obtiene el historial de notificaciones de un usuario
      * @param {number} userId - ID del usuario
+     * @param {Object} filters - type e is_read
      * @param {number} limit - Límite de resultados
      * @param {number} offset - Offset para paginación
      * @returns {Promise<Array>}
      */
-    async findAll(userId, limit = 20, offset = 0) {
+    async findAll(userId, filters = {}, limit = 20, offset = 0) {
+        const params = [];
+        const whereSql = this._buildFilters(userId, filters, params);
+        params.push(limit, offset);
+
         const sql = `
 			SELECT n.*, t.reference as ticket_reference
 			FROM notifications n
 			LEFT JOIN tickets t ON n.ticket_id = t.id
-			WHERE n.user_id = $1
-			ORDER BY n.created_at DESC
-			LIMIT $2 OFFSET $3
+			${whereSql}
+			ORDER BY n.created_at DESC, n.id DESC
+			LIMIT $${params.length - 1} OFFSET $${params.length}
 		`;
-        return this.queryAll(sql, [userId, limit, offset]);
+        return this.queryAll(sql, params);
+    }
+
+    /**
+     * Cuenta las notificaciones de un usuario con los filtros dados
+     * @param {number} userId - ID del usuario
+     * @param {Object} filters - type e is_read
+     * @returns {Promise<number>}
+     */
+    async count(userId, filters = {}) {
+        const params = [];
+        const whereSql = this._buildFilters(userId, filters, params);
+        const row = await this.queryOne(`SELECT COUNT(*) as count FROM notifications n ${whereSql}`, params);
+        return parseInt(row.count, 10);
     }
 
     /**
@@ -94,12 +132,79 @@ class NotificationRepository extends BaseRepository {
     }
 
     /**
-     * Elimina notificaciones antiguas (más de 30 días)
+     * Marca como leídas varias notificaciones de un usuario
+     * @param {Array<number>} ids - IDs de las notificaciones
+     * @param {number} userId - ID del usuario (para verificación)
+     * @returns {Promise<number>} Notificaciones marcadas
      */
-    async cleanOld() {
+    async markManyAsRead(ids, userId) {
+        const result = await this.query(
+            'UPDATE notifications SET is_read = true WHERE id = ANY($1) AND user_id = $2 AND is_read = false',
+            [ids, userId]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * Elimina varias notificaciones de un usuario
+     * @param {Array<number>} ids - IDs de las notificaciones
+     * @param {number} userId - ID del usuario (para verificación)
+     * @returns {Promise<number>} Notificaciones eliminadas
+     */
+    async deleteMany(ids, userId) {
+        const result = await this.query(
+            'DELETE FROM notifications WHERE id = ANY($1) AND user_id = $2',
+            [ids, userId]
+        );
+        return result.rowCount;
+    }
+
+    /**
+     * Marca notificaciones como enviadas por email
+     * @param {Array<number>} ids - IDs de las notificaciones
+     */
+    async markEmailed(ids) {
         await this.query(
-            "DELETE FROM notifications WHERE created_at < NOW() - INTERVAL '30 days'"
+            'UPDATE notifications SET emailed_at = NOW() WHERE id = ANY($1)',
+            [ids]
+        );
+    }
+
+    /**
+     * Obtiene las notificaciones pendientes del resumen diario: no leídas, sin
+     * enviar por email, de tipos que el usuario eligió recibir en el resumen y
+     * de usuarios con email cuyo último resumen es anterior a `before`
+     * @param {Date} before - Inicio del periodo del resumen actual
+     * @returns {Promise<Array>} Ordenadas por usuario y fecha
+     */
+    async findDigestPending(before) {
+        const sql = `
+			SELECT n.*, t.reference as ticket_reference, u.username, u.email
+			FROM notifications n
+			JOIN users u ON n.user_id = u.id
+			JOIN notification_preferences p
+				ON p.user_id = n.user_id AND p.event_type = n.type AND p.channel = 'digest'
+			LEFT JOIN tickets t ON n.ticket_id = t.id
+			WHERE n.is_read = false
+				AND n.emailed_at IS NULL
+				AND u.email IS NOT NULL
+				AND (u.digest_sent_at IS NULL OR u.digest_sent_at < $1)
+			ORDER BY n.user_id, n.created_at
+		`;
+        return this.queryAll(sql, [before]);
+    }
+
+    /**
+     * Elimina las notificaciones anteriores al periodo de retención
+     * @param {number} retentionDays - Días a conservar
+     * @returns {Promise<number>} Notificaciones eliminadas
+     */
+    async cleanOld(retentionDays = 30) {
+        const result = await this.query(
+            'DELETE FROM notifications WHERE created_at < NOW() - make_interval(days => $1)',
+            [retentionDays]
         );
+        return result.rowCount;
     }
 
     /**
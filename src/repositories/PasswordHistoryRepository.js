@@ -0,0 +1,52 @@
+/**
+ * Password History Repository
+ * Abstracción de acceso a datos para las contraseñas anteriores del personal.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+class PasswordHistoryRepository extends BaseRepository {
+    /**
+     * Obtiene los hashes de las últimas contraseñas de un usuario
+     * @param {number} userId - ID del usuario
+     * @param {number} limit - Número de contraseñas
+     * @returns {Promise<Array<{password_hash: string}>>}
+     */
+    async findRecent(userId, limit) {
+        const sql = `
+			SELECT password_hash
+			FROM password_history
+			WHERE user_id = $1
+			ORDER BY created_at DESC, id DESC
+			LIMIT $2
+		`;
+        return this.queryAll(sql, [userId, limit]);
+    }
+
+    /**
+     * Guarda una contraseña anterior y conserva solo las `keep` más recientes
+     * @param {number} userId - ID del usuario
+     * @param {string} passwordHash - Hash bcrypt de la contraseña sustituida
+     * @param {number} keep - Contraseñas a conservar
+     * @returns {Promise<void>}
+     */
+    async add(userId, passwordHash, keep) {
+        await this.withTransaction(async (client) => {
+            await client.query(
+                'INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)',
+                [userId, passwordHash]
+            );
+            await client.query(`
+				DELETE FROM password_history
+				WHERE user_id = $1 AND id NOT IN (
+					SELECT id FROM password_history
+					WHERE user_id = $1
+					ORDER BY created_at DESC, id DESC
+					LIMIT $2
+				)
+			`, [userId, keep]);
+        });
+    }
+}
+
+module.exports = PasswordHistoryRepository;
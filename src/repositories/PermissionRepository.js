@@ -100,7 +100,7 @@ class PermissionRepository extends BaseRepository {
      */
     async getAllRoles() {
         return this.queryAll(`
-			SELECT id, name, display_name, description, is_system, created_at
+			SELECT id, name, display_name, description, is_system, require_2fa, created_at
 			FROM roles
 			ORDER BY is_system DESC, name
 		`);
@@ -113,7 +113,7 @@ class PermissionRepository extends BaseRepository {
      */
     async getRoleById(roleId) {
         const role = await this.queryOne(`
-			SELECT id, name, display_name, description, is_system, created_at
+			SELECT id, name, display_name, description, is_system, require_2fa, created_at
 			FROM roles
 			WHERE id = $1
 		`, [roleId]);
@@ -146,14 +146,14 @@ class PermissionRepository extends BaseRepository {
      * @param {Object} data - Datos del rol
      * @returns {Promise<number>} ID del rol creado
      */
-    async createRole({ name, display_name, description, permissions = [] }) {
+    async createRole({ name, display_name, description, require_2fa = false, permissions = [] }) {
         return this.withTransaction(async (client) => {
             // Crear el rol
             const { rows } = await client.query(`
-				INSERT INTO roles (name, display_name, description, is_system)
-				VALUES ($1, $2, $3, false)
+				INSERT INTO roles (name, display_name, description, require_2fa, is_system)
+				VALUES ($1, $2, $3, $4, false)
 				RETURNING id
-			`, [name, display_name, description]);
+			`, [name, display_name, description, !!require_2fa]);
 
             const roleId = rows[0].id;
 
@@ -174,7 +174,7 @@ class PermissionRepository extends BaseRepository {
      * @param {number} roleId - ID del rol
      * @param {Object} data - Datos a actualizar
      */
-    async updateRole(roleId, { display_name, description, permissions = [] }) {
+    async updateRole(roleId, { display_name, description, require_2fa = false, permissions = [] }) {
         return this.withTransaction(async (client) => {
             // Verificar que no sea un rol del sistema o que no exista
             const { rows: roleCheck } = await client.query(
@@ -189,9 +189,9 @@ class PermissionRepository extends BaseRepository {
             // Actualizar información del rol
             await client.query(`
 				UPDATE roles
-				SET display_name = $1, description = $2
-				WHERE id = $3
-			`, [display_name, description, roleId]);
+				SET display_name = $1, description = $2, require_2fa = $3
+				WHERE id = $4
+			`, [display_name, description, !!require_2fa, roleId]);
 
             // Eliminar permisos existentes
             await client.query('DELETE FROM role_permissions WHERE role_id = $1', [roleId]);
@@ -0,0 +1,141 @@
+/**
+ * Report Subscription Repository
+ * Abstracción de acceso a datos para los reportes programados por email.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+// Frecuencias de envío de un reporte
+const FREQUENCIES = ['weekly', 'monthly'];
+
+class ReportSubscriptionRepository extends BaseRepository {
+    /**
+     * Obtiene todos los reportes programados con el usuario que los creó
+     * @returns {Promise<Array>}
+     */
+    async findAll() {
+        const sql = `
+			SELECT s.*, u.username as created_by_username
+			FROM report_subscriptions s
+			LEFT JOIN users u ON s.created_by = u.id
+			ORDER BY s.name, s.id
+		`;
+        return this.queryAll(sql);
+    }
+
+    /**
+     * Obtiene los reportes activos
+     * @returns {Promise<Array>}
+     */
+    async findActive() {
+        return this.queryAll('SELECT * FROM report_subscriptions WHERE is_active = true ORDER BY id');
+    }
+
+    /**
+     * Busca un reporte programado por ID
+     * @param {number} id - ID del reporte
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return this.queryOne('SELECT * FROM report_subscriptions WHERE id = $1', [id]);
+    }
+
+    /**
+     * Crea un reporte programado
+     * @param {Object} data - Datos del reporte
+     * @returns {Promise<Object>}
+     */
+    async create({ name, frequency, recipients, is_active = true, created_by = null }) {
+        const sql = `
+			INSERT INTO report_subscriptions (name, frequency, recipients, is_active, created_by)
+			VALUES ($1, $2, $3, $4, $5)
+			RETURNING *
+		`;
+        return this.queryOne(sql, [name, frequency, recipients, !!is_active, created_by]);
+    }
+
+    /**
+     * Actualiza un reporte programado
+     * @param {number} id - ID del reporte
+     * @param {Object} data - Datos del reporte
+     * @returns {Promise<Object|null>}
+     */
+    async update(id, { name, frequency, recipients, is_active = true }) {
+        const sql = `
+			UPDATE report_subscriptions
+			SET name = $1,
+				frequency = $2,
+				recipients = $3,
+				is_active = $4,
+				updated_at = NOW()
+			WHERE id = $5
+			RETURNING *
+		`;
+        return this.queryOne(sql, [name, frequency, recipients, !!is_active, id]);
+    }
+
+    /**
+     * Elimina un reporte programado
+     * @param {number} id - ID del reporte
+     * @returns {Promise<Object|null>}
+     */
+    async delete(id) {
+        return this.queryOne('DELETE FROM report_subscriptions WHERE id = $1 RETURNING *', [id]);
+    }
+
+    /**
+     * Reserva el envío del reporte de un periodo, de modo que solo una
+     * ejecución lo envía
+     * @param {number} id - ID del reporte
+     * @param {string} periodStart - Inicio del periodo a enviar (YYYY-MM-DD)
+     * @returns {Promise<Object|null>} El reporte, o null si el periodo ya estaba reservado o enviado
+     */
+    async claimPeriod(id, periodStart) {
+        const sql = `
+			UPDATE report_subscriptions
+			SET last_period_start = $1
+			WHERE id = $2 AND last_period_start IS DISTINCT FROM $1
+			RETURNING *
+		`;
+        return this.queryOne(sql, [periodStart, id]);
+    }
+
+    /**
+     * Registra el envío del reporte de un periodo
+     * @param {number} id - ID del reporte
+     * @param {string} periodStart - Inicio del periodo enviado (YYYY-MM-DD)
+     * @returns {Promise<Object|null>}
+     */
+    async markSent(id, periodStart) {
+        const sql = `
+			UPDATE report_subscriptions
+			SET last_period_start = $1, last_sent_at = NOW(), last_error = NULL
+			WHERE id = $2
+			RETURNING *
+		`;
+        return this.queryOne(sql, [periodStart, id]);
+    }
+
+    /**
+     * Registra un envío fallido y deshace la reserva del periodo, que queda
+     * pendiente para reintentarlo
+     * @param {number} id - ID del reporte
+     * @param {string} error - Motivo del fallo
+     * @param {{periodStart: string, previous: string|null}|null} claim - Reserva hecha con claimPeriod
+     * @returns {Promise<Object|null>}
+     */
+    async markFailed(id, error, claim = null) {
+        const sql = `
+			UPDATE report_subscriptions
+			SET last_error = $1,
+				last_period_start = CASE WHEN last_period_start = $3 THEN $4 ELSE last_period_start END
+			WHERE id = $2
+			RETURNING *
+		`;
+        return this.queryOne(sql, [error, id, claim?.periodStart || null, claim?.previous || null]);
+    }
+}
+
+ReportSubscriptionRepository.FREQUENCIES = FREQUENCIES;
+
+module.exports = ReportSubscriptionRepository;
@@ -0,0 +1,50 @@
+/**
+ * Requester Login Token Repository
+ * Abstracción de acceso a datos para los enlaces de acceso al portal del solicitante.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+class RequesterLoginTokenRepository extends BaseRepository {
+    /**
+     * Registra un enlace de acceso
+     * @param {Object} data - email, token_hash y expires_at
+     * @returns {Promise<Object>}
+     */
+    async create({ email, token_hash, expires_at }) {
+        const sql = `
+			INSERT INTO requester_login_tokens (email, token_hash, expires_at)
+			VALUES ($1, $2, $3)
+			RETURNING id, email, expires_at, created_at
+		`;
+        return this.queryOne(sql, [email, token_hash, expires_at]);
+    }
+
+    /**
+     * Marca como usado un enlace vigente; cada enlace sirve una sola vez
+     * @param {string} tokenHash - Hash SHA-256 del token
+     * @returns {Promise<Object|null>} Enlace consumido o null si no existe, expiró o ya se usó
+     */
+    async consume(tokenHash) {
+        const sql = `
+			UPDATE requester_login_tokens
+			SET used_at = NOW()
+			WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+			RETURNING id, email, expires_at, used_at
+		`;
+        return this.queryOne(sql, [tokenHash]);
+    }
+
+    /**
+     * Elimina los enlaces expirados o usados
+     * @returns {Promise<number>} Cantidad eliminada
+     */
+    async deleteExpired() {
+        const result = await this.query(
+            'DELETE FROM requester_login_tokens WHERE expires_at < NOW() OR used_at IS NOT NULL'
+        );
+        return result.rowCount;
+    }
+}
+
+module.exports = RequesterLoginTokenRepository;
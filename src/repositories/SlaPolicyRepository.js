@@ -0,0 +1,106 @@
+/**
+ * SLA Policy Repository
+ * Abstracción de acceso a datos para las políticas de SLA.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+class SlaPolicyRepository extends BaseRepository {
+    /**
+     * Obtiene todas las políticas de SLA
+     * @returns {Promise<Array>}
+     */
+    async findAll() {
+        const sql = `
+			SELECT * FROM sla_policies
+			ORDER BY priority, support_type NULLS FIRST
+		`;
+        return this.queryAll(sql);
+    }
+
+    /**
+     * Busca una política por ID
+     * @param {number} id - ID de la política
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return this.queryOne('SELECT * FROM sla_policies WHERE id = $1', [id]);
+    }
+
+    /**
+     * Busca la política activa más específica para una prioridad y tipo de soporte.
+     * Una política con tipo de soporte concreto tiene precedencia sobre la genérica.
+     * @param {string} priority - Prioridad del ticket
+     * @param {string} supportType - Tipo de soporte del ticket
+     * @returns {Promise<Object|null>}
+     */
+    async findApplicable(priority, supportType) {
+        const sql = `
+			SELECT * FROM sla_policies
+			WHERE is_active = true
+				AND priority = $1
+				AND (support_type = $2 OR support_type IS NULL)
+			ORDER BY support_type NULLS LAST
+			LIMIT 1
+		`;
+        return this.queryOne(sql, [priority, supportType || null]);
+    }
+
+    /**
+     * Crea una nueva política de SLA
+     * @param {Object} data - Datos de la política
+     * @returns {Promise<Object>}
+     */
+    async create({ priority, support_type = null, first_response_minutes, resolution_minutes, business_hours_only = true, is_active = true }) {
+        const sql = `
+			INSERT INTO sla_policies (priority, support_type, first_response_minutes, resolution_minutes, business_hours_only, is_active)
+			VALUES ($1, $2, $3, $4, $5, $6)
+			RETURNING *
+		`;
+        return this.queryOne(sql, [
+            priority,
+            support_type || null,
+            first_response_minutes,
+            resolution_minutes,
+            !!business_hours_only,
+            !!is_active,
+        ]);
+    }
+
+    /**
+     * Actualiza una política de SLA
+     * @param {number} id - ID de la política
+     * @param {Object} data - Datos a actualizar
+     * @returns {Promise<Object|null>}
+     */
+    async update(id, { first_response_minutes, resolution_minutes, business_hours_only, is_active }) {
+        const sql = `
+			UPDATE sla_policies
+			SET first_response_minutes = $1,
+				resolution_minutes = $2,
+				business_hours_only = $3,
+				is_active = $4,
+				updated_at = NOW()
+			WHERE id = $5
+			RETURNING *
+		`;
+        return this.queryOne(sql, [
+            first_response_minutes,
+            resolution_minutes,
+            !!business_hours_only,
+            !!is_active,
+            id,
+        ]);
+    }
+
+    /**
+     * Elimina una política de SLA
+     * @param {number} id - ID de la política
+     * @returns {Promise<Object|null>}
+     */
+    async delete(id) {
+        return this.queryOne('DELETE FROM sla_policies WHERE id = $1 RETURNING *', [id]);
+    }
+}
+
+module.exports = SlaPolicyRepository;
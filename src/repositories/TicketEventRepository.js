@@ -0,0 +1,82 @@
+/**
+ * Ticket Event Repository
+ * Abstracción de acceso a datos para el historial de eventos de tickets.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+const EVENT_TYPES = [
+    'created',
+    'status_change',
+    'assignment',
+    'field_change',
+    'comment',
+    'internal_comment',
+    'deleted',
+    'restored',
+];
+
+class TicketEventRepository extends BaseRepository {
+    /**
+     * Registra un evento en el historial de un ticket
+     * @param {Object} data - Datos del evento
+     * @returns {Promise<Object>}
+     */
+    async create({ ticket_id, event_type, field = null, old_value = null, new_value = null, actor_id = null, actor_name = null }) {
+        if (!EVENT_TYPES.includes(event_type)) {
+            throw new Error('Tipo de evento inválido');
+        }
+
+        const sql = `
+			INSERT INTO ticket_events (ticket_id, event_type, field, old_value, new_value, actor_id, actor_name)
+			VALUES ($1, $2, $3, $4, $5, $6, $7)
+			RETURNING *
+		`;
+        return this.queryOne(sql, [
+            ticket_id,
+            event_type,
+            field,
+            old_value === null || old_value === undefined ? null : String(old_value),
+            new_value === null || new_value === undefined ? null : String(new_value),
+            actor_id,
+            actor_name,
+        ]);
+    }
+
+    /**
+     * Obtiene el historial de un ticket en orden cronológico
+     * @param {number} ticketId - ID del ticket
+     * @param {boolean} includeInternal - Incluir eventos de comentarios internos
+     * @returns {Promise<Array>}
+     */
+    async findByTicketId(ticketId, includeInternal = true) {
+        let sql = `
+			SELECT e.*, u.username as actor_username
+			FROM ticket_events e
+			LEFT JOIN users u ON e.actor_id = u.id
+			WHERE e.ticket_id = $1
+		`;
+        if (!includeInternal) {
+            sql += ` AND e.event_type <> 'internal_comment'`;
+        }
+        sql += ' ORDER BY e.created_at ASC, e.id ASC';
+        return this.queryAll(sql, [ticketId]);
+    }
+
+    /**
+     * Cuenta eventos de un ticket
+     * @param {number} ticketId - ID del ticket
+     * @returns {Promise<number>}
+     */
+    async countByTicketId(ticketId) {
+        const row = await this.queryOne(
+            'SELECT COUNT(*) as count FROM ticket_events WHERE ticket_id = $1',
+            [ticketId]
+        );
+        return parseInt(row?.count || 0);
+    }
+}
+
+TicketEventRepository.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = TicketEventRepository;
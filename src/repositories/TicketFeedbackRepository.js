@@ -0,0 +1,141 @@
+/**
+ * Ticket Feedback Repository
+ * Abstracción de acceso a datos para las encuestas de satisfacción (CSAT).
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+// Expresiones por las que se agrupa el resumen de satisfacción
+const SUMMARY_GROUPS = {
+    technician: "COALESCE(u.username, 'Sin asignar')",
+    department: 't.department',
+    support_type: 't.support_type',
+};
+
+// Calificación desde la que una respuesta cuenta como satisfecha
+const SATISFIED_RATING = 4;
+
+class TicketFeedbackRepository extends BaseRepository {
+    /**
+     * Registra una encuesta enviada
+     * @param {Object} data - ticket_id, technician_id y token_hash
+     * @returns {Promise<Object>}
+     */
+    async create({ ticket_id, technician_id = null, token_hash }) {
+        const sql = `
+			INSERT INTO ticket_feedback (ticket_id, technician_id, token_hash)
+			VALUES ($1, $2, $3)
+			RETURNING id, ticket_id, technician_id, rating, comment, requested_at, responded_at
+		`;
+        return this.queryOne(sql, [ticket_id, technician_id, token_hash]);
+    }
+
+    /**
+     * Busca una encuesta por el hash de su token, con los datos del ticket
+     * @param {string} tokenHash - Hash SHA-256 del token
+     * @returns {Promise<Object|null>}
+     */
+    async findByTokenHash(tokenHash) {
+        const sql = `
+			SELECT f.id, f.ticket_id, f.technician_id, f.rating, f.comment, f.requested_at, f.responded_at,
+				t.reference, t.subject, t.requester_name
+			FROM ticket_feedback f
+			JOIN tickets t ON f.ticket_id = t.id
+			WHERE f.token_hash = $1
+		`;
+        return this.queryOne(sql, [tokenHash]);
+    }
+
+    /**
+     * Guarda la respuesta de una encuesta; una nueva respuesta reemplaza la anterior
+     * @param {number} id - ID de la encuesta
+     * @param {number} rating - Calificación de 1 a 5
+     * @param {string|null} comment - Comentario opcional
+     * @returns {Promise<Object|null>}
+     */
+    async respond(id, rating, comment = null) {
+        const sql = `
+			UPDATE ticket_feedback
+			SET rating = $2, comment = $3, responded_at = NOW()
+			WHERE id = $1
+			RETURNING id, ticket_id, technician_id, rating, comment, requested_at, responded_at
+		`;
+        return this.queryOne(sql, [id, rating, comment]);
+    }
+
+    /**
+     * Lista las encuestas de un ticket, la más reciente primero
+     * @param {number} ticketId
+     * @returns {Promise<Array>}
+     */
+    async findByTicketId(ticketId) {
+        const sql = `
+			SELECT f.id, f.ticket_id, f.technician_id, f.rating, f.comment, f.requested_at, f.responded_at,
+				u.username as technician_username
+			FROM ticket_feedback f
+			LEFT JOIN users u ON f.technician_id = u.id
+			WHERE f.ticket_id = $1
+			ORDER BY f.requested_at DESC, f.id DESC
+		`;
+        return this.queryAll(sql, [ticketId]);
+    }
+
+    /**
+     * Totales de encuestas enviadas y respondidas
+     * @returns {Promise<{sent: number, responses: number, average: number|null, satisfied: number}>}
+     */
+    async getTotals() {
+        const sql = `
+			SELECT
+				COUNT(*) as sent,
+				COUNT(rating) as responses,
+				ROUND(AVG(rating), 2) as average,
+				COUNT(*) FILTER (WHERE rating >= ${SATISFIED_RATING}) as satisfied
+			FROM ticket_feedback
+		`;
+        const row = await this.queryOne(sql);
+        return {
+            sent: parseInt(row?.sent) || 0,
+            responses: parseInt(row?.responses) || 0,
+            average: row?.average ? Number(row.average) : null,
+            satisfied: parseInt(row?.satisfied) || 0,
+        };
+    }
+
+    /**
+     * Resumen de las respuestas agrupado por técnico, departamento o tipo de soporte
+     * @param {string} groupBy - technician, department o support_type
+     * @returns {Promise<Array<{label: string, responses: number, average: number, satisfied: number}>>}
+     */
+    async getSummary(groupBy) {
+        const column = SUMMARY_GROUPS[groupBy];
+        if (!column) {
+            throw new Error('Agrupación de satisfacción inválida');
+        }
+
+        const sql = `
+			SELECT
+				${column} as label,
+				COUNT(*) as responses,
+				ROUND(AVG(f.rating), 2) as average,
+				COUNT(*) FILTER (WHERE f.rating >= ${SATISFIED_RATING}) as satisfied
+			FROM ticket_feedback f
+			JOIN tickets t ON f.ticket_id = t.id
+			LEFT JOIN users u ON f.technician_id = u.id
+			WHERE f.rating IS NOT NULL
+			GROUP BY 1
+			ORDER BY average DESC, responses DESC, label
+		`;
+        const rows = await this.queryAll(sql);
+        return rows.map(row => ({
+            label: row.label,
+            responses: parseInt(row.responses) || 0,
+            average: Number(row.average),
+            satisfied: parseInt(row.satisfied) || 0,
+        }));
+    }
+}
+
+TicketFeedbackRepository.SATISFIED_RATING = SATISFIED_RATING;
+
+module.exports = TicketFeedbackRepository;
@@ -5,6 +5,7 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const Cursor = require('pg-cursor');
 const BaseRepository = require('./BaseRepository');
 
 const SUPPORT_TYPES = [
@@ -25,6 +26,62 @@ const PRIORITIES = [
 
 const STATUSES = ['Pendiente', 'En Proceso', 'Resuelto', 'Cerrado'];
 
+// Canales por los que llega un ticket; el personal registra en nombre del
+// solicitante los que no entran solos (teléfono, presencial o un correo reenviado)
+const CHANNELS = ['web', 'email', 'api', 'phone', 'walk_in'];
+const STAFF_CHANNELS = ['phone', 'walk_in', 'email'];
+
+// Estados con los que un ticket sale del backlog
+const FINAL_STATUSES = ['Resuelto', 'Cerrado'];
+
+// Unidades de agrupación de las series del reporte (valores de date_trunc)
+const SERIES_INTERVALS = ['day', 'week'];
+
+// Tramos de antigüedad del backlog, en días desde la creación del ticket
+const AGING_BUCKETS = [
+    { key: 'lt_1d', label: 'Menos de 1 día', minDays: 0, maxDays: 1 },
+    { key: 'd1_3', label: '1 a 3 días', minDays: 1, maxDays: 3 },
+    { key: 'd3_7', label: '3 a 7 días', minDays: 3, maxDays: 7 },
+    { key: 'd7_30', label: '7 a 30 días', minDays: 7, maxDays: 30 },
+    { key: 'gt_30d', label: 'Más de 30 días', minDays: 30, maxDays: null },
+];
+
+// Columnas por las que se desglosa el reporte
+const BREAKDOWN_GROUPS = {
+    department: 't.department',
+    support_type: 't.support_type',
+    technician: "COALESCE(u.username, 'Sin asignar')",
+};
+
+// Configuración de texto completo de PostgreSQL usada en búsquedas e índices
+const SEARCH_CONFIG = 'spanish';
+
+// Marcadores con los que ts_headline delimita las coincidencias; se convierten
+// en <mark> después de escapar el texto (ver utils/search.js)
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+/**
+ * Expresión tsvector de un ticket. Debe coincidir con la del índice GIN de la migración 0001_baseline.
+ * @param {string} alias - Alias o nombre de la tabla tickets
+ * @returns {string}
+ */
+function ticketSearchVector(alias) {
+    return `(setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${alias}.subject, '')), 'A')`
+        + ` || setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${alias}.requester_name, '')), 'B')`
+        + ` || setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${alias}.description, '')), 'C'))`;
+}
+
+/**
+ * Expresión tsvector de un comentario. Debe coincidir con la del índice GIN de la migración 0001_baseline.
+ * @param {string} alias - Alias o nombre de la tabla comments
+ * @returns {string}
+ */
+function commentSearchVector(alias) {
+    return `to_tsvector('${SEARCH_CONFIG}', coalesce(${alias}.content, ''))`;
+}
+
 class TicketRepository extends BaseRepository {
     /**
      * Genera una referencia única para un ticket
@@ -52,8 +109,9 @@ class TicketRepository extends BaseRepository {
         const sql = `
 			INSERT INTO tickets (
 				reference, requester_name, department, support_type, priority, subject, description,
-				image_path, has_anydesk, anydesk_code, status, edit_token
-			) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+				image_path, has_anydesk, anydesk_code, status, edit_token,
+				first_response_due, resolution_due, requester_email, channel
+			) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
 			RETURNING *
 		`;
 
@@ -70,11 +128,71 @@ class TicketRepository extends BaseRepository {
             data.anydesk_code || null,
             'Pendiente',
             editToken,
+            data.first_response_due || null,
+            data.resolution_due || null,
+            data.requester_email ? data.requester_email.trim().toLowerCase() : null,
+            data.channel || 'web',
         ];
 
         return this.queryOne(sql, values);
     }
 
+    /**
+     * Inserta un ticket importado conservando su referencia, estado y fechas
+     * originales (sin SLA ni eventos). Se ejecuta en el cliente de la
+     * transacción de la importación.
+     * @param {Object} data - Fila validada con importTicketRowSchema
+     * @param {import('pg').PoolClient} client - Cliente de la transacción
+     * @returns {Promise<Object>} id y referencia del ticket
+     */
+    async createImported(data, client) {
+        const sql = `
+			INSERT INTO tickets (
+				reference, requester_name, department, support_type, priority, subject, description,
+				has_anydesk, anydesk_code, status, edit_token, requester_email, channel, assigned_to,
+				resolution_note, first_responded_at, resolved_at, created_at, updated_at
+			) VALUES (
+				$1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+				COALESCE($18, NOW()), COALESCE($19, $18, NOW())
+			)
+			RETURNING id, reference
+		`;
+
+        const values = [
+            data.reference || this._generateReference(),
+            data.requester_name,
+            data.department,
+            data.support_type,
+            data.priority,
+            data.subject,
+            data.description,
+            !!data.has_anydesk,
+            data.has_anydesk ? data.anydesk_code : null,
+            data.status,
+            uuidv4(),
+            data.requester_email || null,
+            data.channel,
+            data.assigned_to || null,
+            data.resolution_note || null,
+            data.first_responded_at || null,
+            data.resolved_at || null,
+            data.created_at || null,
+            data.updated_at || null,
+        ];
+
+        const { rows } = await client.query(sql, values);
+        return rows[0];
+    }
+
+    /**
+     * Busca los IDs de los tickets con las referencias dadas
+     * @param {Array<string>} references
+     * @returns {Promise<Array<{id: number, reference: string}>>}
+     */
+    async findIdsByReferences(references) {
+        return this.queryAll('SELECT id, reference FROM tickets WHERE reference = ANY($1)', [references]);
+    }
+
     /**
      * Busca un ticket por ID
      * @param {number} id - ID del ticket
@@ -85,7 +203,8 @@ class TicketRepository extends BaseRepository {
     }
 
     /**
-     * Busca un ticket por referencia con información del técnico asignado
+     * Busca un ticket por referencia con información del técnico asignado.
+     * Los tickets en la papelera no se encuentran.
      * @param {string} reference - Referencia del ticket
      * @returns {Promise<Object|null>}
      */
@@ -94,7 +213,7 @@ class TicketRepository extends BaseRepository {
 			SELECT t.*, u.username as assigned_username
 			FROM tickets t
 			LEFT JOIN users u ON t.assigned_to = u.id
-			WHERE t.reference = $1
+			WHERE t.reference = $1 AND t.deleted_at IS NULL
 		`;
         return this.queryOne(sql, [reference]);
     }
@@ -105,7 +224,7 @@ class TicketRepository extends BaseRepository {
      * @returns {Promise<Object|null>}
      */
     async findByEditToken(editToken) {
-        return this.queryOne('SELECT * FROM tickets WHERE edit_token = $1', [editToken]);
+        return this.queryOne('SELECT * FROM tickets WHERE edit_token = $1 AND deleted_at IS NULL', [editToken]);
     }
 
     /**
@@ -129,7 +248,32 @@ class TicketRepository extends BaseRepository {
         }
 
         params.push(editToken);
-        const sql = `UPDATE tickets SET ${fields.join(', ')}, updated_at = NOW() WHERE edit_token = $${idx} RETURNING *`;
+        const sql = `UPDATE tickets SET ${fields.join(', ')}, updated_at = NOW() WHERE edit_token = $${idx} AND deleted_at IS NULL RETURNING *`;
+        return this.queryOne(sql, params);
+    }
+
+    /**
+     * Actualiza campos de un ticket por ID
+     * @param {number} id - ID del ticket
+     * @param {Object} updates - Campos a actualizar
+     * @returns {Promise<Object|null>}
+     */
+    async update(id, updates) {
+        const fields = [];
+        const params = [];
+        let idx = 1;
+
+        for (const [key, value] of Object.entries(updates)) {
+            fields.push(`${key} = $${idx++}`);
+            params.push(value);
+        }
+
+        if (fields.length === 0) {
+            return this.findById(id);
+        }
+
+        params.push(id);
+        const sql = `UPDATE tickets SET ${fields.join(', ')}, updated_at = NOW() WHERE id = $${idx} RETURNING *`;
         return this.queryOne(sql, params);
     }
 
@@ -137,50 +281,166 @@ class TicketRepository extends BaseRepository {
      * Actualiza el estado de un ticket por ID
      * @param {number} id - ID del ticket
      * @param {string} status - Nuevo estado
+     * @param {string|null} resolutionNote - Nota de resolución (se conserva la anterior si es null)
      * @returns {Promise<Object|null>}
      */
-    async updateStatus(id, status) {
+    async updateStatus(id, status, resolutionNote = null) {
         if (!STATUSES.includes(status)) {
             throw new Error('Estado inválido');
         }
-        const sql = 'UPDATE tickets SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *';
-        return this.queryOne(sql, [status, id]);
+        // resolved_at se fija al entrar en un estado final y se limpia si el ticket se reabre
+        const sql = `
+			UPDATE tickets
+			SET status = $1::text,
+				updated_at = NOW(),
+				resolution_note = COALESCE($3, resolution_note),
+				resolved_at = CASE WHEN $1::text IN ('Resuelto', 'Cerrado') THEN COALESCE(resolved_at, NOW()) ELSE NULL END,
+				sla_resolution_breached = sla_resolution_breached OR (
+					$1::text IN ('Resuelto', 'Cerrado') AND resolution_due IS NOT NULL AND COALESCE(resolved_at, NOW()) > resolution_due
+				)
+			WHERE id = $2
+			RETURNING *
+		`;
+        return this.queryOne(sql, [status, id, resolutionNote || null]);
     }
 
     /**
-     * Lista tickets con filtros y paginación
-     * @param {Object} filters - Filtros (status, priority, support_type, assigned_to)
-     * @param {number} limit - Límite de resultados
-     * @param {number} offset - Offset para paginación
+     * Registra la primera respuesta del equipo de soporte (solo la primera vez)
+     * @param {number} id - ID del ticket
+     * @returns {Promise<Object|null>} Ticket actualizado o null si ya tenía respuesta
+     */
+    async markFirstResponse(id) {
+        const sql = `
+			UPDATE tickets
+			SET first_responded_at = NOW(),
+				sla_response_breached = sla_response_breached OR (first_response_due IS NOT NULL AND NOW() > first_response_due)
+			WHERE id = $1 AND first_responded_at IS NULL
+			RETURNING *
+		`;
+        return this.queryOne(sql, [id]);
+    }
+
+    /**
+     * Obtiene tickets abiertos con objetivos de SLA aún no incumplidos
      * @returns {Promise<Array>}
      */
-    async findAll(filters = {}, limit = 100, offset = 0) {
-        const where = [];
+    async findSlaPending() {
+        const sql = `
+			SELECT * FROM tickets
+			WHERE status NOT IN ('Resuelto', 'Cerrado')
+				AND deleted_at IS NULL
+				AND (
+					(first_response_due IS NOT NULL AND first_responded_at IS NULL AND sla_response_breached = false)
+					OR (resolution_due IS NOT NULL AND sla_resolution_breached = false)
+				)
+			ORDER BY id ASC
+		`;
+        return this.queryAll(sql);
+    }
+
+    /**
+     * Actualiza los indicadores de aviso/incumplimiento de SLA
+     * @param {number} id - ID del ticket
+     * @param {Object} flags - Indicadores a actualizar
+     * @returns {Promise<Object|null>}
+     */
+    async updateSlaFlags(id, flags) {
+        const allowed = ['sla_response_warned', 'sla_response_breached', 'sla_resolution_warned', 'sla_resolution_breached'];
+        const fields = [];
         const params = [];
         let idx = 1;
 
+        for (const [key, value] of Object.entries(flags)) {
+            if (allowed.includes(key)) {
+                fields.push(`${key} = $${idx++}`);
+                params.push(!!value);
+            }
+        }
+
+        if (fields.length === 0) {
+            return this.findById(id);
+        }
+
+        params.push(id);
+        return this.queryOne(`UPDATE tickets SET ${fields.join(', ')} WHERE id = $${idx} RETURNING *`, params);
+    }
+
+    /**
+     * Construye las condiciones WHERE comunes de listado y conteo.
+     * Los tickets en la papelera se excluyen salvo con `filters.deleted`, que devuelve solo esos.
+     * @param {Object} filters - Filtros (status, priority, support_type, requester_email, open, assigned_to, search, include_internal, deleted)
+     * @param {Array} params - Parámetros de la consulta (se completan aquí)
+     * @returns {Array<string>}
+     * @private
+     */
+    _buildFilters(filters, params) {
+        const where = [filters.deleted ? 't.deleted_at IS NOT NULL' : 't.deleted_at IS NULL'];
+
         if (filters.status) {
-            where.push(`t.status = $${idx++}`);
             params.push(filters.status);
+            where.push(`t.status = $${params.length}`);
         }
         if (filters.priority) {
-            where.push(`t.priority = $${idx++}`);
             params.push(filters.priority);
+            where.push(`t.priority = $${params.length}`);
         }
         if (filters.support_type) {
-            where.push(`t.support_type = $${idx++}`);
             params.push(filters.support_type);
+            where.push(`t.support_type = $${params.length}`);
+        }
+        if (filters.requester_email) {
+            params.push(filters.requester_email.toLowerCase());
+            where.push(`t.requester_email = $${params.length}`);
+        }
+        if (filters.open) {
+            where.push(`t.status NOT IN ('Resuelto', 'Cerrado')`);
         }
         if (filters.assigned_to) {
             if (filters.assigned_to === 'unassigned') {
                 where.push(`t.assigned_to IS NULL`);
             } else {
-                where.push(`t.assigned_to = $${idx++}`);
                 params.push(parseInt(filters.assigned_to));
+                where.push(`t.assigned_to = $${params.length}`);
             }
         }
+        if (filters.search) {
+            params.push(filters.search);
+            const query = `websearch_to_tsquery('${SEARCH_CONFIG}', $${params.length})`;
+            params.push(`%${filters.search.replace(/[\\%_]/g, '\\$&')}%`);
+            const referencePattern = `$${params.length}`;
+            const visibility = filters.include_internal ? '' : ' AND c.is_internal = false';
+
+            where.push(`(
+				${ticketSearchVector('t')} @@ ${query}
+				OR t.reference ILIKE ${referencePattern}
+				OR EXISTS (
+					SELECT 1 FROM comments c
+					WHERE c.ticket_id = t.id${visibility} AND ${commentSearchVector('c')} @@ ${query}
+				)
+			)`);
+        }
+
+        return where;
+    }
+
+    /**
+     * Lista tickets con filtros y paginación.
+     * Con `filters.search` los resultados se ordenan por relevancia e incluyen
+     * `search_rank`, `search_snippet` y `comment_snippet` con las coincidencias marcadas.
+     * @param {Object} filters - Filtros (status, priority, support_type, requester_email, open, assigned_to, search, include_internal, deleted)
+     * @param {number} limit - Límite de resultados
+     * @param {number} offset - Offset para paginación
+     * @returns {Promise<Array>}
+     */
+    async findAll(filters = {}, limit = 100, offset = 0) {
+        const params = [];
+        const where = this._buildFilters(filters, params);
+        const whereSql = `WHERE ${where.join(' AND ')}`;
+
+        if (filters.search) {
+            return this._search(filters, params, whereSql, limit, offset);
+        }
 
-        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
         params.push(limit, offset);
 
         const sql = `
@@ -189,45 +449,97 @@ class TicketRepository extends BaseRepository {
 			LEFT JOIN users u ON t.assigned_to = u.id
 			${whereSql}
 			ORDER BY t.created_at DESC
-			LIMIT $${idx++} OFFSET $${idx}
+			LIMIT $${params.length - 1} OFFSET $${params.length}
 		`;
 
         return this.queryAll(sql, params);
     }
 
     /**
-     * Cuenta tickets según filtros
-     * @param {Object} filters - Filtros
-     * @returns {Promise<number>}
+     * Recorre por lotes todos los tickets que cumplen los filtros de `findAll`,
+     * más recientes primero, con un cursor para no cargar el resultado completo.
+     * Si se deja de iterar antes del final, el cursor se cierra igualmente.
+     * @param {Object} filters - Mismos filtros que findAll
+     * @param {number} batchSize - Filas por lote
+     * @returns {AsyncGenerator<Array>} Lotes de tickets con assigned_username
      */
-    async count(filters = {}) {
-        const where = [];
+    async *streamAll(filters = {}, batchSize = 500) {
         const params = [];
-        let idx = 1;
+        const where = this._buildFilters(filters, params);
+        const sql = `
+			SELECT t.*, u.username as assigned_username
+			FROM tickets t
+			LEFT JOIN users u ON t.assigned_to = u.id
+			WHERE ${where.join(' AND ')}
+			ORDER BY t.created_at DESC, t.id DESC
+		`;
 
-        if (filters.status) {
-            where.push(`status = $${idx++}`);
-            params.push(filters.status);
-        }
-        if (filters.priority) {
-            where.push(`priority = $${idx++}`);
-            params.push(filters.priority);
-        }
-        if (filters.support_type) {
-            where.push(`support_type = $${idx++}`);
-            params.push(filters.support_type);
-        }
-        if (filters.assigned_to) {
-            if (filters.assigned_to === 'unassigned') {
-                where.push(`assigned_to IS NULL`);
-            } else {
-                where.push(`assigned_to = $${idx++}`);
-                params.push(parseInt(filters.assigned_to));
+        const client = await this.getClient();
+        const cursor = client.query(new Cursor(sql, params));
+        try {
+            let rows = await cursor.read(batchSize);
+            while (rows.length > 0) {
+                yield rows;
+                rows = await cursor.read(batchSize);
             }
+        } finally {
+            await cursor.close();
+            client.release();
         }
+    }
 
-        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
-        const sql = `SELECT COUNT(*) as total FROM tickets ${whereSql}`;
+    /**
+     * Búsqueda de texto completo ordenada por relevancia.
+     * Los fragmentos se calculan solo para la página devuelta.
+     * @private
+     */
+    async _search(filters, params, whereSql, limit, offset) {
+        params.push(filters.search);
+        const query = `websearch_to_tsquery('${SEARCH_CONFIG}', $${params.length})`;
+        params.push(HEADLINE_OPTIONS);
+        const options = `$${params.length}`;
+        const visibility = filters.include_internal ? '' : ' AND c.is_internal = false';
+        params.push(limit, offset);
+
+        const sql = `
+			SELECT r.*,
+				ts_headline('${SEARCH_CONFIG}', r.subject || ' — ' || coalesce(r.description, ''), ${query}, ${options}) as search_snippet,
+				(
+					SELECT ts_headline('${SEARCH_CONFIG}', c.content, ${query}, ${options})
+					FROM comments c
+					WHERE c.ticket_id = r.id${visibility} AND ${commentSearchVector('c')} @@ ${query}
+					ORDER BY ts_rank(${commentSearchVector('c')}, ${query}) DESC
+					LIMIT 1
+				) as comment_snippet
+			FROM (
+				SELECT t.*, u.username as assigned_username,
+					ts_rank(${ticketSearchVector('t')}, ${query})
+					+ 0.5 * coalesce((
+						SELECT MAX(ts_rank(${commentSearchVector('c')}, ${query}))
+						FROM comments c
+						WHERE c.ticket_id = t.id${visibility}
+					), 0) as search_rank
+				FROM tickets t
+				LEFT JOIN users u ON t.assigned_to = u.id
+				${whereSql}
+				ORDER BY search_rank DESC, t.created_at DESC
+				LIMIT $${params.length - 1} OFFSET $${params.length}
+			) r
+			ORDER BY r.search_rank DESC, r.created_at DESC
+		`;
+
+        return this.queryAll(sql, params);
+    }
+
+    /**
+     * Cuenta tickets según filtros
+     * @param {Object} filters - Filtros
+     * @returns {Promise<number>}
+     */
+    async count(filters = {}) {
+        const params = [];
+        const where = this._buildFilters(filters, params);
+        const sql = `SELECT COUNT(*) as total FROM tickets t WHERE ${where.join(' AND ')}`;
         const row = await this.queryOne(sql, params);
         return parseInt(row?.total || 0);
     }
@@ -238,7 +550,7 @@ class TicketRepository extends BaseRepository {
      * @returns {Promise<Object>}
      */
     async getStats(filters = {}) {
-        const where = [];
+        const where = ['deleted_at IS NULL'];
         const params = [];
         let idx = 1;
 
@@ -250,8 +562,12 @@ class TicketRepository extends BaseRepository {
             where.push(`support_type = $${idx++}`);
             params.push(filters.support_type);
         }
+        if (filters.requester_email) {
+            where.push(`requester_email = $${idx++}`);
+            params.push(filters.requester_email.toLowerCase());
+        }
 
-        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+        const whereSql = `WHERE ${where.join(' AND ')}`;
         const sql = `
 			SELECT 
 				COUNT(*) as total,
@@ -272,6 +588,185 @@ class TicketRepository extends BaseRepository {
         };
     }
 
+    /**
+     * Tickets creados y resueltos por día o por semana dentro de un rango.
+     * Incluye los periodos sin actividad para que la serie sea continua.
+     * @param {string} from - Fecha inicial (YYYY-MM-DD, inclusive)
+     * @param {string} to - Fecha final (YYYY-MM-DD, inclusive)
+     * @param {string} interval - day o week
+     * @returns {Promise<Array<{period: string, created: number, resolved: number}>>}
+     */
+    async getVolumeSeries(from, to, interval = 'day') {
+        if (!SERIES_INTERVALS.includes(interval)) {
+            throw new Error('Intervalo de serie inválido');
+        }
+
+        const sql = `
+			WITH periods AS (
+				SELECT generate_series(date_trunc('${interval}', $1::timestamp), $2::timestamp, interval '1 ${interval}')::date as period
+			),
+			created AS (
+				SELECT date_trunc('${interval}', created_at)::date as period, COUNT(*) as total
+				FROM tickets
+				WHERE deleted_at IS NULL AND created_at >= $1::date AND created_at < $2::date + 1
+				GROUP BY 1
+			),
+			resolved AS (
+				SELECT date_trunc('${interval}', resolved_at)::date as period, COUNT(*) as total
+				FROM tickets
+				WHERE deleted_at IS NULL AND resolved_at >= $1::date AND resolved_at < $2::date + 1
+				GROUP BY 1
+			)
+			SELECT to_char(p.period, 'YYYY-MM-DD') as period, c.total as created, r.total as resolved
+			FROM periods p
+			LEFT JOIN created c ON c.period = p.period
+			LEFT JOIN resolved r ON r.period = p.period
+			ORDER BY p.period
+		`;
+        const rows = await this.queryAll(sql, [from, to]);
+        return rows.map(row => ({
+            period: row.period,
+            created: parseInt(row.created) || 0,
+            resolved: parseInt(row.resolved) || 0,
+        }));
+    }
+
+    /**
+     * Tiempo medio y mediana, en minutos, hasta la primera respuesta y hasta la
+     * resolución. Cada métrica toma los tickets respondidos o resueltos en el rango.
+     * @param {string} from - Fecha inicial (YYYY-MM-DD, inclusive)
+     * @param {string} to - Fecha final (YYYY-MM-DD, inclusive)
+     * @returns {Promise<{firstResponse: Object, resolution: Object}>} Cada uno con count, average y median
+     */
+    async getResponseTimes(from, to) {
+        const sql = `
+			WITH responded AS (
+				SELECT EXTRACT(EPOCH FROM first_responded_at - created_at) / 60 as minutes
+				FROM tickets
+				WHERE deleted_at IS NULL AND first_responded_at >= $1::date AND first_responded_at < $2::date + 1
+			),
+			resolved AS (
+				SELECT EXTRACT(EPOCH FROM resolved_at - created_at) / 60 as minutes
+				FROM tickets
+				WHERE deleted_at IS NULL AND resolved_at >= $1::date AND resolved_at < $2::date + 1
+			)
+			SELECT
+				(SELECT COUNT(*) FROM responded) as response_count,
+				(SELECT ROUND(AVG(minutes)) FROM responded) as response_average,
+				(SELECT ROUND(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY minutes)) FROM responded) as response_median,
+				(SELECT COUNT(*) FROM resolved) as resolution_count,
+				(SELECT ROUND(AVG(minutes)) FROM resolved) as resolution_average,
+				(SELECT ROUND(PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY minutes)) FROM resolved) as resolution_median
+		`;
+        const row = await this.queryOne(sql, [from, to]);
+        const toMinutes = value => (value === null || value === undefined ? null : Number(value));
+        return {
+            firstResponse: {
+                count: parseInt(row?.response_count) || 0,
+                average: toMinutes(row?.response_average),
+                median: toMinutes(row?.response_median),
+            },
+            resolution: {
+                count: parseInt(row?.resolution_count) || 0,
+                average: toMinutes(row?.resolution_average),
+                median: toMinutes(row?.resolution_median),
+            },
+        };
+    }
+
+    /**
+     * Cumplimiento del SLA de los tickets creados en un rango. Un objetivo se
+     * cumple si se alcanzó antes del vencimiento y se incumple si se alcanzó
+     * tarde o venció sin alcanzarse; los que aún están en plazo no cuentan.
+     * @param {string} from - Fecha inicial (YYYY-MM-DD)
+     * @param {string} to - Fecha final incluida (YYYY-MM-DD)
+     * @returns {Promise<Object>} { response, resolution } con met, breached y rate (% o null)
+     */
+    async getSlaCompliance(from, to) {
+        const sql = `
+			SELECT
+				COUNT(*) FILTER (WHERE first_responded_at <= first_response_due) as response_met,
+				COUNT(*) FILTER (WHERE first_responded_at > first_response_due
+					OR (first_responded_at IS NULL AND first_response_due < NOW())) as response_breached,
+				COUNT(*) FILTER (WHERE resolved_at <= resolution_due) as resolution_met,
+				COUNT(*) FILTER (WHERE resolved_at > resolution_due
+					OR (resolved_at IS NULL AND resolution_due < NOW())) as resolution_breached
+			FROM tickets
+			WHERE deleted_at IS NULL AND created_at >= $1::date AND created_at < $2::date + 1
+		`;
+        const row = await this.queryOne(sql, [from, to]);
+        const compliance = (met, breached) => {
+            const total = met + breached;
+            return { met, breached, rate: total > 0 ? Math.round((met / total) * 1000) / 10 : null };
+        };
+        return {
+            response: compliance(parseInt(row?.response_met) || 0, parseInt(row?.response_breached) || 0),
+            resolution: compliance(parseInt(row?.resolution_met) || 0, parseInt(row?.resolution_breached) || 0),
+        };
+    }
+
+    /**
+     * Tickets abiertos agrupados por antigüedad (estado actual, sin rango de fechas)
+     * @returns {Promise<Array<{key: string, label: string, count: number}>>}
+     */
+    async getBacklogAging() {
+        const columns = AGING_BUCKETS.map(bucket => {
+            const conditions = [`created_at <= NOW() - INTERVAL '${bucket.minDays} days'`];
+            if (bucket.maxDays !== null) {
+                conditions.push(`created_at > NOW() - INTERVAL '${bucket.maxDays} days'`);
+            }
+            return `COUNT(*) FILTER (WHERE ${conditions.join(' AND ')}) as ${bucket.key}`;
+        });
+
+        const sql = `
+			SELECT ${columns.join(', ')}
+			FROM tickets
+			WHERE deleted_at IS NULL AND status <> ALL($1::text[])
+		`;
+        const row = await this.queryOne(sql, [FINAL_STATUSES]);
+        return AGING_BUCKETS.map(bucket => ({
+            key: bucket.key,
+            label: bucket.label,
+            count: parseInt(row?.[bucket.key]) || 0,
+        }));
+    }
+
+    /**
+     * Tickets creados en un rango agrupados por departamento, tipo de soporte o técnico
+     * @param {string} groupBy - department, support_type o technician
+     * @param {string} from - Fecha inicial (YYYY-MM-DD, inclusive)
+     * @param {string} to - Fecha final (YYYY-MM-DD, inclusive)
+     * @returns {Promise<Array<{label: string, created: number, resolved: number, open: number, resolutionAverage: number|null}>>}
+     */
+    async getBreakdown(groupBy, from, to) {
+        const column = BREAKDOWN_GROUPS[groupBy];
+        if (!column) {
+            throw new Error('Agrupación de reporte inválida');
+        }
+
+        const sql = `
+			SELECT
+				${column} as label,
+				COUNT(*) as created,
+				COUNT(*) FILTER (WHERE t.status = ANY($3::text[])) as resolved,
+				COUNT(*) FILTER (WHERE t.status <> ALL($3::text[])) as open,
+				ROUND(AVG(EXTRACT(EPOCH FROM t.resolved_at - t.created_at) / 60)) as resolution_average
+			FROM tickets t
+			LEFT JOIN users u ON t.assigned_to = u.id
+			WHERE t.deleted_at IS NULL AND t.created_at >= $1::date AND t.created_at < $2::date + 1
+			GROUP BY 1
+			ORDER BY created DESC, label
+		`;
+        const rows = await this.queryAll(sql, [from, to, FINAL_STATUSES]);
+        return rows.map(row => ({
+            label: row.label,
+            created: parseInt(row.created) || 0,
+            resolved: parseInt(row.resolved) || 0,
+            open: parseInt(row.open) || 0,
+            resolutionAverage: row.resolution_average === null ? null : Number(row.resolution_average),
+        }));
+    }
+
     /**
      * Asigna un ticket a un técnico
      * @param {number} ticketId - ID del ticket
@@ -288,6 +783,70 @@ class TicketRepository extends BaseRepository {
         return this.queryOne(sql, [technicianId || null, ticketId]);
     }
 
+    /**
+     * Envía un ticket a la papelera
+     * @param {number} id - ID del ticket
+     * @param {number|null} userId - Usuario que lo elimina
+     * @returns {Promise<Object|null>} null si no existe o ya estaba en la papelera
+     */
+    async softDelete(id, userId = null) {
+        const sql = `
+			UPDATE tickets
+			SET deleted_at = NOW(), deleted_by = $2
+			WHERE id = $1 AND deleted_at IS NULL
+			RETURNING *
+		`;
+        return this.queryOne(sql, [id, userId]);
+    }
+
+    /**
+     * Restaura un ticket de la papelera
+     * @param {number} id - ID del ticket
+     * @returns {Promise<Object|null>} null si no está en la papelera
+     */
+    async restore(id) {
+        const sql = `
+			UPDATE tickets
+			SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW()
+			WHERE id = $1 AND deleted_at IS NOT NULL
+			RETURNING *
+		`;
+        return this.queryOne(sql, [id]);
+    }
+
+    /**
+     * Lista los tickets de la papelera, los eliminados más recientemente primero
+     * @param {number} limit - Límite de resultados
+     * @param {number} offset - Offset para paginación
+     * @returns {Promise<Array>}
+     */
+    async findDeleted(limit = 100, offset = 0) {
+        const sql = `
+			SELECT t.*, u.username as assigned_username, d.username as deleted_by_username
+			FROM tickets t
+			LEFT JOIN users u ON t.assigned_to = u.id
+			LEFT JOIN users d ON t.deleted_by = d.id
+			WHERE t.deleted_at IS NOT NULL
+			ORDER BY t.deleted_at DESC, t.id DESC
+			LIMIT $1 OFFSET $2
+		`;
+        return this.queryAll(sql, [limit, offset]);
+    }
+
+    /**
+     * Obtiene los tickets que llevan en la papelera más que el periodo de retención
+     * @param {number} retentionDays - Días de retención
+     * @returns {Promise<Array>}
+     */
+    async findExpiredDeleted(retentionDays) {
+        const sql = `
+			SELECT * FROM tickets
+			WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - make_interval(days => $1)
+			ORDER BY deleted_at ASC
+		`;
+        return this.queryAll(sql, [retentionDays]);
+    }
+
     /**
      * Elimina un ticket por ID
      * @param {number} id - ID del ticket
@@ -302,5 +861,15 @@ class TicketRepository extends BaseRepository {
 TicketRepository.SUPPORT_TYPES = SUPPORT_TYPES;
 TicketRepository.PRIORITIES = PRIORITIES;
 TicketRepository.STATUSES = STATUSES;
+TicketRepository.CHANNELS = CHANNELS;
+TicketRepository.STAFF_CHANNELS = STAFF_CHANNELS;
+TicketRepository.FINAL_STATUSES = FINAL_STATUSES;
+TicketRepository.SERIES_INTERVALS = SERIES_INTERVALS;
+TicketRepository.AGING_BUCKETS = AGING_BUCKETS;
+TicketRepository.BREAKDOWN_GROUPS = Object.keys(BREAKDOWN_GROUPS);
+TicketRepository.HIGHLIGHT_START = HIGHLIGHT_START;
+TicketRepository.HIGHLIGHT_STOP = HIGHLIGHT_STOP;
+TicketRepository.ticketSearchVector = ticketSearchVector;
+TicketRepository.commentSearchVector = commentSearchVector;
 
 module.exports = TicketRepository;
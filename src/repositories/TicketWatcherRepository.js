@@ -0,0 +1,95 @@
+/**
+ * Ticket Watcher Repository
+ * Abstracción de acceso a datos para los observadores de cada ticket.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+class TicketWatcherRepository extends BaseRepository {
+    /**
+     * Obtiene los observadores de un ticket; los del equipo incluyen su usuario
+     * @param {number} ticketId - ID del ticket
+     * @returns {Promise<Array>}
+     */
+    async findByTicketId(ticketId) {
+        const sql = `
+			SELECT w.*, u.username, adder.username AS added_by_username
+			FROM ticket_watchers w
+			LEFT JOIN users u ON w.user_id = u.id
+			LEFT JOIN users adder ON w.added_by = adder.id
+			WHERE w.ticket_id = $1
+			ORDER BY w.email IS NOT NULL, u.username, w.email
+		`;
+        return this.queryAll(sql, [ticketId]);
+    }
+
+    /**
+     * Verifica si un usuario observa un ticket
+     * @param {number} ticketId - ID del ticket
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<boolean>}
+     */
+    async isWatching(ticketId, userId) {
+        const sql = 'SELECT 1 FROM ticket_watchers WHERE ticket_id = $1 AND user_id = $2';
+        const row = await this.queryOne(sql, [ticketId, userId]);
+        return !!row;
+    }
+
+    /**
+     * Agrega un usuario del equipo como observador
+     * @param {number} ticketId - ID del ticket
+     * @param {number} userId - ID del usuario
+     * @param {number|null} addedBy - Usuario que lo agrega
+     * @returns {Promise<Object|null>} Observador creado, o null si ya lo era
+     */
+    async addUser(ticketId, userId, addedBy = null) {
+        const sql = `
+			INSERT INTO ticket_watchers (ticket_id, user_id, added_by)
+			VALUES ($1, $2, $3)
+			ON CONFLICT DO NOTHING
+			RETURNING *
+		`;
+        return this.queryOne(sql, [ticketId, userId, addedBy]);
+    }
+
+    /**
+     * Agrega un email externo como observador
+     * @param {number} ticketId - ID del ticket
+     * @param {string} email - Email en minúsculas
+     * @param {number|null} addedBy - Usuario que lo agrega
+     * @returns {Promise<Object|null>} Observador creado, o null si ya lo era
+     */
+    async addEmail(ticketId, email, addedBy = null) {
+        const sql = `
+			INSERT INTO ticket_watchers (ticket_id, email, added_by)
+			VALUES ($1, $2, $3)
+			ON CONFLICT DO NOTHING
+			RETURNING *
+		`;
+        return this.queryOne(sql, [ticketId, email, addedBy]);
+    }
+
+    /**
+     * Elimina un observador de un ticket
+     * @param {number} ticketId - ID del ticket
+     * @param {number} watcherId - ID del observador
+     * @returns {Promise<Object|null>} Observador eliminado
+     */
+    async remove(ticketId, watcherId) {
+        const sql = 'DELETE FROM ticket_watchers WHERE ticket_id = $1 AND id = $2 RETURNING *';
+        return this.queryOne(sql, [ticketId, watcherId]);
+    }
+
+    /**
+     * Deja de observar un ticket como usuario del equipo
+     * @param {number} ticketId - ID del ticket
+     * @param {number} userId - ID del usuario
+     * @returns {Promise<Object|null>} Observador eliminado
+     */
+    async removeUser(ticketId, userId) {
+        const sql = 'DELETE FROM ticket_watchers WHERE ticket_id = $1 AND user_id = $2 RETURNING *';
+        return this.queryOne(sql, [ticketId, userId]);
+    }
+}
+
+module.exports = TicketWatcherRepository;
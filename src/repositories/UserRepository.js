@@ -29,13 +29,39 @@ class UserRepository extends BaseRepository {
      * @param {Object} data - Datos del usuario
      * @returns {Promise<Object>}
      */
-    async create({ username, password_hash, role, role_id }) {
+    async create({ username, password_hash, role, role_id, must_change_password = false }) {
         const sql = `
-			INSERT INTO users (username, password_hash, role, role_id)
-			VALUES ($1, $2, $3, $4)
-			RETURNING id, username, role, role_id, created_at
+			INSERT INTO users (username, password_hash, role, role_id, must_change_password)
+			VALUES ($1, $2, $3, $4, $5)
+			RETURNING id, username, role, role_id, must_change_password, created_at
 		`;
-        return this.queryOne(sql, [username, password_hash, role, role_id]);
+        return this.queryOne(sql, [username, password_hash, role, role_id, !!must_change_password]);
+    }
+
+    /**
+     * Inserta un usuario importado conservando su fecha de alta, en el cliente
+     * de la transacción de la importación
+     * @param {Object} data - Datos del usuario con la contraseña ya cifrada
+     * @param {import('pg').PoolClient} client - Cliente de la transacción
+     * @returns {Promise<Object>} id y nombre de usuario
+     */
+    async createImported({ username, password_hash, role, role_id, created_at }, client) {
+        const sql = `
+			INSERT INTO users (username, password_hash, role, role_id, created_at)
+			VALUES ($1, $2, $3, $4, COALESCE($5, NOW()))
+			RETURNING id, username
+		`;
+        const { rows } = await client.query(sql, [username, password_hash, role, role_id, created_at || null]);
+        return rows[0];
+    }
+
+    /**
+     * Busca los usuarios con los nombres dados
+     * @param {Array<string>} usernames
+     * @returns {Promise<Array<{id: number, username: string}>>}
+     */
+    async findByUsernames(usernames) {
+        return this.queryAll('SELECT id, username FROM users WHERE username = ANY($1)', [usernames]);
     }
 
     /**
@@ -83,7 +109,8 @@ class UserRepository extends BaseRepository {
      */
     async findAll(limit = 100, offset = 0) {
         const sql = `
-			SELECT u.id, u.username, u.role, u.role_id, u.created_at, r.display_name as role_display_name
+			SELECT u.id, u.username, u.role, u.role_id, u.created_at, u.totp_enabled_at,
+				u.locked_until, u.must_change_password, r.display_name as role_display_name
 			FROM users u
 			LEFT JOIN roles r ON u.role_id = r.id
 			ORDER BY u.created_at DESC
@@ -98,7 +125,7 @@ class UserRepository extends BaseRepository {
      */
     async findAllTechnicians() {
         const sql = `
-			SELECT id, username, role
+			SELECT id, username, role, skills
 			FROM users
 			WHERE role IN ('admin', 'supervisor', 'tecnico')
 			ORDER BY
@@ -112,6 +139,194 @@ class UserRepository extends BaseRepository {
         return this.queryAll(sql);
     }
 
+    /**
+     * Actualiza las habilidades (tipos de soporte) de un técnico
+     * @param {number} id - ID del usuario
+     * @param {Array<string>} skills - Tipos de soporte que atiende
+     * @returns {Promise<Object|null>}
+     */
+    async updateSkills(id, skills) {
+        return this.queryOne(
+            'UPDATE users SET skills = $2 WHERE id = $1 RETURNING id, username, role, skills',
+            [id, skills]
+        );
+    }
+
+    /**
+     * Cambia la contraseña y reinicia su caducidad
+     * @param {number} id - ID del usuario
+     * @param {string} passwordHash - Hash bcrypt de la contraseña nueva
+     * @returns {Promise<Object|null>}
+     */
+    async updatePassword(id, passwordHash) {
+        const sql = `
+			UPDATE users
+			SET password_hash = $2, password_changed_at = NOW(), must_change_password = false
+			WHERE id = $1
+			RETURNING id, username
+		`;
+        return this.queryOne(sql, [id, passwordHash]);
+    }
+
+    /**
+     * Suma un intento de login fallido; al llegar al máximo bloquea la cuenta
+     * y reinicia el contador
+     * @param {number} id - ID del usuario
+     * @param {number} maxAttempts - Intentos seguidos que bloquean la cuenta
+     * @param {number} lockoutMinutes - Minutos de bloqueo
+     * @returns {Promise<{failed_login_count: number, locked_until: Date|null}|null>}
+     */
+    async registerFailedLogin(id, maxAttempts, lockoutMinutes) {
+        const sql = `
+			UPDATE users
+			SET failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+				locked_until = CASE
+					WHEN failed_login_count + 1 >= $2 THEN NOW() + make_interval(mins => $3)
+					ELSE locked_until
+				END
+			WHERE id = $1
+			RETURNING failed_login_count, locked_until
+		`;
+        return this.queryOne(sql, [id, maxAttempts, lockoutMinutes]);
+    }
+
+    /**
+     * Reinicia los intentos fallidos y levanta el bloqueo
+     * @param {number} id - ID del usuario
+     * @returns {Promise<Object|null>}
+     */
+    async resetFailedLogins(id) {
+        return this.queryOne(
+            'UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1 RETURNING id, username',
+            [id]
+        );
+    }
+
+    /**
+     * Activa la verificación en dos pasos con el secreto confirmado
+     * @param {number} id - ID del usuario
+     * @param {string} secret - Secreto TOTP en base32
+     * @param {Array<string>} recoveryHashes - Hashes de los códigos de recuperación
+     * @param {number} step - Paso TOTP del código de confirmación, que ya no podrá reutilizarse
+     * @returns {Promise<Object|null>}
+     */
+    async enableTwoFactor(id, secret, recoveryHashes, step) {
+        const sql = `
+			UPDATE users
+			SET totp_secret = $2, totp_enabled_at = NOW(), totp_last_step = $3, recovery_code_hashes = $4
+			WHERE id = $1
+			RETURNING id, username, totp_enabled_at
+		`;
+        return this.queryOne(sql, [id, secret, step, recoveryHashes]);
+    }
+
+    /**
+     * Desactiva la verificación en dos pasos y descarta el secreto y los códigos
+     * @param {number} id - ID del usuario
+     * @returns {Promise<Object|null>}
+     */
+    async disableTwoFactor(id) {
+        const sql = `
+			UPDATE users
+			SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL, recovery_code_hashes = '{}'
+			WHERE id = $1
+			RETURNING id, username
+		`;
+        return this.queryOne(sql, [id]);
+    }
+
+    /**
+     * Sustituye los códigos de recuperación
+     * @param {number} id - ID del usuario
+     * @param {Array<string>} recoveryHashes - Hashes de los códigos nuevos
+     * @returns {Promise<Object|null>}
+     */
+    async setRecoveryCodes(id, recoveryHashes) {
+        return this.queryOne(
+            'UPDATE users SET recovery_code_hashes = $2 WHERE id = $1 RETURNING id',
+            [id, recoveryHashes]
+        );
+    }
+
+    /**
+     * Consume un código de recuperación de forma atómica
+     * @param {number} id - ID del usuario
+     * @param {string} hash - Hash del código introducido
+     * @returns {Promise<boolean>} true si el código existía y quedó invalidado
+     */
+    async consumeRecoveryCode(id, hash) {
+        const row = await this.queryOne(`
+			UPDATE users
+			SET recovery_code_hashes = array_remove(recovery_code_hashes, $2)
+			WHERE id = $1 AND $2 = ANY(recovery_code_hashes)
+			RETURNING id
+		`, [id, hash]);
+        return !!row;
+    }
+
+    /**
+     * Registra el paso TOTP usado solo si es posterior al último, de modo
+     * que un código no puede usarse dos veces
+     * @param {number} id - ID del usuario
+     * @param {number} step - Paso TOTP del código verificado
+     * @returns {Promise<boolean>} true si el paso no se había usado
+     */
+    async markTotpStep(id, step) {
+        const row = await this.queryOne(`
+			UPDATE users
+			SET totp_last_step = $2
+			WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+			RETURNING id
+		`, [id, step]);
+        return !!row;
+    }
+
+    /**
+     * Reserva el resumen diario del periodo para el usuario, de modo que solo
+     * una ejecución lo envía
+     * @param {number} id - ID del usuario
+     * @param {Date} sentAt - Momento del envío
+     * @param {Date} periodStart - Inicio del periodo del resumen
+     * @returns {Promise<boolean>} true si el resumen del periodo no estaba reservado
+     */
+    async claimDigest(id, sentAt, periodStart) {
+        const row = await this.queryOne(`
+			UPDATE users
+			SET digest_sent_at = $2
+			WHERE id = $1 AND (digest_sent_at IS NULL OR digest_sent_at < $3)
+			RETURNING id
+		`, [id, sentAt, periodStart]);
+        return !!row;
+    }
+
+    /**
+     * Libera la reserva de un resumen que no llegó a enviarse
+     * @param {number} id - ID del usuario
+     * @param {Date} sentAt - Momento con el que se reservó
+     * @returns {Promise<Object|null>}
+     */
+    async releaseDigest(id, sentAt) {
+        return this.queryOne(
+            'UPDATE users SET digest_sent_at = NULL WHERE id = $1 AND digest_sent_at = $2 RETURNING id',
+            [id, sentAt]
+        );
+    }
+
+    /**
+     * Indica si el rol del usuario exige la verificación en dos pasos
+     * @param {number} id - ID del usuario
+     * @returns {Promise<boolean>}
+     */
+    async requiresTwoFactor(id) {
+        const row = await this.queryOne(`
+			SELECT r.require_2fa
+			FROM users u
+			INNER JOIN roles r ON r.id = COALESCE(u.role_id, (SELECT id FROM roles WHERE name = u.role))
+			WHERE u.id = $1
+		`, [id]);
+        return row?.require_2fa || false;
+    }
+
     /**
      * Cuenta usuarios por rol
      * @returns {Promise<Array>}
@@ -0,0 +1,153 @@
+/**
+ * Webhook Delivery Repository
+ * Abstracción de acceso a datos para el registro de entregas de webhooks.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+const STATUSES = ['pending', 'success', 'failed'];
+
+class WebhookDeliveryRepository extends BaseRepository {
+    /**
+     * Registra una entrega pendiente
+     * @param {Object} data - Datos de la entrega
+     * @returns {Promise<Object>}
+     */
+    async create({ webhook_id, event, payload, next_attempt_at = null }) {
+        const sql = `
+			INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+			VALUES ($1, $2, $3, COALESCE($4, NOW()))
+			RETURNING *
+		`;
+        return this.queryOne(sql, [webhook_id, event, JSON.stringify(payload), next_attempt_at]);
+    }
+
+    /**
+     * Busca una entrega por ID junto con los datos de su webhook
+     * @param {number} id - ID de la entrega
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        const sql = `
+			SELECT d.*, w.name as webhook_name, w.url, w.secret
+			FROM webhook_deliveries d
+			JOIN webhooks w ON d.webhook_id = w.id
+			WHERE d.id = $1
+		`;
+        return this.queryOne(sql, [id]);
+    }
+
+    /**
+     * Lista entregas recientes con filtros opcionales
+     * @param {Object} filters - Filtros (webhook_id, status)
+     * @param {number} limit - Límite de resultados
+     * @param {number} offset - Desplazamiento
+     * @returns {Promise<Array>}
+     */
+    async findRecent(filters = {}, limit = 50, offset = 0) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.webhook_id) {
+            params.push(filters.webhook_id);
+            conditions.push(`d.webhook_id = $${params.length}`);
+        }
+        if (filters.status && STATUSES.includes(filters.status)) {
+            params.push(filters.status);
+            conditions.push(`d.status = $${params.length}`);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        params.push(limit, offset);
+
+        const sql = `
+			SELECT d.id, d.webhook_id, d.event, d.status, d.attempts, d.response_status,
+				d.error, d.next_attempt_at, d.delivered_at, d.created_at, d.updated_at,
+				w.name as webhook_name, w.url
+			FROM webhook_deliveries d
+			JOIN webhooks w ON d.webhook_id = w.id
+			${where}
+			ORDER BY d.created_at DESC, d.id DESC
+			LIMIT $${params.length - 1} OFFSET $${params.length}
+		`;
+        return this.queryAll(sql, params);
+    }
+
+    /**
+     * Reclama las entregas pendientes cuyo próximo intento ya venció, aplazándolas
+     * hasta leaseUntil para que ninguna otra ejecución las envíe a la vez.
+     * Las filas bloqueadas por otra transacción se saltan.
+     * @param {Date} leaseUntil - Hasta cuándo quedan reservadas
+     * @param {number} limit - Máximo de entregas a procesar
+     * @returns {Promise<Array>}
+     */
+    async claimDue(leaseUntil, limit = 50) {
+        const sql = `
+			WITH due AS (
+				SELECT d.id
+				FROM webhook_deliveries d
+				JOIN webhooks w ON d.webhook_id = w.id
+				WHERE d.status = 'pending'
+					AND d.next_attempt_at <= NOW()
+					AND w.is_active = true
+				ORDER BY d.next_attempt_at ASC
+				LIMIT $2
+				FOR UPDATE OF d SKIP LOCKED
+			)
+			UPDATE webhook_deliveries d
+			SET next_attempt_at = $1, updated_at = NOW()
+			FROM due, webhooks w
+			WHERE d.id = due.id AND w.id = d.webhook_id
+			RETURNING d.*, w.url, w.secret
+		`;
+        return this.queryAll(sql, [leaseUntil, limit]);
+    }
+
+    /**
+     * Registra el resultado de un intento de entrega
+     * @param {number} id - ID de la entrega
+     * @param {Object} result - Resultado del intento
+     * @returns {Promise<Object|null>}
+     */
+    async recordAttempt(id, { status, response_status = null, response_body = null, error = null, next_attempt_at = null }) {
+        if (!STATUSES.includes(status)) {
+            throw new Error('Estado de entrega inválido');
+        }
+
+        const sql = `
+			UPDATE webhook_deliveries
+			SET status = $1,
+				attempts = attempts + 1,
+				response_status = $2,
+				response_body = $3,
+				error = $4,
+				next_attempt_at = $5,
+				delivered_at = CASE WHEN $1 = 'success' THEN NOW() ELSE delivered_at END,
+				updated_at = NOW()
+			WHERE id = $6
+			RETURNING *
+		`;
+        return this.queryOne(sql, [status, response_status, response_body, error, next_attempt_at, id]);
+    }
+
+    /**
+     * Reinicia una entrega para volver a enviarla, reservada hasta leaseUntil
+     * para que los reintentos programados no la envíen también
+     * @param {number} id - ID de la entrega
+     * @param {Date} leaseUntil - Hasta cuándo queda reservada
+     * @returns {Promise<Object|null>}
+     */
+    async resetForRedelivery(id, leaseUntil) {
+        const sql = `
+			UPDATE webhook_deliveries
+			SET status = 'pending', attempts = 0, next_attempt_at = $2, updated_at = NOW()
+			WHERE id = $1
+			RETURNING *
+		`;
+        return this.queryOne(sql, [id, leaseUntil]);
+    }
+}
+
+WebhookDeliveryRepository.STATUSES = STATUSES;
+
+module.exports = WebhookDeliveryRepository;
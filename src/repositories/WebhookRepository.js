@@ -0,0 +1,103 @@
+/**
+ * Webhook Repository
+ * Abstracción de acceso a datos para los webhooks salientes.
+ */
+
+const BaseRepository = require('./BaseRepository');
+
+// Eventos del ciclo de vida de tickets a los que se puede suscribir un webhook
+const EVENTS = [
+    'ticket.created',
+    'ticket.assigned',
+    'ticket.status_changed',
+    'ticket.commented',
+];
+
+class WebhookRepository extends BaseRepository {
+    /**
+     * Obtiene todos los webhooks con el resumen de sus entregas
+     * @returns {Promise<Array>}
+     */
+    async findAll() {
+        const sql = `
+			SELECT w.*,
+				COUNT(d.id) FILTER (WHERE d.status = 'failed') as failed_count,
+				MAX(d.delivered_at) as last_delivered_at
+			FROM webhooks w
+			LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+			GROUP BY w.id
+			ORDER BY w.created_at DESC
+		`;
+        return this.queryAll(sql);
+    }
+
+    /**
+     * Busca un webhook por ID
+     * @param {number} id - ID del webhook
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        return this.queryOne('SELECT * FROM webhooks WHERE id = $1', [id]);
+    }
+
+    /**
+     * Obtiene los webhooks activos suscritos a un evento
+     * @param {string} event - Nombre del evento (ej: ticket.created)
+     * @returns {Promise<Array>}
+     */
+    async findActiveByEvent(event) {
+        const sql = `
+			SELECT * FROM webhooks
+			WHERE is_active = true AND $1 = ANY(events)
+			ORDER BY id
+		`;
+        return this.queryAll(sql, [event]);
+    }
+
+    /**
+     * Crea un webhook
+     * @param {Object} data - Datos del webhook
+     * @returns {Promise<Object>}
+     */
+    async create({ name, url, secret, events, is_active = true, created_by = null }) {
+        const sql = `
+			INSERT INTO webhooks (name, url, secret, events, is_active, created_by)
+			VALUES ($1, $2, $3, $4, $5, $6)
+			RETURNING *
+		`;
+        return this.queryOne(sql, [name, url, secret, events, !!is_active, created_by]);
+    }
+
+    /**
+     * Actualiza un webhook
+     * @param {number} id - ID del webhook
+     * @param {Object} data - Datos a actualizar
+     * @returns {Promise<Object|null>}
+     */
+    async update(id, { name, url, events, is_active }) {
+        const sql = `
+			UPDATE webhooks
+			SET name = $1,
+				url = $2,
+				events = $3,
+				is_active = $4,
+				updated_at = NOW()
+			WHERE id = $5
+			RETURNING *
+		`;
+        return this.queryOne(sql, [name, url, events, !!is_active, id]);
+    }
+
+    /**
+     * Elimina un webhook y su registro de entregas
+     * @param {number} id - ID del webhook
+     * @returns {Promise<Object|null>}
+     */
+    async delete(id) {
+        return this.queryOne('DELETE FROM webhooks WHERE id = $1 RETURNING *', [id]);
+    }
+}
+
+WebhookRepository.EVENTS = EVENTS;
+
+module.exports = WebhookRepository;
@@ -9,6 +9,22 @@ const CommentRepository = require('./CommentRepository');
 const NotificationRepository = require('./NotificationRepository');
 const UserRepository = require('./UserRepository');
 const PermissionRepository = require('./PermissionRepository');
+const TicketEventRepository = require('./TicketEventRepository');
+const SlaPolicyRepository = require('./SlaPolicyRepository');
+const ApiKeyRepository = require('./ApiKeyRepository');
+const WebhookRepository = require('./WebhookRepository');
+const WebhookDeliveryRepository = require('./WebhookDeliveryRepository');
+const AttachmentRepository = require('./AttachmentRepository');
+const InboundEmailRepository = require('./InboundEmailRepository');
+const RequesterLoginTokenRepository = require('./RequesterLoginTokenRepository');
+const TicketFeedbackRepository = require('./TicketFeedbackRepository');
+const AssignmentRuleRepository = require('./AssignmentRuleRepository');
+const MacroRepository = require('./MacroRepository');
+const ReportSubscriptionRepository = require('./ReportSubscriptionRepository');
+const PasswordHistoryRepository = require('./PasswordHistoryRepository');
+const LoginAuditRepository = require('./LoginAuditRepository');
+const TicketWatcherRepository = require('./TicketWatcherRepository');
+const NotificationPreferenceRepository = require('./NotificationPreferenceRepository');
 
 /**
  * Contenedor de Inyección de Dependencias para Repositorios
@@ -80,6 +96,182 @@ class RepositoryContainer {
         }
         return this._instances.permissions;
     }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de eventos de tickets
+     * @returns {TicketEventRepository}
+     */
+    get ticketEvents() {
+        if (!this._instances.ticketEvents) {
+            this._instances.ticketEvents = new TicketEventRepository(this._pool);
+        }
+        return this._instances.ticketEvents;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de políticas de SLA
+     * @returns {SlaPolicyRepository}
+     */
+    get slaPolicies() {
+        if (!this._instances.slaPolicies) {
+            this._instances.slaPolicies = new SlaPolicyRepository(this._pool);
+        }
+        return this._instances.slaPolicies;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de API keys
+     * @returns {ApiKeyRepository}
+     */
+    get apiKeys() {
+        if (!this._instances.apiKeys) {
+            this._instances.apiKeys = new ApiKeyRepository(this._pool);
+        }
+        return this._instances.apiKeys;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de webhooks
+     * @returns {WebhookRepository}
+     */
+    get webhooks() {
+        if (!this._instances.webhooks) {
+            this._instances.webhooks = new WebhookRepository(this._pool);
+        }
+        return this._instances.webhooks;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de entregas de webhooks
+     * @returns {WebhookDeliveryRepository}
+     */
+    get webhookDeliveries() {
+        if (!this._instances.webhookDeliveries) {
+            this._instances.webhookDeliveries = new WebhookDeliveryRepository(this._pool);
+        }
+        return this._instances.webhookDeliveries;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de adjuntos
+     * @returns {AttachmentRepository}
+     */
+    get attachments() {
+        if (!this._instances.attachments) {
+            this._instances.attachments = new AttachmentRepository(this._pool);
+        }
+        return this._instances.attachments;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de correos entrantes
+     * @returns {InboundEmailRepository}
+     */
+    get inboundEmails() {
+        if (!this._instances.inboundEmails) {
+            this._instances.inboundEmails = new InboundEmailRepository(this._pool);
+        }
+        return this._instances.inboundEmails;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de enlaces de acceso del portal
+     * @returns {RequesterLoginTokenRepository}
+     */
+    get requesterLoginTokens() {
+        if (!this._instances.requesterLoginTokens) {
+            this._instances.requesterLoginTokens = new RequesterLoginTokenRepository(this._pool);
+        }
+        return this._instances.requesterLoginTokens;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de encuestas de satisfacción
+     * @returns {TicketFeedbackRepository}
+     */
+    get ticketFeedback() {
+        if (!this._instances.ticketFeedback) {
+            this._instances.ticketFeedback = new TicketFeedbackRepository(this._pool);
+        }
+        return this._instances.ticketFeedback;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de reglas de asignación
+     * @returns {AssignmentRuleRepository}
+     */
+    get assignmentRules() {
+        if (!this._instances.assignmentRules) {
+            this._instances.assignmentRules = new AssignmentRuleRepository(this._pool);
+        }
+        return this._instances.assignmentRules;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de macros
+     * @returns {MacroRepository}
+     */
+    get macros() {
+        if (!this._instances.macros) {
+            this._instances.macros = new MacroRepository(this._pool);
+        }
+        return this._instances.macros;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de reportes programados
+     * @returns {ReportSubscriptionRepository}
+     */
+    get reportSubscriptions() {
+        if (!this._instances.reportSubscriptions) {
+            this._instances.reportSubscriptions = new ReportSubscriptionRepository(this._pool);
+        }
+        return this._instances.reportSubscriptions;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio del historial de contraseñas
+     * @returns {PasswordHistoryRepository}
+     */
+    get passwordHistory() {
+        if (!this._instances.passwordHistory) {
+            this._instances.passwordHistory = new PasswordHistoryRepository(this._pool);
+        }
+        return this._instances.passwordHistory;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de la auditoría de accesos
+     * @returns {LoginAuditRepository}
+     */
+    get loginAudit() {
+        if (!this._instances.loginAudit) {
+            this._instances.loginAudit = new LoginAuditRepository(this._pool);
+        }
+        return this._instances.loginAudit;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de observadores de tickets
+     * @returns {TicketWatcherRepository}
+     */
+    get ticketWatchers() {
+        if (!this._instances.ticketWatchers) {
+            this._instances.ticketWatchers = new TicketWatcherRepository(this._pool);
+        }
+        return this._instances.ticketWatchers;
+    }
+
+    /**
+     * Obtiene o crea una instancia del repositorio de preferencias de notificación
+     * @returns {NotificationPreferenceRepository}
+     */
+    get notificationPreferences() {
+        if (!this._instances.notificationPreferences) {
+            this._instances.notificationPreferences = new NotificationPreferenceRepository(this._pool);
+        }
+        return this._instances.notificationPreferences;
+    }
 }
 
 // Instancia singleton del contenedor (inicializada bajo demanda)
@@ -124,6 +316,22 @@ module.exports = {
     NotificationRepository,
     UserRepository,
     PermissionRepository,
+    TicketEventRepository,
+    SlaPolicyRepository,
+    ApiKeyRepository,
+    WebhookRepository,
+    WebhookDeliveryRepository,
+    AttachmentRepository,
+    InboundEmailRepository,
+    RequesterLoginTokenRepository,
+    TicketFeedbackRepository,
+    AssignmentRuleRepository,
+    MacroRepository,
+    ReportSubscriptionRepository,
+    PasswordHistoryRepository,
+    LoginAuditRepository,
+    TicketWatcherRepository,
+    NotificationPreferenceRepository,
 
     // Container y utilidades
     RepositoryContainer,
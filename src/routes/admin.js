@@ -3,23 +3,53 @@ const TicketRepository = require('../repositories/TicketRepository');
 const ticketService = require('../services/ticketService');
 const userService = require('../services/userService');
 const roleService = require('../services/roleService');
-const emailService = require('../services/emailService');
 const reportService = require('../services/reportService');
+const slaService = require('../services/slaService');
+const apiKeyService = require('../services/apiKeyService');
+const webhookService = require('../services/webhookService');
+const attachmentService = require('../services/attachmentService');
+const feedbackService = require('../services/feedbackService');
+const assignmentService = require('../services/assignmentService');
+const macroService = require('../services/macroService');
+const analyticsService = require('../services/analyticsService');
+const exportService = require('../services/exportService');
+const importService = require('../services/importService');
+const scheduledReportService = require('../services/scheduledReportService');
+const twoFactorService = require('../services/twoFactorService');
+const authService = require('../services/authService');
+const watcherService = require('../services/watcherService');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+const emailService = require('../services/emailService');
+const WebhookRepository = require('../repositories/WebhookRepository');
+const config = require('../config');
 const { getPool } = require('../db');
 const { getRepositoryContainer } = require('../repositories');
+const { describeEvent, CHANNEL_LABELS } = require('../utils/ticketEvents');
+const { evaluateSla } = require('../utils/sla');
+const { highlightSnippet, normalizeSearchTerm } = require('../utils/search');
+const { formatFileSize, getFileIcon, sendAttachment } = require('../utils/attachments');
+const { PLACEHOLDERS } = require('../utils/macros');
+const { EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, EXPORT_FORMATS, buildExportFilename } = require('../utils/ticketExport');
+const { IMPORT_TYPES } = require('../utils/dataImport');
+const { describePasswordPolicy } = require('../utils/passwordPolicy');
 
 // Constantes de estados desde el repositorio
-const { STATUSES } = TicketRepository;
+const { STATUSES, PRIORITIES, SUPPORT_TYPES, CHANNELS, STAFF_CHANNELS } = TicketRepository;
 
 // Middlewares
-const { requireAuth, requireAdmin, requireSuperAdmin, requirePermission } = require('../middleware/auth');
+const { requireAuth, requireAdmin, requireSuperAdmin, requirePermission, requireAnyPermission, enforcePasswordChange } = require('../middleware/auth');
 const { loginLimiter, commentLimiter } = require('../middleware/security');
-const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const { upload, handleUploadError, uploadLimits, importUpload, handleImportUploadError } = require('../middleware/upload');
+const { asyncHandler, ValidationError, ForbiddenError, NotFoundError } = require('../middleware/errorHandler');
 
 // Validadores
 const {
 	validate,
 	loginSchema,
+	twoFactorCodeSchema,
+	staffCreateTicketSchema,
+	staffUpdateTicketSchema,
 	createUserSchema,
 	updatePasswordSchema,
 	updateUsernameSchema,
@@ -27,6 +57,23 @@ const {
 	createRoleSchema,
 	updateRoleSchema,
 	updateStatusSchema,
+	createSlaPolicySchema,
+	updateSlaPolicySchema,
+	createApiKeySchema,
+	webhookSchema,
+	assignmentRuleSchema,
+	technicianSkillsSchema,
+	macroSchema,
+	addWatcherSchema,
+	notificationPreferencesSchema,
+	notificationFilterSchema,
+	notificationBulkActionSchema,
+	bulkTicketActionSchema,
+	analyticsFilterSchema,
+	reportSubscriptionSchema,
+	exportTicketsSchema,
+	importCsvSchema,
+	loginAuditFilterSchema,
 } = require('../validators');
 
 const router = express.Router();
@@ -39,6 +86,32 @@ router.get('/login', (req, res) => {
 	res.render('admin/login', { title: 'Acceso Admin', error: null });
 });
 
+/**
+ * Origen de la petición para la auditoría de accesos
+ */
+function loginContext(req) {
+	return { ip: req.ip, userAgent: req.get('user-agent') };
+}
+
+function lockedMessage(lockedUntil) {
+	const time = lockedUntil.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' });
+	return `Cuenta bloqueada por demasiados intentos fallidos. Inténtalo de nuevo a partir de las ${time}`;
+}
+
+/**
+ * Abre la sesión de un acceso completado y reinicia sus intentos fallidos; si
+ * la contraseña debe cambiarse, enforcePasswordChange limita la sesión a la
+ * página de cambio
+ */
+async function startSession(req, user, passwordChange) {
+	await authService.resetFailedLogins(user.id);
+	await authService.recordSuccess(user, loginContext(req));
+	req.session.user = user;
+	if (passwordChange) {
+		req.session.passwordChange = passwordChange;
+	}
+}
+
 router.post('/login', loginLimiter, asyncHandler(async (req, res) => {
 	const validation = validate(loginSchema, req.body);
 	if (!validation.success) {
@@ -49,16 +122,135 @@ router.post('/login', loginLimiter, asyncHandler(async (req, res) => {
 	}
 
 	const { username, password } = validation.data;
-	const user = await userService.authenticate(username, password);
+	const { user, lockedUntil, passwordChange } = await authService.login(username, password, loginContext(req));
 
 	if (!user) {
 		return res.render('admin/login', {
 			title: 'Acceso Admin',
-			error: 'Usuario o contraseña incorrectos',
+			error: lockedUntil ? lockedMessage(lockedUntil) : 'Usuario o contraseña incorrectos',
 		});
 	}
 
-	req.session.user = user;
+	// Con la verificación en dos pasos la sesión queda pendiente del código
+	const step = await twoFactorService.getLoginRequirement(user);
+	if (step) {
+		req.session.pendingLogin = {
+			user,
+			step,
+			passwordChange,
+			expiresAt: Date.now() + config.twoFactor.pendingLoginMinutes * 60 * 1000,
+		};
+		return res.redirect('/admin/login/2fa');
+	}
+
+	await startSession(req, user, passwordChange);
+	res.redirect(passwordChange ? '/admin/cambiar-contrasena' : '/admin');
+}));
+
+/**
+ * Login a la espera del segundo paso; se descarta al caducar
+ */
+function getPendingLogin(req) {
+	const pending = req.session.pendingLogin;
+	if (pending && pending.expiresAt < Date.now()) {
+		delete req.session.pendingLogin;
+		return null;
+	}
+	return pending || null;
+}
+
+/**
+ * Renderiza el segundo paso del login: el código o, si el rol lo exige y aún
+ * no está configurado, el alta de la aplicación de autenticación
+ */
+async function renderLoginTwoFactor(req, res, pending, error = null) {
+	let enrollment = null;
+	if (pending.step === twoFactorService.LOGIN_STEPS.SETUP) {
+		enrollment = await twoFactorService.startEnrollment(pending.user, pending.secret);
+		pending.secret = enrollment.secret;
+	}
+
+	res.render('admin/login-2fa', {
+		title: 'Verificación en dos pasos',
+		step: pending.step,
+		username: pending.user.username,
+		enrollment,
+		recoveryCodes: null,
+		error,
+	});
+}
+
+router.get('/login/2fa', asyncHandler(async (req, res) => {
+	const pending = getPendingLogin(req);
+	if (!pending) {
+		return res.redirect('/admin/login');
+	}
+	await renderLoginTwoFactor(req, res, pending);
+}));
+
+router.post('/login/2fa', loginLimiter, asyncHandler(async (req, res) => {
+	const pending = getPendingLogin(req);
+	if (!pending) {
+		return res.redirect('/admin/login');
+	}
+
+	// Un login pendiente abierto antes del bloqueo no puede seguir probando códigos
+	const lockedUntil = await authService.checkLocked(pending.user, loginContext(req));
+	if (lockedUntil) {
+		delete req.session.pendingLogin;
+		return res.render('admin/login', { title: 'Acceso Admin', error: lockedMessage(lockedUntil) });
+	}
+
+	const validation = validate(twoFactorCodeSchema, req.body);
+	if (!validation.success) {
+		return renderLoginTwoFactor(req, res, pending, Object.values(validation.errors).join('. '));
+	}
+	const { code } = validation.data;
+
+	if (pending.step === twoFactorService.LOGIN_STEPS.SETUP) {
+		let recoveryCodes;
+		try {
+			recoveryCodes = await twoFactorService.confirmEnrollment(pending.user.id, pending.secret, code);
+		} catch (err) {
+			if (err instanceof ValidationError) {
+				return renderLoginTwoFactor(req, res, pending, err.message);
+			}
+			throw err;
+		}
+
+		delete req.session.pendingLogin;
+		await startSession(req, pending.user, pending.passwordChange);
+		// Los códigos de recuperación solo se muestran esta vez
+		return res.render('admin/login-2fa', {
+			title: 'Verificación en dos pasos',
+			step: pending.step,
+			username: pending.user.username,
+			enrollment: null,
+			recoveryCodes,
+			error: null,
+		});
+	}
+
+	const method = await twoFactorService.verifyLogin(pending.user.id, code);
+	if (!method) {
+		// Los códigos incorrectos cuentan para el bloqueo de la cuenta
+		const { lockedUntil } = await authService.recordFailure(pending.user, 'invalid_2fa', loginContext(req));
+		if (lockedUntil) {
+			delete req.session.pendingLogin;
+			return res.render('admin/login', { title: 'Acceso Admin', error: lockedMessage(lockedUntil) });
+		}
+		return renderLoginTwoFactor(req, res, pending, 'Código incorrecto');
+	}
+
+	delete req.session.pendingLogin;
+	await startSession(req, pending.user, pending.passwordChange);
+	if (pending.passwordChange) {
+		return res.redirect('/admin/cambiar-contrasena');
+	}
+	if (method === 'recovery') {
+		const { recoveryCodesLeft } = await twoFactorService.getStatus(pending.user.id);
+		return res.redirect(`/admin/perfil?success=${encodeURIComponent(`Has usado un código de recuperación; te quedan ${recoveryCodesLeft}`)}`);
+	}
 	res.redirect('/admin');
 }));
 
@@ -68,17 +260,92 @@ router.post('/logout', (req, res) => {
 	});
 });
 
+// ============================================================================
+// CAMBIO DE CONTRASEÑA OBLIGATORIO
+// ============================================================================
+
+function renderChangePassword(req, res, error = null) {
+	res.render('admin/change-password', {
+		title: 'Cambiar contraseña',
+		reason: req.session.passwordChange,
+		username: req.session.user.username,
+		passwordRules: describePasswordPolicy(config.passwordPolicy),
+		error,
+	});
+}
+
+router.get('/cambiar-contrasena', requireAuth, (req, res) => {
+	if (!req.session.passwordChange) {
+		return res.redirect('/admin');
+	}
+	renderChangePassword(req, res);
+});
+
+router.post('/cambiar-contrasena', requireAuth, asyncHandler(async (req, res) => {
+	if (!req.session.passwordChange) {
+		return res.redirect('/admin');
+	}
+
+	const validation = validate(updatePasswordSchema, req.body);
+	if (!validation.success) {
+		return renderChangePassword(req, res, Object.values(validation.errors).join('. '));
+	}
+
+	try {
+		await userService.changePassword(req.session.user.id, validation.data.current_password, validation.data.new_password);
+	} catch (err) {
+		if (err instanceof ValidationError) {
+			return renderChangePassword(req, res, err.message);
+		}
+		throw err;
+	}
+
+	delete req.session.passwordChange;
+	res.redirect('/admin');
+}));
+
+// El resto del panel requiere haber cambiado la contraseña si se exigió al entrar
+router.use(enforcePasswordChange);
+
 // ============================================================================
 // PERFIL DE USUARIO
 // ============================================================================
 
-router.get('/perfil', requireAdmin, asyncHandler(async (req, res) => {
+/**
+ * Renderiza la página de perfil con los datos actuales del usuario
+ */
+async function renderPerfil(req, res, { error = null, success = null, newApiKey = null, recoveryCodes = null } = {}) {
 	const user = await userService.getUserById(req.session.user.id);
+	const apiKeys = await apiKeyService.listKeys(req.session.user.id);
+	const twoFactor = await twoFactorService.getStatus(req.session.user.id);
+	const notificationPreferences = await notificationService.getPreferences(req.session.user.id);
+
+	// Alta de la aplicación de autenticación iniciada y aún sin confirmar
+	const enrollment = !twoFactor.enabled && req.session.pendingTotpSecret
+		? await twoFactorService.startEnrollment(user, req.session.pendingTotpSecret)
+		: null;
+
 	res.render('admin/perfil', {
 		title: 'Mi Perfil',
 		user,
-		error: null,
-		success: null,
+		apiKeys,
+		newApiKey,
+		twoFactor,
+		enrollment,
+		recoveryCodes,
+		notificationPreferences,
+		EVENT_TYPE_LABELS: notificationService.EVENT_TYPE_LABELS,
+		NOTIFICATION_CHANNEL_LABELS: notificationService.CHANNEL_LABELS,
+		passwordRules: describePasswordPolicy(config.passwordPolicy),
+		error,
+		success,
+	});
+}
+
+router.get('/perfil', requireAdmin, asyncHandler(async (req, res) => {
+	await renderPerfil(req, res, {
+		error: req.query.error || null,
+		success: req.query.success || null,
 	});
 }));
 
@@ -133,29 +400,144 @@ router.post('/perfil', requireAdmin, asyncHandler(async (req, res) => {
 		}
 	}
 
-	const updatedUser = await userService.getUserById(req.session.user.id);
-	res.render('admin/perfil', {
-		title: 'Mi Perfil',
-		user: updatedUser,
+	await renderPerfil(req, res, {
 		error: errors.length > 0 ? errors.join('. ') : null,
 		success,
 	});
 }));
 
+router.post('/perfil/notificaciones', requireAdmin, asyncHandler(async (req, res) => {
+	const validation = validate(notificationPreferencesSchema, req.body);
+	if (!validation.success) {
+		return renderPerfil(req, res, { error: Object.values(validation.errors).join('. ') });
+	}
+
+	await notificationService.updatePreferences(req.session.user.id, validation.data);
+	await renderPerfil(req, res, { success: 'Preferencias de notificación actualizadas' });
+}));
+
+router.post('/perfil/api-keys', requireAdmin, asyncHandler(async (req, res) => {
+	const validation = validate(createApiKeySchema, req.body);
+	if (!validation.success) {
+		return renderPerfil(req, res, { error: Object.values(validation.errors).join('. ') });
+	}
+
+	const { token } = await apiKeyService.createKey(req.session.user.id, validation.data.name);
+	await renderPerfil(req, res, {
+		success: 'API key creada. Cópiala ahora: no se volverá a mostrar',
+		newApiKey: token,
+	});
+}));
+
+router.post('/perfil/api-keys/:id/revocar', requireAdmin, asyncHandler(async (req, res) => {
+	await apiKeyService.revokeKey(parseInt(req.params.id), req.session.user.id);
+	await renderPerfil(req, res, { success: 'API key revocada' });
+}));
+
+router.post('/perfil/2fa/iniciar', requireAdmin, asyncHandler(async (req, res) => {
+	try {
+		const { secret } = await twoFactorService.startEnrollment(req.session.user);
+		req.session.pendingTotpSecret = secret;
+		await renderPerfil(req, res);
+	} catch (err) {
+		if (err instanceof ValidationError) {
+			return renderPerfil(req, res, { error: err.message });
+		}
+		throw err;
+	}
+}));
+
+router.post('/perfil/2fa/cancelar', requireAdmin, asyncHandler(async (req, res) => {
+	delete req.session.pendingTotpSecret;
+	res.redirect('/admin/perfil');
+}));
+
+router.post('/perfil/2fa/activar', requireAdmin, asyncHandler(async (req, res) => {
+	const secret = req.session.pendingTotpSecret;
+	if (!secret) {
+		return renderPerfil(req, res, { error: 'Inicia de nuevo la configuración de la verificación en dos pasos' });
+	}
+
+	const validation = validate(twoFactorCodeSchema, req.body);
+	if (!validation.success) {
+		return renderPerfil(req, res, { error: Object.values(validation.errors).join('. ') });
+	}
+
+	try {
+		const recoveryCodes = await twoFactorService.confirmEnrollment(req.session.user.id, secret, validation.data.code);
+		delete req.session.pendingTotpSecret;
+		await renderPerfil(req, res, {
+			success: 'Verificación en dos pasos activada. Guarda los códigos de recuperación: no se volverán a mostrar',
+			recoveryCodes,
+		});
+	} catch (err) {
+		if (err instanceof ValidationError) {
+			return renderPerfil(req, res, { error: err.message });
+		}
+		throw err;
+	}
+}));
+
+router.post('/perfil/2fa/codigos', requireAdmin, asyncHandler(async (req, res) => {
+	const validation = validate(twoFactorCodeSchema, req.body);
+	if (!validation.success) {
+		return renderPerfil(req, res, { error: Object.values(validation.errors).join('. ') });
+	}
+
+	try {
+		const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.session.user.id, validation.data.code);
+		await renderPerfil(req, res, {
+			success: 'Códigos de recuperación nuevos generados; los anteriores ya no sirven',
+			recoveryCodes,
+		});
+	} catch (err) {
+		if (err instanceof ValidationError) {
+			return renderPerfil(req, res, { error: err.message });
+		}
+		throw err;
+	}
+}));
+
+router.post('/perfil/2fa/desactivar', requireAdmin, asyncHandler(async (req, res) => {
+	const validation = validate(twoFactorCodeSchema, req.body);
+	if (!validation.success) {
+		return renderPerfil(req, res, { error: Object.values(validation.errors).join('. ') });
+	}
+
+	try {
+		await twoFactorService.disable(req.session.user.id, validation.data.code);
+		await renderPerfil(req, res, { success: 'Verificación en dos pasos desactivada' });
+	} catch (err) {
+		if (err instanceof ValidationError || err instanceof ForbiddenError) {
+			return renderPerfil(req, res, { error: err.message });
+		}
+		throw err;
+	}
+}));
+
 // ============================================================================
 // DASHBOARD / LISTA DE TICKETS
 // ============================================================================
 
-router.get('/', requireAdmin, asyncHandler(async (req, res) => {
-	const { status, priority, support_type, assigned_to, my_tickets, page = 1 } = req.query;
-	const currentPage = parseInt(page) || 1;
-
-	const filters = { status, priority, support_type };
+/**
+ * Filtros del listado a partir de la query; la exportación usa los mismos
+ */
+function buildListFilters(req) {
+	const { status, priority, support_type, assigned_to, my_tickets } = req.query;
+	const filters = { status, priority, support_type, search: normalizeSearchTerm(req.query.q), include_internal: true };
 	if (my_tickets === 'true') {
 		filters.assigned_to = req.session.user.id;
 	} else if (assigned_to) {
 		filters.assigned_to = assigned_to;
 	}
+	return filters;
+}
+
+router.get('/', requireAdmin, asyncHandler(async (req, res) => {
+	const { status, priority, support_type, assigned_to, my_tickets, page = 1 } = req.query;
+	const currentPage = parseInt(page) || 1;
+	const filters = buildListFilters(req);
+	const q = filters.search;
 
 	const { tickets, pagination } = await ticketService.listTickets(filters, currentPage, 15);
 	const technicians = await ticketService.getAllTechnicians();
@@ -170,19 +552,144 @@ router.get('/', requireAdmin, asyncHandler(async (req, res) => {
 	// Permisos del usuario
 	const userPermissions = await roleService.getUserPermissions(req.session.user.id);
 
+	// Satisfacción de los solicitantes (solo con permiso de estadísticas)
+	const csat = userPermissions.includes('view_statistics') ? await feedbackService.getDashboard() : null;
+
 	res.render('admin/list', {
 		title: 'Panel Admin',
 		tickets,
-		filters: { status, priority, support_type, assigned_to, my_tickets },
+		filters: { status, priority, support_type, assigned_to, my_tickets, q },
 		STATUSES,
+		PRIORITIES,
 		user: req.session.user,
 		userPermissions,
 		stats,
 		myStats,
 		myTotalTickets: myPagination.totalTickets,
+		csat,
 		technicians,
 		pagination,
+		highlightSnippet,
+		EXPORT_COLUMNS,
+		DEFAULT_EXPORT_COLUMNS,
+		error: req.query.error || null,
+		success: req.query.success || null,
+	});
+}));
+
+// Exportación del listado filtrado (CSV o Excel), escrita en streaming
+router.get('/tickets/exportar', requireAnyPermission('export_tickets', 'view_statistics'), asyncHandler(async (req, res) => {
+	const validation = validate(exportTicketsSchema, req.query);
+	if (!validation.success) {
+		return res.redirect(`/admin?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	const { format, columns } = validation.data;
+	res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+	res.setHeader('Content-Disposition', `attachment; filename="${buildExportFilename(format)}"`);
+
+	try {
+		await exportService.exportTickets(buildListFilters(req), { format, columns }, res);
+	} catch (err) {
+		if (!res.headersSent) {
+			throw err;
+		}
+		// La descarga ya empezó: solo queda cortarla para que no quede un archivo incompleto como válido
+		console.error('Error exportando tickets:', err.message);
+		res.destroy(err);
+	}
+}));
+
+// Contadores del panel (JSON), para actualizarlos con los eventos en tiempo real
+router.get('/estadisticas', requireAdmin, asyncHandler(async (req, res) => {
+	const { priority, support_type } = req.query;
+	const stats = await ticketService.getStats({ priority, support_type });
+	const myStats = await ticketService.getStats({ assigned_to: req.session.user.id, priority, support_type });
+	res.json({ stats, myStats });
+}));
+
+// Búsqueda de texto completo en tickets y comentarios (JSON)
+router.get('/buscar', requireAdmin, asyncHandler(async (req, res) => {
+	const q = normalizeSearchTerm(req.query.q);
+	if (!q) {
+		return res.json({ results: [] });
+	}
+
+	const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+	const { tickets } = await ticketService.listTickets({ search: q, include_internal: true }, 1, limit);
+
+	res.json({
+		results: tickets.map(t => ({
+			reference: t.reference,
+			subject: t.subject,
+			status: t.status,
+			priority: t.priority,
+			requester_name: t.requester_name,
+			url: `/admin/tickets/${t.reference}`,
+			rank: Number(t.search_rank),
+			snippet: highlightSnippet(t.search_snippet),
+			comment_snippet: highlightSnippet(t.comment_snippet),
+		})),
+	});
+}));
+
+// ============================================================================
+// CREACIÓN Y EDICIÓN DE TICKETS
+// ============================================================================
+
+function renderTicketForm(req, res, { ticket = null, data = {}, errors = {} } = {}) {
+	res.render('admin/ticket-form', {
+		title: ticket ? `Editar ${ticket.reference}` : 'Nuevo Ticket',
+		ticket,
+		data,
+		errors,
+		SUPPORT_TYPES,
+		PRIORITIES,
+		channels: ticket ? CHANNELS : STAFF_CHANNELS,
+		CHANNEL_LABELS,
+		user: req.session.user,
 	});
+}
+
+// Ticket abierto por el personal en nombre del solicitante (teléfono, presencial...)
+router.get('/tickets/nuevo', requirePermission('create_tickets'), (req, res) => {
+	renderTicketForm(req, res, { data: { channel: 'phone' } });
+});
+
+router.post('/tickets/nuevo', requirePermission('create_tickets'), asyncHandler(async (req, res) => {
+	const validation = validate(staffCreateTicketSchema, req.body);
+	if (!validation.success) {
+		res.status(400);
+		return renderTicketForm(req, res, { data: req.body, errors: validation.errors });
+	}
+
+	const { email, ...data } = validation.data;
+	const ticket = await ticketService.createTicket(data, email || null, req.session.user);
+	res.redirect(`/admin/tickets/${ticket.reference}`);
+}));
+
+router.get('/tickets/:reference/editar', requirePermission('edit_tickets'), asyncHandler(async (req, res) => {
+	const ticket = await ticketService.getTicketByReference(req.params.reference);
+	renderTicketForm(req, res, { ticket, data: ticket });
+}));
+
+router.post('/tickets/:reference/editar', requirePermission('edit_tickets'), asyncHandler(async (req, res) => {
+	const ticket = await ticketService.getTicketByReference(req.params.reference);
+
+	const validation = validate(staffUpdateTicketSchema, req.body);
+	if (!validation.success) {
+		res.status(400);
+		return renderTicketForm(req, res, { ticket, data: req.body, errors: validation.errors });
+	}
+
+	// Igual que al crear: sin AnyDesk no se guarda código y el vacío se guarda como null
+	const updates = { ...validation.data };
+	if (updates.has_anydesk !== undefined) {
+		updates.anydesk_code = updates.has_anydesk ? updates.anydesk_code || null : null;
+	}
+
+	await ticketService.updateTicket(ticket.id, updates, req.session.user);
+	res.redirect(`/admin/tickets/${ticket.reference}`);
 }));
 
 // ============================================================================
@@ -191,17 +698,36 @@ router.get('/', requireAdmin, asyncHandler(async (req, res) => {
 
 router.get('/tickets/:reference', requireAdmin, asyncHandler(async (req, res) => {
 	const { ticket, comments } = await ticketService.getTicketWithComments(req.params.reference, true);
+	const attachments = await attachmentService.listForTicket(ticket.id, true);
+	const events = await ticketService.getTicketHistory(ticket.id, true);
+	const feedback = await feedbackService.listForTicket(ticket.id);
 	const technicians = await ticketService.getAllTechnicians();
 	const userPermissions = await roleService.getUserPermissions(req.session.user.id);
+	const macros = userPermissions.includes('use_macros') ? await macroService.listForUser(req.session.user) : [];
+	const watchers = await watcherService.listWatchers(ticket.id);
 
 	res.render('admin/detail', {
 		title: `Admin - ${ticket.reference}`,
 		ticket,
 		comments,
+		attachments,
+		attachmentUrl: '/admin/adjuntos/',
+		uploadLimits,
+		formatFileSize,
+		getFileIcon,
+		events: events.map(e => ({ ...e, description: describeEvent(e) })),
+		CHANNEL_LABELS,
+		sla: evaluateSla(ticket, new Date(), config.sla.warningMinutes),
+		feedback,
+		macros,
+		transitions: ticketService.getAvailableTransitions(ticket, userPermissions),
 		STATUSES,
 		technicians,
+		watchers,
+		isWatching: watchers.some(w => w.user_id === req.session.user.id),
 		user: req.session.user,
 		userPermissions,
+		error: req.query.error || null,
 	});
 }));
 
@@ -217,7 +743,21 @@ router.post('/tickets/:reference/estado', requireAdmin, asyncHandler(async (req,
 		return res.status(400).send('Estado inválido');
 	}
 
-	await ticketService.updateTicketStatus(ticket.id, ticket.reference, validation.data.status, ticket.assigned_to);
+	try {
+		await ticketService.updateTicketStatus(
+			ticket.id,
+			ticket.reference,
+			validation.data.status,
+			ticket.assigned_to,
+			req.session.user,
+			{ resolution_note: validation.data.resolution_note }
+		);
+	} catch (err) {
+		if (err instanceof ValidationError || err instanceof ForbiddenError) {
+			return res.redirect(`/admin/tickets/${ticket.reference}?error=${encodeURIComponent(err.message)}`);
+		}
+		throw err;
+	}
 	res.redirect(`/admin/tickets/${ticket.reference}`);
 }));
 
@@ -228,7 +768,7 @@ router.post('/tickets/:reference/asignar',
 		const { technician_id } = req.body;
 		const technicianIdValue = technician_id && technician_id !== '' ? parseInt(technician_id) : null;
 
-		await ticketService.assignTicket(ticket.id, ticket.reference, technicianIdValue);
+		await ticketService.assignTicket(ticket.id, ticket.reference, technicianIdValue, req.session.user);
 		res.redirect(`/admin/tickets/${ticket.reference}`);
 	})
 );
@@ -236,84 +776,324 @@ router.post('/tickets/:reference/asignar',
 router.post('/tickets/:reference/comments',
 	requireAdmin,
 	commentLimiter,
+	upload.array('attachments', config.uploads.maxFiles),
+	handleUploadError,
 	asyncHandler(async (req, res) => {
 		const ticket = await ticketService.getTicketByReference(req.params.reference);
 
 		const validation = validate(createCommentSchema, req.body);
 		if (!validation.success) {
+			await attachmentService.discardUploads(req.files);
 			return res.status(400).send('Datos inválidos');
 		}
 
 		const { content, is_internal } = validation.data;
 
-		await ticketService.addComment(
-			ticket.id,
-			ticket.reference,
-			{
-				user_id: req.session.user.id,
-				author_name: req.session.user.username,
-				content,
-				is_internal,
-			},
-			ticket.assigned_to,
-			req.session.user.id
-		);
-
-		// Notificar por email si no es interno
-		if (!is_internal) {
-			const container = getRepositoryContainer(getPool());
-			const prevComments = await container.comments.findByTicketId(ticket.id, false);
-			const emails = [...new Set(prevComments.map(c => c.author_email).filter(Boolean))];
-			if (emails.length > 0) {
-				await emailService.sendCommentNotificationEmail(ticket, { content }, emails);
-			}
+		let comment;
+		try {
+			comment = await ticketService.addComment(
+				ticket.id,
+				ticket.reference,
+				{
+					user_id: req.session.user.id,
+					author_name: req.session.user.username,
+					content,
+					is_internal,
+				}
+			);
+		} catch (err) {
+			// multer ya escribió los ficheros en disco
+			await attachmentService.discardUploads(req.files);
+			throw err;
 		}
+		await attachmentService.saveUploads(req.files, {
+			ticket_id: ticket.id,
+			comment_id: comment.id,
+			uploaded_by: req.session.user.id,
+			uploaded_by_name: req.session.user.username,
+		});
 
 		res.redirect(`/admin/tickets/${ticket.reference}`);
 	})
 );
 
-// ============================================================================
-// GENERACIÓN DE REPORTES PDF
-// ============================================================================
-
-router.get('/tickets/:reference/reporte',
-	requireAdmin,
+router.post('/tickets/:reference/macro',
+	requirePermission('use_macros'),
+	commentLimiter,
 	asyncHandler(async (req, res) => {
-		const { ticket, comments } = await ticketService.getTicketWithComments(req.params.reference, true);
+		const ticket = await ticketService.getTicketByReference(req.params.reference);
+		const userPermissions = await roleService.getUserPermissions(req.session.user.id);
 
-		// Solo permitir generar reporte si el ticket está Resuelto o Cerrado
-		if (!['Resuelto', 'Cerrado'].includes(ticket.status)) {
-			return res.status(400).send('Solo se pueden generar reportes de tickets resueltos o cerrados');
+		try {
+			await macroService.applyMacro(parseInt(req.body.macro_id), ticket, req.session.user, userPermissions);
+		} catch (err) {
+			if (err instanceof ValidationError || err instanceof ForbiddenError || err instanceof NotFoundError) {
+				return res.redirect(`/admin/tickets/${ticket.reference}?error=${encodeURIComponent(err.message)}`);
+			}
+			throw err;
 		}
-
-		// Generar PDF
-		const doc = reportService.generateTicketReport(ticket, comments);
-
-		// Configurar headers para descarga
-		const filename = `reporte-${ticket.reference}.pdf`;
-		res.setHeader('Content-Type', 'application/pdf');
-		res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-
-		// Pipe el documento al response
-		doc.pipe(res);
-		doc.end();
+		res.redirect(`/admin/tickets/${ticket.reference}`);
 	})
 );
 
+router.post('/tickets/:reference/eliminar', requirePermission('delete_tickets'), asyncHandler(async (req, res) => {
+	const ticket = await ticketService.getTicketByReference(req.params.reference);
+	await ticketService.deleteTicket(ticket.id, req.session.user);
+	res.redirect(`/admin?success=${encodeURIComponent(`Ticket ${ticket.reference} enviado a la papelera`)}`);
+}));
 
-// ============================================================================
-// GESTIÓN DE USUARIOS
-// ============================================================================
+// Acciones masivas desde el listado; cada acción valida su propio permiso
+router.post('/tickets/masivo', requireAdmin, asyncHandler(async (req, res) => {
+	const validation = validate(bulkTicketActionSchema, req.body);
+	if (!validation.success) {
+		return res.redirect(`/admin?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
 
-async function renderUsuarios(res, req, error = null, success = null) {
-	const users = await userService.listUsers();
-	const roles = await roleService.getAllRolesWithUserCount();
-	res.render('admin/usuarios', {
-		title: 'Gestión de Usuarios',
-		users,
+	const { ticket_ids, action, ...values } = validation.data;
+	const userPermissions = await roleService.getUserPermissions(req.session.user.id);
+
+	let result;
+	try {
+		result = await ticketService.bulkUpdate(ticket_ids, action, values, req.session.user, userPermissions);
+	} catch (err) {
+		if (err instanceof ValidationError || err instanceof ForbiddenError) {
+			return res.redirect(`/admin?error=${encodeURIComponent(err.message)}`);
+		}
+		throw err;
+	}
+
+	const messages = [];
+	if (result.updated.length > 0) {
+		messages.push(`success=${encodeURIComponent(`Acción aplicada a ${result.updated.length} ticket(s)`)}`);
+	}
+	if (result.failed.length > 0) {
+		messages.push(`error=${encodeURIComponent(result.failed.map(f => `${f.reference}: ${f.error}`).join('. '))}`);
+	}
+	res.redirect(`/admin?${messages.join('&')}`);
+}));
+
+// ============================================================================
+// OBSERVADORES DE TICKET
+// ============================================================================
+
+router.post('/tickets/:reference/seguir', requireAdmin, asyncHandler(async (req, res) => {
+	const ticket = await ticketService.getTicketByReference(req.params.reference);
+	await watcherService.watch(ticket.id, req.session.user.id);
+	res.redirect(`/admin/tickets/${ticket.reference}`);
+}));
+
+router.post('/tickets/:reference/dejar-de-seguir', requireAdmin, asyncHandler(async (req, res) => {
+	const ticket = await ticketService.getTicketByReference(req.params.reference);
+	await watcherService.unwatch(ticket.id, req.session.user.id);
+	res.redirect(`/admin/tickets/${ticket.reference}`);
+}));
+
+router.post('/tickets/:reference/observadores', requirePermission('add_comments'), asyncHandler(async (req, res) => {
+	const ticket = await ticketService.getTicketByReference(req.params.reference);
+
+	const validation = validate(addWatcherSchema, req.body);
+	if (!validation.success) {
+		return res.redirect(`/admin/tickets/${ticket.reference}?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await watcherService.addWatcher(ticket.id, validation.data, req.session.user);
+	} catch (err) {
+		if (err instanceof ValidationError || err instanceof NotFoundError) {
+			return res.redirect(`/admin/tickets/${ticket.reference}?error=${encodeURIComponent(err.message)}`);
+		}
+		throw err;
+	}
+	res.redirect(`/admin/tickets/${ticket.reference}`);
+}));
+
+router.post('/tickets/:reference/observadores/:id/eliminar', requirePermission('add_comments'), asyncHandler(async (req, res) => {
+	const ticket = await ticketService.getTicketByReference(req.params.reference);
+	await watcherService.removeWatcher(ticket.id, parseInt(req.params.id));
+	res.redirect(`/admin/tickets/${ticket.reference}`);
+}));
+
+// ============================================================================
+// PAPELERA
+// ============================================================================
+
+router.get('/papelera', requirePermission('delete_tickets'), asyncHandler(async (req, res) => {
+	const currentPage = parseInt(req.query.page) || 1;
+	const { tickets, pagination } = await ticketService.listDeletedTickets(currentPage, 20);
+
+	res.render('admin/trash', {
+		title: 'Papelera',
+		tickets,
+		pagination,
+		retentionDays: config.trash.retentionDays,
+		user: req.session.user,
+		error: req.query.error || null,
+		success: req.query.success || null,
+	});
+}));
+
+router.post('/papelera/:id/restaurar', requirePermission('delete_tickets'), asyncHandler(async (req, res) => {
+	try {
+		const ticket = await ticketService.restoreTicket(parseInt(req.params.id), req.session.user);
+		res.redirect(`/admin/papelera?success=${encodeURIComponent(`Ticket ${ticket.reference} restaurado`)}`);
+	} catch (err) {
+		res.redirect(`/admin/papelera?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+// ============================================================================
+// DESCARGA DE ADJUNTOS
+// ============================================================================
+
+router.get('/adjuntos/:id', requireAdmin, asyncHandler(async (req, res) => {
+	const download = await attachmentService.getForDownload(parseInt(req.params.id, 10), { includeInternal: true });
+	sendAttachment(res, download);
+}));
+
+// ============================================================================
+// GENERACIÓN DE REPORTES PDF
+// ============================================================================
+
+router.get('/tickets/:reference/reporte',
+	requireAdmin,
+	asyncHandler(async (req, res) => {
+		const { ticket, comments } = await ticketService.getTicketWithComments(req.params.reference, true);
+
+		// Solo permitir generar reporte si el ticket está Resuelto o Cerrado
+		if (!['Resuelto', 'Cerrado'].includes(ticket.status)) {
+			return res.status(400).send('Solo se pueden generar reportes de tickets resueltos o cerrados');
+		}
+
+		// Historial y adjuntos sin lo que pertenece a comentarios internos
+		const events = await ticketService.getTicketHistory(ticket.id, false);
+		const { all: attachments } = await attachmentService.listForTicket(ticket.id, false);
+
+		// Generar PDF
+		const doc = reportService.generateTicketReport(ticket, comments, events, attachments);
+
+		// Configurar headers para descarga
+		const filename = `reporte-${ticket.reference}.pdf`;
+		res.setHeader('Content-Type', 'application/pdf');
+		res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+		// Pipe el documento al response
+		doc.pipe(res);
+		doc.end();
+	})
+);
+
+// ============================================================================
+// REPORTES Y MÉTRICAS
+// ============================================================================
+
+router.get('/reportes', requirePermission('view_statistics'), asyncHandler(async (req, res) => {
+	// Con filtros inválidos se muestra el rango por defecto junto al error
+	const validation = validate(analyticsFilterSchema, req.query);
+	const analytics = await analyticsService.getDashboard(validation.success ? validation.data : {});
+
+	res.render('admin/analytics', {
+		title: 'Reportes',
+		analytics,
+		formatDuration: analyticsService.formatDuration,
+		user: req.session.user,
+		error: validation.success ? null : Object.values(validation.errors).join('. '),
+	});
+}));
+
+// ============================================================================
+// REPORTES PROGRAMADOS
+// ============================================================================
+
+router.get('/reportes-programados', requirePermission('manage_reports'), asyncHandler(async (req, res) => {
+	const subscriptions = await scheduledReportService.listSubscriptions();
+
+	res.render('admin/scheduled-reports', {
+		title: 'Reportes programados',
+		subscriptions,
+		FREQUENCY_LABELS: scheduledReportService.FREQUENCY_LABELS,
+		resolvePeriod: scheduledReportService.resolvePeriod,
+		smtpConfigured: !!emailService.getTransporter(),
+		sendHour: config.reports.sendHour,
+		user: req.session.user,
+		error: req.query.error || null,
+		success: req.query.success || null,
+	});
+}));
+
+router.post('/reportes-programados/crear', requirePermission('manage_reports'), asyncHandler(async (req, res) => {
+	const validation = validate(reportSubscriptionSchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/reportes-programados?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	await scheduledReportService.createSubscription(validation.data, req.session.user);
+	res.redirect('/admin/reportes-programados?success=Reporte programado creado exitosamente');
+}));
+
+router.post('/reportes-programados/:id/actualizar', requirePermission('manage_reports'), asyncHandler(async (req, res) => {
+	const subscriptionId = parseInt(req.params.id);
+	const validation = validate(reportSubscriptionSchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/reportes-programados?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await scheduledReportService.updateSubscription(subscriptionId, validation.data);
+		res.redirect('/admin/reportes-programados?success=Reporte programado actualizado exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/reportes-programados?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/reportes-programados/:id/eliminar', requirePermission('manage_reports'), asyncHandler(async (req, res) => {
+	const subscriptionId = parseInt(req.params.id);
+
+	try {
+		await scheduledReportService.deleteSubscription(subscriptionId);
+		res.redirect('/admin/reportes-programados?success=Reporte programado eliminado exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/reportes-programados?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/reportes-programados/:id/enviar', requirePermission('manage_reports'), asyncHandler(async (req, res) => {
+	const subscriptionId = parseInt(req.params.id);
+
+	try {
+		if (await scheduledReportService.sendNow(subscriptionId)) {
+			res.redirect('/admin/reportes-programados?success=Reporte enviado exitosamente');
+		} else {
+			res.redirect(`/admin/reportes-programados?error=${encodeURIComponent('No se pudo enviar el reporte; revisa el último error')}`);
+		}
+	} catch (err) {
+		res.redirect(`/admin/reportes-programados?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+// Vista previa del PDF del último periodo cerrado, sin enviarlo
+router.get('/reportes-programados/:id/vista-previa', requirePermission('manage_reports'), asyncHandler(async (req, res) => {
+	const { period, pdf } = await scheduledReportService.preview(parseInt(req.params.id));
+
+	res.setHeader('Content-Type', 'application/pdf');
+	res.setHeader('Content-Disposition', `inline; filename="reporte-${period.from}-${period.to}.pdf"`);
+	res.send(pdf);
+}));
+
+// ============================================================================
+// GESTIÓN DE USUARIOS
+// ============================================================================
+
+async function renderUsuarios(res, req, error = null, success = null) {
+	const users = await userService.listUsers();
+	const roles = await roleService.getAllRolesWithUserCount();
+	res.render('admin/usuarios', {
+		title: 'Gestión de Usuarios',
+		users,
 		roles,
 		user: req.session.user,
+		passwordRules: describePasswordPolicy(config.passwordPolicy),
 		error,
 		success,
 	});
@@ -354,6 +1134,25 @@ router.post('/usuarios/:id/cambiar-rol', requireSuperAdmin, asyncHandler(async (
 	}
 }));
 
+router.post('/usuarios/:id/2fa/restablecer', requireSuperAdmin, asyncHandler(async (req, res) => {
+	const userId = parseInt(req.params.id);
+
+	try {
+		const { username } = await twoFactorService.resetForUser(userId, req.session.user.id);
+		await renderUsuarios(res, req, null, `Verificación en dos pasos de ${username} restablecida`);
+	} catch (err) {
+		await renderUsuarios(res, req, err.message);
+	}
+}));
+
+router.post('/usuarios/:id/desbloquear', requireSuperAdmin, asyncHandler(async (req, res) => {
+	const user = await authService.unlockUser(parseInt(req.params.id));
+	if (!user) {
+		throw new NotFoundError('Usuario');
+	}
+	await renderUsuarios(res, req, null, `Cuenta de ${user.username} desbloqueada`);
+}));
+
 router.post('/usuarios/:id/eliminar', requireSuperAdmin, asyncHandler(async (req, res) => {
 	const userId = parseInt(req.params.id);
 
@@ -365,6 +1164,75 @@ router.post('/usuarios/:id/eliminar', requireSuperAdmin, asyncHandler(async (req
 	}
 }));
 
+// ============================================================================
+// AUDITORÍA DE ACCESOS
+// ============================================================================
+
+router.get('/auditoria-accesos', requireSuperAdmin, asyncHandler(async (req, res) => {
+	// Con filtros inválidos se muestra el listado completo junto al error
+	const validation = validate(loginAuditFilterSchema, req.query);
+	const filters = validation.success ? validation.data : {};
+	const currentPage = parseInt(req.query.page) || 1;
+
+	const { entries, pagination } = await authService.listAudit({
+		username: filters.username,
+		success: filters.result ? filters.result === 'success' : undefined,
+	}, currentPage);
+
+	res.render('admin/login-audit', {
+		title: 'Auditoría de accesos',
+		entries,
+		pagination,
+		filters,
+		reasonLabels: authService.AUDIT_REASON_LABELS,
+		user: req.session.user,
+		error: validation.success ? null : Object.values(validation.errors).join('. '),
+	});
+}));
+
+// ============================================================================
+// IMPORTACIÓN DE DATOS
+// ============================================================================
+
+function renderImport(res, req, { values = {}, result = null, error = null } = {}) {
+	res.render('admin/import', {
+		title: 'Importar datos',
+		user: req.session.user,
+		importTypes: IMPORT_TYPES,
+		values: { type: 'tickets', dry_run: true, mapping: '', ...values },
+		result,
+		error,
+	});
+}
+
+router.get('/importar', requireSuperAdmin, (req, res) => {
+	renderImport(res, req);
+});
+
+router.post('/importar', requireSuperAdmin, importUpload.single('file'), handleImportUploadError, asyncHandler(async (req, res) => {
+	const validation = validate(importCsvSchema, req.body);
+	const values = { type: req.body.type, mapping: req.body.mapping || '', dry_run: req.body.dry_run === 'on' };
+
+	if (!validation.success) {
+		return renderImport(res, req, { values, error: Object.values(validation.errors).join('. ') });
+	}
+	if (!req.file) {
+		return renderImport(res, req, { values, error: 'Seleccione un archivo CSV' });
+	}
+
+	try {
+		const { type, dry_run: dryRun, mapping } = validation.data;
+		const result = await importService.importCsv(type, req.file.buffer, { dryRun, mapping });
+		renderImport(res, req, { values, result });
+	} catch (err) {
+		if (err instanceof ValidationError) {
+			renderImport(res, req, { values, error: err.message });
+		} else {
+			throw err;
+		}
+	}
+}));
+
 // ============================================================================
 // NOTIFICACIONES
 // ============================================================================
@@ -389,6 +1257,75 @@ router.post('/notifications/read-all', requireAdmin, asyncHandler(async (req, re
 	res.json({ success: true });
 }));
 
+// Centro de notificaciones: historial completo con filtros y acciones masivas
+router.get('/notificaciones', requireAdmin, asyncHandler(async (req, res) => {
+	// Con filtros inválidos se muestra el historial completo junto al error
+	const validation = validate(notificationFilterSchema, req.query);
+	const filters = validation.success ? validation.data : {};
+	const currentPage = parseInt(req.query.page) || 1;
+
+	const { notifications, pagination } = await notificationService.listNotifications(req.session.user.id, {
+		type: filters.type,
+		is_read: filters.state ? filters.state === 'read' : undefined,
+	}, currentPage);
+
+	res.render('admin/notifications', {
+		title: 'Notificaciones',
+		notifications,
+		pagination,
+		filters,
+		EVENT_TYPE_LABELS: notificationService.EVENT_TYPE_LABELS,
+		user: req.session.user,
+		error: validation.success ? (req.query.error || null) : Object.values(validation.errors).join('. '),
+		success: req.query.success || null,
+	});
+}));
+
+router.post('/notificaciones/masivo', requireAdmin, asyncHandler(async (req, res) => {
+	const validation = validate(notificationBulkActionSchema, req.body);
+	if (!validation.success) {
+		return res.redirect(`/admin/notificaciones?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	const { notification_ids, action } = validation.data;
+	const message = action === 'read'
+		? `${await notificationService.markAsRead(req.session.user.id, notification_ids)} notificación(es) marcada(s) como leída(s)`
+		: `${await notificationService.deleteNotifications(req.session.user.id, notification_ids)} notificación(es) eliminada(s)`;
+	res.redirect(`/admin/notificaciones?success=${encodeURIComponent(message)}`);
+}));
+
+// Eventos en tiempo real (Server-Sent Events): notificaciones propias, cambios de tickets y comentarios
+router.get('/eventos', requireAdmin, asyncHandler(async (req, res) => {
+	res.set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache',
+		'Connection': 'keep-alive',
+		'X-Accel-Buffering': 'no',
+	});
+	res.flushHeaders();
+	// Reintento del navegador si se corta la conexión
+	res.write(`retry: ${config.realtime.reconnectDelay}\n\n`);
+
+	const heartbeat = setInterval(() => res.write(': ping\n\n'), config.realtime.heartbeatInterval);
+	let unsubscribe = null;
+	let closed = false;
+	res.on('close', () => {
+		closed = true;
+		clearInterval(heartbeat);
+		unsubscribe?.();
+	});
+
+	const cancel = await realtimeService.subscribe(req.session.user, (kind, payload) => {
+		res.write(`event: ${kind}\ndata: ${JSON.stringify(payload)}\n\n`);
+	});
+	// El navegador pudo cerrar la conexión mientras se abría la suscripción
+	if (closed) {
+		cancel();
+	} else {
+		unsubscribe = cancel;
+	}
+}));
+
 // ============================================================================
 // GESTIÓN DE ROLES Y PERMISOS
 // ============================================================================
@@ -476,4 +1413,289 @@ router.post('/roles/:id/eliminar', requirePermission('manage_roles'), asyncHandl
 	}
 }));
 
+// ============================================================================
+// POLÍTICAS DE SLA
+// ============================================================================
+
+router.get('/sla', requirePermission('manage_sla'), asyncHandler(async (req, res) => {
+	const policies = await slaService.getAllPolicies();
+
+	res.render('admin/sla', {
+		title: 'Políticas de SLA',
+		policies,
+		PRIORITIES,
+		SUPPORT_TYPES,
+		businessHours: config.sla.businessHours,
+		user: req.session.user,
+		error: req.query.error || null,
+		success: req.query.success || null,
+	});
+}));
+
+router.post('/sla/crear', requirePermission('manage_sla'), asyncHandler(async (req, res) => {
+	const validation = validate(createSlaPolicySchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/sla?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await slaService.createPolicy(validation.data);
+		res.redirect('/admin/sla?success=Política creada exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/sla?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/sla/:id/actualizar', requirePermission('manage_sla'), asyncHandler(async (req, res) => {
+	const policyId = parseInt(req.params.id);
+	const validation = validate(updateSlaPolicySchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/sla?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await slaService.updatePolicy(policyId, validation.data);
+		res.redirect('/admin/sla?success=Política actualizada exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/sla?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/sla/:id/eliminar', requirePermission('manage_sla'), asyncHandler(async (req, res) => {
+	const policyId = parseInt(req.params.id);
+
+	try {
+		await slaService.deletePolicy(policyId);
+		res.redirect('/admin/sla?success=Política eliminada exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/sla?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+// ============================================================================
+// ASIGNACIÓN AUTOMÁTICA
+// ============================================================================
+
+router.get('/asignacion', requirePermission('manage_assignment'), asyncHandler(async (req, res) => {
+	const [rules, technicians] = await Promise.all([
+		assignmentService.getAllRules(),
+		assignmentService.getTechnicians(),
+	]);
+
+	res.render('admin/assignment', {
+		title: 'Asignación automática',
+		rules,
+		technicians,
+		STRATEGY_LABELS: assignmentService.STRATEGY_LABELS,
+		PRIORITIES,
+		SUPPORT_TYPES,
+		user: req.session.user,
+		error: req.query.error || null,
+		success: req.query.success || null,
+	});
+}));
+
+router.post('/asignacion/crear', requirePermission('manage_assignment'), asyncHandler(async (req, res) => {
+	const validation = validate(assignmentRuleSchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/asignacion?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await assignmentService.createRule(validation.data);
+		res.redirect('/admin/asignacion?success=Regla creada exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/asignacion?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/asignacion/:id/actualizar', requirePermission('manage_assignment'), asyncHandler(async (req, res) => {
+	const ruleId = parseInt(req.params.id);
+	const validation = validate(assignmentRuleSchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/asignacion?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await assignmentService.updateRule(ruleId, validation.data);
+		res.redirect('/admin/asignacion?success=Regla actualizada exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/asignacion?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/asignacion/:id/eliminar', requirePermission('manage_assignment'), asyncHandler(async (req, res) => {
+	const ruleId = parseInt(req.params.id);
+
+	try {
+		await assignmentService.deleteRule(ruleId);
+		res.redirect('/admin/asignacion?success=Regla eliminada exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/asignacion?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/asignacion/tecnicos/:id/habilidades', requirePermission('manage_assignment'), asyncHandler(async (req, res) => {
+	const userId = parseInt(req.params.id);
+	const validation = validate(technicianSkillsSchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/asignacion?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await assignmentService.updateTechnicianSkills(userId, validation.data.skills);
+		res.redirect('/admin/asignacion?success=Habilidades actualizadas exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/asignacion?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+// ============================================================================
+// MACROS
+// ============================================================================
+
+router.get('/macros', requirePermission('use_macros'), asyncHandler(async (req, res) => {
+	const [macros, technicians] = await Promise.all([
+		macroService.listForUser(req.session.user),
+		ticketService.getAllTechnicians(),
+	]);
+
+	res.render('admin/macros', {
+		title: 'Macros',
+		macros,
+		technicians,
+		STATUSES,
+		PLACEHOLDERS,
+		user: req.session.user,
+		error: req.query.error || null,
+		success: req.query.success || null,
+	});
+}));
+
+router.post('/macros/crear', requirePermission('use_macros'), asyncHandler(async (req, res) => {
+	const validation = validate(macroSchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/macros?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await macroService.createMacro(validation.data, req.session.user);
+		res.redirect('/admin/macros?success=Macro creada exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/macros?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/macros/:id/actualizar', requirePermission('use_macros'), asyncHandler(async (req, res) => {
+	const macroId = parseInt(req.params.id);
+	const validation = validate(macroSchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/macros?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await macroService.updateMacro(macroId, validation.data, req.session.user);
+		res.redirect('/admin/macros?success=Macro actualizada exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/macros?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/macros/:id/eliminar', requirePermission('use_macros'), asyncHandler(async (req, res) => {
+	const macroId = parseInt(req.params.id);
+
+	try {
+		await macroService.deleteMacro(macroId, req.session.user);
+		res.redirect('/admin/macros?success=Macro eliminada exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/macros?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+router.get('/webhooks', requirePermission('manage_webhooks'), asyncHandler(async (req, res) => {
+	const filters = {
+		webhook_id: parseInt(req.query.webhook_id) || null,
+		status: req.query.status || null,
+	};
+	const [webhooks, deliveries] = await Promise.all([
+		webhookService.listWebhooks(),
+		webhookService.listDeliveries(filters),
+	]);
+
+	res.render('admin/webhooks', {
+		title: 'Webhooks',
+		webhooks,
+		deliveries,
+		filters,
+		EVENTS: WebhookRepository.EVENTS,
+		user: req.session.user,
+		error: req.query.error || null,
+		success: req.query.success || null,
+	});
+}));
+
+router.post('/webhooks/crear', requirePermission('manage_webhooks'), asyncHandler(async (req, res) => {
+	const validation = validate(webhookSchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/webhooks?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	await webhookService.createWebhook(validation.data, req.session.user);
+	res.redirect('/admin/webhooks?success=Webhook creado exitosamente');
+}));
+
+router.post('/webhooks/:id/actualizar', requirePermission('manage_webhooks'), asyncHandler(async (req, res) => {
+	const webhookId = parseInt(req.params.id);
+	const validation = validate(webhookSchema, req.body);
+
+	if (!validation.success) {
+		return res.redirect(`/admin/webhooks?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await webhookService.updateWebhook(webhookId, validation.data);
+		res.redirect('/admin/webhooks?success=Webhook actualizado exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/webhooks?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/webhooks/:id/eliminar', requirePermission('manage_webhooks'), asyncHandler(async (req, res) => {
+	const webhookId = parseInt(req.params.id);
+
+	try {
+		await webhookService.deleteWebhook(webhookId);
+		res.redirect('/admin/webhooks?success=Webhook eliminado exitosamente');
+	} catch (err) {
+		res.redirect(`/admin/webhooks?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
+router.post('/webhooks/entregas/:id/reenviar', requirePermission('manage_webhooks'), asyncHandler(async (req, res) => {
+	const deliveryId = parseInt(req.params.id);
+
+	try {
+		const delivery = await webhookService.redeliver(deliveryId);
+		if (delivery.status === 'success') {
+			res.redirect('/admin/webhooks?success=Entrega reenviada exitosamente');
+		} else {
+			res.redirect(`/admin/webhooks?error=${encodeURIComponent(`El reenvío falló: ${delivery.error}`)}`);
+		}
+	} catch (err) {
+		res.redirect(`/admin/webhooks?error=${encodeURIComponent(err.message)}`);
+	}
+}));
+
 module.exports = router;
@@ -0,0 +1,200 @@
+/**
+ * API REST v1 (JSON)
+ * Autenticada con API keys personales; cada endpoint exige el mismo permiso
+ * que su equivalente en el panel de administración.
+ */
+const express = require('express');
+const ticketService = require('../services/ticketService');
+const userService = require('../services/userService');
+
+// Middlewares
+const { requireApiKey, requireApiPermission } = require('../middleware/apiAuth');
+const { asyncHandler, ValidationError, NotFoundError, ForbiddenError } = require('../middleware/errorHandler');
+
+// Validadores
+const {
+	validate,
+	createTicketSchema,
+	updateTicketSchema,
+	updateStatusSchema,
+	assignTicketSchema,
+	createCommentSchema,
+} = require('../validators');
+
+const router = express.Router();
+
+const MAX_PER_PAGE = 100;
+
+router.use(requireApiKey);
+
+/**
+ * Valida datos con un schema o lanza ValidationError con el detalle por campo
+ * @private
+ */
+function parseBody(schema, data) {
+	const validation = validate(schema, data || {});
+	if (!validation.success) {
+		throw new ValidationError('Datos inválidos', validation.errors);
+	}
+	return validation.data;
+}
+
+/**
+ * Elimina del ticket los datos que no deben salir por la API
+ * @private
+ */
+function serializeTicket(ticket) {
+	const { edit_token, ...data } = ticket;
+	return data;
+}
+
+/**
+ * Obtiene el ticket de la URL comprobando que el usuario pueda verlo
+ * @private
+ */
+async function loadTicket(req) {
+	const ticket = await ticketService.getTicketByReference(req.params.reference);
+	if (!req.apiPermissions.includes('view_all_tickets') && ticket.assigned_to !== req.apiUser.id) {
+		throw new ForbiddenError('No tienes acceso a este ticket');
+	}
+	return ticket;
+}
+
+// ============================================================================
+// TICKETS
+// ============================================================================
+
+router.get('/tickets', requireApiPermission('view_tickets'), asyncHandler(async (req, res) => {
+	const { status, priority, support_type, assigned_to } = req.query;
+	const page = Math.max(parseInt(req.query.page) || 1, 1);
+	const perPage = Math.min(Math.max(parseInt(req.query.per_page) || 15, 1), MAX_PER_PAGE);
+
+	const filters = { status, priority, support_type, assigned_to };
+	if (!req.apiPermissions.includes('view_all_tickets')) {
+		filters.assigned_to = req.apiUser.id;
+	}
+
+	const { tickets, pagination } = await ticketService.listTickets(filters, page, perPage);
+	res.json({ success: true, data: tickets.map(serializeTicket), pagination });
+}));
+
+router.post('/tickets', requireApiPermission('create_tickets'), asyncHandler(async (req, res) => {
+	const { email, ...data } = parseBody(createTicketSchema, req.body);
+
+	const ticket = await ticketService.createTicket({ ...data, channel: 'api' }, email || null, req.apiUser);
+	res.status(201).json({ success: true, data: serializeTicket(ticket) });
+}));
+
+router.get('/tickets/:reference', requireApiPermission('view_ticket_details'), asyncHandler(async (req, res) => {
+	const ticket = await loadTicket(req);
+	res.json({ success: true, data: serializeTicket(ticket) });
+}));
+
+router.patch('/tickets/:reference', requireApiPermission('edit_tickets'), asyncHandler(async (req, res) => {
+	const ticket = await loadTicket(req);
+	const updates = parseBody(updateTicketSchema, req.body);
+	if (Object.keys(updates).length === 0) {
+		throw new ValidationError('No hay campos para actualizar');
+	}
+
+	const updated = await ticketService.updateTicket(ticket.id, updates, req.apiUser);
+	res.json({ success: true, data: serializeTicket(updated) });
+}));
+
+router.post('/tickets/:reference/status', requireApiPermission('change_ticket_status'), asyncHandler(async (req, res) => {
+	const ticket = await loadTicket(req);
+	const { status, resolution_note } = parseBody(updateStatusSchema, req.body);
+
+	const updated = await ticketService.updateTicketStatus(
+		ticket.id,
+		ticket.reference,
+		status,
+		ticket.assigned_to,
+		req.apiUser,
+		{ resolution_note }
+	);
+	res.json({ success: true, data: serializeTicket(updated) });
+}));
+
+router.post('/tickets/:reference/assign', requireApiPermission('assign_tickets'), asyncHandler(async (req, res) => {
+	const ticket = await loadTicket(req);
+	const { technician_id } = parseBody(assignTicketSchema, req.body);
+
+	if (technician_id) {
+		const technicians = await ticketService.getAllTechnicians();
+		if (!technicians.some(t => t.id === technician_id)) {
+			throw new ValidationError('Datos inválidos', { technician_id: 'Técnico inválido' });
+		}
+	}
+
+	const updated = await ticketService.assignTicket(ticket.id, ticket.reference, technician_id, req.apiUser);
+	res.json({ success: true, data: serializeTicket(updated) });
+}));
+
+// ============================================================================
+// COMENTARIOS
+// ============================================================================
+
+router.get('/tickets/:reference/comments', requireApiPermission('view_ticket_details'), asyncHandler(async (req, res) => {
+	const ticket = await loadTicket(req);
+	const includeInternal = req.apiPermissions.includes('add_internal_comments');
+
+	const { comments } = await ticketService.getTicketWithComments(ticket.reference, includeInternal);
+	res.json({ success: true, data: comments });
+}));
+
+router.post('/tickets/:reference/comments', requireApiPermission('add_comments'), asyncHandler(async (req, res) => {
+	const ticket = await loadTicket(req);
+	const { content, is_internal } = parseBody(createCommentSchema, req.body);
+
+	if (is_internal && !req.apiPermissions.includes('add_internal_comments')) {
+		throw new ForbiddenError('No tienes permisos para agregar comentarios internos');
+	}
+
+	const comment = await ticketService.addComment(
+		ticket.id,
+		ticket.reference,
+		{
+			user_id: req.apiUser.id,
+			author_name: req.apiUser.username,
+			content,
+			is_internal,
+		}
+	);
+
+	res.status(201).json({ success: true, data: comment });
+}));
+
+// ============================================================================
+// USUARIOS
+// ============================================================================
+
+router.get('/users/me', asyncHandler(async (req, res) => {
+	const user = await userService.getUserById(req.apiUser.id);
+	res.json({ success: true, data: { ...user, permissions: req.apiPermissions } });
+}));
+
+router.get('/users', requireApiPermission('manage_users'), asyncHandler(async (req, res) => {
+	const users = await userService.listUsers();
+	res.json({ success: true, data: users });
+}));
+
+router.get('/users/:id', requireApiPermission('manage_users'), asyncHandler(async (req, res) => {
+	const userId = parseInt(req.params.id);
+	if (Number.isNaN(userId)) {
+		throw new NotFoundError('Usuario');
+	}
+
+	const user = await userService.getUserById(userId);
+	res.json({ success: true, data: user });
+}));
+
+// ============================================================================
+// 404
+// ============================================================================
+
+router.use((req, res, next) => {
+	next(new NotFoundError('Recurso'));
+});
+
+module.exports = router;
@@ -2,10 +2,25 @@ const express = require('express');
 const { SUPPORT_TYPES, PRIORITIES } = require('../repositories/TicketRepository');
 const ticketService = require('../services/ticketService');
 const emailService = require('../services/emailService');
-const { upload, handleUploadError } = require('../middleware/upload');
-const { ticketCreationLimiter, commentLimiter } = require('../middleware/security');
-const { asyncHandler, NotFoundError, ForbiddenError } = require('../middleware/errorHandler');
-const { validate, createTicketSchema, updateTicketSchema, createCommentSchema } = require('../validators');
+const attachmentService = require('../services/attachmentService');
+const requesterPortalService = require('../services/requesterPortalService');
+const feedbackService = require('../services/feedbackService');
+const config = require('../config');
+const { upload, handleUploadError, uploadLimits } = require('../middleware/upload');
+const { ticketCreationLimiter, commentLimiter, requesterLinkLimiter } = require('../middleware/security');
+const { requireRequester } = require('../middleware/auth');
+const { asyncHandler, NotFoundError, ForbiddenError, ValidationError } = require('../middleware/errorHandler');
+const {
+	validate,
+	createTicketSchema,
+	updateTicketSchema,
+	createCommentSchema,
+	requesterLoginSchema,
+	reopenTicketSchema,
+	feedbackSchema,
+} = require('../validators');
+const { highlightSnippet, normalizeSearchTerm } = require('../utils/search');
+const { formatFileSize, getFileIcon, sendAttachment } = require('../utils/attachments');
 
 const router = express.Router();
 
@@ -17,6 +32,7 @@ router.get('/', (req, res) => {
 		title: 'Nuevo Ticket',
 		SUPPORT_TYPES,
 		PRIORITIES,
+		uploadLimits,
 		errors: {},
 		data: {},
 	});
@@ -27,47 +43,112 @@ router.get('/', (req, res) => {
 // ============================================================================
 router.post('/tickets',
 	ticketCreationLimiter,
-	upload.single('image'),
+	upload.array('attachments', config.uploads.maxFiles),
 	handleUploadError,
 	asyncHandler(async (req, res) => {
 		const validation = validate(createTicketSchema, req.body);
 
 		if (!validation.success) {
+			await attachmentService.discardUploads(req.files);
 			return res.status(400).render('public/new', {
 				title: 'Nuevo Ticket',
 				SUPPORT_TYPES,
 				PRIORITIES,
+				uploadLimits,
 				errors: validation.errors,
 				data: req.body,
 			});
 		}
 
 		const data = validation.data;
-		data.image_path = req.file ? '/uploads/' + req.file.filename : null;
-
-		const ticket = await ticketService.createTicket(data, data.email);
+		let ticket;
+		try {
+			ticket = await ticketService.createTicket(data, data.email);
+		} catch (err) {
+			// multer ya escribió los ficheros en disco
+			await attachmentService.discardUploads(req.files);
+			throw err;
+		}
+		await attachmentService.saveUploads(req.files, {
+			ticket_id: ticket.id,
+			uploaded_by_name: ticket.requester_name,
+		});
 
 		res.redirect(`/tickets/${ticket.reference}`);
 	})
 );
 
 // ============================================================================
-// Listar tickets
+// Portal del solicitante - Acceso con enlace por email
+// ============================================================================
+function renderAccess(res, options = {}) {
+	res.render('public/access', {
+		title: 'Acceder a mis tickets',
+		linkTtlMinutes: config.requesterPortal.linkTtlMinutes,
+		errors: {},
+		data: {},
+		sent: false,
+		error: null,
+		...options,
+	});
+}
+
+router.get('/acceso', (req, res) => {
+	if (req.session.requester) {
+		return res.redirect('/tickets');
+	}
+	renderAccess(res);
+});
+
+router.post('/acceso', requesterLinkLimiter, asyncHandler(async (req, res) => {
+	const validation = validate(requesterLoginSchema, req.body);
+	if (!validation.success) {
+		res.status(400);
+		return renderAccess(res, { errors: validation.errors, data: req.body });
+	}
+
+	// La respuesta es la misma tenga o no tickets la dirección
+	await requesterPortalService.requestLoginLink(validation.data.email);
+	renderAccess(res, { sent: true, data: validation.data });
+}));
+
+router.get('/acceso/:token', asyncHandler(async (req, res) => {
+	const requester = await requesterPortalService.verifyLoginLink(req.params.token);
+	if (!requester) {
+		res.status(400);
+		return renderAccess(res, { error: 'El enlace no es válido, ya se usó o expiró. Solicita uno nuevo.' });
+	}
+
+	req.session.requester = requester;
+	res.redirect('/tickets');
+}));
+
+router.post('/salir', (req, res) => {
+	delete req.session.requester;
+	res.redirect('/acceso');
+});
+
+// ============================================================================
+// Listar tickets del solicitante
 // ============================================================================
-router.get('/tickets', asyncHandler(async (req, res) => {
+router.get('/tickets', requireRequester, asyncHandler(async (req, res) => {
 	const { status, priority, support_type, page = 1 } = req.query;
 	const currentPage = parseInt(page) || 1;
+	const q = normalizeSearchTerm(req.query.q);
+	const requesterEmail = req.session.requester.email;
 
-	const filters = { status, priority, support_type };
+	const filters = { status, priority, support_type, search: q, requester_email: requesterEmail };
 	const { tickets, pagination } = await ticketService.listTickets(filters, currentPage, 10);
-	const stats = await ticketService.getStats({ priority, support_type });
+	const stats = await ticketService.getStats({ priority, support_type, requester_email: requesterEmail });
 
 	res.render('public/list', {
-		title: 'Listado de Tickets',
+		title: 'Mis Tickets',
 		tickets,
-		filters,
+		filters: { status, priority, support_type, q },
 		stats,
 		pagination,
+		requester: req.session.requester,
+		highlightSnippet,
 	});
 }));
 
@@ -76,14 +157,61 @@ router.get('/tickets', asyncHandler(async (req, res) => {
 // ============================================================================
 router.get('/tickets/:reference', asyncHandler(async (req, res) => {
 	const { ticket, comments } = await ticketService.getTicketWithComments(req.params.reference, false);
+	const attachments = await attachmentService.listForTicket(ticket.id, false);
+	const requester = req.session.requester || null;
+	const isOwner = requesterPortalService.ownsTicket(ticket, requester?.email);
 
 	res.render('public/detail', {
 		title: `Ticket ${ticket.reference}`,
 		ticket,
 		comments,
+		attachments,
+		attachmentUrl: `/tickets/${ticket.reference}/adjuntos/`,
+		uploadLimits,
+		formatFileSize,
+		getFileIcon,
+		requester: isOwner ? requester : null,
+		canReopen: isOwner && requesterPortalService.canReopen(ticket, requester.email),
+		reopenWindowDays: config.requesterPortal.reopenWindowDays,
+		error: req.query.error || null,
+		success: req.query.success || null,
 	});
 }));
 
+// ============================================================================
+// Reabrir ticket (solicitante autenticado, dentro del plazo)
+// ============================================================================
+router.post('/tickets/:reference/reabrir', requireRequester, asyncHandler(async (req, res) => {
+	const reference = req.params.reference;
+	const validation = validate(reopenTicketSchema, req.body);
+	if (!validation.success) {
+		return res.redirect(`/tickets/${reference}?error=${encodeURIComponent(Object.values(validation.errors).join('. '))}`);
+	}
+
+	try {
+		await requesterPortalService.reopenTicket(reference, req.session.requester.email, validation.data.reason);
+	} catch (err) {
+		if (err instanceof ValidationError) {
+			return res.redirect(`/tickets/${reference}?error=${encodeURIComponent(err.message)}`);
+		}
+		throw err;
+	}
+	res.redirect(`/tickets/${reference}?success=${encodeURIComponent('Ticket reabierto. El equipo de soporte revisará tu solicitud.')}`);
+}));
+
+// ============================================================================
+// Descargar adjunto (solo del ticket y de comentarios públicos)
+// ============================================================================
+router.get('/tickets/:reference/adjuntos/:id', asyncHandler(async (req, res) => {
+	const ticket = await ticketService.getTicketByReference(req.params.reference);
+	const download = await attachmentService.getForDownload(parseInt(req.params.id, 10), {
+		ticketId: ticket.id,
+		includeInternal: false,
+	});
+
+	sendAttachment(res, download);
+}));
+
 // ============================================================================
 // Editar ticket (con token)
 // ============================================================================
@@ -100,38 +228,46 @@ router.get('/tickets/:reference/editar', asyncHandler(async (req, res) => {
 		ticket,
 		SUPPORT_TYPES,
 		PRIORITIES,
+		uploadLimits,
 		errors: {},
 	});
 }));
 
 router.post('/tickets/:reference/editar',
-	upload.single('image'),
+	upload.array('attachments', config.uploads.maxFiles),
 	handleUploadError,
 	asyncHandler(async (req, res) => {
 		const ticket = await ticketService.getTicketByReference(req.params.reference);
 		const token = req.query.token;
 
 		if (!token || token !== ticket.edit_token) {
+			await attachmentService.discardUploads(req.files);
 			throw new ForbiddenError('Token de edición inválido');
 		}
 
 		const validation = validate(updateTicketSchema, req.body);
 		if (!validation.success) {
+			await attachmentService.discardUploads(req.files);
 			return res.status(400).render('public/edit', {
 				title: `Editar ${ticket.reference}`,
 				ticket,
 				SUPPORT_TYPES,
 				PRIORITIES,
+				uploadLimits,
 				errors: validation.errors,
 			});
 		}
 
-		const updates = validation.data;
-		if (req.file) {
-			updates.image_path = '/uploads/' + req.file.filename;
+		try {
+			await ticketService.updateTicketByToken(ticket.edit_token, validation.data);
+		} catch (err) {
+			await attachmentService.discardUploads(req.files);
+			throw err;
 		}
-
-		await ticketService.updateTicketByToken(ticket.edit_token, updates);
+		await attachmentService.saveUploads(req.files, {
+			ticket_id: ticket.id,
+			uploaded_by_name: ticket.requester_name,
+		});
 		res.redirect(`/tickets/${ticket.reference}`);
 	})
 );
@@ -141,6 +277,8 @@ router.post('/tickets/:reference/editar',
 // ============================================================================
 router.post('/tickets/:reference/comments',
 	commentLimiter,
+	upload.array('attachments', config.uploads.maxFiles),
+	handleUploadError,
 	asyncHandler(async (req, res) => {
 		const ticket = await ticketService.getTicketByReference(req.params.reference);
 
@@ -150,22 +288,33 @@ router.post('/tickets/:reference/comments',
 		});
 
 		if (!validation.success) {
+			await attachmentService.discardUploads(req.files);
 			return res.status(400).send('Datos inválidos: ' + Object.values(validation.errors).join(', '));
 		}
 
 		const { content, author_name, author_email } = validation.data;
 
-		await ticketService.addComment(
-			ticket.id,
-			ticket.reference,
-			{
-				author_name,
-				author_email,
-				content,
-				is_internal: false,
-			},
-			ticket.assigned_to
-		);
+		let comment;
+		try {
+			comment = await ticketService.addComment(
+				ticket.id,
+				ticket.reference,
+				{
+					author_name,
+					author_email,
+					content,
+					is_internal: false,
+				}
+			);
+		} catch (err) {
+			await attachmentService.discardUploads(req.files);
+			throw err;
+		}
+		await attachmentService.saveUploads(req.files, {
+			ticket_id: ticket.id,
+			comment_id: comment.id,
+			uploaded_by_name: author_name,
+		});
 
 		// Enviar confirmación por email
 		if (author_email) {
@@ -176,4 +325,71 @@ router.post('/tickets/:reference/comments',
 	})
 );
 
+// ============================================================================
+// Encuesta de satisfacción (enlace enviado al resolver el ticket)
+// ============================================================================
+function renderFeedback(res, options) {
+	res.render('public/feedback', {
+		title: 'Encuesta de satisfacción',
+		token: null,
+		survey: null,
+		errors: {},
+		error: null,
+		thanks: false,
+		selectedRating: null,
+		...options,
+	});
+}
+
+/**
+ * Obtiene la encuesta del token o muestra por qué ya no está disponible
+ */
+async function loadSurvey(token, res) {
+	try {
+		return await feedbackService.getSurvey(token);
+	} catch (err) {
+		if (err instanceof ValidationError) {
+			res.status(400);
+			renderFeedback(res, { error: err.message });
+			return null;
+		}
+		throw err;
+	}
+}
+
+// El enlace del email solo preselecciona la calificación: los escáneres de correo
+// abren todos los enlaces, así que la respuesta se registra al enviar el formulario
+router.get('/encuesta/:token', asyncHandler(async (req, res) => {
+	const survey = await loadSurvey(req.params.token, res);
+	if (!survey) {
+		return;
+	}
+
+	let selectedRating = null;
+	if (req.query.rating !== undefined) {
+		const validation = validate(feedbackSchema, { rating: req.query.rating });
+		if (validation.success) {
+			selectedRating = validation.data.rating;
+		}
+	}
+
+	renderFeedback(res, { token: req.params.token, survey, selectedRating });
+}));
+
+router.post('/encuesta/:token', asyncHandler(async (req, res) => {
+	const survey = await loadSurvey(req.params.token, res);
+	if (!survey) {
+		return;
+	}
+
+	const validation = validate(feedbackSchema, req.body);
+	if (!validation.success) {
+		res.status(400);
+		return renderFeedback(res, { token: req.params.token, survey, errors: validation.errors });
+	}
+
+	const updated = await feedbackService.submitFeedback(req.params.token, validation.data);
+	renderFeedback(res, { token: req.params.token, survey: updated, thanks: true });
+}));
+
 module.exports = router;
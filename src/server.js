@@ -24,7 +24,7 @@ const app = express();
 // Crear carpetas necesarias
 const uploadDir = path.join(__dirname, '..', 'uploads');
 const publicDir = path.join(__dirname, '..', 'public');
-[uploadDir, publicDir].forEach(dir => {
+[uploadDir, publicDir, config.uploads.attachmentsDir].forEach(dir => {
 	if (!fs.existsSync(dir)) {
 		fs.mkdirSync(dir, { recursive: true });
 	}
@@ -98,6 +98,12 @@ app.use((req, res, next) => {
 const healthRouter = require('./routes/health');
 app.use('/', healthRouter);
 
+// ============================================================================
+// API REST (autenticada con API keys)
+// ============================================================================
+const apiRouter = require('./routes/api');
+app.use('/api/v1', apiRouter);
+
 // ============================================================================
 // Rutas principales
 // ============================================================================
@@ -132,6 +138,19 @@ async function startServer() {
 		await ensureDatabaseInitialized();
 		logger.info('Base de datos inicializada');
 
+		require('./jobs').startJobs();
+
+		if (config.inboundEmail.smtpPort) {
+			const smtpServer = require('./services/inboundEmailService').createSmtpServer();
+			smtpServer.on('error', err => logger.error('Error en servidor SMTP de entrada', { error: err.message }));
+			smtpServer.listen(config.inboundEmail.smtpPort, config.inboundEmail.smtpHost, () => {
+				logger.info('Servidor SMTP de entrada iniciado', {
+					host: config.inboundEmail.smtpHost,
+					port: config.inboundEmail.smtpPort,
+				});
+			});
+		}
+
 		app.listen(config.port, () => {
 			logger.info(`Servidor iniciado`, {
 				port: config.port,
@@ -0,0 +1,130 @@
+/**
+ * Servicio de reportes de tickets
+ * Reúne para un rango de fechas los tickets creados y resueltos por día o
+ * semana, los tiempos de primera respuesta y resolución, la antigüedad del
+ * backlog y los desgloses por departamento, tipo de soporte y técnico.
+ */
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+// Días que abarca el reporte cuando no se indica un rango
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * Fecha local en formato YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+	const pad = value => String(value).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Completa el rango del reporte: por defecto los últimos 30 días agrupados por día
+ * @param {{from?: string, to?: string, interval?: string}} filters - Filtros validados
+ * @param {Date} now
+ * @returns {{from: string, to: string, interval: string}}
+ */
+function resolveRange(filters = {}, now = new Date()) {
+	const to = filters.to || formatDate(now);
+	let from = filters.from;
+	if (!from) {
+		const start = new Date(`${to}T00:00:00`);
+		start.setDate(start.getDate() - (DEFAULT_RANGE_DAYS - 1));
+		from = formatDate(start);
+	}
+	return { from, to, interval: filters.interval || 'day' };
+}
+
+/**
+ * Duración legible a partir de minutos (ej: "45 min", "3 h 20 min", "2 d 4 h")
+ * @param {number|null} minutes
+ * @returns {string}
+ */
+function formatDuration(minutes) {
+	if (minutes === null || minutes === undefined) {
+		return '—';
+	}
+	const total = Math.round(minutes);
+	if (total < 60) {
+		return `${total} min`;
+	}
+	const hours = Math.floor(total / 60);
+	if (hours < 24) {
+		const rest = total % 60;
+		return rest ? `${hours} h ${rest} min` : `${hours} h`;
+	}
+	const days = Math.floor(hours / 24);
+	const rest = hours % 24;
+	return rest ? `${days} d ${rest} h` : `${days} d`;
+}
+
+/**
+ * Servicio de reportes con inyección de dependencias
+ */
+class AnalyticsService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/TicketRepository')} deps.ticketRepository
+	 */
+	constructor(deps = {}) {
+		this.ticketRepo = deps.ticketRepository || getContainer().tickets;
+	}
+
+	/**
+	 * Métricas del reporte para un rango de fechas
+	 * @param {{from?: string, to?: string, interval?: string}} filters - Filtros validados con analyticsFilterSchema
+	 * @returns {Promise<Object>} range, totals, series, times, aging, byDepartment, bySupportType, byTechnician
+	 */
+	async getDashboard(filters = {}) {
+		const range = resolveRange(filters);
+		const [series, times, aging, byDepartment, bySupportType, byTechnician] = await Promise.all([
+			this.ticketRepo.getVolumeSeries(range.from, range.to, range.interval),
+			this.ticketRepo.getResponseTimes(range.from, range.to),
+			this.ticketRepo.getBacklogAging(),
+			this.ticketRepo.getBreakdown('department', range.from, range.to),
+			this.ticketRepo.getBreakdown('support_type', range.from, range.to),
+			this.ticketRepo.getBreakdown('technician', range.from, range.to),
+		]);
+
+		return {
+			range,
+			totals: {
+				created: series.reduce((sum, point) => sum + point.created, 0),
+				resolved: series.reduce((sum, point) => sum + point.resolved, 0),
+				backlog: aging.reduce((sum, bucket) => sum + bucket.count, 0),
+			},
+			series,
+			times,
+			aging,
+			byDepartment,
+			bySupportType,
+			byTechnician,
+		};
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new AnalyticsService();
+
+module.exports = {
+	// Clase para testing y DI
+	AnalyticsService,
+	resolveRange,
+	formatDuration,
+	formatDate,
+	DEFAULT_RANGE_DAYS,
+
+	// Métodos del singleton
+	getDashboard: (filters) => defaultInstance.getDashboard(filters),
+};
@@ -0,0 +1,122 @@
+/**
+ * Servicio de lógica de negocio para API keys
+ * Implementa el patrón Repository con inyección de dependencias.
+ */
+const crypto = require('crypto');
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const KEY_PREFIX = 'tk_';
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+/**
+ * Calcula el hash con el que se guarda una clave
+ * @param {string} token
+ * @returns {string}
+ */
+function hashKey(token) {
+	return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Servicio de API keys con inyección de dependencias
+ */
+class ApiKeyService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/ApiKeyRepository')} deps.apiKeyRepository
+	 */
+	constructor(deps = {}) {
+		this.apiKeyRepo = deps.apiKeyRepository || getContainer().apiKeys;
+	}
+
+	/**
+	 * Genera una nueva clave para un usuario. La clave en claro solo se devuelve aquí.
+	 * @param {number} userId
+	 * @param {string} name - Nombre descriptivo de la integración
+	 * @returns {Promise<{apiKey: Object, token: string}>}
+	 */
+	async createKey(userId, name) {
+		const token = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+		const apiKey = await this.apiKeyRepo.create({
+			user_id: userId,
+			name,
+			key_prefix: token.slice(0, KEY_PREFIX.length + 8),
+			key_hash: hashKey(token),
+		});
+		return { apiKey, token };
+	}
+
+	/**
+	 * Listar las claves de un usuario
+	 * @param {number} userId
+	 * @returns {Promise<Array>}
+	 */
+	async listKeys(userId) {
+		return this.apiKeyRepo.findByUserId(userId);
+	}
+
+	/**
+	 * Revocar una clave propia
+	 * @param {number} keyId
+	 * @param {number} userId
+	 */
+	async revokeKey(keyId, userId) {
+		const revoked = await this.apiKeyRepo.revoke(keyId, userId);
+		if (!revoked) {
+			throw new NotFoundError('API key');
+		}
+	}
+
+	/**
+	 * Autentica una clave y devuelve el usuario asociado
+	 * @param {string} token - Clave en claro
+	 * @returns {Promise<Object|null>}
+	 */
+	async authenticate(token) {
+		if (!token || !token.startsWith(KEY_PREFIX)) {
+			return null;
+		}
+
+		const key = await this.apiKeyRepo.findActiveByHash(hashKey(token));
+		if (!key) {
+			return null;
+		}
+
+		try {
+			await this.apiKeyRepo.touch(key.id);
+		} catch (err) {
+			console.error('Error registrando uso de API key:', err.message);
+		}
+
+		return {
+			id: key.user_id,
+			username: key.username,
+			role: key.role,
+			role_id: key.role_id,
+		};
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new ApiKeyService();
+
+module.exports = {
+	// Clase para testing y DI
+	ApiKeyService,
+
+	// Métodos del singleton
+	createKey: (userId, name) => defaultInstance.createKey(userId, name),
+	listKeys: (userId) => defaultInstance.listKeys(userId),
+	revokeKey: (keyId, userId) => defaultInstance.revokeKey(keyId, userId),
+	authenticate: (token) => defaultInstance.authenticate(token),
+};
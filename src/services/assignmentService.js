@@ -0,0 +1,218 @@
+/**
+ * Servicio de asignación automática de tickets
+ * Evalúa las reglas activas en orden y elige un técnico por round-robin,
+ * menor carga de tickets abiertos o coincidencia de habilidades.
+ */
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+const STRATEGY_LABELS = {
+	round_robin: 'Round-robin',
+	least_open: 'Menos tickets abiertos',
+	skill_match: 'Por habilidad',
+};
+
+/**
+ * Indica si una regla aplica a un ticket (los criterios vacíos aceptan cualquier valor)
+ * @param {Object} rule - department, support_type y priority
+ * @param {Object} ticket
+ * @returns {boolean}
+ */
+function ruleMatches(rule, ticket) {
+	if (rule.department && rule.department.trim().toLowerCase() !== String(ticket.department || '').trim().toLowerCase()) {
+		return false;
+	}
+	if (rule.support_type && rule.support_type !== ticket.support_type) {
+		return false;
+	}
+	if (rule.priority && rule.priority !== ticket.priority) {
+		return false;
+	}
+	return true;
+}
+
+/**
+ * Siguiente técnico en turno: el primero con ID mayor al último asignado
+ * @param {Array<Object>} candidates - Técnicos candidatos
+ * @param {number|null} lastAssignedId
+ * @returns {Object|null}
+ */
+function pickRoundRobin(candidates, lastAssignedId) {
+	const sorted = [...candidates].sort((a, b) => a.id - b.id);
+	return sorted.find(c => c.id > (lastAssignedId || 0)) || sorted[0] || null;
+}
+
+/**
+ * Técnico con menos tickets abiertos; a igual carga, el de menor ID
+ * @param {Array<{technician: Object, open: number}>} loads
+ * @returns {Object|null}
+ */
+function pickLeastLoaded(loads) {
+	const sorted = [...loads].sort((a, b) => a.open - b.open || a.technician.id - b.technician.id);
+	return sorted[0]?.technician || null;
+}
+
+/**
+ * Servicio de asignación con inyección de dependencias
+ */
+class AssignmentService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/AssignmentRuleRepository')} deps.assignmentRuleRepository
+	 * @param {import('../repositories/TicketRepository')} deps.ticketRepository
+	 * @param {import('../repositories/UserRepository')} deps.userRepository
+	 */
+	constructor(deps = {}) {
+		this.ruleRepo = deps.assignmentRuleRepository || getContainer().assignmentRules;
+		this.ticketRepo = deps.ticketRepository || getContainer().tickets;
+		this.userRepo = deps.userRepository || getContainer().users;
+	}
+
+	/**
+	 * Obtener todas las reglas en orden de evaluación
+	 * @returns {Promise<Array>}
+	 */
+	async getAllRules() {
+		return this.ruleRepo.findAll();
+	}
+
+	/**
+	 * Crear una regla de asignación
+	 * @param {Object} data
+	 * @returns {Promise<Object>}
+	 */
+	async createRule(data) {
+		return this.ruleRepo.create(data);
+	}
+
+	/**
+	 * Actualizar una regla de asignación
+	 * @param {number} ruleId
+	 * @param {Object} data
+	 * @returns {Promise<Object>}
+	 */
+	async updateRule(ruleId, data) {
+		const rule = await this.ruleRepo.update(ruleId, data);
+		if (!rule) {
+			throw new NotFoundError('Regla de asignación');
+		}
+		return rule;
+	}
+
+	/**
+	 * Eliminar una regla de asignación
+	 * @param {number} ruleId
+	 * @returns {Promise<Object>}
+	 */
+	async deleteRule(ruleId) {
+		const rule = await this.ruleRepo.delete(ruleId);
+		if (!rule) {
+			throw new NotFoundError('Regla de asignación');
+		}
+		return rule;
+	}
+
+	/**
+	 * Obtener el personal asignable con sus habilidades
+	 * @returns {Promise<Array>}
+	 */
+	async getTechnicians() {
+		return this.userRepo.findAllTechnicians();
+	}
+
+	/**
+	 * Actualizar las habilidades de un técnico
+	 * @param {number} userId
+	 * @param {Array<string>} skills - Tipos de soporte que atiende
+	 * @returns {Promise<Object>}
+	 */
+	async updateTechnicianSkills(userId, skills) {
+		const user = await this.userRepo.updateSkills(userId, skills);
+		if (!user) {
+			throw new NotFoundError('Técnico');
+		}
+		return user;
+	}
+
+	/**
+	 * Busca el técnico al que asignar un ticket nuevo. Si la primera regla que
+	 * aplica no tiene candidatos se prueba con la siguiente.
+	 * @param {Object} ticket
+	 * @returns {Promise<{rule: Object, technician: Object}|null>}
+	 */
+	async findAssignee(ticket) {
+		const rules = await this.ruleRepo.findActive();
+
+		for (const rule of rules) {
+			if (!ruleMatches(rule, ticket)) {
+				continue;
+			}
+
+			const technician = await this._pickTechnician(rule, ticket);
+			if (technician) {
+				await this.ruleRepo.updateLastAssigned(rule.id, technician.id);
+				return { rule, technician };
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Elige un técnico entre los candidatos de una regla según su estrategia
+	 * @private
+	 */
+	async _pickTechnician(rule, ticket) {
+		let candidates = await this.userRepo.findAllTechnicians();
+		if (rule.technician_ids?.length) {
+			candidates = candidates.filter(c => rule.technician_ids.includes(c.id));
+		}
+		if (rule.strategy === 'skill_match') {
+			candidates = candidates.filter(c => (c.skills || []).includes(ticket.support_type));
+		}
+		if (candidates.length === 0) {
+			return null;
+		}
+
+		if (rule.strategy === 'round_robin') {
+			return pickRoundRobin(candidates, rule.last_assigned_id);
+		}
+
+		const loads = await Promise.all(candidates.map(async technician => ({
+			technician,
+			open: await this.ticketRepo.count({ assigned_to: technician.id, open: true }),
+		})));
+		return pickLeastLoaded(loads);
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new AssignmentService();
+
+module.exports = {
+	// Clase para testing y DI
+	AssignmentService,
+	STRATEGY_LABELS,
+	ruleMatches,
+	pickRoundRobin,
+	pickLeastLoaded,
+
+	// Métodos del singleton
+	getAllRules: () => defaultInstance.getAllRules(),
+	createRule: (data) => defaultInstance.createRule(data),
+	updateRule: (ruleId, data) => defaultInstance.updateRule(ruleId, data),
+	deleteRule: (ruleId) => defaultInstance.deleteRule(ruleId),
+	getTechnicians: () => defaultInstance.getTechnicians(),
+	updateTechnicianSkills: (userId, skills) => defaultInstance.updateTechnicianSkills(userId, skills),
+	findAssignee: (ticket) => defaultInstance.findAssignee(ticket),
+};
@@ -0,0 +1,251 @@
+/**
+ * Servicio de lógica de negocio para adjuntos
+ * Registra los archivos subidos por multer, calcula su checksum y controla
+ * qué adjuntos puede descargar cada vista.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const config = require('../config');
+const { resolveMimeType, generateStoredName } = require('../middleware/upload');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+// Tipos que el navegador puede mostrar sin descargar
+const INLINE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+/**
+ * Calcula el SHA-256 de un archivo en disco
+ * @param {string} filePath
+ * @returns {Promise<string>} Hash en hexadecimal
+ */
+function computeChecksum(filePath) {
+	return new Promise((resolve, reject) => {
+		const hash = crypto.createHash('sha256');
+		fs.createReadStream(filePath)
+			.on('data', chunk => hash.update(chunk))
+			.on('end', () => resolve(hash.digest('hex')))
+			.on('error', reject);
+	});
+}
+
+/**
+ * Agrupa adjuntos en los del ticket y los de cada comentario
+ * @param {Array} attachments
+ * @returns {{ticket: Array, byComment: Object<number, Array>}}
+ */
+function groupAttachments(attachments) {
+	const groups = { ticket: [], byComment: {} };
+	for (const attachment of attachments) {
+		if (attachment.comment_id) {
+			(groups.byComment[attachment.comment_id] ||= []).push(attachment);
+		} else {
+			groups.ticket.push(attachment);
+		}
+	}
+	return groups;
+}
+
+/**
+ * Servicio de adjuntos con inyección de dependencias
+ */
+class AttachmentService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/AttachmentRepository')} deps.attachmentRepository
+	 * @param {string} deps.directory - Carpeta donde multer guarda los archivos
+	 * @param {Object} deps.limits - maxSize y maxFiles para archivos recibidos fuera de multer
+	 */
+	constructor(deps = {}) {
+		this.attachmentRepo = deps.attachmentRepository || getContainer().attachments;
+		this.directory = deps.directory || config.uploads.attachmentsDir;
+		this.limits = { maxSize: config.uploads.maxSize, maxFiles: config.uploads.maxFiles, ...deps.limits };
+	}
+
+	/**
+	 * Ruta en disco de un adjunto (solo se usa el nombre generado, nunca el original)
+	 * @param {Object} attachment
+	 * @returns {string}
+	 */
+	getFilePath(attachment) {
+		return path.join(this.directory, path.basename(attachment.stored_name));
+	}
+
+	/**
+	 * Registra los archivos subidos en una petición
+	 * @param {Array} files - req.files de multer
+	 * @param {Object} owner - ticket_id, comment_id (opcional), uploaded_by, uploaded_by_name
+	 * @returns {Promise<Array>} Adjuntos creados
+	 */
+	async saveUploads(files, owner) {
+		const attachments = [];
+		if (!files || files.length === 0) {
+			return attachments;
+		}
+
+		try {
+			for (const file of files) {
+				attachments.push(await this.attachmentRepo.create({
+					ticket_id: owner.ticket_id,
+					comment_id: owner.comment_id || null,
+					original_name: file.originalname,
+					stored_name: file.filename,
+					mime_type: resolveMimeType(file.originalname, file.mimetype),
+					size_bytes: file.size,
+					checksum: await computeChecksum(file.path),
+					uploaded_by: owner.uploaded_by || null,
+					uploaded_by_name: owner.uploaded_by_name || null,
+				}));
+			}
+		} catch (err) {
+			// No dejar en disco archivos que no quedaron registrados
+			await this.discardUploads(files.slice(attachments.length));
+			throw err;
+		}
+
+		return attachments;
+	}
+
+	/**
+	 * Guarda y registra archivos recibidos en memoria (ej: adjuntos de un correo),
+	 * aplicando las mismas reglas de tipo, tamaño y cantidad que los formularios
+	 * @param {Array<{filename: string, contentType: string, content: Buffer}>} files
+	 * @param {Object} owner - Igual que en saveUploads
+	 * @returns {Promise<{saved: Array, skipped: Array<{name: string, reason: string}>}>}
+	 */
+	async saveBuffers(files, owner) {
+		const accepted = [];
+		const skipped = [];
+
+		for (const file of files || []) {
+			const name = file.filename || 'adjunto';
+			if (!resolveMimeType(name, file.contentType)) {
+				skipped.push({ name, reason: 'Tipo de archivo no permitido' });
+			} else if (file.content.length > this.limits.maxSize) {
+				skipped.push({ name, reason: 'Excede el tamaño máximo' });
+			} else if (accepted.length >= this.limits.maxFiles) {
+				skipped.push({ name, reason: 'Excede la cantidad máxima de archivos' });
+			} else {
+				accepted.push(file);
+			}
+		}
+
+		await fs.promises.mkdir(this.directory, { recursive: true });
+		const written = [];
+		try {
+			for (const file of accepted) {
+				const storedName = generateStoredName(file.filename);
+				const filePath = path.join(this.directory, storedName);
+				await fs.promises.writeFile(filePath, file.content);
+				written.push({
+					originalname: file.filename,
+					filename: storedName,
+					mimetype: file.contentType,
+					size: file.content.length,
+					path: filePath,
+				});
+			}
+		} catch (err) {
+			await this.discardUploads(written);
+			throw err;
+		}
+
+		const saved = await this.saveUploads(written, owner);
+		return { saved, skipped };
+	}
+
+	/**
+	 * Elimina del disco archivos subidos que no se van a registrar
+	 * @param {Array} files - req.files de multer
+	 */
+	async discardUploads(files) {
+		for (const file of files || []) {
+			try {
+				await fs.promises.unlink(file.path);
+			} catch (err) {
+				console.error('Error eliminando adjunto descartado:', err.message);
+			}
+		}
+	}
+
+	/**
+	 * Elimina del disco los archivos de adjuntos cuyo registro ya se borró
+	 * @param {Array} attachments - Filas de attachments
+	 */
+	async removeFiles(attachments) {
+		for (const attachment of attachments || []) {
+			try {
+				await fs.promises.unlink(this.getFilePath(attachment));
+			} catch (err) {
+				if (err.code !== 'ENOENT') {
+					console.error('Error eliminando adjunto:', err.message);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Listar adjuntos de un ticket agrupados por dueño
+	 * @param {number} ticketId
+	 * @param {boolean} includeInternal - Incluir adjuntos de comentarios internos
+	 * @returns {Promise<{ticket: Array, byComment: Object, all: Array}>}
+	 */
+	async listForTicket(ticketId, includeInternal = false) {
+		const all = await this.attachmentRepo.findByTicketId(ticketId, includeInternal);
+		return { ...groupAttachments(all), all };
+	}
+
+	/**
+	 * Obtener un adjunto para descargarlo
+	 * @param {number} attachmentId
+	 * @param {Object} scope
+	 * @param {number} [scope.ticketId] - Exigir que pertenezca a este ticket
+	 * @param {boolean} [scope.includeInternal=false] - Permitir adjuntos de comentarios internos
+	 * @returns {Promise<{attachment: Object, filePath: string, inline: boolean}>}
+	 */
+	async getForDownload(attachmentId, { ticketId = null, includeInternal = false } = {}) {
+		const attachment = await this.attachmentRepo.findById(attachmentId);
+		if (
+			!attachment ||
+			(ticketId !== null && attachment.ticket_id !== ticketId) ||
+			(attachment.is_internal && !includeInternal)
+		) {
+			throw new NotFoundError('Adjunto');
+		}
+
+		const filePath = this.getFilePath(attachment);
+		if (!fs.existsSync(filePath)) {
+			throw new NotFoundError('Adjunto');
+		}
+
+		return { attachment, filePath, inline: INLINE_MIME_TYPES.includes(attachment.mime_type) };
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new AttachmentService();
+
+module.exports = {
+	// Clase para testing y DI
+	AttachmentService,
+	computeChecksum,
+	groupAttachments,
+
+	// Métodos del singleton
+	saveUploads: (files, owner) => defaultInstance.saveUploads(files, owner),
+	saveBuffers: (files, owner) => defaultInstance.saveBuffers(files, owner),
+	discardUploads: (files) => defaultInstance.discardUploads(files),
+	removeFiles: (attachments) => defaultInstance.removeFiles(attachments),
+	listForTicket: (ticketId, includeInternal) => defaultInstance.listForTicket(ticketId, includeInternal),
+	getForDownload: (attachmentId, scope) => defaultInstance.getForDownload(attachmentId, scope),
+};
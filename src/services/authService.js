@@ -0,0 +1,248 @@
+/**
+ * Servicio de inicio de sesión del personal
+ * Comprueba las credenciales, bloquea la cuenta tras varios intentos fallidos
+ * seguidos, indica si la contraseña debe cambiarse y registra cada intento en
+ * la auditoría de accesos.
+ */
+const bcrypt = require('bcryptjs');
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const config = require('../config');
+const { isPasswordExpired } = require('../utils/passwordPolicy');
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+const AUDIT_REASON_LABELS = {
+	success: 'Acceso correcto',
+	invalid_password: 'Contraseña incorrecta',
+	unknown_user: 'Usuario inexistente',
+	locked: 'Cuenta bloqueada',
+	invalid_2fa: 'Código de verificación incorrecto',
+};
+
+// Motivos por los que se exige cambiar la contraseña al entrar
+const PASSWORD_CHANGE_REASONS = {
+	FIRST_LOGIN: 'first_login',
+	EXPIRED: 'expired',
+};
+
+/**
+ * Servicio de inicio de sesión con inyección de dependencias
+ */
+class AuthService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/UserRepository')} deps.userRepository
+	 * @param {import('../repositories/LoginAuditRepository')} deps.loginAuditRepository
+	 * @param {Object} deps.options - maxFailedAttempts, lockoutMinutes y auditRetentionDays (ver config.auth)
+	 * @param {Object} deps.passwordPolicy - maxAgeDays (ver config.passwordPolicy)
+	 */
+	constructor(deps = {}) {
+		this.userRepo = deps.userRepository || getContainer().users;
+		this.auditRepo = deps.loginAuditRepository || getContainer().loginAudit;
+		this.options = { ...config.auth, ...deps.options };
+		this.passwordPolicy = { ...config.passwordPolicy, ...deps.passwordPolicy };
+	}
+
+	/**
+	 * Comprueba usuario y contraseña. Los intentos fallidos quedan auditados;
+	 * una contraseña correcta no reinicia el contador: eso y la auditoría del
+	 * acceso se hacen al completarlo (tras la verificación en dos pasos si la
+	 * hay), para que repetir la contraseña no dé más intentos de código.
+	 * @param {string} username
+	 * @param {string} password
+	 * @param {{ip: string, userAgent: string}} context - Origen de la petición
+	 * @returns {Promise<{user: Object|null, lockedUntil: Date|null, passwordChange: string|null}>}
+	 */
+	async login(username, password, context = {}) {
+		const row = await this.userRepo.findByUsername(username);
+
+		if (!row) {
+			await this._audit({ username }, false, 'unknown_user', context);
+			return { user: null, lockedUntil: null, passwordChange: null };
+		}
+
+		if (row.locked_until && new Date(row.locked_until) > new Date()) {
+			await this._audit(row, false, 'locked', context);
+			return { user: null, lockedUntil: new Date(row.locked_until), passwordChange: null };
+		}
+
+		if (!bcrypt.compareSync(password, row.password_hash)) {
+			const { lockedUntil } = await this.recordFailure(row, 'invalid_password', context);
+			return { user: null, lockedUntil, passwordChange: null };
+		}
+
+		return {
+			user: {
+				id: row.id,
+				username: row.username,
+				role: row.role,
+				role_id: row.role_id,
+			},
+			lockedUntil: null,
+			passwordChange: this.getPasswordChangeReason(row),
+		};
+	}
+
+	/**
+	 * Motivo por el que el usuario debe cambiar la contraseña antes de usar el panel
+	 * @param {Object} row - Usuario con must_change_password y password_changed_at
+	 * @returns {string|null} 'first_login', 'expired' o null
+	 */
+	getPasswordChangeReason(row) {
+		if (row.must_change_password) {
+			return PASSWORD_CHANGE_REASONS.FIRST_LOGIN;
+		}
+		if (isPasswordExpired(row.password_changed_at, this.passwordPolicy)) {
+			return PASSWORD_CHANGE_REASONS.EXPIRED;
+		}
+		return null;
+	}
+
+	/**
+	 * Registra un intento fallido de un usuario existente; también cuentan los
+	 * códigos de verificación en dos pasos incorrectos
+	 * @param {{id: number, username: string}} user
+	 * @param {string} reason - Motivo para la auditoría
+	 * @param {{ip: string, userAgent: string}} context
+	 * @returns {Promise<{lockedUntil: Date|null}>} Fin del bloqueo si este intento bloqueó la cuenta
+	 */
+	async recordFailure(user, reason, context = {}) {
+		const result = await this.userRepo.registerFailedLogin(
+			user.id,
+			this.options.maxFailedAttempts,
+			this.options.lockoutMinutes
+		);
+		await this._audit(user, false, reason, context);
+
+		const lockedUntil = result?.locked_until ? new Date(result.locked_until) : null;
+		return { lockedUntil: lockedUntil && lockedUntil > new Date() ? lockedUntil : null };
+	}
+
+	/**
+	 * Comprueba de nuevo el bloqueo de la cuenta en el segundo paso del login,
+	 * que pudo bloquearse después de validar la contraseña. El intento queda
+	 * auditado si está bloqueada.
+	 * @param {{id: number, username: string}} user
+	 * @param {{ip: string, userAgent: string}} context
+	 * @returns {Promise<Date|null>} Fin del bloqueo vigente
+	 */
+	async checkLocked(user, context = {}) {
+		const row = await this.userRepo.findById(user.id);
+		if (row?.locked_until && new Date(row.locked_until) > new Date()) {
+			await this._audit(user, false, 'locked', context);
+			return new Date(row.locked_until);
+		}
+		return null;
+	}
+
+	/**
+	 * Reinicia los intentos fallidos al completar el acceso, para que las
+	 * contraseñas y códigos incorrectos previos no sigan contando
+	 * @param {number} userId
+	 * @returns {Promise<Object|null>}
+	 */
+	async resetFailedLogins(userId) {
+		return this.userRepo.resetFailedLogins(userId);
+	}
+
+	/**
+	 * Registra un acceso completado
+	 * @param {{id: number, username: string}} user
+	 * @param {{ip: string, userAgent: string}} context
+	 * @returns {Promise<Object>}
+	 */
+	async recordSuccess(user, context = {}) {
+		return this._audit(user, true, 'success', context);
+	}
+
+	/**
+	 * Levanta el bloqueo de una cuenta
+	 * @param {number} userId
+	 * @returns {Promise<Object|null>}
+	 */
+	async unlockUser(userId) {
+		return this.userRepo.resetFailedLogins(userId);
+	}
+
+	/**
+	 * Listado paginado de la auditoría de accesos
+	 * @param {Object} filters - username (parcial) y success
+	 * @param {number} page
+	 * @param {number} perPage
+	 * @returns {Promise<{entries: Array, pagination: Object}>}
+	 */
+	async listAudit(filters = {}, page = 1, perPage = 50) {
+		const entries = await this.auditRepo.findAll(filters, perPage, (page - 1) * perPage);
+		const total = await this.auditRepo.count(filters);
+		const totalPages = Math.ceil(total / perPage);
+
+		return {
+			entries,
+			pagination: {
+				currentPage: page,
+				totalPages,
+				totalEntries: total,
+				perPage,
+				hasNext: page < totalPages,
+				hasPrev: page > 1,
+			},
+		};
+	}
+
+	/**
+	 * Elimina la auditoría anterior al periodo de retención
+	 * @param {number} retentionDays
+	 * @returns {Promise<number>} Registros eliminados
+	 */
+	async cleanOldAudit(retentionDays = this.options.auditRetentionDays) {
+		return this.auditRepo.deleteOlderThan(retentionDays);
+	}
+
+	/**
+	 * @private
+	 */
+	async _audit(user, success, reason, context) {
+		try {
+			return await this.auditRepo.create({
+				user_id: user.id || null,
+				username: user.username,
+				success,
+				reason,
+				ip: context.ip || null,
+				user_agent: context.userAgent ? String(context.userAgent).slice(0, 500) : null,
+			});
+		} catch (err) {
+			// La auditoría no debe impedir el acceso
+			console.error('Error registrando la auditoría de acceso:', err.message);
+			return null;
+		}
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new AuthService();
+
+module.exports = {
+	// Clase para testing y DI
+	AuthService,
+	AUDIT_REASON_LABELS,
+	PASSWORD_CHANGE_REASONS,
+
+	// Métodos del singleton
+	login: (username, password, context) => defaultInstance.login(username, password, context),
+	recordFailure: (user, reason, context) => defaultInstance.recordFailure(user, reason, context),
+	checkLocked: (user, context) => defaultInstance.checkLocked(user, context),
+	resetFailedLogins: (userId) => defaultInstance.resetFailedLogins(userId),
+	recordSuccess: (user, context) => defaultInstance.recordSuccess(user, context),
+	unlockUser: (userId) => defaultInstance.unlockUser(userId),
+	listAudit: (filters, page, perPage) => defaultInstance.listAudit(filters, page, perPage),
+	cleanOldAudit: (retentionDays) => defaultInstance.cleanOldAudit(retentionDays),
+};
@@ -126,6 +126,113 @@ async function sendCommentNotificationEmail(ticket, comment, recipientEmails) {
 	}
 }
 
+/**
+ * Enviar aviso de un cambio en el ticket a sus observadores por email
+ */
+async function sendTicketUpdateEmail(ticket, notice, recipientEmails) {
+	const transport = getTransporter();
+	if (!transport || !recipientEmails.length) return false;
+
+	const ticketUrl = `${config.baseUrl}/tickets/${ticket.reference}`;
+
+	try {
+		await transport.sendMail({
+			from: config.smtp.from,
+			to: recipientEmails.join(','),
+			subject: `${notice.title}: ${ticket.reference}`,
+			html: `
+				<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+					<h2 style="color: #333;">${notice.title}</h2>
+					<p>${notice.message}</p>
+					<p><strong>Asunto:</strong> ${ticket.subject}</p>
+					<p><a href="${ticketUrl}" style="color: #007bff;">Ver ticket completo</a></p>
+					<hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+					<p style="color: #666; font-size: 12px;">Recibes este email porque sigues este ticket.</p>
+				</div>
+			`,
+		});
+		return true;
+	} catch (err) {
+		console.error('Error enviando aviso a observadores:', err.message);
+		return false;
+	}
+}
+
+/**
+ * Enviar una notificación del panel por email al usuario que la eligió
+ */
+async function sendNotificationEmail(email, notification) {
+	const transport = getTransporter();
+	if (!transport || !email) return false;
+
+	const ticketLink = notification.ticket_reference
+		? `<p><a href="${config.baseUrl}/admin/tickets/${notification.ticket_reference}" style="color: #007bff;">Ver ticket ${notification.ticket_reference}</a></p>`
+		: '';
+
+	try {
+		await transport.sendMail({
+			from: config.smtp.from,
+			to: email,
+			subject: notification.title,
+			html: `
+				<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+					<h2 style="color: #333;">${notification.title}</h2>
+					<p>${notification.message}</p>
+					${ticketLink}
+					<hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+					<p style="color: #666; font-size: 12px;">Puedes elegir qué avisos recibir por email en tu perfil: <a href="${config.baseUrl}/admin/perfil">${config.baseUrl}/admin/perfil</a></p>
+				</div>
+			`,
+		});
+		return true;
+	} catch (err) {
+		console.error('Error enviando notificación por email:', err.message);
+		return false;
+	}
+}
+
+/**
+ * Enviar el resumen diario de notificaciones no leídas
+ */
+async function sendNotificationDigestEmail(user, notifications) {
+	const transport = getTransporter();
+	if (!transport || !user.email || !notifications.length) return false;
+
+	const rows = notifications.map(notification => {
+		const ticket = notification.ticket_reference
+			? `<a href="${config.baseUrl}/admin/tickets/${notification.ticket_reference}" style="color: #007bff;">${notification.ticket_reference}</a>`
+			: '';
+		return `
+			<tr>
+				<td style="padding: 8px; border: 1px solid #ddd;"><strong>${notification.title}</strong><br>${notification.message}</td>
+				<td style="padding: 8px; border: 1px solid #ddd; white-space: nowrap;">${ticket}</td>
+				<td style="padding: 8px; border: 1px solid #ddd; white-space: nowrap;">${new Date(notification.created_at).toLocaleString('es-ES')}</td>
+			</tr>
+		`;
+	}).join('');
+
+	try {
+		await transport.sendMail({
+			from: config.smtp.from,
+			to: user.email,
+			subject: `Resumen de notificaciones: ${notifications.length} sin leer`,
+			html: `
+				<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+					<h2 style="color: #333;">Resumen de notificaciones</h2>
+					<p>Hola <strong>${user.username}</strong>, tienes ${notifications.length} notificaciones sin leer:</p>
+					<table style="width: 100%; border-collapse: collapse; margin: 20px 0;">${rows}</table>
+					<hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+					<p style="color: #666; font-size: 12px;">Puedes elegir qué avisos recibir en el resumen desde tu perfil: <a href="${config.baseUrl}/admin/perfil">${config.baseUrl}/admin/perfil</a></p>
+				</div>
+			`,
+		});
+		return true;
+	} catch (err) {
+		console.error('Error enviando resumen de notificaciones:', err.message);
+		return false;
+	}
+}
+
 /**
  * Enviar email de confirmación de comentario al autor
  */
@@ -156,10 +263,116 @@ async function sendCommentConfirmationEmail(ticket, authorName, authorEmail) {
 	}
 }
 
+/**
+ * Enviar enlace de acceso al portal del solicitante
+ */
+async function sendRequesterLoginEmail(email, loginUrl, ttlMinutes) {
+	const transport = getTransporter();
+	if (!transport || !email) return false;
+
+	try {
+		await transport.sendMail({
+			from: config.smtp.from,
+			to: email,
+			subject: 'Acceso a tus tickets de soporte',
+			html: `
+				<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+					<h2 style="color: #333;">Accede a tus tickets</h2>
+					<p>Recibimos una solicitud para acceder a los tickets asociados a <strong>${email}</strong>.</p>
+					<p><a href="${loginUrl}" style="display: inline-block; padding: 10px 20px; background: #007bff; color: #fff; text-decoration: none; border-radius: 5px;">Ver mis tickets</a></p>
+					<p style="color: #666; font-size: 12px;">El enlace vence en ${ttlMinutes} minutos y solo puede usarse una vez. Si no lo solicitaste, ignora este mensaje.</p>
+				</div>
+			`,
+		});
+		return true;
+	} catch (err) {
+		console.error('Error enviando enlace de acceso:', err.message);
+		return false;
+	}
+}
+
+/**
+ * Enviar encuesta de satisfacción al resolver un ticket
+ */
+async function sendFeedbackRequestEmail(ticket, email, surveyUrl) {
+	const transport = getTransporter();
+	if (!transport || !email) return false;
+
+	const ratingLinks = [1, 2, 3, 4, 5].map(rating => `
+		<a href="${surveyUrl}?rating=${rating}" style="display: inline-block; width: 40px; padding: 10px 0; margin: 0 4px; background: #f1f5f9; color: #333; text-align: center; text-decoration: none; border-radius: 5px; font-weight: bold;">${rating}</a>
+	`).join('');
+
+	try {
+		await transport.sendMail({
+			from: config.smtp.from,
+			to: email,
+			subject: `¿Cómo resolvimos tu ticket ${ticket.reference}?`,
+			html: `
+				<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+					<h2 style="color: #333;">Tu ticket fue resuelto</h2>
+					<p>Hola <strong>${ticket.requester_name}</strong>,</p>
+					<p>El ticket <strong>${ticket.reference}</strong> (${ticket.subject}) fue marcado como resuelto.</p>
+					<p>¿Qué tan satisfecho estás con la atención? (1 = nada, 5 = muy satisfecho)</p>
+					<p>${ratingLinks}</p>
+					<p style="color: #666; font-size: 12px;">Elige tu calificación y confírmala en la página de la encuesta, donde también puedes agregar un comentario.</p>
+				</div>
+			`,
+		});
+		return true;
+	} catch (err) {
+		console.error('Error enviando encuesta de satisfacción:', err.message);
+		return false;
+	}
+}
+
+/**
+ * Enviar un reporte programado con el PDF adjunto
+ */
+async function sendScheduledReportEmail(subscription, period, totals, pdfBuffer) {
+	const transport = getTransporter();
+	if (!transport || !subscription.recipients?.length) return false;
+
+	try {
+		await transport.sendMail({
+			from: config.smtp.from,
+			to: subscription.recipients.join(', '),
+			subject: `${subscription.name}: ${period.label}`,
+			html: `
+				<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+					<h2 style="color: #333;">${subscription.name}</h2>
+					<p>Resumen de soporte del periodo <strong>${period.label}</strong>:</p>
+					<ul>
+						<li>Tickets creados: <strong>${totals.created}</strong></li>
+						<li>Tickets resueltos: <strong>${totals.resolved}</strong></li>
+						<li>Backlog abierto: <strong>${totals.backlog}</strong></li>
+					</ul>
+					<p>El detalle de tiempos, departamentos, técnicos y SLA está en el PDF adjunto.</p>
+					<p style="color: #666; font-size: 12px;">Recibes este email porque estás en la lista de destinatarios de este reporte programado.</p>
+				</div>
+			`,
+			attachments: [{
+				filename: `reporte-${period.from}-${period.to}.pdf`,
+				content: pdfBuffer,
+				contentType: 'application/pdf',
+			}],
+		});
+		return true;
+	} catch (err) {
+		console.error('Error enviando reporte programado:', err.message);
+		return false;
+	}
+}
+
 module.exports = {
 	getTransporter,
 	verifyConnection,
 	sendTicketCreatedEmail,
 	sendCommentNotificationEmail,
+	sendTicketUpdateEmail,
+	sendNotificationEmail,
+	sendNotificationDigestEmail,
 	sendCommentConfirmationEmail,
+	sendRequesterLoginEmail,
+	sendFeedbackRequestEmail,
+	sendScheduledReportEmail,
 };
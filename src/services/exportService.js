@@ -0,0 +1,144 @@
+/**
+ * Servicio de exportación de tickets
+ * Escribe el listado filtrado como CSV o Excel directamente en un stream
+ * (la respuesta HTTP), leyendo los tickets por lotes con un cursor para que
+ * las exportaciones grandes no se carguen completas en memoria.
+ */
+const ExcelJS = require('exceljs');
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const { resolveColumns, getCellValue, toCsvLine } = require('../utils/ticketExport');
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+// Tickets leídos de la base de datos por lote
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Espera a que el stream acepte más datos o se cierre
+ * @param {import('stream').Writable} output
+ * @returns {Promise<void>}
+ */
+function waitForDrain(output) {
+	return new Promise(resolve => {
+		const done = () => {
+			output.off('drain', done);
+			output.off('close', done);
+			resolve();
+		};
+		output.on('drain', done);
+		output.on('close', done);
+	});
+}
+
+/**
+ * Servicio de exportación con inyección de dependencias
+ */
+class ExportService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/TicketRepository')} deps.ticketRepository
+	 * @param {number} deps.batchSize - Tickets por lote
+	 */
+	constructor(deps = {}) {
+		this.ticketRepo = deps.ticketRepository || getContainer().tickets;
+		this.batchSize = deps.batchSize || EXPORT_BATCH_SIZE;
+	}
+
+	/**
+	 * Escribe los tickets filtrados en el stream y lo cierra
+	 * @param {Object} filters - Mismos filtros que el listado (TicketRepository.findAll)
+	 * @param {{format: string, columns: Array<string>}} options - Validadas con exportTicketsSchema
+	 * @param {import('stream').Writable} output
+	 * @returns {Promise<number>} Tickets exportados
+	 */
+	async exportTickets(filters, { format = 'csv', columns } = {}, output) {
+		const selected = resolveColumns(columns);
+		const batches = this.ticketRepo.streamAll(filters, this.batchSize);
+
+		if (format === 'xlsx') {
+			return this._writeXlsx(batches, selected, output);
+		}
+		return this._writeCsv(batches, selected, output);
+	}
+
+	/**
+	 * CSV en UTF-8 con BOM para que Excel reconozca los acentos
+	 * @private
+	 */
+	async _writeCsv(batches, columns, output) {
+		let total = 0;
+		output.write('\uFEFF' + toCsvLine(columns.map(column => column.label)));
+
+		for await (const tickets of batches) {
+			// Si el cliente cortó la descarga se deja de leer (el cursor se cierra)
+			if (output.destroyed) {
+				break;
+			}
+			const chunk = tickets
+				.map(ticket => toCsvLine(columns.map(column => getCellValue(column, ticket))))
+				.join('');
+			total += tickets.length;
+			if (!output.write(chunk)) {
+				await waitForDrain(output);
+			}
+		}
+
+		output.end();
+		return total;
+	}
+
+	/**
+	 * Libro de Excel escrito fila a fila con el writer de streaming de ExcelJS,
+	 * que cierra el stream al confirmar el libro
+	 * @private
+	 */
+	async _writeXlsx(batches, columns, output) {
+		let total = 0;
+		const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+		const sheet = workbook.addWorksheet('Tickets', { views: [{ state: 'frozen', ySplit: 1 }] });
+		sheet.columns = columns.map(column => ({
+			header: column.label,
+			key: column.key,
+			width: column.width,
+			...(column.type === 'date' && { style: { numFmt: 'yyyy-mm-dd hh:mm' } }),
+		}));
+		sheet.getRow(1).font = { bold: true };
+
+		for await (const tickets of batches) {
+			if (output.destroyed) {
+				break;
+			}
+			for (const ticket of tickets) {
+				sheet.addRow(columns.map(column => getCellValue(column, ticket))).commit();
+			}
+			total += tickets.length;
+			if (output.writableNeedDrain) {
+				await waitForDrain(output);
+			}
+		}
+
+		sheet.commit();
+		await workbook.commit();
+		return total;
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new ExportService();
+
+module.exports = {
+	// Clase para testing y DI
+	ExportService,
+	EXPORT_BATCH_SIZE,
+
+	// Métodos del singleton
+	exportTickets: (filters, options, output) => defaultInstance.exportTickets(filters, options, output),
+};
@@ -0,0 +1,161 @@
+/**
+ * Servicio de encuestas de satisfacción (CSAT)
+ * Al resolver un ticket se envía al solicitante un enlace para calificar la
+ * atención de 1 a 5; las respuestas se resumen por técnico, departamento y tipo.
+ */
+const crypto = require('crypto');
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const config = require('../config');
+const emailService = require('./emailService');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+/**
+ * Hash con el que se guarda el token de una encuesta
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+	return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Porcentaje de respuestas satisfechas (4 o 5); null sin respuestas
+ * @param {{responses: number, satisfied: number}} summary
+ * @returns {number|null}
+ */
+function getCsatScore(summary) {
+	if (!summary.responses) {
+		return null;
+	}
+	return Math.round((summary.satisfied / summary.responses) * 100);
+}
+
+/**
+ * Servicio de encuestas con inyección de dependencias
+ */
+class FeedbackService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/TicketFeedbackRepository')} deps.ticketFeedbackRepository
+	 * @param {Object} deps.emailService - sendFeedbackRequestEmail
+	 * @param {Object} deps.options - enabled y surveyDays (ver config.csat)
+	 */
+	constructor(deps = {}) {
+		this.feedbackRepo = deps.ticketFeedbackRepository || getContainer().ticketFeedback;
+		this.email = deps.emailService || emailService;
+		this.options = { ...config.csat, ...deps.options };
+	}
+
+	/**
+	 * Crea la encuesta de un ticket recién resuelto y la envía al solicitante
+	 * @param {Object} ticket - Ticket actualizado (con requester_email y assigned_to)
+	 * @returns {Promise<{feedback: Object, token: string}|null>} null si no hay a quién enviarla
+	 */
+	async requestFeedback(ticket) {
+		if (!this.options.enabled || !ticket.requester_email) {
+			return null;
+		}
+
+		const token = crypto.randomBytes(24).toString('base64url');
+		const feedback = await this.feedbackRepo.create({
+			ticket_id: ticket.id,
+			technician_id: ticket.assigned_to || null,
+			token_hash: hashToken(token),
+		});
+
+		await this.email.sendFeedbackRequestEmail(ticket, ticket.requester_email, `${config.baseUrl}/encuesta/${token}`);
+
+		return { feedback, token };
+	}
+
+	/**
+	 * Obtiene una encuesta que todavía acepta respuestas
+	 * @param {string} token
+	 * @returns {Promise<Object>} Encuesta con referencia y asunto del ticket
+	 */
+	async getSurvey(token) {
+		const feedback = await this.feedbackRepo.findByTokenHash(hashToken(token));
+		if (!feedback) {
+			throw new NotFoundError('Encuesta');
+		}
+
+		const expiresAt = new Date(feedback.requested_at).getTime() + this.options.surveyDays * 24 * 60 * 60 * 1000;
+		if (expiresAt < Date.now()) {
+			throw new ValidationError('Esta encuesta ya no acepta respuestas');
+		}
+		return feedback;
+	}
+
+	/**
+	 * Registra la calificación y el comentario de una encuesta
+	 * @param {string} token
+	 * @param {{rating: number, comment: string|null}} data
+	 * @returns {Promise<Object>} Encuesta actualizada con los datos del ticket
+	 */
+	async submitFeedback(token, { rating, comment = null }) {
+		const survey = await this.getSurvey(token);
+		const updated = await this.feedbackRepo.respond(survey.id, rating, comment);
+		return { ...survey, ...updated };
+	}
+
+	/**
+	 * Listar las encuestas de un ticket
+	 * @param {number} ticketId
+	 * @returns {Promise<Array>}
+	 */
+	async listForTicket(ticketId) {
+		return this.feedbackRepo.findByTicketId(ticketId);
+	}
+
+	/**
+	 * Resumen de satisfacción para el panel
+	 * @returns {Promise<Object>} overall, byTechnician, byDepartment y bySupportType
+	 */
+	async getDashboard() {
+		const totals = await this.feedbackRepo.getTotals();
+		const [byTechnician, byDepartment, bySupportType] = await Promise.all([
+			this.feedbackRepo.getSummary('technician'),
+			this.feedbackRepo.getSummary('department'),
+			this.feedbackRepo.getSummary('support_type'),
+		]);
+
+		const withScore = rows => rows.map(row => ({ ...row, csat: getCsatScore(row) }));
+		return {
+			overall: {
+				...totals,
+				csat: getCsatScore(totals),
+				responseRate: totals.sent ? Math.round((totals.responses / totals.sent) * 100) : null,
+			},
+			byTechnician: withScore(byTechnician),
+			byDepartment: withScore(byDepartment),
+			bySupportType: withScore(bySupportType),
+		};
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new FeedbackService();
+
+module.exports = {
+	// Clase para testing y DI
+	FeedbackService,
+	hashToken,
+	getCsatScore,
+
+	// Métodos del singleton
+	requestFeedback: (ticket) => defaultInstance.requestFeedback(ticket),
+	getSurvey: (token) => defaultInstance.getSurvey(token),
+	submitFeedback: (token, data) => defaultInstance.submitFeedback(token, data),
+	listForTicket: (ticketId) => defaultInstance.listForTicket(ticketId),
+	getDashboard: () => defaultInstance.getDashboard(),
+};
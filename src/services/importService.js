@@ -0,0 +1,286 @@
+/**
+ * Servicio de importación de datos históricos
+ * Carga usuarios, tickets o comentarios desde un CSV validando cada fila con
+ * los esquemas de Zod. Todo el archivo se inserta en una sola transacción: si
+ * alguna fila falla no se guarda nada, y en modo de prueba siempre se
+ * revierte, de modo que también se detectan los duplicados sin escribir.
+ */
+const bcrypt = require('bcryptjs');
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const { ValidationError } = require('../middleware/errorHandler');
+const { IMPORT_TYPES, parseCsv, mapColumns, buildRow } = require('../utils/dataImport');
+const {
+	validate,
+	importUserRowSchema,
+	importTicketRowSchema,
+	importCommentRowSchema,
+} = require('../validators');
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+const SALT_ROUNDS = 10;
+
+const ROW_SCHEMAS = {
+	users: importUserRowSchema,
+	tickets: importTicketRowSchema,
+	comments: importCommentRowSchema,
+};
+
+// Restricciones únicas que puede violar una fila: campo y mensaje del error
+const UNIQUE_CONSTRAINTS = {
+	users_username_key: { field: 'username', message: 'El usuario ya existe' },
+	tickets_reference_key: { field: 'reference', message: 'La referencia ya existe' },
+};
+
+/**
+ * Convierte un error de PostgreSQL al insertar una fila en un error de la
+ * fila; solo los de datos (22) e integridad (23), el resto se propaga.
+ * @param {Error} err
+ * @returns {{field: string|null, message: string}|null}
+ */
+function toRowError(err) {
+	if (err.code === '23505' && UNIQUE_CONSTRAINTS[err.constraint]) {
+		return UNIQUE_CONSTRAINTS[err.constraint];
+	}
+	if (/^2[23]/.test(err.code || '')) {
+		return { field: err.column || null, message: err.message };
+	}
+	return null;
+}
+
+/**
+ * Servicio de importación con inyección de dependencias
+ */
+class ImportService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/TicketRepository')} deps.ticketRepository
+	 * @param {import('../repositories/UserRepository')} deps.userRepository
+	 * @param {import('../repositories/CommentRepository')} deps.commentRepository
+	 * @param {import('../repositories/PermissionRepository')} deps.permissionRepository
+	 */
+	constructor(deps = {}) {
+		this.ticketRepo = deps.ticketRepository || getContainer().tickets;
+		this.userRepo = deps.userRepository || getContainer().users;
+		this.commentRepo = deps.commentRepository || getContainer().comments;
+		this.permissionRepo = deps.permissionRepository || getContainer().permissions;
+	}
+
+	/**
+	 * Importa un CSV. Las filas se numeran como en una hoja de cálculo (la
+	 * primera fila de datos es la 2).
+	 * @param {string} type - users, tickets o comments
+	 * @param {string|Buffer} content - Contenido del archivo
+	 * @param {{dryRun?: boolean, mapping?: Object<string, string>}} options - Mapeo encabezado → campo
+	 * @returns {Promise<Object>} { type, dryRun, total, valid, imported, committed, errors, ignoredColumns }
+	 */
+	async importCsv(type, content, { dryRun = false, mapping = {} } = {}) {
+		if (!IMPORT_TYPES[type]) {
+			throw new ValidationError('Tipo de importación inválido');
+		}
+
+		let records;
+		let mapped;
+		try {
+			records = parseCsv(String(content));
+			mapped = mapColumns(type, records[0] || [], mapping);
+		} catch (err) {
+			throw new ValidationError(err.message);
+		}
+		if (records.length < 2) {
+			throw new ValidationError('El archivo no tiene filas para importar');
+		}
+		if (mapped.missing.length > 0) {
+			throw new ValidationError(`Faltan columnas requeridas: ${mapped.missing.join(', ')}`);
+		}
+
+		const rows = records.slice(1).map((values, index) => ({
+			number: index + 2,
+			data: buildRow(mapped.columns, values),
+		}));
+		const lookups = await this._loadLookups(type, rows.map(row => row.data));
+
+		const errors = [];
+		const valid = [];
+		for (const row of rows) {
+			const result = this._validateRow(type, row.data, lookups);
+			if (result.errors) {
+				errors.push(...result.errors.map(error => ({ row: row.number, ...error })));
+			} else {
+				valid.push({ number: row.number, data: result.data });
+			}
+		}
+
+		// Las filas válidas se insertan también en modo de prueba o con errores
+		// para que la base de datos detecte duplicados; luego se revierte
+		const inserted = await this._insertRows(type, valid, errors, { dryRun });
+		const committed = !dryRun && errors.length === 0;
+		errors.sort((a, b) => a.row - b.row);
+
+		return {
+			type,
+			dryRun,
+			total: rows.length,
+			valid: inserted,
+			imported: committed ? inserted : 0,
+			committed,
+			errors,
+			ignoredColumns: mapped.ignored,
+		};
+	}
+
+	/**
+	 * Carga los roles, usuarios y tickets a los que hacen referencia las filas
+	 * @private
+	 */
+	async _loadLookups(type, rows) {
+		const lookups = { roles: new Map(), users: new Map(), tickets: new Map() };
+		const distinct = field => [...new Set(rows.map(row => row[field]).filter(Boolean))];
+
+		if (type === 'users') {
+			const roles = await this.permissionRepo.getAllRoles();
+			roles.forEach(role => lookups.roles.set(role.name.toLowerCase(), role));
+		}
+
+		const usernames = distinct(type === 'tickets' ? 'assigned_username' : 'username');
+		if (type !== 'users' && usernames.length > 0) {
+			const users = await this.userRepo.findByUsernames(usernames);
+			users.forEach(user => lookups.users.set(user.username, user.id));
+		}
+
+		if (type === 'comments') {
+			const tickets = await this.ticketRepo.findIdsByReferences(distinct('ticket_reference'));
+			tickets.forEach(ticket => lookups.tickets.set(ticket.reference, ticket.id));
+		}
+
+		return lookups;
+	}
+
+	/**
+	 * Valida una fila con su esquema y resuelve sus referencias a otros registros
+	 * @private
+	 * @returns {{data?: Object, errors?: Array<{field: string, message: string}>}}
+	 */
+	_validateRow(type, row, lookups) {
+		const errors = IMPORT_TYPES[type].required
+			.filter(field => row[field] === undefined)
+			.map(field => ({ field, message: 'Campo requerido vacío' }));
+		if (errors.length > 0) {
+			return { errors };
+		}
+
+		// Los usuarios indican el nombre del rol; el esquema valida su ID
+		const role = type === 'users' ? lookups.roles.get(row.role.toLowerCase()) : null;
+		if (type === 'users' && !role) {
+			errors.push({ field: 'role', message: `Rol desconocido: ${row.role}` });
+		}
+
+		const validation = validate(ROW_SCHEMAS[type], role ? { ...row, role_id: role.id } : row);
+		if (!validation.success) {
+			Object.entries(validation.errors)
+				.filter(([field]) => field !== 'role_id')
+				.forEach(([field, message]) => errors.push({ field, message }));
+		}
+		if (errors.length > 0) {
+			return { errors };
+		}
+		const data = validation.data;
+
+		if (type === 'users') {
+			data.role = role.name;
+		} else if (type === 'tickets' && data.assigned_username) {
+			data.assigned_to = lookups.users.get(data.assigned_username);
+			if (!data.assigned_to) {
+				errors.push({ field: 'assigned_username', message: `Técnico desconocido: ${data.assigned_username}` });
+			}
+		} else if (type === 'comments') {
+			data.ticket_id = lookups.tickets.get(data.ticket_reference);
+			if (!data.ticket_id) {
+				errors.push({ field: 'ticket_reference', message: `Ticket no encontrado: ${data.ticket_reference}` });
+			}
+			if (data.username) {
+				data.user_id = lookups.users.get(data.username);
+				if (!data.user_id) {
+					errors.push({ field: 'username', message: `Usuario desconocido: ${data.username}` });
+				}
+			}
+			data.author_name = data.author_name || data.username;
+			if (!data.author_name) {
+				errors.push({ field: 'author_name', message: 'Indique el autor o el usuario del comentario' });
+			}
+		}
+
+		return errors.length > 0 ? { errors } : { data };
+	}
+
+	/**
+	 * Inserta las filas válidas en una transacción, cada una en un savepoint
+	 * para seguir con las demás si la base de datos rechaza alguna. Confirma
+	 * solo si no es una prueba y no hubo ningún error.
+	 * @private
+	 * @returns {Promise<number>} Filas insertadas
+	 */
+	async _insertRows(type, rows, errors, { dryRun }) {
+		const client = await this.ticketRepo.getClient();
+		let inserted = 0;
+		try {
+			await client.query('BEGIN');
+			for (const row of rows) {
+				await client.query('SAVEPOINT import_row');
+				try {
+					await this._insertRow(type, row.data, client, dryRun);
+					await client.query('RELEASE SAVEPOINT import_row');
+					inserted++;
+				} catch (err) {
+					const rowError = toRowError(err);
+					if (!rowError) {
+						throw err;
+					}
+					await client.query('ROLLBACK TO SAVEPOINT import_row');
+					errors.push({ row: row.number, ...rowError });
+				}
+			}
+			await client.query(!dryRun && errors.length === 0 ? 'COMMIT' : 'ROLLBACK');
+			return inserted;
+		} catch (err) {
+			await client.query('ROLLBACK');
+			throw err;
+		} finally {
+			client.release();
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	async _insertRow(type, data, client, dryRun) {
+		if (type === 'users') {
+			// En modo de prueba no se cifra: la fila se descarta al revertir
+			const passwordHash = dryRun ? '' : await bcrypt.hash(data.password, SALT_ROUNDS);
+			return this.userRepo.createImported({ ...data, password_hash: passwordHash }, client);
+		}
+		if (type === 'tickets') {
+			return this.ticketRepo.createImported(data, client);
+		}
+		return this.commentRepo.createImported(data, client);
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new ImportService();
+
+module.exports = {
+	// Clase para testing y DI
+	ImportService,
+
+	// Métodos del singleton
+	importCsv: (type, content, options) => defaultInstance.importCsv(type, content, options),
+};
@@ -0,0 +1,371 @@
+/**
+ * Servicio de correo entrante
+ * Convierte mensajes RFC 822 en tickets nuevos o, si el asunto contiene la
+ * referencia de un ticket existente, en comentarios públicos. Los mensajes
+ * llegan por un servidor SMTP local o por una carpeta de archivos .eml.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const { SMTPServer } = require('smtp-server');
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const config = require('../config');
+const ticketService = require('./ticketService');
+const attachmentService = require('./attachmentService');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { validate, createTicketSchema, createCommentSchema } = require('../validators');
+
+// Referencia de ticket en el asunto (ej: "Re: Respuesta en ticket T-250114-1A2B3C4D")
+const REFERENCE_PATTERN = /\bT-\d{6}-[A-Z0-9]{4,}\b/i;
+
+// Líneas que marcan el inicio del mensaje citado en una respuesta
+const QUOTE_HEADER_PATTERNS = [
+	/^(El|On)\s.+(escribió|wrote):\s*$/i,
+	/^-{2,}\s*(Mensaje original|Original Message)\s*-{2,}/i,
+	/^(De|From):\s.+/i,
+];
+
+const MAX_TEXT_LENGTH = 5000;
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+/**
+ * Obtiene la referencia de ticket contenida en un asunto
+ * @param {string} subject
+ * @returns {string|null}
+ */
+function extractReference(subject) {
+	const match = REFERENCE_PATTERN.exec(subject || '');
+	return match ? match[0].toUpperCase() : null;
+}
+
+/**
+ * Indica si una dirección coincide con una regla (dirección completa o dominio con @ inicial)
+ * @param {string} address - Dirección en minúsculas
+ * @param {string} rule - Ej: "jefe@empresa.com", "@empresa.com" o "*@empresa.com"
+ * @returns {boolean}
+ */
+function matchesSenderRule(address, rule) {
+	const normalized = rule.startsWith('*@') ? rule.slice(1) : rule;
+	return normalized.startsWith('@') ? address.endsWith(normalized) : address === normalized;
+}
+
+/**
+ * Aplica las reglas de remitente: la denegación tiene prioridad y, si hay
+ * lista de permitidos, el remitente debe estar en ella
+ * @param {string} address
+ * @param {{allow: string[], deny: string[]}} rules
+ * @returns {{allowed: boolean, reason?: string}}
+ */
+function checkSender(address, { allow = [], deny = [] } = {}) {
+	if (!address) {
+		return { allowed: false, reason: 'Remitente desconocido' };
+	}
+	if (deny.some(rule => matchesSenderRule(address, rule))) {
+		return { allowed: false, reason: 'Remitente bloqueado' };
+	}
+	if (allow.length > 0 && !allow.some(rule => matchesSenderRule(address, rule))) {
+		return { allowed: false, reason: 'Remitente no permitido' };
+	}
+	return { allowed: true };
+}
+
+/**
+ * Quita de una respuesta el mensaje citado
+ * @param {string} text - Cuerpo en texto plano
+ * @returns {string}
+ */
+function extractReplyText(text) {
+	const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+	const reply = [];
+
+	for (const line of lines) {
+		if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(line.trim()))) {
+			break;
+		}
+		if (!line.startsWith('>')) {
+			reply.push(line);
+		}
+	}
+
+	return reply.join('\n').trim() || String(text || '').trim();
+}
+
+/**
+ * Indica si el mensaje es una respuesta automática (evita bucles con los avisos del sistema)
+ * @param {Object} parsed - Resultado de simpleParser
+ * @returns {boolean}
+ */
+function isAutoGenerated(parsed) {
+	const autoSubmitted = parsed.headers.get('auto-submitted');
+	const precedence = String(parsed.headers.get('precedence') || '').toLowerCase();
+	return (autoSubmitted && String(autoSubmitted).toLowerCase() !== 'no') ||
+		['bulk', 'junk', 'list', 'auto_reply'].includes(precedence) ||
+		parsed.headers.has('x-autoreply');
+}
+
+/**
+ * Servicio de correo entrante con inyección de dependencias
+ */
+class InboundEmailService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/InboundEmailRepository')} deps.inboundEmailRepository
+	 * @param {Object} deps.ticketService - createTicket, getTicketByReference y addComment
+	 * @param {Object} deps.attachmentService - saveBuffers
+	 * @param {Object} deps.options - Configuración de correo entrante (ver config.inboundEmail)
+	 */
+	constructor(deps = {}) {
+		this.inboundEmailRepo = deps.inboundEmailRepository || getContainer().inboundEmails;
+		this.tickets = deps.ticketService || ticketService;
+		this.attachments = deps.attachmentService || attachmentService;
+		this.options = { ...config.inboundEmail, ...deps.options };
+	}
+
+	/**
+	 * Listar correos procesados recientemente
+	 * @param {number} limit
+	 * @returns {Promise<Array>}
+	 */
+	async listRecent(limit = 50) {
+		return this.inboundEmailRepo.findRecent(limit);
+	}
+
+	/**
+	 * Procesa un mensaje RFC 822
+	 * @param {Buffer|string} raw - Mensaje completo
+	 * @param {string} source - Origen del mensaje (smtp, drop_dir)
+	 * @returns {Promise<Object>} Registro del correo (duplicate: true si ya se había procesado)
+	 */
+	async processMessage(raw, source = 'smtp') {
+		const parsed = await simpleParser(raw);
+		const sender = parsed.from?.value?.[0] || {};
+		const address = (sender.address || '').toLowerCase();
+		const subject = (parsed.subject || '').trim();
+		const messageId = parsed.messageId || 'sha256:' + crypto.createHash('sha256').update(raw).digest('hex');
+
+		const existing = await this.inboundEmailRepo.findByMessageId(messageId);
+		if (existing && existing.status !== 'failed') {
+			return { ...existing, duplicate: true };
+		}
+
+		const base = { message_id: messageId, source, from_address: address || null, subject: subject || null };
+
+		const senderCheck = checkSender(address, this.options);
+		if (!senderCheck.allowed) {
+			return this.inboundEmailRepo.record({ ...base, status: 'rejected', details: senderCheck.reason });
+		}
+		if (isAutoGenerated(parsed)) {
+			return this.inboundEmailRepo.record({ ...base, status: 'rejected', details: 'Respuesta automática ignorada' });
+		}
+
+		try {
+			const authorName = (sender.name || address).trim().slice(0, 100);
+			const ticket = await this._findTicket(extractReference(subject));
+			const result = ticket
+				? await this._addReply(ticket, parsed, authorName, address)
+				: await this._createTicket(parsed, subject, authorName, address);
+
+			return this.inboundEmailRepo.record({ ...base, ...result });
+		} catch (err) {
+			await this.inboundEmailRepo.record({ ...base, status: 'failed', details: err.message });
+			throw err;
+		}
+	}
+
+	/**
+	 * Busca el ticket de una referencia; null si no hay referencia o no existe
+	 * @private
+	 */
+	async _findTicket(reference) {
+		if (!reference) {
+			return null;
+		}
+		try {
+			return await this.tickets.getTicketByReference(reference);
+		} catch (err) {
+			if (err instanceof NotFoundError) {
+				return null;
+			}
+			throw err;
+		}
+	}
+
+	/**
+	 * Crea un ticket a partir de un correo nuevo
+	 * @private
+	 */
+	async _createTicket(parsed, subject, requesterName, address) {
+		const text = String(parsed.text || '').trim();
+		const validation = validate(createTicketSchema, {
+			requester_name: requesterName,
+			department: this.options.department,
+			support_type: this.options.supportType,
+			priority: this.options.priority,
+			subject: (subject.length >= 5 ? subject : `Correo de ${address}`).slice(0, 200),
+			description: (text.length >= 10 ? text : `${subject || 'Sin asunto'}\n\n(Correo sin contenido)`).slice(0, MAX_TEXT_LENGTH),
+			has_anydesk: false,
+			email: address,
+		});
+		if (!validation.success) {
+			throw new ValidationError('Correo inválido para crear un ticket', validation.errors);
+		}
+
+		const ticket = await this.tickets.createTicket({ ...validation.data, channel: 'email' }, address);
+		const skipped = await this._saveAttachments(parsed, { ticket_id: ticket.id, uploaded_by_name: requesterName });
+
+		return { status: 'ticket_created', ticket_id: ticket.id, details: skipped };
+	}
+
+	/**
+	 * Agrega una respuesta por correo como comentario público
+	 * @private
+	 */
+	async _addReply(ticket, parsed, authorName, address) {
+		const validation = validate(createCommentSchema, {
+			content: extractReplyText(parsed.text).slice(0, MAX_TEXT_LENGTH) || '(Correo sin contenido)',
+			author_name: authorName,
+			author_email: address,
+			is_internal: false,
+		});
+		if (!validation.success) {
+			throw new ValidationError('Correo inválido para agregar un comentario', validation.errors);
+		}
+
+		const comment = await this.tickets.addComment(ticket.id, ticket.reference, validation.data);
+		const skipped = await this._saveAttachments(parsed, {
+			ticket_id: ticket.id,
+			comment_id: comment.id,
+			uploaded_by_name: authorName,
+		});
+
+		return { status: 'comment_added', ticket_id: ticket.id, comment_id: comment.id, details: skipped };
+	}
+
+	/**
+	 * Guarda los adjuntos del correo y describe los que se omitieron. Un error al
+	 * guardarlos no hace fallar el correo: el ticket o comentario ya existe y un
+	 * reintento del mismo mensaje lo duplicaría.
+	 * @private
+	 * @returns {Promise<string|null>}
+	 */
+	async _saveAttachments(parsed, owner) {
+		const files = (parsed.attachments || []).map(attachment => ({
+			filename: attachment.filename,
+			contentType: attachment.contentType,
+			content: attachment.content,
+		}));
+
+		let skipped;
+		try {
+			({ skipped } = await this.attachments.saveBuffers(files, owner));
+		} catch (err) {
+			console.error('Error guardando adjuntos de correo entrante:', err.message);
+			return 'Adjuntos no guardados: ' + files.map(file => file.filename || 'adjunto').join(', ') + ` (${err.message})`;
+		}
+
+		return skipped.length > 0
+			? 'Adjuntos omitidos: ' + skipped.map(file => `${file.name} (${file.reason})`).join(', ')
+			: null;
+	}
+
+	/**
+	 * Procesa los archivos .eml de la carpeta de entrada y los mueve a
+	 * processed/ o failed/ según el resultado
+	 * @returns {Promise<{processed: number, failed: number}>}
+	 */
+	async processDropDirectory() {
+		const dir = this.options.dropDir;
+		if (!dir) {
+			return { processed: 0, failed: 0 };
+		}
+
+		const processedDir = path.join(dir, 'processed');
+		const failedDir = path.join(dir, 'failed');
+		await fs.promises.mkdir(processedDir, { recursive: true });
+		await fs.promises.mkdir(failedDir, { recursive: true });
+
+		const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+		const files = entries
+			.filter(entry => entry.isFile() && entry.name.toLowerCase().endsWith('.eml'))
+			.map(entry => entry.name)
+			.sort();
+
+		let processed = 0;
+		let failed = 0;
+		for (const name of files) {
+			const filePath = path.join(dir, name);
+			try {
+				await this.processMessage(await fs.promises.readFile(filePath), 'drop_dir');
+				await fs.promises.rename(filePath, path.join(processedDir, name));
+				processed++;
+			} catch (err) {
+				console.error(`Error procesando correo ${name}:`, err.message);
+				await fs.promises.rename(filePath, path.join(failedDir, name));
+				failed++;
+			}
+		}
+
+		return { processed, failed };
+	}
+
+	/**
+	 * Crea el servidor SMTP local que recibe los correos (sin autenticación ni TLS;
+	 * debe escuchar solo en una interfaz interna detrás del servidor de correo)
+	 * @returns {SMTPServer}
+	 */
+	createSmtpServer() {
+		return new SMTPServer({
+			authOptional: true,
+			disabledCommands: ['AUTH', 'STARTTLS'],
+			size: this.options.maxMessageSize,
+			logger: false,
+			onData: (stream, session, callback) => {
+				const chunks = [];
+				stream.on('data', chunk => chunks.push(chunk));
+				stream.on('end', () => {
+					if (stream.sizeExceeded) {
+						const err = new Error('Mensaje demasiado grande');
+						err.responseCode = 552;
+						return callback(err);
+					}
+
+					this.processMessage(Buffer.concat(chunks), 'smtp')
+						.then(() => callback())
+						.catch(err => {
+							console.error('Error procesando correo entrante:', err.message);
+							const smtpError = new Error('No se pudo procesar el mensaje');
+							smtpError.responseCode = 451;
+							callback(smtpError);
+						});
+				});
+			},
+		});
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new InboundEmailService();
+
+module.exports = {
+	// Clase para testing y DI
+	InboundEmailService,
+	extractReference,
+	checkSender,
+	extractReplyText,
+
+	// Métodos del singleton
+	listRecent: (limit) => defaultInstance.listRecent(limit),
+	processMessage: (raw, source) => defaultInstance.processMessage(raw, source),
+	processDropDirectory: () => defaultInstance.processDropDirectory(),
+	createSmtpServer: () => defaultInstance.createSmtpServer(),
+};
@@ -7,4 +7,22 @@ module.exports = {
 	emailService: require('./emailService'),
 	roleService: require('./roleService'),
 	reportService: require('./reportService'),
+	slaService: require('./slaService'),
+	apiKeyService: require('./apiKeyService'),
+	webhookService: require('./webhookService'),
+	attachmentService: require('./attachmentService'),
+	inboundEmailService: require('./inboundEmailService'),
+	requesterPortalService: require('./requesterPortalService'),
+	feedbackService: require('./feedbackService'),
+	assignmentService: require('./assignmentService'),
+	macroService: require('./macroService'),
+	analyticsService: require('./analyticsService'),
+	exportService: require('./exportService'),
+	importService: require('./importService'),
+	scheduledReportService: require('./scheduledReportService'),
+	twoFactorService: require('./twoFactorService'),
+	authService: require('./authService'),
+	watcherService: require('./watcherService'),
+	notificationService: require('./notificationService'),
+	realtimeService: require('./realtimeService'),
 };
@@ -0,0 +1,210 @@
+/**
+ * Servicio de macros de respuesta
+ * Plantillas personales o compartidas que en un clic cambian el estado, asignan
+ * y agregan un comentario público y/o una nota interna a un ticket.
+ */
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const ticketService = require('./ticketService');
+const { buildContext, findUnknownPlaceholders, renderTemplate } = require('../utils/macros');
+const { NotFoundError, ValidationError, ForbiddenError } = require('../middleware/errorHandler');
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+/**
+ * Indica si un usuario puede editar o eliminar una macro (su autor o un admin)
+ * @param {Object} macro
+ * @param {Object} user - Usuario de la sesión
+ * @returns {boolean}
+ */
+function canEditMacro(macro, user) {
+	return macro.owner_id === user.id || user.role === 'admin';
+}
+
+/**
+ * Servicio de macros con inyección de dependencias
+ */
+class MacroService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/MacroRepository')} deps.macroRepository
+	 * @param {import('../repositories/UserRepository')} deps.userRepository
+	 * @param {Object} deps.ticketService - Ejecuta las acciones sobre el ticket
+	 */
+	constructor(deps = {}) {
+		this.macroRepo = deps.macroRepository || getContainer().macros;
+		this.userRepo = deps.userRepository || getContainer().users;
+		this.tickets = deps.ticketService || ticketService;
+	}
+
+	/**
+	 * Listar las macros propias y compartidas de un usuario
+	 * @param {Object} user - Usuario de la sesión
+	 * @returns {Promise<Array>} Macros con `editable`
+	 */
+	async listForUser(user) {
+		const macros = await this.macroRepo.findVisible(user.id);
+		return macros.map(macro => ({ ...macro, editable: canEditMacro(macro, user) }));
+	}
+
+	/**
+	 * Crear una macro del usuario
+	 * @param {Object} data - Campos validados con macroSchema
+	 * @param {Object} user - Autor
+	 * @returns {Promise<Object>}
+	 */
+	async createMacro(data, user) {
+		await this._validate(data);
+		return this.macroRepo.create({ ...data, owner_id: user.id });
+	}
+
+	/**
+	 * Actualizar una macro
+	 * @param {number} macroId
+	 * @param {Object} data - Campos validados con macroSchema
+	 * @param {Object} user - Usuario de la sesión
+	 * @returns {Promise<Object>}
+	 */
+	async updateMacro(macroId, data, user) {
+		await this._getEditable(macroId, user);
+		await this._validate(data);
+		return this.macroRepo.update(macroId, data);
+	}
+
+	/**
+	 * Eliminar una macro
+	 * @param {number} macroId
+	 * @param {Object} user - Usuario de la sesión
+	 * @returns {Promise<Object>}
+	 */
+	async deleteMacro(macroId, user) {
+		await this._getEditable(macroId, user);
+		return this.macroRepo.delete(macroId);
+	}
+
+	/**
+	 * Aplica una macro a un ticket: cambio de estado, asignación, comentario
+	 * público y nota interna, en ese orden. Las plantillas se completan con el
+	 * estado y el técnico que quedan después de aplicarla.
+	 * @param {number} macroId
+	 * @param {Object} ticket - Ticket con assigned_username
+	 * @param {Object} actor - Usuario de la sesión
+	 * @param {Array<string>} permissions - Permisos del usuario
+	 * @returns {Promise<Object>} Macro aplicada
+	 */
+	async applyMacro(macroId, ticket, actor, permissions = []) {
+		const macro = await this.macroRepo.findById(macroId);
+		if (!macro || (!macro.is_shared && macro.owner_id !== actor.id)) {
+			throw new NotFoundError('Macro');
+		}
+
+		const reassign = macro.assign_to && macro.assign_to !== ticket.assigned_to;
+		if (reassign && !permissions.includes('assign_tickets')) {
+			throw new ForbiddenError('No tienes permisos para asignar tickets');
+		}
+
+		const assignee = macro.assign_to ? await this.userRepo.findById(macro.assign_to) : null;
+		const context = buildContext(ticket, {
+			status: macro.set_status || ticket.status,
+			technician_name: assignee?.username || ticket.assigned_username,
+			agent_name: actor.username,
+		});
+		const content = renderTemplate(macro.content, context);
+		const internalNote = renderTemplate(macro.internal_note, context);
+
+		// El cambio de estado va primero: si el flujo lo rechaza no se aplica nada más
+		if (macro.set_status && macro.set_status !== ticket.status) {
+			await this.tickets.updateTicketStatus(ticket.id, ticket.reference, macro.set_status, ticket.assigned_to, actor, {
+				resolution_note: content || internalNote,
+			});
+		}
+
+		if (reassign) {
+			await this.tickets.assignTicket(ticket.id, ticket.reference, macro.assign_to, actor);
+		}
+
+		if (content) {
+			await this.tickets.addComment(ticket.id, ticket.reference, {
+				user_id: actor.id,
+				author_name: actor.username,
+				content,
+				is_internal: false,
+			});
+		}
+
+		if (internalNote) {
+			await this.tickets.addComment(ticket.id, ticket.reference, {
+				user_id: actor.id,
+				author_name: actor.username,
+				content: internalNote,
+				is_internal: true,
+			});
+		}
+
+		return macro;
+	}
+
+	/**
+	 * Busca una macro que el usuario puede modificar
+	 * @private
+	 */
+	async _getEditable(macroId, user) {
+		const macro = await this.macroRepo.findById(macroId);
+		if (!macro || (!macro.is_shared && macro.owner_id !== user.id)) {
+			throw new NotFoundError('Macro');
+		}
+		if (!canEditMacro(macro, user)) {
+			throw new ForbiddenError('Solo el autor puede modificar esta macro');
+		}
+		return macro;
+	}
+
+	/**
+	 * Verifica los marcadores de las plantillas y el técnico a asignar
+	 * @private
+	 */
+	async _validate(data) {
+		const errors = {};
+		for (const field of ['content', 'internal_note']) {
+			const unknown = findUnknownPlaceholders(data[field]);
+			if (unknown.length > 0) {
+				errors[field] = `Marcadores desconocidos: ${unknown.map(name => `{{${name}}}`).join(', ')}`;
+			}
+		}
+
+		if (data.assign_to) {
+			const technicians = await this.userRepo.findAllTechnicians();
+			if (!technicians.some(t => t.id === data.assign_to)) {
+				errors.assign_to = 'El técnico seleccionado no existe';
+			}
+		}
+
+		if (Object.keys(errors).length > 0) {
+			throw new ValidationError(Object.values(errors).join('. '), errors);
+		}
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new MacroService();
+
+module.exports = {
+	// Clase para testing y DI
+	MacroService,
+	canEditMacro,
+
+	// Métodos del singleton
+	listForUser: (user) => defaultInstance.listForUser(user),
+	createMacro: (data, user) => defaultInstance.createMacro(data, user),
+	updateMacro: (macroId, data, user) => defaultInstance.updateMacro(macroId, data, user),
+	deleteMacro: (macroId, user) => defaultInstance.deleteMacro(macroId, user),
+	applyMacro: (macroId, ticket, actor, permissions) =>
+		defaultInstance.applyMacro(macroId, ticket, actor, permissions),
+};
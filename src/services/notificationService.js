@@ -0,0 +1,269 @@
+/**
+ * Servicio de notificaciones del personal
+ * Entrega cada aviso según el canal que el destinatario eligió para su tipo:
+ * solo en el panel, en el panel y por email al momento, en el panel y en el
+ * resumen diario por email, o ninguno. El resumen agrupa en un solo email las
+ * notificaciones que siguen sin leer. También gestiona el historial de cada
+ * usuario y la limpieza de las notificaciones antiguas.
+ */
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const { EVENT_TYPES, DEFAULT_CHANNEL } = require('../repositories/NotificationPreferenceRepository');
+const config = require('../config');
+const emailService = require('./emailService');
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+// Nombres de los tipos de notificación en el perfil
+const EVENT_TYPE_LABELS = {
+	new_ticket: 'Tickets nuevos',
+	high_priority: 'Tickets de alta prioridad sin asignar',
+	ticket_assigned: 'Asignaciones',
+	status_change: 'Cambios de estado',
+	new_comment: 'Comentarios nuevos',
+	sla_warning: 'SLA por vencer',
+	sla_breach: 'SLA incumplido',
+};
+
+const CHANNEL_LABELS = {
+	in_app: 'Solo en el panel',
+	email: 'Panel y email al momento',
+	digest: 'Panel y resumen diario',
+	off: 'Desactivada',
+};
+
+/**
+ * Servicio de notificaciones con inyección de dependencias
+ */
+class NotificationService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/NotificationRepository')} deps.notificationRepository
+	 * @param {import('../repositories/NotificationPreferenceRepository')} deps.notificationPreferenceRepository
+	 * @param {import('../repositories/UserRepository')} deps.userRepository
+	 * @param {Object} deps.emailService - sendNotificationEmail y sendNotificationDigestEmail
+	 * @param {Object} deps.options - digestHour y retentionDays (ver config.notifications)
+	 */
+	constructor(deps = {}) {
+		this.notificationRepo = deps.notificationRepository || getContainer().notifications;
+		this.preferenceRepo = deps.notificationPreferenceRepository || getContainer().notificationPreferences;
+		this.userRepo = deps.userRepository || getContainer().users;
+		this.email = deps.emailService || emailService;
+		this.options = { ...config.notifications, ...deps.options };
+	}
+
+	/**
+	 * Notifica a varios usuarios por el canal que cada uno eligió para el tipo
+	 * @param {Array<number>} userIds - Destinatarios
+	 * @param {Object} notification - type, title, message, ticket_id y ticket_reference
+	 * @returns {Promise<Array<Object>>} Notificaciones creadas en el panel
+	 */
+	async notify(userIds, notification) {
+		const ids = [...new Set(userIds.filter(Boolean))];
+		if (ids.length === 0) {
+			return [];
+		}
+
+		const recipients = await this.preferenceRepo.findChannels(ids, notification.type);
+		const created = await Promise.all(recipients
+			.filter(recipient => recipient.channel !== 'off')
+			.map(recipient => this._deliver(recipient, notification)));
+		return created;
+	}
+
+	/**
+	 * Crea la notificación en el panel y, si el usuario lo eligió, la envía por email
+	 * @private
+	 */
+	async _deliver(recipient, notification) {
+		const created = await this.notificationRepo.create({ ...notification, user_id: recipient.user_id });
+
+		if (recipient.channel === 'email' && recipient.email) {
+			const delivered = await this.email.sendNotificationEmail(recipient.email, {
+				...created,
+				ticket_reference: notification.ticket_reference,
+			});
+			if (delivered) {
+				await this.notificationRepo.markEmailed([created.id]);
+			}
+		}
+		return created;
+	}
+
+	/**
+	 * Historial paginado de notificaciones de un usuario
+	 * @param {number} userId
+	 * @param {Object} filters - type e is_read
+	 * @param {number} page
+	 * @param {number} perPage
+	 * @returns {Promise<{notifications: Array, pagination: Object}>}
+	 */
+	async listNotifications(userId, filters = {}, page = 1, perPage = 20) {
+		const notifications = await this.notificationRepo.findAll(userId, filters, perPage, (page - 1) * perPage);
+		const total = await this.notificationRepo.count(userId, filters);
+		const totalPages = Math.ceil(total / perPage);
+
+		return {
+			notifications,
+			pagination: {
+				currentPage: page,
+				totalPages,
+				totalEntries: total,
+				perPage,
+				hasNext: page < totalPages,
+				hasPrev: page > 1,
+			},
+		};
+	}
+
+	/**
+	 * Marca como leídas notificaciones del usuario
+	 * @param {number} userId
+	 * @param {Array<number>} ids
+	 * @returns {Promise<number>} Notificaciones marcadas
+	 */
+	async markAsRead(userId, ids) {
+		return this.notificationRepo.markManyAsRead(ids, userId);
+	}
+
+	/**
+	 * Elimina notificaciones del usuario
+	 * @param {number} userId
+	 * @param {Array<number>} ids
+	 * @returns {Promise<number>} Notificaciones eliminadas
+	 */
+	async deleteNotifications(userId, ids) {
+		return this.notificationRepo.deleteMany(ids, userId);
+	}
+
+	/**
+	 * Elimina las notificaciones anteriores al periodo de retención
+	 * @param {number} retentionDays
+	 * @returns {Promise<number>} Notificaciones eliminadas
+	 */
+	async cleanOld(retentionDays = this.options.retentionDays) {
+		return this.notificationRepo.cleanOld(retentionDays);
+	}
+
+	/**
+	 * Email y canal de cada tipo de notificación de un usuario
+	 * @param {number} userId
+	 * @returns {Promise<{email: string|null, preferences: Object<string, string>}>}
+	 */
+	async getPreferences(userId) {
+		const [user, saved] = await Promise.all([
+			this.userRepo.findById(userId),
+			this.preferenceRepo.findByUserId(userId),
+		]);
+
+		const preferences = Object.fromEntries(EVENT_TYPES.map(type => [type, DEFAULT_CHANNEL]));
+		saved.forEach(row => {
+			preferences[row.event_type] = row.channel;
+		});
+		return { email: user?.email || null, preferences };
+	}
+
+	/**
+	 * Guarda el email y las preferencias de un usuario
+	 * @param {number} userId
+	 * @param {Object} data - Datos validados con notificationPreferencesSchema
+	 */
+	async updatePreferences(userId, { email, preferences }) {
+		await this.userRepo.update(userId, { email: email || null });
+		await this.preferenceRepo.replaceForUser(userId, preferences);
+	}
+
+	/**
+	 * Envía el resumen diario a cada usuario con notificaciones pendientes,
+	 * una vez al día a partir de options.digestHour
+	 * @param {Date} now
+	 * @returns {Promise<{users: number, sent: number, failed: number}>}
+	 */
+	async sendDigests(now = new Date()) {
+		if (!this.email.getTransporter() || now.getHours() < this.options.digestHour) {
+			return { users: 0, sent: 0, failed: 0 };
+		}
+
+		const periodStart = new Date(now);
+		periodStart.setHours(this.options.digestHour, 0, 0, 0);
+
+		const pending = await this.notificationRepo.findDigestPending(periodStart);
+		const byUser = new Map();
+		pending.forEach(notification => {
+			if (!byUser.has(notification.user_id)) {
+				byUser.set(notification.user_id, []);
+			}
+			byUser.get(notification.user_id).push(notification);
+		});
+
+		let sent = 0;
+		let failed = 0;
+		let skipped = 0;
+		for (const [userId, notifications] of byUser) {
+			// Otra ejecución ya envió o está enviando el resumen de este periodo
+			if (!(await this.userRepo.claimDigest(userId, now, periodStart))) {
+				skipped++;
+				continue;
+			}
+			if (await this._sendDigest(userId, notifications, now)) {
+				sent++;
+			} else {
+				failed++;
+			}
+		}
+
+		return { users: byUser.size - skipped, sent, failed };
+	}
+
+	/**
+	 * Envía el resumen ya reservado de un usuario y marca sus notificaciones como
+	 * enviadas; si falla libera la reserva para reintentarlo en la siguiente revisión
+	 * @private
+	 */
+	async _sendDigest(userId, notifications, now) {
+		const { username, email } = notifications[0];
+		try {
+			const delivered = await this.email.sendNotificationDigestEmail({ username, email }, notifications);
+			if (delivered) {
+				await this.notificationRepo.markEmailed(notifications.map(notification => notification.id));
+				return true;
+			}
+		} catch (err) {
+			console.error(`Error enviando el resumen de notificaciones del usuario ${userId}:`, err.message);
+		}
+
+		try {
+			await this.userRepo.releaseDigest(userId, now);
+		} catch (err) {
+			console.error(`Error liberando el resumen de notificaciones del usuario ${userId}:`, err.message);
+		}
+		return false;
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new NotificationService();
+
+module.exports = {
+	// Clase para testing y DI
+	NotificationService,
+	EVENT_TYPE_LABELS,
+	CHANNEL_LABELS,
+
+	// Métodos del singleton
+	notify: (userIds, notification) => defaultInstance.notify(userIds, notification),
+	listNotifications: (userId, filters, page, perPage) => defaultInstance.listNotifications(userId, filters, page, perPage),
+	markAsRead: (userId, ids) => defaultInstance.markAsRead(userId, ids),
+	deleteNotifications: (userId, ids) => defaultInstance.deleteNotifications(userId, ids),
+	cleanOld: (retentionDays) => defaultInstance.cleanOld(retentionDays),
+	getPreferences: (userId) => defaultInstance.getPreferences(userId),
+	updatePreferences: (userId, data) => defaultInstance.updatePreferences(userId, data),
+	sendDigests: (now) => defaultInstance.sendDigests(now),
+};
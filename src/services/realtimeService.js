@@ -0,0 +1,196 @@
+/**
+ * Servicio de eventos en tiempo real
+ * Escucha con LISTEN el canal ticket_events, donde los triggers de la base de
+ * datos publican las notificaciones nuevas, los cambios de tickets y los
+ * comentarios (ver migración 0004), y reparte cada evento a las conexiones
+ * abiertas del equipo. Cada instancia de la aplicación mantiene una sola
+ * conexión de escucha mientras tenga suscriptores.
+ */
+const { getPool } = require('../db');
+const config = require('../config');
+
+// Canal de pg_notify usado por los triggers
+const CHANNEL = 'ticket_events';
+
+/**
+ * Servicio de tiempo real con inyección de dependencias
+ */
+class RealtimeService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {Object} deps.pool - Pool de PostgreSQL del que se toma la conexión de escucha
+	 * @param {Object} deps.options - reconnectDelay (ver config.realtime)
+	 */
+	constructor(deps = {}) {
+		this.pool = deps.pool || null;
+		this.options = { ...config.realtime, ...deps.options };
+		this.subscribers = new Set();
+		this.client = null;
+		this.connecting = null;
+		this.reconnectTimer = null;
+	}
+
+	/**
+	 * Suscribe una conexión a los eventos visibles para el usuario
+	 * @param {Object} user - Usuario de la sesión
+	 * @param {Function} send - Recibe (kind, payload) por cada evento
+	 * @returns {Promise<Function>} Cancela la suscripción
+	 */
+	async subscribe(user, send) {
+		const subscriber = { user, send };
+		this.subscribers.add(subscriber);
+
+		try {
+			await this._listen();
+		} catch (err) {
+			// La suscripción sigue activa: recibirá eventos cuando se reconecte
+			console.error('Error escuchando eventos en tiempo real:', err.message);
+			this._scheduleReconnect();
+		}
+
+		return () => {
+			this.subscribers.delete(subscriber);
+			if (this.subscribers.size === 0) {
+				this.stop();
+			}
+		};
+	}
+
+	/**
+	 * Número de conexiones suscritas en esta instancia
+	 * @returns {number}
+	 */
+	countSubscribers() {
+		return this.subscribers.size;
+	}
+
+	/**
+	 * Cierra la conexión de escucha
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = null;
+
+		// Una conexión que aún se está abriendo se cierra sola al no tener suscriptores
+		const client = this.client;
+		this.client = null;
+		if (client) {
+			client.removeAllListeners('notification');
+			client.release(true);
+		}
+	}
+
+	/**
+	 * Abre la conexión de escucha si no hay una ya abierta o abriéndose
+	 * @private
+	 */
+	async _listen() {
+		if (this.client) {
+			return;
+		}
+		if (!this.connecting) {
+			this.connecting = this._connect().finally(() => {
+				this.connecting = null;
+			});
+		}
+		await this.connecting;
+	}
+
+	/**
+	 * @private
+	 */
+	async _connect() {
+		const client = await (this.pool || getPool()).connect();
+		client.on('notification', message => this._dispatch(message));
+		client.on('error', err => this._handleConnectionError(client, err));
+
+		try {
+			await client.query(`LISTEN ${CHANNEL}`);
+		} catch (err) {
+			client.release(true);
+			throw err;
+		}
+
+		// Nadie esperaba ya los eventos mientras se conectaba
+		if (this.subscribers.size === 0) {
+			client.release(true);
+			return null;
+		}
+		this.client = client;
+		return client;
+	}
+
+	/**
+	 * Reparte un evento de la base de datos a los suscriptores que pueden verlo
+	 * @private
+	 */
+	_dispatch(message) {
+		let event;
+		try {
+			event = JSON.parse(message.payload);
+		} catch {
+			console.error('Evento en tiempo real inválido:', message.payload);
+			return;
+		}
+
+		const { kind, ...payload } = event;
+		this.subscribers.forEach(subscriber => {
+			// Las notificaciones son personales; los cambios de tickets y comentarios, de todo el equipo
+			if (kind === 'notification' && payload.user_id !== subscriber.user.id) {
+				return;
+			}
+			subscriber.send(kind, payload);
+		});
+	}
+
+	/**
+	 * Descarta la conexión caída y programa una nueva
+	 * @private
+	 */
+	_handleConnectionError(client, err) {
+		if (this.client !== client) {
+			return;
+		}
+		console.error('Conexión de eventos en tiempo real perdida:', err.message);
+		this.client = null;
+		client.removeAllListeners('notification');
+		client.release(err);
+		this._scheduleReconnect();
+	}
+
+	/**
+	 * @private
+	 */
+	_scheduleReconnect() {
+		if (this.reconnectTimer || this.subscribers.size === 0) {
+			return;
+		}
+		this.reconnectTimer = setTimeout(async () => {
+			this.reconnectTimer = null;
+			if (this.subscribers.size === 0) {
+				return;
+			}
+			try {
+				await this._listen();
+			} catch (err) {
+				console.error('Error reconectando eventos en tiempo real:', err.message);
+				this._scheduleReconnect();
+			}
+		}, this.options.reconnectDelay);
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new RealtimeService();
+
+module.exports = {
+	// Clase para testing y DI
+	RealtimeService,
+	CHANNEL,
+
+	// Métodos del singleton
+	subscribe: (user, send) => defaultInstance.subscribe(user, send),
+	countSubscribers: () => defaultInstance.countSubscribers(),
+	stop: () => defaultInstance.stop(),
+};
@@ -4,15 +4,23 @@
 const PDFDocument = require('pdfkit');
 const path = require('path');
 const fs = require('fs');
+const { describeEvent } = require('../utils/ticketEvents');
+const { formatFileSize } = require('../utils/attachments');
+const { formatDuration } = require('./analyticsService');
+
+// Departamentos que se listan en el reporte de gestión
+const TOP_DEPARTMENTS = 5;
 
 /**
  * Genera un reporte PDF de un ticket resuelto
  * @param {Object} ticket - Datos del ticket
  * @param {Array} comments - Comentarios del ticket
+ * @param {Array} events - Historial de eventos del ticket
+ * @param {Array} attachments - Adjuntos del ticket y de sus comentarios públicos
  * @param {Object} options - Opciones adicionales
  * @returns {PDFDocument} - Stream del documento PDF
  */
-function generateTicketReport(ticket, comments = [], options = {}) {
+function generateTicketReport(ticket, comments = [], events = [], attachments = [], options = {}) {
 	const doc = new PDFDocument({
 		size: 'A4',
 		margin: 50,
@@ -89,6 +97,16 @@ function generateTicketReport(ticket, comments = [], options = {}) {
 	});
 	doc.moveDown(1);
 
+	// Nota de resolución
+	if (ticket.resolution_note) {
+		doc.fontSize(11).fillColor(colors.secondary).text('Nota de Resolución:');
+		doc.fontSize(10).fillColor(colors.dark).text(ticket.resolution_note, {
+			width: 495,
+			align: 'justify',
+		});
+		doc.moveDown(1);
+	}
+
 	// AnyDesk si aplica
 	if (ticket.has_anydesk && ticket.anydesk_code) {
 		addField(doc, 'Código AnyDesk', ticket.anydesk_code);
@@ -110,6 +128,25 @@ function generateTicketReport(ticket, comments = [], options = {}) {
 	addField(doc, 'Última Actualización', formatDate(ticket.updated_at));
 	doc.moveDown(1);
 
+	// Historial de cambios (sin comentarios internos)
+	const publicEvents = events.filter((e) => e.event_type !== 'internal_comment');
+	if (publicEvents.length > 0) {
+		if (doc.y > 650) doc.addPage();
+
+		doc.fontSize(14).fillColor(colors.dark).text('HISTORIAL DE CAMBIOS', { underline: true });
+		doc.moveDown(0.5);
+
+		publicEvents.forEach((event) => {
+			if (doc.y > 720) doc.addPage();
+
+			const actor = event.actor_username || event.actor_name || 'Sistema';
+			doc.fontSize(9).fillColor(colors.secondary).text(`${formatDate(event.created_at)} · ${actor}`);
+			doc.fontSize(10).fillColor(colors.dark).text(describeEvent(event), { width: 495 });
+			doc.moveDown(0.3);
+		});
+		doc.moveDown(1);
+	}
+
 	// Comentarios (solo públicos)
 	const publicComments = comments.filter((c) => !c.is_internal);
 	if (publicComments.length > 0) {
@@ -136,6 +173,28 @@ function generateTicketReport(ticket, comments = [], options = {}) {
 		});
 	}
 
+	// Archivos adjuntos (sin los de comentarios internos)
+	const publicAttachments = attachments.filter((a) => !a.is_internal);
+	if (publicAttachments.length > 0) {
+		if (doc.y > 650) doc.addPage();
+
+		doc.moveDown(1);
+		doc.fontSize(14).fillColor(colors.dark).text('ARCHIVOS ADJUNTOS', { underline: true });
+		doc.moveDown(0.5);
+
+		publicAttachments.forEach((attachment) => {
+			if (doc.y > 720) doc.addPage();
+
+			const origin = attachment.comment_id ? 'Comentario' : 'Ticket';
+			doc.fontSize(10).fillColor(colors.dark).text(`${attachment.original_name} (${formatFileSize(attachment.size_bytes)})`, { width: 495 });
+			doc.fontSize(8).fillColor(colors.secondary).text(
+				`${origin} · ${attachment.uploaded_by_name || 'N/A'} · ${formatDate(attachment.created_at)} · SHA-256 ${attachment.checksum}`,
+				{ width: 495 }
+			);
+			doc.moveDown(0.3);
+		});
+	}
+
 	// Sección de firmas
 	// Verificar si hay espacio suficiente, si no, agregar nueva página
 	if (doc.y > 600) doc.addPage();
@@ -168,6 +227,167 @@ function generateTicketReport(ticket, comments = [], options = {}) {
 	return doc;
 }
 
+/**
+ * Genera el reporte de gestión de un periodo: volumen, tiempos de respuesta y
+ * resolución, departamentos con más tickets, carga por técnico y SLA
+ * @param {Object} summary - Resumen armado por scheduledReportService.buildSummary
+ * @param {string} summary.title - Nombre del reporte
+ * @param {{from: string, to: string, label: string}} summary.period - Periodo del reporte
+ * @param {Object} summary.analytics - Resultado de analyticsService.getDashboard
+ * @param {Object} summary.sla - Resultado de TicketRepository.getSlaCompliance
+ * @returns {PDFDocument} - Stream del documento PDF
+ */
+function generateSummaryReport({ title, period, analytics, sla }) {
+	const doc = new PDFDocument({
+		size: 'A4',
+		margin: 50,
+		info: {
+			Title: `${title} - ${period.label}`,
+			Author: 'Sistema de Tickets',
+			Subject: `Reporte de gestión ${period.from} a ${period.to}`,
+		},
+	});
+
+	const colors = {
+		primary: '#2563eb',
+		secondary: '#64748b',
+		success: '#16a34a',
+		danger: '#dc2626',
+		light: '#f1f5f9',
+		dark: '#1e293b',
+	};
+
+	const logoPath = path.join(__dirname, '../../public/logo.png');
+	if (fs.existsSync(logoPath)) {
+		doc.image(logoPath, 50, 40, { width: 80 });
+	}
+
+	doc.fontSize(22).fillColor(colors.primary).text('REPORTE DE GESTIÓN', 150, 50, { align: 'center', width: 345 });
+	doc.moveDown(0.5);
+	doc.fontSize(13).fillColor(colors.secondary).text(title, { align: 'center' });
+	doc.fontSize(11).text(period.label, { align: 'center' });
+	doc.moveDown(0.3);
+
+	doc.strokeColor(colors.primary).lineWidth(2).moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+	doc.moveDown(1);
+
+	// Volumen
+	doc.x = 50;
+	doc.fontSize(14).fillColor(colors.dark).text('VOLUMEN', { underline: true });
+	doc.moveDown(0.5);
+	doc.fontSize(11);
+	addField(doc, 'Tickets creados', String(analytics.totals.created));
+	addField(doc, 'Tickets resueltos', String(analytics.totals.resolved));
+	addField(doc, 'Backlog abierto (al generar el reporte)', String(analytics.totals.backlog));
+	doc.moveDown(0.5);
+	addTable(doc, colors, [
+		{ label: analytics.range.interval === 'week' ? 'Semana del' : 'Día', width: 215 },
+		{ label: 'Creados', width: 140, align: 'right' },
+		{ label: 'Resueltos', width: 140, align: 'right' },
+	], analytics.series.map(point => [point.period, point.created, point.resolved]));
+	doc.moveDown(1);
+
+	// Tiempos
+	doc.fontSize(14).fillColor(colors.dark).text('TIEMPOS DE ATENCIÓN', { underline: true });
+	doc.moveDown(0.5);
+	addTable(doc, colors, [
+		{ label: 'Métrica', width: 155 },
+		{ label: 'Tickets', width: 100, align: 'right' },
+		{ label: 'Media', width: 120, align: 'right' },
+		{ label: 'Mediana', width: 120, align: 'right' },
+	], [
+		['Primera respuesta', analytics.times.firstResponse],
+		['Resolución', analytics.times.resolution],
+	].map(([label, time]) => [label, time.count, formatDuration(time.average), formatDuration(time.median)]));
+	doc.moveDown(1);
+
+	// Cumplimiento del SLA
+	if (doc.y > 650) doc.addPage();
+	doc.fontSize(14).fillColor(colors.dark).text('CUMPLIMIENTO DEL SLA', { underline: true });
+	doc.moveDown(0.5);
+	addTable(doc, colors, [
+		{ label: 'Objetivo', width: 155 },
+		{ label: 'Cumplidos', width: 100, align: 'right' },
+		{ label: 'Incumplidos', width: 120, align: 'right' },
+		{ label: 'Cumplimiento', width: 120, align: 'right' },
+	], [
+		['Primera respuesta', sla.response],
+		['Resolución', sla.resolution],
+	].map(([label, target]) => [label, target.met, target.breached, target.rate === null ? '—' : `${target.rate}%`]));
+	doc.moveDown(1);
+
+	// Departamentos con más tickets
+	if (doc.y > 650) doc.addPage();
+	doc.fontSize(14).fillColor(colors.dark).text('DEPARTAMENTOS CON MÁS TICKETS', { underline: true });
+	doc.moveDown(0.5);
+	addTable(doc, colors, [
+		{ label: 'Departamento', width: 215 },
+		{ label: 'Creados', width: 70, align: 'right' },
+		{ label: 'Resueltos', width: 70, align: 'right' },
+		{ label: 'Abiertos', width: 70, align: 'right' },
+		{ label: 'Resolución', width: 70, align: 'right' },
+	], analytics.byDepartment.slice(0, TOP_DEPARTMENTS).map(breakdownRow));
+	doc.moveDown(1);
+
+	// Carga por técnico
+	if (doc.y > 650) doc.addPage();
+	doc.fontSize(14).fillColor(colors.dark).text('CARGA POR TÉCNICO', { underline: true });
+	doc.moveDown(0.5);
+	addTable(doc, colors, [
+		{ label: 'Técnico', width: 215 },
+		{ label: 'Asignados', width: 70, align: 'right' },
+		{ label: 'Resueltos', width: 70, align: 'right' },
+		{ label: 'Abiertos', width: 70, align: 'right' },
+		{ label: 'Resolución', width: 70, align: 'right' },
+	], analytics.byTechnician.map(breakdownRow));
+
+	// Footer
+	doc.moveDown(2);
+	doc.x = 50;
+	doc.strokeColor(colors.secondary).lineWidth(1).moveTo(50, doc.y).lineTo(545, doc.y).stroke();
+	doc.moveDown(0.5);
+	doc.fontSize(9).fillColor(colors.secondary).text(`Generado el ${formatDate(new Date())} | Sistema de Tickets de Soporte`, { align: 'center' });
+
+	return doc;
+}
+
+/**
+ * Fila de un desglose del reporte de gestión
+ */
+function breakdownRow(row) {
+	return [row.label, row.created, row.resolved, row.open, formatDuration(row.resolutionAverage)];
+}
+
+/**
+ * Dibuja una tabla simple con encabezado; agrega páginas si no hay espacio
+ */
+function addTable(doc, colors, columns, rows) {
+	const drawRow = (values, options = {}) => {
+		if (doc.y > 760) doc.addPage();
+		const y = doc.y;
+		if (options.background) {
+			doc.rect(50, y - 3, 495, 17).fill(options.background);
+		}
+		let x = 50;
+		values.forEach((value, index) => {
+			const column = columns[index];
+			doc.fontSize(9).fillColor(options.color || colors.dark)
+				.text(String(value ?? ''), x + 4, y, { width: column.width - 8, align: column.align || 'left', lineBreak: false, ellipsis: true });
+			x += column.width;
+		});
+		doc.x = 50;
+		doc.y = y + 17;
+	};
+
+	drawRow(columns.map(column => column.label), { background: colors.light, color: colors.secondary });
+	if (rows.length === 0) {
+		doc.fontSize(9).fillColor(colors.secondary).text('Sin datos en el periodo', 54, doc.y);
+		doc.x = 50;
+		return;
+	}
+	rows.forEach(row => drawRow(row));
+}
+
 /**
  * Agrega un campo con etiqueta y valor
  */
@@ -193,4 +413,5 @@ function formatDate(date) {
 
 module.exports = {
 	generateTicketReport,
+	generateSummaryReport,
 };
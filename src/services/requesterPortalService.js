@@ -0,0 +1,194 @@
+/**
+ * Servicio del portal del solicitante
+ * Da acceso con enlaces de un solo uso enviados por email para que el solicitante
+ * consulte sus tickets, responda y los reabra dentro del plazo configurado.
+ */
+const crypto = require('crypto');
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const config = require('../config');
+const ticketService = require('./ticketService');
+const emailService = require('./emailService');
+const { ValidationError, ForbiddenError } = require('../middleware/errorHandler');
+
+// Estados desde los que el solicitante puede reabrir su ticket
+const REOPENABLE_STATUSES = ['Resuelto', 'Cerrado'];
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+/**
+ * Hash con el que se guarda el token de un enlace de acceso
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+	return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Normaliza un email para compararlo con el del ticket
+ * @param {string} email
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+	return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Indica si el ticket pertenece al solicitante
+ * @param {Object} ticket
+ * @param {string} email
+ * @returns {boolean}
+ */
+function ownsTicket(ticket, email) {
+	return !!ticket?.requester_email && !!email && ticket.requester_email === normalizeEmail(email);
+}
+
+/**
+ * Fecha límite para reabrir un ticket; null si el ticket no está resuelto ni cerrado
+ * @param {Object} ticket
+ * @param {number} windowDays - Días de plazo tras la resolución
+ * @returns {Date|null}
+ */
+function getReopenDeadline(ticket, windowDays) {
+	if (!REOPENABLE_STATUSES.includes(ticket.status)) {
+		return null;
+	}
+	const resolvedAt = new Date(ticket.resolved_at || ticket.updated_at);
+	return new Date(resolvedAt.getTime() + windowDays * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Servicio del portal con inyección de dependencias
+ */
+class RequesterPortalService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/RequesterLoginTokenRepository')} deps.requesterLoginTokenRepository
+	 * @param {import('../repositories/TicketRepository')} deps.ticketRepository
+	 * @param {Object} deps.ticketService - getTicketByReference, reopenByRequester y addComment
+	 * @param {Object} deps.emailService - sendRequesterLoginEmail
+	 * @param {Object} deps.options - linkTtlMinutes y reopenWindowDays (ver config.requesterPortal)
+	 */
+	constructor(deps = {}) {
+		this.tokenRepo = deps.requesterLoginTokenRepository || getContainer().requesterLoginTokens;
+		this.ticketRepo = deps.ticketRepository || getContainer().tickets;
+		this.tickets = deps.ticketService || ticketService;
+		this.email = deps.emailService || emailService;
+		this.options = { ...config.requesterPortal, ...deps.options };
+	}
+
+	/**
+	 * Genera un enlace de acceso y lo envía por email. Solo se envía a direcciones
+	 * con tickets; quien lo solicita no puede saber si la dirección existe.
+	 * @param {string} email
+	 * @returns {Promise<{token: string, expires_at: Date}|null>} null si la dirección no tiene tickets
+	 */
+	async requestLoginLink(email) {
+		const address = normalizeEmail(email);
+		const total = await this.ticketRepo.count({ requester_email: address });
+		if (total === 0) {
+			return null;
+		}
+
+		const token = crypto.randomBytes(32).toString('base64url');
+		const expiresAt = new Date(Date.now() + this.options.linkTtlMinutes * 60 * 1000);
+		await this.tokenRepo.create({ email: address, token_hash: hashToken(token), expires_at: expiresAt });
+
+		await this.email.sendRequesterLoginEmail(address, `${config.baseUrl}/acceso/${token}`, this.options.linkTtlMinutes);
+
+		return { token, expires_at: expiresAt };
+	}
+
+	/**
+	 * Valida y consume un enlace de acceso
+	 * @param {string} token
+	 * @returns {Promise<{email: string}|null>} Solicitante autenticado o null si el enlace no es válido
+	 */
+	async verifyLoginLink(token) {
+		if (!token) {
+			return null;
+		}
+		const link = await this.tokenRepo.consume(hashToken(token));
+		return link ? { email: link.email } : null;
+	}
+
+	/**
+	 * Indica si el solicitante puede reabrir el ticket ahora
+	 * @param {Object} ticket
+	 * @param {string} email - Email del solicitante autenticado
+	 * @returns {boolean}
+	 */
+	canReopen(ticket, email) {
+		const deadline = getReopenDeadline(ticket, this.options.reopenWindowDays);
+		return ownsTicket(ticket, email) && !!deadline && deadline >= new Date();
+	}
+
+	/**
+	 * Reabre un ticket del solicitante y registra el motivo como comentario público
+	 * @param {string} reference
+	 * @param {string} email - Email del solicitante autenticado
+	 * @param {string} reason - Motivo de la reapertura
+	 * @returns {Promise<Object>} Ticket actualizado
+	 */
+	async reopenTicket(reference, email, reason) {
+		const ticket = await this.tickets.getTicketByReference(reference);
+		if (!ownsTicket(ticket, email)) {
+			throw new ForbiddenError('Este ticket no pertenece a tu cuenta');
+		}
+
+		const deadline = getReopenDeadline(ticket, this.options.reopenWindowDays);
+		if (!deadline) {
+			throw new ValidationError('Solo se pueden reabrir tickets resueltos o cerrados');
+		}
+		if (deadline < new Date()) {
+			throw new ValidationError(`El plazo para reabrir este ticket venció (${this.options.reopenWindowDays} días tras su resolución)`);
+		}
+
+		const updated = await this.tickets.reopenByRequester(ticket, ticket.requester_name);
+		await this.tickets.addComment(ticket.id, ticket.reference, {
+			author_name: ticket.requester_name,
+			author_email: ticket.requester_email,
+			content: `Ticket reabierto por el solicitante: ${reason}`,
+			is_internal: false,
+		});
+
+		return updated;
+	}
+
+	/**
+	 * Elimina los enlaces de acceso expirados o ya usados
+	 * @returns {Promise<{deleted: number}>}
+	 */
+	async cleanExpiredLinks() {
+		const deleted = await this.tokenRepo.deleteExpired();
+		return { deleted };
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new RequesterPortalService();
+
+module.exports = {
+	// Clase para testing y DI
+	RequesterPortalService,
+	hashToken,
+	normalizeEmail,
+	ownsTicket,
+	getReopenDeadline,
+	REOPENABLE_STATUSES,
+
+	// Métodos del singleton
+	requestLoginLink: (email) => defaultInstance.requestLoginLink(email),
+	verifyLoginLink: (token) => defaultInstance.verifyLoginLink(token),
+	canReopen: (ticket, email) => defaultInstance.canReopen(ticket, email),
+	reopenTicket: (reference, email, reason) => defaultInstance.reopenTicket(reference, email, reason),
+	cleanExpiredLinks: () => defaultInstance.cleanExpiredLinks(),
+};
@@ -0,0 +1,177 @@
+/**
+ * Servicio de lógica de negocio para SLA
+ * Gestiona las políticas y detecta tickets próximos a incumplir o incumplidos.
+ */
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const config = require('../config');
+const notificationService = require('./notificationService');
+const { evaluateSla } = require('../utils/sla');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+const TARGET_LABELS = {
+	response: 'primera respuesta',
+	resolution: 'resolución',
+};
+
+/**
+ * Servicio de SLA con inyección de dependencias
+ */
+class SlaService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/SlaPolicyRepository')} deps.slaPolicyRepository
+	 * @param {import('../repositories/TicketRepository')} deps.ticketRepository
+	 * @param {import('../repositories/NotificationRepository')} deps.notificationRepository
+	 * @param {Object} deps.notificationService - Entrega los avisos según las preferencias de cada usuario
+	 * @param {number} deps.warningMinutes
+	 */
+	constructor(deps = {}) {
+		this.slaPolicyRepo = deps.slaPolicyRepository || getContainer().slaPolicies;
+		this.ticketRepo = deps.ticketRepository || getContainer().tickets;
+		this.notificationRepo = deps.notificationRepository || getContainer().notifications;
+		this.notifications = deps.notificationService || notificationService;
+		this.warningMinutes = deps.warningMinutes ?? config.sla.warningMinutes;
+	}
+
+	/**
+	 * Obtener todas las políticas de SLA
+	 * @returns {Promise<Array>}
+	 */
+	async getAllPolicies() {
+		return this.slaPolicyRepo.findAll();
+	}
+
+	/**
+	 * Crear una política de SLA
+	 * @param {Object} data
+	 * @returns {Promise<Object>}
+	 */
+	async createPolicy(data) {
+		try {
+			return await this.slaPolicyRepo.create(data);
+		} catch (err) {
+			if (err.code === '23505') {
+				throw new ValidationError('Ya existe una política para esa prioridad y tipo de soporte');
+			}
+			throw err;
+		}
+	}
+
+	/**
+	 * Actualizar una política de SLA
+	 * @param {number} policyId
+	 * @param {Object} data
+	 * @returns {Promise<Object>}
+	 */
+	async updatePolicy(policyId, data) {
+		const policy = await this.slaPolicyRepo.update(policyId, data);
+		if (!policy) {
+			throw new NotFoundError('Política de SLA');
+		}
+		return policy;
+	}
+
+	/**
+	 * Eliminar una política de SLA
+	 * @param {number} policyId
+	 * @returns {Promise<Object>}
+	 */
+	async deletePolicy(policyId) {
+		const policy = await this.slaPolicyRepo.delete(policyId);
+		if (!policy) {
+			throw new NotFoundError('Política de SLA');
+		}
+		return policy;
+	}
+
+	/**
+	 * Revisa los tickets abiertos, marca los incumplimientos y notifica
+	 * avisos previos al vencimiento e incumplimientos (una sola vez por objetivo)
+	 * @param {Date} now - Momento de la revisión
+	 * @returns {Promise<{checked: number, warnings: number, breaches: number}>}
+	 */
+	async checkBreaches(now = new Date()) {
+		const tickets = await this.ticketRepo.findSlaPending();
+		let warnings = 0;
+		let breaches = 0;
+
+		for (const ticket of tickets) {
+			const state = evaluateSla(ticket, now, this.warningMinutes);
+
+			for (const target of ['response', 'resolution']) {
+				// La primera respuesta ya dada no genera avisos
+				if (target === 'response' && ticket.first_responded_at) {
+					continue;
+				}
+
+				if (state[target] === 'breached' && !ticket[`sla_${target}_breached`]) {
+					await this.ticketRepo.updateSlaFlags(ticket.id, {
+						[`sla_${target}_warned`]: true,
+						[`sla_${target}_breached`]: true,
+					});
+					await this._notify(ticket, target, 'sla_breach');
+					breaches++;
+				} else if (state[target] === 'warning' && !ticket[`sla_${target}_warned`]) {
+					await this.ticketRepo.updateSlaFlags(ticket.id, { [`sla_${target}_warned`]: true });
+					await this._notify(ticket, target, 'sla_warning');
+					warnings++;
+				}
+			}
+		}
+
+		return { checked: tickets.length, warnings, breaches };
+	}
+
+	/**
+	 * Notifica al técnico asignado, admins y supervisores
+	 * @private
+	 */
+	async _notify(ticket, target, type) {
+		try {
+			const users = await this.notificationRepo.findUsersByRoles(['admin', 'supervisor']);
+			const recipients = new Set(users.map(u => u.id));
+			if (ticket.assigned_to) {
+				recipients.add(ticket.assigned_to);
+			}
+
+			const label = TARGET_LABELS[target];
+			const notification = type === 'sla_breach'
+				? { title: '🚨 SLA incumplido', message: `Ticket ${ticket.reference}: se superó el plazo de ${label}` }
+				: { title: '⏰ SLA por vencer', message: `Ticket ${ticket.reference}: el plazo de ${label} está por vencer` };
+
+			await this.notifications.notify([...recipients], {
+				type,
+				ticket_id: ticket.id,
+				ticket_reference: ticket.reference,
+				...notification,
+			});
+		} catch (err) {
+			console.error('Error notificando SLA:', err.message);
+		}
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new SlaService();
+
+module.exports = {
+	// Clase para testing y DI
+	SlaService,
+
+	// Métodos del singleton
+	getAllPolicies: () => defaultInstance.getAllPolicies(),
+	createPolicy: (data) => defaultInstance.createPolicy(data),
+	updatePolicy: (policyId, data) => defaultInstance.updatePolicy(policyId, data),
+	deletePolicy: (policyId) => defaultInstance.deletePolicy(policyId),
+	checkBreaches: (now) => defaultInstance.checkBreaches(now),
+};
@@ -4,8 +4,28 @@
  */
 const { getPool } = require('../db');
 const { getRepositoryContainer } = require('../repositories');
+const config = require('../config');
 const emailService = require('./emailService');
-const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const webhookService = require('./webhookService');
+const feedbackService = require('./feedbackService');
+const assignmentService = require('./assignmentService');
+const attachmentService = require('./attachmentService');
+const watcherService = require('./watcherService');
+const notificationService = require('./notificationService');
+const { computeDueDates } = require('../utils/sla');
+const { getWorkflow } = require('../utils/workflow');
+const { NotFoundError, ValidationError, ForbiddenError } = require('../middleware/errorHandler');
+
+// Estado al que vuelve un ticket cuando su solicitante lo reabre
+const REQUESTER_REOPEN_STATUS = 'En Proceso';
+
+// Acciones masivas del listado y el permiso que exige cada una
+const BULK_ACTIONS = {
+	status: { permission: 'change_ticket_status', denied: 'No tienes permisos para cambiar el estado de tickets' },
+	assign: { permission: 'assign_tickets', denied: 'No tienes permisos para asignar tickets' },
+	priority: { permission: 'edit_tickets', denied: 'No tienes permisos para editar tickets' },
+	delete: { permission: 'delete_tickets', denied: 'No tienes permisos para eliminar tickets' },
+};
 
 // Lazy loading del container
 let _container = null;
@@ -25,22 +45,168 @@ class TicketService {
 	 * @param {import('../repositories/TicketRepository')} deps.ticketRepository
 	 * @param {import('../repositories/CommentRepository')} deps.commentRepository
 	 * @param {import('../repositories/NotificationRepository')} deps.notificationRepository
+	 * @param {import('../repositories/TicketEventRepository')} deps.ticketEventRepository
+	 * @param {import('../repositories/SlaPolicyRepository')} deps.slaPolicyRepository
+	 * @param {import('../repositories/PermissionRepository')} deps.permissionRepository
+	 * @param {import('../repositories/AttachmentRepository')} deps.attachmentRepository
+	 * @param {Object} deps.workflow - Motor del flujo de estados
+	 * @param {Object} deps.webhookService - Despachador de webhooks salientes
+	 * @param {Object} deps.feedbackService - Encuestas de satisfacción al resolver
+	 * @param {Object} deps.assignmentService - Reglas de asignación automática
+	 * @param {Object} deps.attachmentService - Borra los archivos de los tickets purgados
+	 * @param {Object} deps.watcherService - Avisa a los observadores de cada cambio
+	 * @param {Object} deps.notificationService - Entrega los avisos según las preferencias de cada usuario
 	 */
 	constructor(deps = {}) {
 		this.ticketRepo = deps.ticketRepository || getContainer().tickets;
 		this.commentRepo = deps.commentRepository || getContainer().comments;
 		this.notificationRepo = deps.notificationRepository || getContainer().notifications;
 		this.userRepo = deps.userRepository || getContainer().users;
+		this.ticketEventRepo = deps.ticketEventRepository || getContainer().ticketEvents;
+		this.slaPolicyRepo = deps.slaPolicyRepository || getContainer().slaPolicies;
+		this.permissionRepo = deps.permissionRepository || getContainer().permissions;
+		this.workflow = deps.workflow || getWorkflow();
+		this.webhooks = deps.webhookService || webhookService;
+		this.feedback = deps.feedbackService || feedbackService;
+		this.assignment = deps.assignmentService || assignmentService;
+		this.attachments = deps.attachmentService || attachmentService;
+		this.attachmentRepo = deps.attachmentRepository || getContainer().attachments;
+		this.watchers = deps.watcherService || watcherService;
+		this.notifications = deps.notificationService || notificationService;
+	}
+
+	/**
+	 * Calcula las fechas de vencimiento de SLA de un ticket
+	 * @param {Object} data - priority y support_type del ticket
+	 * @param {Date} from - Fecha de creación del ticket
+	 * @private
+	 */
+	async _computeSlaDueDates(data, from = new Date()) {
+		try {
+			const policy = await this.slaPolicyRepo.findApplicable(data.priority, data.support_type);
+			return computeDueDates(policy, new Date(from), config.sla.businessHours);
+		} catch (err) {
+			console.error('Error calculando SLA:', err.message);
+			return {};
+		}
+	}
+
+	/**
+	 * Fechas de SLA a recalcular cuando una edición cambia la prioridad o el
+	 * tipo de soporte; se cuentan desde la creación del ticket
+	 * @private
+	 */
+	async _slaDueDateUpdates(ticket, updates) {
+		const changed = ['priority', 'support_type'].some(field => field in updates && updates[field] !== ticket[field]);
+		if (!changed) {
+			return {};
+		}
+		return this._computeSlaDueDates({ ...ticket, ...updates }, ticket.created_at);
+	}
+
+	/**
+	 * Registra la primera respuesta del equipo de soporte para el SLA
+	 * @private
+	 */
+	async _markFirstResponse(ticketId) {
+		try {
+			await this.ticketRepo.markFirstResponse(ticketId);
+		} catch (err) {
+			console.error('Error registrando primera respuesta:', err.message);
+		}
+	}
+
+	/**
+	 * Registra un evento en el historial del ticket sin interrumpir la operación
+	 * @private
+	 */
+	async _recordEvent(event) {
+		try {
+			await this.ticketEventRepo.create(event);
+		} catch (err) {
+			console.error('Error registrando evento de ticket:', err.message);
+		}
+	}
+
+	/**
+	 * Envía un evento a los webhooks suscritos sin interrumpir la operación
+	 * @private
+	 */
+	async _emitWebhook(event, data) {
+		try {
+			await this.webhooks.dispatch(event, data);
+		} catch (err) {
+			console.error('Error enviando webhook:', err.message);
+		}
+	}
+
+	/**
+	 * Avisa a los interesados en el ticket sin interrumpir la operación
+	 * @private
+	 * @param {string} method - Método del despachador de observadores
+	 */
+	async _notifyWatchers(method, ...args) {
+		try {
+			await this.watchers[method](...args);
+		} catch (err) {
+			console.error('Error notificando a los observadores:', err.message);
+		}
+	}
+
+	/**
+	 * Envía la encuesta de satisfacción de un ticket resuelto sin interrumpir la operación
+	 * @private
+	 */
+	async _requestFeedback(ticket) {
+		try {
+			await this.feedback.requestFeedback(ticket);
+		} catch (err) {
+			console.error('Error enviando encuesta de satisfacción:', err.message);
+		}
+	}
+
+	/**
+	 * Asigna un ticket nuevo según las reglas de asignación sin interrumpir la operación
+	 * @private
+	 * @returns {Promise<Object>} Ticket asignado, o el original si ninguna regla aplica
+	 */
+	async _autoAssign(ticket) {
+		try {
+			const match = await this.assignment.findAssignee(ticket);
+			if (!match) {
+				return ticket;
+			}
+			return await this.assignTicket(ticket.id, ticket.reference, match.technician.id, {
+				id: null,
+				username: `Asignación automática (${match.rule.name})`,
+			});
+		} catch (err) {
+			console.error('Error en la asignación automática:', err.message);
+			return ticket;
+		}
 	}
 
 	/**
 	 * Crear un nuevo ticket
 	 * @param {Object} data - Datos del ticket
 	 * @param {string|null} email - Email para notificación
+	 * @param {Object|null} actor - Usuario que crea el ticket (null si es el solicitante)
 	 * @returns {Promise<Object>}
 	 */
-	async createTicket(data, email = null) {
-		const ticket = await this.ticketRepo.create(data);
+	async createTicket(data, email = null, actor = null) {
+		const dueDates = await this._computeSlaDueDates(data);
+		const created = await this.ticketRepo.create({ ...data, ...dueDates, requester_email: email || null });
+
+		await this._recordEvent({
+			ticket_id: created.id,
+			event_type: 'created',
+			new_value: created.status,
+			actor_id: actor?.id || null,
+			actor_name: actor?.username || created.requester_name,
+		});
+		await this._emitWebhook('ticket.created', { ticket: created });
+
+		const ticket = await this._autoAssign(created);
 
 		// Notificar a admins y supervisores
 		try {
@@ -68,17 +234,13 @@ class TicketService {
 	async _notifyNewTicket(ticket) {
 		const users = await this.notificationRepo.findUsersByRoles(['admin', 'supervisor']);
 
-		const notifications = users.map(user =>
-			this.notificationRepo.create({
-				user_id: user.id,
-				type: 'new_ticket',
-				title: '🎫 Nuevo ticket creado',
-				message: `Ticket ${ticket.reference} - ${ticket.subject}`,
-				ticket_id: ticket.id,
-			})
-		);
-
-		await Promise.all(notifications);
+		await this.notifications.notify(users.map(user => user.id), {
+			type: 'new_ticket',
+			title: '🎫 Nuevo ticket creado',
+			message: `Ticket ${ticket.reference} - ${ticket.subject}`,
+			ticket_id: ticket.id,
+			ticket_reference: ticket.reference,
+		});
 	}
 
 	/**
@@ -89,17 +251,13 @@ class TicketService {
 		if (ticket.priority === 'Alta' && !ticket.assigned_to) {
 			const users = await this.notificationRepo.findUsersByRoles(['admin', 'supervisor']);
 
-			const notifications = users.map(user =>
-				this.notificationRepo.create({
-					user_id: user.id,
-					type: 'high_priority',
-					title: '⚠️ Ticket de alta prioridad',
-					message: `Ticket ${ticket.reference} sin asignar - ${ticket.subject}`,
-					ticket_id: ticket.id,
-				})
-			);
-
-			await Promise.all(notifications);
+			await this.notifications.notify(users.map(user => user.id), {
+				type: 'high_priority',
+				title: '⚠️ Ticket de alta prioridad',
+				message: `Ticket ${ticket.reference} sin asignar - ${ticket.subject}`,
+				ticket_id: ticket.id,
+				ticket_reference: ticket.reference,
+			});
 		}
 	}
 
@@ -140,7 +298,55 @@ class TicketService {
 			throw new NotFoundError('Ticket');
 		}
 
-		return this.ticketRepo.updateByToken(token, updates);
+		const dueDates = await this._slaDueDateUpdates(ticket, updates);
+		const updated = await this.ticketRepo.updateByToken(token, { ...updates, ...dueDates });
+
+		// Registrar cada campo modificado por el solicitante
+		await this._recordFieldChanges(ticket, updated, Object.keys(updates), { username: ticket.requester_name });
+
+		return updated;
+	}
+
+	/**
+	 * Actualizar campos de un ticket desde el equipo de soporte
+	 * @param {number} ticketId
+	 * @param {Object} updates - Campos validados con updateTicketSchema
+	 * @param {Object|null} actor - Usuario que realiza la edición
+	 * @returns {Promise<Object>}
+	 */
+	async updateTicket(ticketId, updates, actor = null) {
+		const ticket = await this.ticketRepo.findById(ticketId);
+		if (!ticket) {
+			throw new NotFoundError('Ticket');
+		}
+
+		const dueDates = await this._slaDueDateUpdates(ticket, updates);
+		const updated = await this.ticketRepo.update(ticketId, { ...updates, ...dueDates });
+		await this._recordFieldChanges(ticket, updated, Object.keys(updates), actor);
+
+		return updated;
+	}
+
+	/**
+	 * Registra en el historial los campos que cambiaron de valor
+	 * @private
+	 */
+	async _recordFieldChanges(before, after, fields, actor) {
+		for (const field of fields) {
+			const oldValue = before[field] === null || before[field] === undefined ? null : String(before[field]);
+			const newValue = after[field] === null || after[field] === undefined ? null : String(after[field]);
+			if (oldValue !== newValue) {
+				await this._recordEvent({
+					ticket_id: before.id,
+					event_type: 'field_change',
+					field,
+					old_value: oldValue,
+					new_value: newValue,
+					actor_id: actor?.id || null,
+					actor_name: actor?.username || null,
+				});
+			}
+		}
 	}
 
 	/**
@@ -148,64 +354,323 @@ class TicketService {
 	 * @param {number} ticketId
 	 * @param {string} reference
 	 * @param {string} newStatus
-	 * @param {number|null} assignedTo
+	 * @param {number|null} assignedTo - Sin uso; los avisos van al técnico que tenga el ticket
+	 * @param {Object|null} actor - Usuario que realiza el cambio (null para cambios del sistema)
+	 * @param {Object} details - Campos adicionales exigidos por el flujo (resolution_note)
 	 * @returns {Promise<Object>}
 	 */
-	async updateTicketStatus(ticketId, reference, newStatus, assignedTo = null) {
-		const updated = await this.ticketRepo.updateStatus(ticketId, newStatus);
+	async updateTicketStatus(ticketId, reference, newStatus, assignedTo = null, actor = null, details = {}) {
+		const current = await this.ticketRepo.findById(ticketId);
+		if (current && current.status !== newStatus) {
+			await this._checkTransition(current.status, newStatus, actor, details);
+		}
 
-		// Notificar cambio de estado
-		try {
-			await this._notifyStatusChange(ticketId, reference, newStatus, assignedTo);
-		} catch (err) {
-			console.error('Error notificando cambio de estado:', err.message);
+		const updated = await this.ticketRepo.updateStatus(ticketId, newStatus, details.resolution_note);
+
+		if (current && current.status !== newStatus) {
+			await this._recordEvent({
+				ticket_id: ticketId,
+				event_type: 'status_change',
+				field: 'status',
+				old_value: current.status,
+				new_value: newStatus,
+				actor_id: actor?.id || null,
+				actor_name: actor?.username || null,
+			});
+
+			if (actor) {
+				await this._markFirstResponse(ticketId);
+			}
+
+			await this._emitWebhook('ticket.status_changed', {
+				ticket: updated,
+				previous_status: current.status,
+				actor: actor ? { id: actor.id, username: actor.username } : null,
+			});
+
+			if (newStatus === 'Resuelto') {
+				await this._requestFeedback(updated);
+			}
+
+			await this._notifyWatchers('notifyStatusChange', updated, {
+				title: '🔄 Estado actualizado',
+				message: `El ticket ${reference} ahora está: ${newStatus}`,
+			}, actor);
 		}
 
 		return updated;
 	}
 
 	/**
-	 * Notifica sobre cambio de estado
+	 * Valida un cambio de estado contra el flujo configurado
 	 * @private
 	 */
-	async _notifyStatusChange(ticketId, ticketReference, newStatus, assignedTo) {
-		if (assignedTo && (newStatus === 'Resuelto' || newStatus === 'Cerrado')) {
-			await this.notificationRepo.create({
-				user_id: assignedTo,
-				type: 'status_change',
-				title: '🔄 Estado actualizado',
-				message: `El ticket ${ticketReference} ahora está: ${newStatus}`,
-				ticket_id: ticketId,
-			});
+	async _checkTransition(from, to, actor, details) {
+		const transition = this.workflow.getTransition(from, to);
+		if (!transition) {
+			throw new ValidationError(`Transición no permitida: ${from} → ${to}`);
+		}
+
+		if (actor && transition.permission) {
+			const allowed = await this.permissionRepo.userHasPermission(actor.id, transition.permission);
+			if (!allowed) {
+				throw new ForbiddenError(`No tienes permisos para cambiar el estado de ${from} a ${to}`);
+			}
+		}
+
+		const missing = this.workflow.getMissingFields(transition, details);
+		if (Object.keys(missing).length > 0) {
+			throw new ValidationError(Object.values(missing).join('. '), missing);
 		}
 	}
 
+	/**
+	 * Reabrir un ticket resuelto o cerrado a pedido de su solicitante.
+	 * La transición debe existir en el flujo, pero no se exigen permisos de personal.
+	 * @param {Object} ticket
+	 * @param {string} requesterName - Nombre que queda registrado en el historial
+	 * @returns {Promise<Object>} Ticket actualizado
+	 */
+	async reopenByRequester(ticket, requesterName) {
+		await this._checkTransition(ticket.status, REQUESTER_REOPEN_STATUS, null, {});
+		const updated = await this.ticketRepo.updateStatus(ticket.id, REQUESTER_REOPEN_STATUS);
+
+		await this._recordEvent({
+			ticket_id: ticket.id,
+			event_type: 'status_change',
+			field: 'status',
+			old_value: ticket.status,
+			new_value: REQUESTER_REOPEN_STATUS,
+			actor_id: null,
+			actor_name: requesterName,
+		});
+		await this._emitWebhook('ticket.status_changed', {
+			ticket: updated,
+			previous_status: ticket.status,
+			actor: null,
+		});
+
+		await this._notifyWatchers('notifyStatusChange', updated, {
+			title: '🔁 Ticket reabierto',
+			message: `El solicitante reabrió el ticket ${ticket.reference}`,
+		});
+
+		return updated;
+	}
+
+	/**
+	 * Obtener los estados a los que un usuario puede mover un ticket
+	 * @param {Object} ticket
+	 * @param {Array<string>} permissions - Permisos del usuario
+	 * @returns {Array<Object>}
+	 */
+	getAvailableTransitions(ticket, permissions = []) {
+		return this.workflow.getAvailableTransitions(ticket.status, permissions);
+	}
+
 	/**
 	 * Asignar ticket a técnico
 	 * @param {number} ticketId
 	 * @param {string} reference
 	 * @param {number|null} technicianId
+	 * @param {Object|null} actor - Usuario que realiza la asignación
 	 * @returns {Promise<Object>}
 	 */
-	async assignTicket(ticketId, reference, technicianId) {
+	async assignTicket(ticketId, reference, technicianId, actor = null) {
+		const current = await this.ticketRepo.findById(ticketId);
 		const updated = await this.ticketRepo.assign(ticketId, technicianId);
 
-		// Notificar al técnico
-		if (technicianId) {
+		const previousId = current?.assigned_to || null;
+		if (current && previousId !== (technicianId || null)) {
+			const previous = previousId ? await this.userRepo.findById(previousId) : null;
+			const next = technicianId ? await this.userRepo.findById(technicianId) : null;
+			await this._recordEvent({
+				ticket_id: ticketId,
+				event_type: 'assignment',
+				field: 'assigned_to',
+				old_value: previous?.username || null,
+				new_value: next?.username || null,
+				actor_id: actor?.id || null,
+				actor_name: actor?.username || null,
+			});
+
+			await this._emitWebhook('ticket.assigned', {
+				ticket: updated,
+				assignee: next ? { id: next.id, username: next.username } : null,
+				previous_assignee: previous ? { id: previous.id, username: previous.username } : null,
+				actor: actor ? { id: actor.id, username: actor.username } : null,
+			});
+
+			await this._notifyWatchers('notifyAssignment', updated, next, actor);
+		}
+
+		return updated;
+	}
+
+	/**
+	 * Enviar un ticket a la papelera. Deja de aparecer en listados y búsquedas
+	 * hasta que se restaure o se purgue al vencer el periodo de retención.
+	 * @param {number} ticketId
+	 * @param {Object} actor - Usuario que lo elimina
+	 * @returns {Promise<Object>}
+	 */
+	async deleteTicket(ticketId, actor) {
+		const deleted = await this.ticketRepo.softDelete(ticketId, actor?.id || null);
+		if (!deleted) {
+			throw new NotFoundError('Ticket');
+		}
+
+		await this._recordEvent({
+			ticket_id: ticketId,
+			event_type: 'deleted',
+			actor_id: actor?.id || null,
+			actor_name: actor?.username || null,
+		});
+
+		return deleted;
+	}
+
+	/**
+	 * Restaurar un ticket de la papelera
+	 * @param {number} ticketId
+	 * @param {Object} actor - Usuario que lo restaura
+	 * @returns {Promise<Object>}
+	 */
+	async restoreTicket(ticketId, actor) {
+		const restored = await this.ticketRepo.restore(ticketId);
+		if (!restored) {
+			throw new NotFoundError('Ticket');
+		}
+
+		await this._recordEvent({
+			ticket_id: ticketId,
+			event_type: 'restored',
+			actor_id: actor?.id || null,
+			actor_name: actor?.username || null,
+		});
+
+		return restored;
+	}
+
+	/**
+	 * Listar los tickets de la papelera con paginación
+	 * @param {number} page
+	 * @param {number} perPage
+	 * @returns {Promise<{tickets: Array, pagination: Object}>}
+	 */
+	async listDeletedTickets(page = 1, perPage = 15) {
+		const tickets = await this.ticketRepo.findDeleted(perPage, (page - 1) * perPage);
+		const total = await this.ticketRepo.count({ deleted: true });
+		const totalPages = Math.ceil(total / perPage);
+
+		return {
+			tickets,
+			pagination: {
+				currentPage: page,
+				totalPages,
+				totalTickets: total,
+				perPage,
+				hasNext: page < totalPages,
+				hasPrev: page > 1,
+			},
+		};
+	}
+
+	/**
+	 * Elimina definitivamente los tickets que superaron el periodo de retención
+	 * de la papelera, junto con los archivos de sus adjuntos
+	 * @param {number} retentionDays
+	 * @returns {Promise<number>} Tickets eliminados
+	 */
+	async purgeDeletedTickets(retentionDays = config.trash.retentionDays) {
+		const expired = await this.ticketRepo.findExpiredDeleted(retentionDays);
+
+		for (const ticket of expired) {
+			const attachments = await this.attachmentRepo.findByTicketId(ticket.id, true);
+			await this.ticketRepo.delete(ticket.id);
+			await this.attachments.removeFiles(attachments);
+		}
+
+		return expired.length;
+	}
+
+	/**
+	 * Aplicar una acción a varios tickets del listado. Cada ticket pasa por la
+	 * misma operación que su acción individual, así que el flujo de estados se
+	 * valida y los cambios quedan en el historial de cada uno.
+	 * @param {Array<number>} ticketIds
+	 * @param {string} action - status, assign, priority o delete
+	 * @param {Object} values - status y resolution_note, technician_id o priority
+	 * @param {Object} actor - Usuario de la sesión
+	 * @param {Array<string>} permissions - Permisos del usuario
+	 * @returns {Promise<{updated: Array<string>, failed: Array<{reference: string, error: string}>}>}
+	 */
+	async bulkUpdate(ticketIds, action, values, actor, permissions = []) {
+		const bulkAction = BULK_ACTIONS[action];
+		if (!bulkAction) {
+			throw new ValidationError('Acción masiva inválida');
+		}
+		if (!permissions.includes(bulkAction.permission)) {
+			throw new ForbiddenError(bulkAction.denied);
+		}
+
+		if (action === 'assign' && values.technician_id) {
+			const technicians = await this.userRepo.findAllTechnicians();
+			if (!technicians.some(t => t.id === values.technician_id)) {
+				throw new ValidationError('El técnico seleccionado no existe');
+			}
+		}
+
+		const result = { updated: [], failed: [] };
+		for (const ticketId of new Set(ticketIds)) {
+			const ticket = await this.ticketRepo.findById(ticketId);
+			if (!ticket || ticket.deleted_at) {
+				result.failed.push({ reference: `#${ticketId}`, error: 'Ticket no encontrado' });
+				continue;
+			}
+
 			try {
-				await this.notificationRepo.create({
-					user_id: technicianId,
-					type: 'ticket_assigned',
-					title: '📋 Ticket asignado',
-					message: `Se te ha asignado el ticket ${reference}`,
-					ticket_id: ticketId,
-				});
+				await this._applyBulkAction(ticket, action, values, actor);
+				result.updated.push(ticket.reference);
 			} catch (err) {
-				console.error('Error notificando asignación:', err.message);
+				if (!(err instanceof ValidationError || err instanceof ForbiddenError || err instanceof NotFoundError)) {
+					throw err;
+				}
+				result.failed.push({ reference: ticket.reference, error: err.message });
 			}
 		}
 
-		return updated;
+		return result;
+	}
+
+	/**
+	 * Aplica una acción masiva a un ticket; los valores que no cambian nada se omiten
+	 * @private
+	 */
+	async _applyBulkAction(ticket, action, values, actor) {
+		switch (action) {
+			case 'status':
+				if (ticket.status !== values.status) {
+					await this.updateTicketStatus(ticket.id, ticket.reference, values.status, ticket.assigned_to, actor, {
+						resolution_note: values.resolution_note,
+					});
+				}
+				break;
+			case 'assign':
+				if ((ticket.assigned_to || null) !== (values.technician_id || null)) {
+					await this.assignTicket(ticket.id, ticket.reference, values.technician_id || null, actor);
+				}
+				break;
+			case 'priority':
+				// updateTicket recalcula también los vencimientos de SLA
+				if (ticket.priority !== values.priority) {
+					await this.updateTicket(ticket.id, { priority: values.priority }, actor);
+				}
+				break;
+			case 'delete':
+				await this.deleteTicket(ticket.id, actor);
+				break;
+		}
 	}
 
 	/**
@@ -247,35 +712,47 @@ class TicketService {
 	 * Agregar comentario a ticket
 	 * @param {number} ticketId
 	 * @param {string} reference
-	 * @param {Object} commentData
-	 * @param {number|null} assignedTo
-	 * @param {number|null} commenterId
+	 * @param {Object} commentData - El autor sale de commentData.user_id
 	 * @returns {Promise<Object>}
 	 */
-	async addComment(ticketId, reference, commentData, assignedTo = null, commenterId = null) {
+	async addComment(ticketId, reference, commentData) {
 		const comment = await this.commentRepo.create({
 			ticket_id: ticketId,
 			...commentData,
 		});
 
-		// Notificar si no es interno y hay técnico asignado
-		if (!commentData.is_internal && assignedTo && assignedTo !== commenterId) {
-			try {
-				await this.notificationRepo.create({
-					user_id: assignedTo,
-					type: 'new_comment',
-					title: '💬 Nuevo comentario',
-					message: `Nuevo comentario en el ticket ${reference}`,
-					ticket_id: ticketId,
-				});
-			} catch (err) {
-				console.error('Error notificando comentario:', err.message);
-			}
+		await this._recordEvent({
+			ticket_id: ticketId,
+			event_type: commentData.is_internal ? 'internal_comment' : 'comment',
+			actor_id: commentData.user_id || null,
+			actor_name: commentData.author_name,
+		});
+
+		// Una respuesta pública del personal cuenta como primera respuesta
+		if (!commentData.is_internal && commentData.user_id) {
+			await this._markFirstResponse(ticketId);
+		}
+
+		// Los comentarios internos no salen del sistema ni generan avisos
+		if (!commentData.is_internal) {
+			const ticket = await this.ticketRepo.findById(ticketId);
+			await this._emitWebhook('ticket.commented', { ticket, comment });
+			await this._notifyWatchers('notifyComment', ticket, comment);
 		}
 
 		return comment;
 	}
 
+	/**
+	 * Obtener historial de eventos de un ticket
+	 * @param {number} ticketId
+	 * @param {boolean} includeInternal
+	 * @returns {Promise<Array>}
+	 */
+	async getTicketHistory(ticketId, includeInternal = true) {
+		return this.ticketEventRepo.findByTicketId(ticketId, includeInternal);
+	}
+
 	/**
 	 * Obtener todos los técnicos disponibles
 	 * @returns {Promise<Array>}
@@ -293,18 +770,27 @@ module.exports = {
 	TicketService,
 
 	// Métodos del singleton para compatibilidad
-	createTicket: (data, email) => defaultInstance.createTicket(data, email),
+	createTicket: (data, email, actor) => defaultInstance.createTicket(data, email, actor),
 	getTicketByReference: (reference) => defaultInstance.getTicketByReference(reference),
 	getTicketWithComments: (reference, includeInternal) =>
 		defaultInstance.getTicketWithComments(reference, includeInternal),
 	updateTicketByToken: (token, updates) => defaultInstance.updateTicketByToken(token, updates),
-	updateTicketStatus: (ticketId, reference, newStatus, assignedTo) =>
-		defaultInstance.updateTicketStatus(ticketId, reference, newStatus, assignedTo),
-	assignTicket: (ticketId, reference, technicianId) =>
-		defaultInstance.assignTicket(ticketId, reference, technicianId),
+	updateTicket: (ticketId, updates, actor) => defaultInstance.updateTicket(ticketId, updates, actor),
+	updateTicketStatus: (ticketId, reference, newStatus, assignedTo, actor, details) =>
+		defaultInstance.updateTicketStatus(ticketId, reference, newStatus, assignedTo, actor, details),
+	reopenByRequester: (ticket, requesterName) => defaultInstance.reopenByRequester(ticket, requesterName),
+	getAvailableTransitions: (ticket, permissions) => defaultInstance.getAvailableTransitions(ticket, permissions),
+	assignTicket: (ticketId, reference, technicianId, actor) =>
+		defaultInstance.assignTicket(ticketId, reference, technicianId, actor),
+	deleteTicket: (ticketId, actor) => defaultInstance.deleteTicket(ticketId, actor),
+	restoreTicket: (ticketId, actor) => defaultInstance.restoreTicket(ticketId, actor),
+	listDeletedTickets: (page, perPage) => defaultInstance.listDeletedTickets(page, perPage),
+	purgeDeletedTickets: (retentionDays) => defaultInstance.purgeDeletedTickets(retentionDays),
+	bulkUpdate: (ticketIds, action, values, actor, permissions) =>
+		defaultInstance.bulkUpdate(ticketIds, action, values, actor, permissions),
 	listTickets: (filters, page, perPage) => defaultInstance.listTickets(filters, page, perPage),
 	getStats: (filters) => defaultInstance.getStats(filters),
-	addComment: (ticketId, reference, commentData, assignedTo, commenterId) =>
-		defaultInstance.addComment(ticketId, reference, commentData, assignedTo, commenterId),
+	addComment: (ticketId, reference, commentData) => defaultInstance.addComment(ticketId, reference, commentData),
+	getTicketHistory: (ticketId, includeInternal) => defaultInstance.getTicketHistory(ticketId, includeInternal),
 	getAllTechnicians: () => defaultInstance.getAllTechnicians(),
 };
@@ -5,6 +5,7 @@
 const bcrypt = require('bcryptjs');
 const { getPool } = require('../db');
 const { getRepositoryContainer } = require('../repositories');
+const config = require('../config');
 const { NotFoundError, ValidationError, ForbiddenError } = require('../middleware/errorHandler');
 
 const SALT_ROUNDS = 10;
@@ -26,10 +27,14 @@ class UserService {
 	 * @param {Object} deps - Dependencias inyectadas
 	 * @param {import('../repositories/UserRepository')} deps.userRepository
 	 * @param {import('../repositories/PermissionRepository')} deps.permissionRepository
+	 * @param {import('../repositories/PasswordHistoryRepository')} deps.passwordHistoryRepository
+	 * @param {Object} deps.passwordPolicy - historySize (ver config.passwordPolicy)
 	 */
 	constructor(deps = {}) {
 		this.userRepo = deps.userRepository || getContainer().users;
 		this.permissionRepo = deps.permissionRepository || getContainer().permissions;
+		this.passwordHistoryRepo = deps.passwordHistoryRepository || getContainer().passwordHistory;
+		this.passwordPolicy = { ...config.passwordPolicy, ...deps.passwordPolicy };
 	}
 
 	/**
@@ -70,8 +75,8 @@ class UserService {
 			throw new NotFoundError('Usuario');
 		}
 
-		// Excluir password_hash de la respuesta
-		const { password_hash, ...safeUser } = user;
+		// Excluir la contraseña y los secretos de la verificación en dos pasos
+		const { password_hash, totp_secret, recovery_code_hashes, ...safeUser } = user;
 		return safeUser;
 	}
 
@@ -84,7 +89,7 @@ class UserService {
 	}
 
 	/**
-	 * Crear nuevo usuario
+	 * Crear nuevo usuario; deberá cambiar la contraseña en su primer acceso
 	 * @param {Object} data
 	 * @returns {Promise<Object>}
 	 */
@@ -110,6 +115,7 @@ class UserService {
 			password_hash: hash,
 			role: role.name,
 			role_id,
+			must_change_password: true,
 		});
 	}
 
@@ -131,7 +137,7 @@ class UserService {
 	}
 
 	/**
-	 * Cambiar contraseña
+	 * Cambiar contraseña, sin repetir ninguna de las últimas `historySize`
 	 * @param {number} userId
 	 * @param {string} currentPassword
 	 * @param {string} newPassword
@@ -149,8 +155,23 @@ class UserService {
 			throw new ValidationError('Contraseña actual incorrecta', { current_password: 'Incorrecta' });
 		}
 
+		const { historySize } = this.passwordPolicy;
+		if (historySize > 0) {
+			const previous = await this.passwordHistoryRepo.findRecent(userId, historySize - 1);
+			const hashes = [user.password_hash, ...previous.map(entry => entry.password_hash)];
+			if (hashes.some(hash => bcrypt.compareSync(newPassword, hash))) {
+				throw new ValidationError(
+					`La nueva contraseña no puede ser ninguna de las últimas ${historySize}`,
+					{ new_password: 'Usada recientemente' }
+				);
+			}
+		}
+
 		const newHash = bcrypt.hashSync(newPassword, SALT_ROUNDS);
-		await this.userRepo.update(userId, { password_hash: newHash });
+		await this.userRepo.updatePassword(userId, newHash);
+		if (historySize > 1) {
+			await this.passwordHistoryRepo.add(userId, user.password_hash, historySize - 1);
+		}
 
 		return true;
 	}
@@ -0,0 +1,250 @@
+/**
+ * Servicio de observadores de tickets
+ * Usuarios del equipo y emails externos que siguen un ticket. El despachador
+ * reúne a los interesados en cada cambio (técnico asignado, observadores y, en
+ * los comentarios públicos, quienes participaron antes) y les avisa: al equipo
+ * por el canal que cada uno eligió y a los emails externos por correo.
+ */
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+/**
+ * Servicio de observadores con inyección de dependencias
+ */
+class WatcherService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/TicketWatcherRepository')} deps.ticketWatcherRepository
+	 * @param {Object} deps.notificationService - Entrega los avisos al equipo según sus preferencias
+	 * @param {import('../repositories/CommentRepository')} deps.commentRepository
+	 * @param {import('../repositories/UserRepository')} deps.userRepository
+	 * @param {Object} deps.emailService - sendTicketUpdateEmail y sendCommentNotificationEmail
+	 */
+	constructor(deps = {}) {
+		this.watcherRepo = deps.ticketWatcherRepository || getContainer().ticketWatchers;
+		this.notifications = deps.notificationService || notificationService;
+		this.commentRepo = deps.commentRepository || getContainer().comments;
+		this.userRepo = deps.userRepository || getContainer().users;
+		this.email = deps.emailService || emailService;
+	}
+
+	/**
+	 * Observadores de un ticket
+	 * @param {number} ticketId
+	 * @returns {Promise<Array>}
+	 */
+	async listWatchers(ticketId) {
+		return this.watcherRepo.findByTicketId(ticketId);
+	}
+
+	/**
+	 * Verifica si un usuario sigue un ticket
+	 * @param {number} ticketId
+	 * @param {number} userId
+	 * @returns {Promise<boolean>}
+	 */
+	async isWatching(ticketId, userId) {
+		return this.watcherRepo.isWatching(ticketId, userId);
+	}
+
+	/**
+	 * Seguir un ticket como usuario del equipo. No falla si ya lo seguía.
+	 * @param {number} ticketId
+	 * @param {number} userId
+	 */
+	async watch(ticketId, userId) {
+		await this.watcherRepo.addUser(ticketId, userId, userId);
+	}
+
+	/**
+	 * Dejar de seguir un ticket. No falla si no lo seguía.
+	 * @param {number} ticketId
+	 * @param {number} userId
+	 */
+	async unwatch(ticketId, userId) {
+		await this.watcherRepo.removeUser(ticketId, userId);
+	}
+
+	/**
+	 * Agregar un observador: un usuario del equipo o un email externo
+	 * @param {number} ticketId
+	 * @param {{user_id?: number, email?: string}} data - Datos validados con addWatcherSchema
+	 * @param {Object} actor - Usuario que lo agrega
+	 * @returns {Promise<Object>} Observador creado
+	 */
+	async addWatcher(ticketId, data, actor) {
+		let watcher;
+		let label = data.email;
+
+		if (data.user_id) {
+			const user = await this.userRepo.findById(data.user_id);
+			if (!user) {
+				throw new NotFoundError('Usuario');
+			}
+			label = user.username;
+			watcher = await this.watcherRepo.addUser(ticketId, user.id, actor?.id || null);
+		} else {
+			watcher = await this.watcherRepo.addEmail(ticketId, data.email, actor?.id || null);
+		}
+
+		if (!watcher) {
+			throw new ValidationError(`${label} ya sigue este ticket`);
+		}
+		return watcher;
+	}
+
+	/**
+	 * Quitar un observador de un ticket
+	 * @param {number} ticketId
+	 * @param {number} watcherId
+	 * @returns {Promise<Object>} Observador eliminado
+	 */
+	async removeWatcher(ticketId, watcherId) {
+		const watcher = await this.watcherRepo.remove(ticketId, watcherId);
+		if (!watcher) {
+			throw new NotFoundError('Observador');
+		}
+		return watcher;
+	}
+
+	/**
+	 * Avisa de un cambio de estado a todos los interesados salvo quien lo hizo
+	 * @param {Object} ticket - Ticket actualizado
+	 * @param {Object} notice - title y message; type es 'status_change'
+	 * @param {Object|null} actor
+	 */
+	async notifyStatusChange(ticket, notice, actor = null) {
+		await this._dispatch(ticket, { type: 'status_change', ...notice }, { actorId: actor?.id });
+	}
+
+	/**
+	 * Avisa de una asignación. El técnico asignado recibe su propio aviso aunque
+	 * se haya asignado a sí mismo; el resto de interesados, uno general.
+	 * @param {Object} ticket - Ticket actualizado
+	 * @param {Object|null} assignee - Técnico asignado (null si se desasigna)
+	 * @param {Object|null} actor
+	 */
+	async notifyAssignment(ticket, assignee, actor = null) {
+		if (assignee) {
+			await this.notifications.notify([assignee.id], {
+				type: 'ticket_assigned',
+				title: '📋 Ticket asignado',
+				message: `Se te ha asignado el ticket ${ticket.reference}`,
+				ticket_id: ticket.id,
+				ticket_reference: ticket.reference,
+			});
+		}
+
+		await this._dispatch(ticket, {
+			type: 'ticket_assigned',
+			title: '📋 Ticket reasignado',
+			message: assignee
+				? `El ticket ${ticket.reference} fue asignado a ${assignee.username}`
+				: `El ticket ${ticket.reference} quedó sin asignar`,
+		}, { actorId: actor?.id, skipUserIds: assignee ? [assignee.id] : [] });
+	}
+
+	/**
+	 * Avisa de un comentario público. Por email también se avisa a quienes
+	 * comentaron antes en el ticket, excepto al autor del comentario.
+	 * @param {Object} ticket
+	 * @param {Object} comment - Comentario creado
+	 */
+	async notifyComment(ticket, comment) {
+		await this._dispatch(ticket, {
+			type: 'new_comment',
+			title: '💬 Nuevo comentario',
+			message: `Nuevo comentario en el ticket ${ticket.reference}`,
+			content: comment.content,
+		}, {
+			actorId: comment.user_id,
+			skipEmails: comment.author_email ? [comment.author_email] : [],
+			includeParticipants: true,
+		});
+	}
+
+	/**
+	 * Reúne a los destinatarios de un aviso y lo envía por cada canal
+	 * @private
+	 */
+	async _dispatch(ticket, notice, { actorId = null, skipUserIds = [], skipEmails = [], includeParticipants = false }) {
+		const { userIds, emails } = await this._getRecipients(ticket, includeParticipants);
+
+		const skippedUsers = new Set([actorId, ...skipUserIds].filter(Boolean));
+		const skippedEmails = new Set(skipEmails.map(email => email.toLowerCase()));
+
+		await this.notifications.notify(userIds.filter(id => !skippedUsers.has(id)), {
+			type: notice.type,
+			title: notice.title,
+			message: notice.message,
+			ticket_id: ticket.id,
+			ticket_reference: ticket.reference,
+		});
+
+		const recipients = emails.filter(email => !skippedEmails.has(email));
+		if (recipients.length === 0) {
+			return;
+		}
+		if (notice.content !== undefined) {
+			await this.email.sendCommentNotificationEmail(ticket, { content: notice.content }, recipients);
+		} else {
+			await this.email.sendTicketUpdateEmail(ticket, notice, recipients);
+		}
+	}
+
+	/**
+	 * Usuarios (técnico asignado y observadores del equipo) y emails
+	 * (observadores externos y, opcionalmente, autores de comentarios públicos)
+	 * @private
+	 */
+	async _getRecipients(ticket, includeParticipants) {
+		const watchers = await this.watcherRepo.findByTicketId(ticket.id);
+
+		const userIds = new Set(watchers.map(w => w.user_id).filter(Boolean));
+		if (ticket.assigned_to) {
+			userIds.add(ticket.assigned_to);
+		}
+
+		const emails = watchers.map(w => w.email).filter(Boolean);
+		if (includeParticipants) {
+			const comments = await this.commentRepo.findByTicketId(ticket.id, false);
+			emails.push(...comments.map(c => c.author_email).filter(Boolean));
+		}
+
+		return {
+			userIds: [...userIds],
+			emails: [...new Set(emails.map(email => email.toLowerCase()))],
+		};
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new WatcherService();
+
+module.exports = {
+	// Clase para testing y DI
+	WatcherService,
+
+	// Métodos del singleton
+	listWatchers: (ticketId) => defaultInstance.listWatchers(ticketId),
+	isWatching: (ticketId, userId) => defaultInstance.isWatching(ticketId, userId),
+	watch: (ticketId, userId) => defaultInstance.watch(ticketId, userId),
+	unwatch: (ticketId, userId) => defaultInstance.unwatch(ticketId, userId),
+	addWatcher: (ticketId, data, actor) => defaultInstance.addWatcher(ticketId, data, actor),
+	removeWatcher: (ticketId, watcherId) => defaultInstance.removeWatcher(ticketId, watcherId),
+	notifyStatusChange: (ticket, notice, actor) => defaultInstance.notifyStatusChange(ticket, notice, actor),
+	notifyAssignment: (ticket, assignee, actor) => defaultInstance.notifyAssignment(ticket, assignee, actor),
+	notifyComment: (ticket, comment) => defaultInstance.notifyComment(ticket, comment),
+};
@@ -0,0 +1,284 @@
+/**
+ * Servicio de lógica de negocio para webhooks salientes
+ * Envía eventos del ciclo de vida de tickets firmados con HMAC y reintenta
+ * las entregas fallidas con espera exponencial.
+ */
+const crypto = require('crypto');
+const { getPool } = require('../db');
+const { getRepositoryContainer } = require('../repositories');
+const config = require('../config');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const MAX_RESPONSE_LENGTH = 1000;
+
+// Lazy loading del container
+let _container = null;
+function getContainer() {
+	if (!_container) {
+		_container = getRepositoryContainer(getPool());
+	}
+	return _container;
+}
+
+/**
+ * Firma el cuerpo de una entrega con el secreto del webhook
+ * @param {string} secret
+ * @param {string} body - Cuerpo JSON tal como se envía
+ * @returns {string} Firma con formato `sha256=<hex>`
+ */
+function signPayload(secret, body) {
+	return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Segundos de espera antes del siguiente intento (base, 2×base, 4×base, ...)
+ * @param {number} attempts - Intentos ya realizados
+ * @param {number} baseSeconds
+ * @returns {number}
+ */
+function getRetryDelay(attempts, baseSeconds) {
+	return baseSeconds * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+/**
+ * Quita del ticket los datos que no deben salir del sistema
+ * @param {Object} ticket
+ * @returns {Object}
+ */
+function toPayloadTicket(ticket) {
+	if (!ticket) {
+		return null;
+	}
+	const { edit_token, ...data } = ticket;
+	return data;
+}
+
+/**
+ * Servicio de webhooks con inyección de dependencias
+ */
+class WebhookService {
+	/**
+	 * @param {Object} deps - Dependencias inyectadas
+	 * @param {import('../repositories/WebhookRepository')} deps.webhookRepository
+	 * @param {import('../repositories/WebhookDeliveryRepository')} deps.webhookDeliveryRepository
+	 * @param {Function} deps.fetch - Implementación de fetch para las entregas
+	 * @param {Object} deps.options - timeout, maxAttempts y retryBaseSeconds
+	 */
+	constructor(deps = {}) {
+		this.webhookRepo = deps.webhookRepository || getContainer().webhooks;
+		this.deliveryRepo = deps.webhookDeliveryRepository || getContainer().webhookDeliveries;
+		this.fetch = deps.fetch || ((...args) => fetch(...args));
+		this.options = { ...config.webhooks, ...deps.options };
+	}
+
+	/**
+	 * Listar webhooks
+	 * @returns {Promise<Array>}
+	 */
+	async listWebhooks() {
+		return this.webhookRepo.findAll();
+	}
+
+	/**
+	 * Crear un webhook con un secreto de firma generado
+	 * @param {Object} data - name, url, events, is_active
+	 * @param {Object|null} actor - Usuario que lo registra
+	 * @returns {Promise<Object>}
+	 */
+	async createWebhook(data, actor = null) {
+		return this.webhookRepo.create({
+			...data,
+			secret: 'whsec_' + crypto.randomBytes(24).toString('hex'),
+			created_by: actor?.id || null,
+		});
+	}
+
+	/**
+	 * Actualizar un webhook
+	 * @param {number} webhookId
+	 * @param {Object} data
+	 * @returns {Promise<Object>}
+	 */
+	async updateWebhook(webhookId, data) {
+		const webhook = await this.webhookRepo.update(webhookId, data);
+		if (!webhook) {
+			throw new NotFoundError('Webhook');
+		}
+		return webhook;
+	}
+
+	/**
+	 * Eliminar un webhook
+	 * @param {number} webhookId
+	 * @returns {Promise<Object>}
+	 */
+	async deleteWebhook(webhookId) {
+		const webhook = await this.webhookRepo.delete(webhookId);
+		if (!webhook) {
+			throw new NotFoundError('Webhook');
+		}
+		return webhook;
+	}
+
+	/**
+	 * Listar entregas recientes
+	 * @param {Object} filters - webhook_id, status
+	 * @param {number} limit
+	 * @returns {Promise<Array>}
+	 */
+	async listDeliveries(filters = {}, limit = 50) {
+		return this.deliveryRepo.findRecent(filters, limit);
+	}
+
+	/**
+	 * Registra una entrega para cada webhook suscrito al evento y las envía en segundo plano
+	 * @param {string} event - Nombre del evento (ej: ticket.created)
+	 * @param {Object} data - Datos del evento; `ticket` se limpia antes de enviarse
+	 * @returns {Promise<Array>} Entregas registradas
+	 */
+	async dispatch(event, data) {
+		const webhooks = await this.webhookRepo.findActiveByEvent(event);
+		if (webhooks.length === 0) {
+			return [];
+		}
+
+		const payload = {
+			event,
+			created_at: new Date().toISOString(),
+			data: { ...data, ticket: toPayloadTicket(data.ticket) },
+		};
+
+		// El reintento programado solo recoge la entrega si el primer envío no llega a registrarse
+		const nextAttemptAt = this._leaseUntil();
+		const deliveries = [];
+		for (const webhook of webhooks) {
+			const delivery = await this.deliveryRepo.create({
+				webhook_id: webhook.id,
+				event,
+				payload,
+				next_attempt_at: nextAttemptAt,
+			});
+			deliveries.push({ ...delivery, url: webhook.url, secret: webhook.secret });
+		}
+
+		// El envío no bloquea la operación que originó el evento
+		Promise.all(deliveries.map(delivery => this.deliver(delivery))).catch(err => {
+			console.error('Error enviando webhooks:', err.message);
+		});
+
+		return deliveries;
+	}
+
+	/**
+	 * Realiza un intento de entrega y registra el resultado
+	 * @param {Object} delivery - Entrega con url y secret de su webhook
+	 * @returns {Promise<Object>} Entrega actualizada
+	 */
+	async deliver(delivery) {
+		const body = JSON.stringify(delivery.payload);
+		let result;
+
+		try {
+			const response = await this.fetch(delivery.url, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'User-Agent': 'SystemTickets-Webhooks/1.0',
+					'X-Webhook-Event': delivery.event,
+					'X-Webhook-Delivery': String(delivery.id),
+					[SIGNATURE_HEADER]: signPayload(delivery.secret, body),
+				},
+				body,
+				redirect: 'manual',
+				signal: AbortSignal.timeout(this.options.timeout),
+			});
+			const text = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+
+			result = response.ok
+				? { status: 'success', response_status: response.status, response_body: text }
+				: { response_status: response.status, response_body: text, error: `HTTP ${response.status}` };
+		} catch (err) {
+			result = { error: err.name === 'TimeoutError' ? 'Tiempo de espera agotado' : err.message };
+		}
+
+		if (!result.status) {
+			const attempts = delivery.attempts + 1;
+			if (attempts >= this.options.maxAttempts) {
+				result.status = 'failed';
+			} else {
+				const delay = getRetryDelay(attempts, this.options.retryBaseSeconds);
+				result.status = 'pending';
+				result.next_attempt_at = new Date(Date.now() + delay * 1000);
+			}
+		}
+
+		return this.deliveryRepo.recordAttempt(delivery.id, result);
+	}
+
+	/**
+	 * Reintenta las entregas pendientes cuyo plazo de espera ya venció
+	 * @returns {Promise<{processed: number, succeeded: number, failed: number}>}
+	 */
+	async processRetries() {
+		const deliveries = await this.deliveryRepo.claimDue(this._leaseUntil());
+		let succeeded = 0;
+		let failed = 0;
+
+		for (const delivery of deliveries) {
+			const updated = await this.deliver(delivery);
+			if (updated?.status === 'success') {
+				succeeded++;
+			} else if (updated?.status === 'failed') {
+				failed++;
+			}
+		}
+
+		return { processed: deliveries.length, succeeded, failed };
+	}
+
+	/**
+	 * Vuelve a enviar una entrega inmediatamente, reiniciando sus intentos
+	 * @param {number} deliveryId
+	 * @returns {Promise<Object>} Entrega actualizada
+	 */
+	async redeliver(deliveryId) {
+		const delivery = await this.deliveryRepo.findById(deliveryId);
+		if (!delivery) {
+			throw new NotFoundError('Entrega');
+		}
+
+		await this.deliveryRepo.resetForRedelivery(deliveryId, this._leaseUntil());
+		return this.deliver({ ...delivery, attempts: 0 });
+	}
+
+	/**
+	 * Hasta cuándo queda reservada una entrega en curso: si el intento no llega
+	 * a registrarse, el reintento programado la recoge pasado ese plazo
+	 * @private
+	 */
+	_leaseUntil() {
+		return new Date(Date.now() + this.options.retryBaseSeconds * 1000);
+	}
+}
+
+// Instancia singleton para compatibilidad con código existente
+const defaultInstance = new WebhookService();
+
+module.exports = {
+	// Clase para testing y DI
+	WebhookService,
+	signPayload,
+	getRetryDelay,
+	SIGNATURE_HEADER,
+
+	// Métodos del singleton
+	listWebhooks: () => defaultInstance.listWebhooks(),
+	createWebhook: (data, actor) => defaultInstance.createWebhook(data, actor),
+	updateWebhook: (webhookId, data) => defaultInstance.updateWebhook(webhookId, data),
+	deleteWebhook: (webhookId) => defaultInstance.deleteWebhook(webhookId),
+	listDeliveries: (filters, limit) => defaultInstance.listDeliveries(filters, limit),
+	dispatch: (event, data) => defaultInstance.dispatch(event, data),
+	processRetries: () => defaultInstance.processRetries(),
+	redeliver: (deliveryId) => defaultInstance.redeliver(deliveryId),
+};
@@ -0,0 +1,61 @@
+/**
+ * Helpers para presentar y servir adjuntos
+ */
+
+// Icono según el tipo de documento
+const FILE_ICONS = {
+	'application/pdf': '📕',
+	'text/plain': '📄',
+	'text/csv': '📊',
+	'application/msword': '📘',
+	'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '📘',
+	'application/vnd.ms-excel': '📗',
+	'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '📗',
+	'application/vnd.ms-powerpoint': '📙',
+	'application/vnd.openxmlformats-officedocument.presentationml.presentation': '📙',
+};
+
+/**
+ * Formatea un tamaño en bytes para mostrarlo
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatFileSize(bytes) {
+	if (bytes < 1024) {
+		return `${bytes} B`;
+	}
+	if (bytes < 1024 * 1024) {
+		return `${(bytes / 1024).toFixed(1)} KB`;
+	}
+	return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Icono para la lista de archivos
+ * @param {string} mimeType
+ * @returns {string}
+ */
+function getFileIcon(mimeType) {
+	return FILE_ICONS[mimeType] || '📎';
+}
+
+/**
+ * Envía un adjunto con su nombre original; imágenes y PDF se muestran en el navegador
+ * @param {import('express').Response} res
+ * @param {{attachment: Object, filePath: string, inline: boolean}} download - Resultado de getForDownload
+ */
+function sendAttachment(res, { attachment, filePath, inline }) {
+	res.attachment(attachment.original_name);
+	if (inline) {
+		res.set('Content-Disposition', res.get('Content-Disposition').replace(/^attachment/, 'inline'));
+	}
+	res.type(attachment.mime_type);
+	res.set('X-Content-Type-Options', 'nosniff');
+	res.sendFile(filePath);
+}
+
+module.exports = {
+	formatFileSize,
+	getFileIcon,
+	sendAttachment,
+};
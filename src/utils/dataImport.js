@@ -0,0 +1,242 @@
+/**
+ * Lectura de CSV y mapeo de columnas para la importación de datos históricos
+ */
+const { EXPORT_COLUMNS } = require('./ticketExport');
+const { CHANNEL_LABELS } = require('./ticketEvents');
+
+// Tipos de importación, en el orden en que deben cargarse (los tickets
+// referencian técnicos y los comentarios, tickets y usuarios ya existentes)
+const IMPORT_TYPES = {
+	users: {
+		label: 'Usuarios',
+		fields: ['username', 'password', 'role', 'created_at'],
+		required: ['username', 'password', 'role'],
+		aliases: {
+			usuario: 'username',
+			contrasena: 'password',
+			rol: 'role',
+			'fecha de creacion': 'created_at',
+		},
+	},
+	tickets: {
+		label: 'Tickets',
+		fields: [
+			'reference', 'requester_name', 'requester_email', 'department', 'support_type', 'priority',
+			'subject', 'description', 'has_anydesk', 'anydesk_code', 'status', 'channel',
+			'assigned_username', 'resolution_note', 'created_at', 'updated_at', 'first_responded_at', 'resolved_at',
+		],
+		required: ['requester_name', 'department', 'support_type', 'priority', 'subject', 'description'],
+		// Se aceptan los encabezados de la exportación para poder reimportar sus archivos
+		aliases: {
+			...Object.fromEntries(EXPORT_COLUMNS.map(column => [normalizeHeader(column.label), column.key])),
+			email: 'requester_email',
+			'anydesk instalado': 'has_anydesk',
+		},
+	},
+	comments: {
+		label: 'Comentarios',
+		fields: ['ticket_reference', 'content', 'author_name', 'author_email', 'username', 'is_internal', 'created_at'],
+		required: ['ticket_reference', 'content'],
+		aliases: {
+			referencia: 'ticket_reference',
+			ticket: 'ticket_reference',
+			comentario: 'content',
+			contenido: 'content',
+			autor: 'author_name',
+			'email del autor': 'author_email',
+			usuario: 'username',
+			interno: 'is_internal',
+			fecha: 'created_at',
+		},
+	},
+};
+
+// Campos booleanos y valores que se interpretan como verdadero
+const BOOLEAN_FIELDS = ['has_anydesk', 'is_internal'];
+const TRUE_VALUES = ['1', 'true', 'si', 'yes', 'x', 'verdadero'];
+
+/**
+ * Normaliza un encabezado para compararlo: minúsculas, sin acentos y con
+ * espacios y guiones bajos unificados ("Fecha_de Creación" → "fecha de creacion")
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+	return String(header || '')
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase()
+		.replace(/[_\s]+/g, ' ')
+		.trim();
+}
+
+/**
+ * Detecta el separador mirando la primera línea: coma, o punto y coma
+ * (el que usa Excel en configuraciones regionales en español)
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+	const firstLine = text.slice(0, text.search(/\r?\n|$/)).replace(/"[^"]*"/g, '');
+	const count = char => firstLine.split(char).length - 1;
+	return count(';') > count(',') ? ';' : ',';
+}
+
+/**
+ * Lee un CSV (RFC 4180): campos entre comillas con comillas dobladas y saltos
+ * de línea. Omite el BOM y las filas vacías.
+ * @param {string} text
+ * @returns {Array<Array<string>>} Filas con sus valores
+ */
+function parseCsv(text) {
+	const input = text.replace(/^\uFEFF/, '');
+	const delimiter = detectDelimiter(input);
+	const records = [];
+	let record = [];
+	let field = '';
+	let quoted = false;
+
+	const endRecord = () => {
+		record.push(field);
+		if (record.some(value => value.trim() !== '')) {
+			records.push(record);
+		}
+		record = [];
+		field = '';
+	};
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i];
+		if (quoted) {
+			if (char === '"' && input[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"' && field === '') {
+			quoted = true;
+		} else if (char === delimiter) {
+			record.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && input[i + 1] === '\n') {
+				i++;
+			}
+			endRecord();
+		} else {
+			field += char;
+		}
+	}
+
+	if (quoted) {
+		throw new Error('El archivo tiene un campo entre comillas sin cerrar');
+	}
+	if (field !== '' || record.length > 0) {
+		endRecord();
+	}
+	return records;
+}
+
+/**
+ * Lee el mapeo escrito a mano, una columna por línea: "Columna del archivo = campo"
+ * @param {string} text
+ * @returns {Object<string, string>} Encabezado → campo
+ */
+function parseColumnMapping(text) {
+	const mapping = {};
+	for (const line of String(text || '').split(/\r?\n/)) {
+		const separator = line.lastIndexOf('=');
+		if (line.trim() === '') {
+			continue;
+		}
+		if (separator === -1) {
+			throw new Error(`Línea de mapeo inválida: "${line.trim()}" (use "Columna = campo")`);
+		}
+		mapping[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+	}
+	return mapping;
+}
+
+/**
+ * Asigna cada columna del archivo a un campo del tipo de importación. El mapeo
+ * explícito tiene prioridad; si no, se reconoce el nombre del campo o un alias.
+ * @param {string} type - Clave de IMPORT_TYPES
+ * @param {Array<string>} headers - Primera fila del archivo
+ * @param {Object<string, string>} mapping - Encabezado → campo
+ * @returns {{columns: Array<string|null>, ignored: Array<string>, missing: Array<string>}}
+ */
+function mapColumns(type, headers, mapping = {}) {
+	const definition = IMPORT_TYPES[type];
+	const explicit = {};
+	for (const [header, field] of Object.entries(mapping)) {
+		if (!definition.fields.includes(field)) {
+			throw new Error(`Campo desconocido en el mapeo: ${field}`);
+		}
+		explicit[normalizeHeader(header)] = field;
+	}
+
+	const used = new Set();
+	const ignored = [];
+	const columns = headers.map(header => {
+		const key = normalizeHeader(header);
+		const field = explicit[key]
+			|| definition.fields.find(name => normalizeHeader(name) === key)
+			|| definition.aliases[key];
+		if (!field || used.has(field)) {
+			ignored.push(header);
+			return null;
+		}
+		used.add(field);
+		return field;
+	});
+
+	return {
+		columns,
+		ignored,
+		missing: definition.required.filter(field => !used.has(field)),
+	};
+}
+
+/**
+ * Objeto de la fila con los campos mapeados. Las celdas vacías se omiten,
+ * los booleanos se convierten y el canal acepta también su etiqueta.
+ * @param {Array<string|null>} columns - Resultado de mapColumns
+ * @param {Array<string>} values - Valores de la fila
+ * @returns {Object}
+ */
+function buildRow(columns, values) {
+	const row = {};
+	columns.forEach((field, index) => {
+		const value = (values[index] || '').trim();
+		if (!field || value === '') {
+			return;
+		}
+		if (BOOLEAN_FIELDS.includes(field)) {
+			row[field] = TRUE_VALUES.includes(normalizeHeader(value));
+		} else if (field === 'channel') {
+			const channel = Object.keys(CHANNEL_LABELS)
+				.find(key => normalizeHeader(CHANNEL_LABELS[key]) === normalizeHeader(value));
+			row[field] = channel || value;
+		} else {
+			row[field] = value;
+		}
+	});
+
+	// Un código de AnyDesk sin la columna de AnyDesk instalado implica que lo tiene
+	if (row.anydesk_code && row.has_anydesk === undefined) {
+		row.has_anydesk = true;
+	}
+	return row;
+}
+
+module.exports = {
+	IMPORT_TYPES,
+	normalizeHeader,
+	parseCsv,
+	parseColumnMapping,
+	mapColumns,
+	buildRow,
+};
@@ -0,0 +1,79 @@
+/**
+ * Helpers para las plantillas de las macros de respuesta
+ */
+
+// Marcadores disponibles en las plantillas y su descripción
+const PLACEHOLDERS = {
+	requester_name: 'Nombre del solicitante',
+	reference: 'Referencia del ticket',
+	subject: 'Asunto',
+	status: 'Estado (después de aplicar la macro)',
+	priority: 'Prioridad',
+	department: 'Departamento',
+	support_type: 'Tipo de soporte',
+	technician_name: 'Técnico asignado (después de aplicar la macro)',
+	agent_name: 'Usuario que aplica la macro',
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+/**
+ * Marcadores de una plantilla que no existen
+ * @param {string|null} template
+ * @returns {Array<string>}
+ */
+function findUnknownPlaceholders(template) {
+	const unknown = new Set();
+	for (const [, name] of String(template || '').matchAll(PLACEHOLDER_PATTERN)) {
+		if (!PLACEHOLDERS[name]) {
+			unknown.add(name);
+		}
+	}
+	return [...unknown];
+}
+
+/**
+ * Valores de los marcadores para un ticket
+ * @param {Object} ticket
+ * @param {Object} values - agent_name, technician_name y status que reemplazan a los del ticket
+ * @returns {Object}
+ */
+function buildContext(ticket, values = {}) {
+	return {
+		requester_name: ticket.requester_name,
+		reference: ticket.reference,
+		subject: ticket.subject,
+		status: ticket.status,
+		priority: ticket.priority,
+		department: ticket.department,
+		support_type: ticket.support_type,
+		technician_name: ticket.assigned_username,
+		...values,
+	};
+}
+
+/**
+ * Reemplaza los marcadores de una plantilla; los valores vacíos quedan como cadena vacía
+ * @param {string|null} template
+ * @param {Object} context - Valores de buildContext
+ * @returns {string|null} null si la plantilla está vacía
+ */
+function renderTemplate(template, context) {
+	if (!template) {
+		return null;
+	}
+	return template.replace(PLACEHOLDER_PATTERN, (match, name) => {
+		if (!PLACEHOLDERS[name]) {
+			return match;
+		}
+		const value = context[name];
+		return value === null || value === undefined ? '' : String(value);
+	});
+}
+
+module.exports = {
+	PLACEHOLDERS,
+	findUnknownPlaceholders,
+	buildContext,
+	renderTemplate,
+};
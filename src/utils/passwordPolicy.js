@@ -0,0 +1,67 @@
+/**
+ * Política de contraseñas del personal: requisitos de complejidad y caducidad
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Requisitos de la política, en el orden en que se muestran
+ * @param {Object} policy - Ver config.passwordPolicy
+ * @returns {Array<{label: string, test: function(string): boolean}>}
+ */
+function getRequirements(policy) {
+	const requirements = [
+		{ label: `al menos ${policy.minLength} caracteres`, test: password => password.length >= policy.minLength },
+	];
+	if (policy.requireMixedCase) {
+		requirements.push({ label: 'mayúsculas y minúsculas', test: password => /[a-z]/.test(password) && /[A-Z]/.test(password) });
+	}
+	if (policy.requireNumber) {
+		requirements.push({ label: 'al menos un número', test: password => /\d/.test(password) });
+	}
+	if (policy.requireSymbol) {
+		requirements.push({ label: 'al menos un símbolo', test: password => /[^a-zA-Z0-9]/.test(password) });
+	}
+	return requirements;
+}
+
+/**
+ * Descripción de los requisitos para mostrar junto a los formularios
+ * @param {Object} policy
+ * @returns {Array<string>}
+ */
+function describePasswordPolicy(policy) {
+	return getRequirements(policy).map(requirement => requirement.label);
+}
+
+/**
+ * Requisitos que no cumple una contraseña
+ * @param {string} password
+ * @param {Object} policy
+ * @returns {Array<string>} Vacío si la contraseña es válida
+ */
+function checkPasswordStrength(password, policy) {
+	return getRequirements(policy)
+		.filter(requirement => !requirement.test(String(password || '')))
+		.map(requirement => requirement.label);
+}
+
+/**
+ * Indica si la contraseña superó los días de vigencia (maxAgeDays 0 = no caduca)
+ * @param {Date|string} changedAt - Último cambio de contraseña
+ * @param {Object} policy
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isPasswordExpired(changedAt, policy, now = new Date()) {
+	if (!policy.maxAgeDays || !changedAt) {
+		return false;
+	}
+	return now.getTime() - new Date(changedAt).getTime() > policy.maxAgeDays * DAY;
+}
+
+module.exports = {
+	describePasswordPolicy,
+	checkPasswordStrength,
+	isPasswordExpired,
+};
@@ -0,0 +1,46 @@
+/**
+ * Helpers para presentar resultados de búsqueda de texto completo
+ */
+const { HIGHLIGHT_START, HIGHLIGHT_STOP } = require('../repositories/TicketRepository');
+
+const HTML_ESCAPES = {
+	'&': '&amp;',
+	'<': '&lt;',
+	'>': '&gt;',
+	'"': '&quot;',
+	"'": '&#39;',
+};
+
+const MARKER_PATTERN = new RegExp(`${HIGHLIGHT_START}([\\s\\S]*?)${HIGHLIGHT_STOP}`, 'g');
+
+/**
+ * Convierte un fragmento de ts_headline en HTML seguro, resaltando las coincidencias con <mark>
+ * @param {string|null} snippet - Fragmento con los marcadores de TicketRepository
+ * @returns {string}
+ */
+function highlightSnippet(snippet) {
+	if (!snippet) {
+		return '';
+	}
+	return String(snippet)
+		.replace(/[&<>"']/g, ch => HTML_ESCAPES[ch])
+		.replace(MARKER_PATTERN, '<mark class="bg-yellow-200 rounded px-0.5">$1</mark>')
+		.replace(new RegExp(`[${HIGHLIGHT_START}${HIGHLIGHT_STOP}]`, 'g'), '');
+}
+
+/**
+ * Normaliza el término de búsqueda recibido por query string
+ * @param {*} value
+ * @returns {string} Término recortado (máximo 200 caracteres) o cadena vacía
+ */
+function normalizeSearchTerm(value) {
+	if (typeof value !== 'string') {
+		return '';
+	}
+	return value.trim().slice(0, 200);
+}
+
+module.exports = {
+	highlightSnippet,
+	normalizeSearchTerm,
+};
@@ -0,0 +1,114 @@
+/**
+ * Cálculos de SLA: fechas de vencimiento en horario laboral y estado de cumplimiento
+ */
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Suma minutos laborables a una fecha
+ * @param {Date} start - Fecha de inicio
+ * @param {number} minutes - Minutos laborables a sumar
+ * @param {Object} businessHours - { start, end, days } con horas 0-24 y días 0 (domingo) a 6
+ * @returns {Date}
+ */
+function addBusinessMinutes(start, minutes, businessHours) {
+	const { start: startHour, end: endHour, days } = businessHours;
+
+	// Sin días laborables configurados no hay horario que respetar
+	if (!days || days.length === 0 || endHour <= startHour) {
+		return new Date(start.getTime() + minutes * MINUTE);
+	}
+
+	let current = new Date(start.getTime());
+	let remaining = minutes;
+
+	while (remaining > 0) {
+		if (!days.includes(current.getDay()) || current.getHours() >= endHour) {
+			current.setDate(current.getDate() + 1);
+			current.setHours(startHour, 0, 0, 0);
+			continue;
+		}
+
+		if (current.getHours() < startHour) {
+			current.setHours(startHour, 0, 0, 0);
+			continue;
+		}
+
+		const endOfDay = new Date(current.getTime());
+		endOfDay.setHours(endHour, 0, 0, 0);
+		const available = (endOfDay.getTime() - current.getTime()) / MINUTE;
+
+		if (remaining <= available) {
+			return new Date(current.getTime() + remaining * MINUTE);
+		}
+
+		remaining -= available;
+		current = endOfDay;
+	}
+
+	return current;
+}
+
+/**
+ * Calcula las fechas de vencimiento de un ticket según su política
+ * @param {Object|null} policy - Fila de sla_policies
+ * @param {Date} from - Fecha de creación del ticket
+ * @param {Object} businessHours - Horario laboral
+ * @returns {{first_response_due: Date|null, resolution_due: Date|null}}
+ */
+function computeDueDates(policy, from, businessHours) {
+	if (!policy) {
+		return { first_response_due: null, resolution_due: null };
+	}
+
+	const add = (minutes) => policy.business_hours_only
+		? addBusinessMinutes(from, minutes, businessHours)
+		: new Date(from.getTime() + minutes * MINUTE);
+
+	return {
+		first_response_due: add(policy.first_response_minutes),
+		resolution_due: add(policy.resolution_minutes),
+	};
+}
+
+/**
+ * Estado de un objetivo de SLA: none, ok, warning, breached o met
+ * @private
+ */
+function evaluateTarget(due, doneAt, now, warningMinutes) {
+	if (!due) {
+		return 'none';
+	}
+
+	const dueTime = new Date(due).getTime();
+	if (doneAt) {
+		return new Date(doneAt).getTime() > dueTime ? 'breached' : 'met';
+	}
+	if (now.getTime() > dueTime) {
+		return 'breached';
+	}
+	if (dueTime - now.getTime() <= warningMinutes * MINUTE) {
+		return 'warning';
+	}
+	return 'ok';
+}
+
+/**
+ * Evalúa el estado de SLA de un ticket
+ * @param {Object} ticket - Fila de tickets
+ * @param {Date} now - Momento de la evaluación
+ * @param {number} warningMinutes - Minutos previos al vencimiento para avisar
+ * @returns {{response: string, resolution: string}}
+ */
+function evaluateSla(ticket, now = new Date(), warningMinutes = 30) {
+	return {
+		response: evaluateTarget(ticket.first_response_due, ticket.first_responded_at, now, warningMinutes),
+		resolution: evaluateTarget(ticket.resolution_due, ticket.resolved_at, now, warningMinutes),
+	};
+}
+
+module.exports = {
+	addBusinessMinutes,
+	computeDueDates,
+	evaluateSla,
+};
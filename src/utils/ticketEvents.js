@@ -0,0 +1,87 @@
+/**
+ * Helpers para presentar el historial de eventos de tickets
+ */
+
+// Etiquetas legibles de los campos editables de un ticket
+const FIELD_LABELS = {
+	requester_name: 'Solicitante',
+	department: 'Departamento',
+	support_type: 'Tipo de soporte',
+	priority: 'Prioridad',
+	subject: 'Asunto',
+	description: 'Descripción',
+	image_path: 'Imagen adjunta',
+	has_anydesk: 'AnyDesk instalado',
+	anydesk_code: 'Código AnyDesk',
+	requester_email: 'Email del solicitante',
+	channel: 'Canal',
+};
+
+// Etiquetas de los canales por los que llega un ticket
+const CHANNEL_LABELS = {
+	web: 'Formulario web',
+	email: 'Correo electrónico',
+	api: 'API',
+	phone: 'Teléfono',
+	walk_in: 'Presencial',
+};
+
+// Campos largos cuyo valor no se muestra completo en el historial
+const LONG_FIELDS = ['description'];
+
+function formatValue(field, value) {
+	if (value === null || value === undefined || value === '') {
+		return 'vacío';
+	}
+	if (field === 'has_anydesk') {
+		return value === 'true' ? 'Sí' : 'No';
+	}
+	if (field === 'channel') {
+		return CHANNEL_LABELS[value] || value;
+	}
+	return value;
+}
+
+/**
+ * Genera una descripción legible de un evento del historial
+ * @param {Object} event - Fila de ticket_events
+ * @returns {string}
+ */
+function describeEvent(event) {
+	switch (event.event_type) {
+		case 'created':
+			return 'Ticket creado';
+		case 'status_change':
+			return `Estado cambiado de "${event.old_value || 'N/A'}" a "${event.new_value}"`;
+		case 'assignment':
+			if (!event.new_value) {
+				return `Ticket desasignado (antes: ${event.old_value || 'sin asignar'})`;
+			}
+			return event.old_value
+				? `Reasignado de ${event.old_value} a ${event.new_value}`
+				: `Asignado a ${event.new_value}`;
+		case 'field_change': {
+			const label = FIELD_LABELS[event.field] || event.field;
+			if (LONG_FIELDS.includes(event.field)) {
+				return `${label} actualizada`;
+			}
+			return `${label}: "${formatValue(event.field, event.old_value)}" → "${formatValue(event.field, event.new_value)}"`;
+		}
+		case 'comment':
+			return 'Comentario agregado';
+		case 'internal_comment':
+			return 'Comentario interno agregado';
+		case 'deleted':
+			return 'Ticket enviado a la papelera';
+		case 'restored':
+			return 'Ticket restaurado de la papelera';
+		default:
+			return event.event_type;
+	}
+}
+
+module.exports = {
+	FIELD_LABELS,
+	CHANNEL_LABELS,
+	describeEvent,
+};
@@ -0,0 +1,131 @@
+/**
+ * Columnas y formato de la exportación de tickets a CSV y Excel
+ */
+const { CHANNEL_LABELS } = require('./ticketEvents');
+
+// Columnas exportables en el orden en que se escriben
+const EXPORT_COLUMNS = [
+	{ key: 'reference', label: 'Referencia', width: 20 },
+	{ key: 'created_at', label: 'Fecha de creación', type: 'date', width: 18 },
+	{ key: 'status', label: 'Estado', width: 14 },
+	{ key: 'priority', label: 'Prioridad', width: 32 },
+	{ key: 'support_type', label: 'Tipo de soporte', width: 20 },
+	{ key: 'channel', label: 'Canal', width: 18 },
+	{ key: 'requester_name', label: 'Solicitante', width: 25 },
+	{ key: 'requester_email', label: 'Email del solicitante', width: 30 },
+	{ key: 'department', label: 'Departamento', width: 20 },
+	{ key: 'subject', label: 'Asunto', width: 40 },
+	{ key: 'description', label: 'Descripción', width: 60 },
+	{ key: 'assigned_username', label: 'Técnico asignado', width: 20 },
+	{ key: 'updated_at', label: 'Última actualización', type: 'date', width: 18 },
+	{ key: 'first_responded_at', label: 'Primera respuesta', type: 'date', width: 18 },
+	{ key: 'resolved_at', label: 'Fecha de resolución', type: 'date', width: 18 },
+	{ key: 'resolution_note', label: 'Nota de resolución', width: 60 },
+	{ key: 'anydesk_code', label: 'Código AnyDesk', width: 16 },
+];
+
+const EXPORT_COLUMN_KEYS = EXPORT_COLUMNS.map(column => column.key);
+
+// Columnas marcadas cuando no se elige ninguna
+const DEFAULT_EXPORT_COLUMNS = [
+	'reference', 'created_at', 'status', 'priority', 'support_type',
+	'requester_name', 'department', 'subject', 'assigned_username',
+];
+
+const EXPORT_FORMATS = {
+	csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+	xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+/**
+ * Definiciones de las columnas elegidas, en el orden de EXPORT_COLUMNS
+ * @param {Array<string>} keys
+ * @returns {Array<Object>}
+ */
+function resolveColumns(keys = DEFAULT_EXPORT_COLUMNS) {
+	const selected = keys.length > 0 ? keys : DEFAULT_EXPORT_COLUMNS;
+	return EXPORT_COLUMNS.filter(column => selected.includes(column.key));
+}
+
+/**
+ * Valor de una celda: fechas como Date, canal con su etiqueta y vacíos como null
+ * @param {Object} column
+ * @param {Object} ticket
+ * @returns {string|number|Date|null}
+ */
+function getCellValue(column, ticket) {
+	const value = ticket[column.key];
+	if (value === null || value === undefined || value === '') {
+		return null;
+	}
+	if (column.type === 'date') {
+		return value instanceof Date ? value : new Date(value);
+	}
+	if (column.key === 'channel') {
+		return CHANNEL_LABELS[value] || value;
+	}
+	return value;
+}
+
+/**
+ * Fecha local en formato YYYY-MM-DD HH:mm
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateTime(date) {
+	const pad = value => String(value).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Escapa un valor para CSV (RFC 4180). Los textos que una hoja de cálculo
+ * interpretaría como fórmula se prefijan con una comilla simple.
+ * @param {string|number|Date|null} value
+ * @returns {string}
+ */
+function toCsvField(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	let text = value instanceof Date ? formatDateTime(value) : String(value);
+	if (/^[=+\-@\t\r]/.test(text)) {
+		text = `'${text}`;
+	}
+	if (/[",\r\n]/.test(text)) {
+		return `"${text.replace(/"/g, '""')}"`;
+	}
+	return text;
+}
+
+/**
+ * Línea CSV con los valores de las columnas
+ * @param {Array} values
+ * @returns {string}
+ */
+function toCsvLine(values) {
+	return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Nombre del archivo descargado (ej: tickets-20260315-1030.csv)
+ * @param {string} format - csv o xlsx
+ * @param {Date} now
+ * @returns {string}
+ */
+function buildExportFilename(format, now = new Date()) {
+	const stamp = formatDateTime(now).replace(/[-:]/g, '').replace(' ', '-');
+	return `tickets-${stamp}.${EXPORT_FORMATS[format].extension}`;
+}
+
+module.exports = {
+	EXPORT_COLUMNS,
+	EXPORT_COLUMN_KEYS,
+	DEFAULT_EXPORT_COLUMNS,
+	EXPORT_FORMATS,
+	resolveColumns,
+	getCellValue,
+	formatDateTime,
+	toCsvField,
+	toCsvLine,
+	buildExportFilename,
+};
@@ -0,0 +1,166 @@
+/**
+ * Códigos de un solo uso basados en tiempo (TOTP, RFC 6238) y códigos de
+ * recuperación para la verificación en dos pasos del personal
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Parámetros compatibles con Google Authenticator, Authy y similares
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Pasos de tolerancia antes y después del actual por desfase de reloj
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Codifica bytes en base32 sin relleno
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+	let bits = '';
+	for (const byte of buffer) {
+		bits += byte.toString(2).padStart(8, '0');
+	}
+	let output = '';
+	for (let i = 0; i < bits.length; i += 5) {
+		output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+	}
+	return output;
+}
+
+/**
+ * Decodifica base32; ignora espacios, guiones, relleno y mayúsculas
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function base32Decode(text) {
+	const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+	let bits = '';
+	for (const char of clean) {
+		const value = BASE32_ALPHABET.indexOf(char);
+		if (value === -1) {
+			throw new Error('Secreto base32 inválido');
+		}
+		bits += value.toString(2).padStart(5, '0');
+	}
+	const bytes = [];
+	for (let i = 0; i + 8 <= bits.length; i += 8) {
+		bytes.push(parseInt(bits.slice(i, i + 8), 2));
+	}
+	return Buffer.from(bytes);
+}
+
+/**
+ * Genera un secreto nuevo de 160 bits en base32
+ * @returns {string}
+ */
+function generateSecret() {
+	return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Paso de tiempo TOTP de un instante
+ * @param {Date} now
+ * @returns {number}
+ */
+function getTimeStep(now = new Date()) {
+	return Math.floor(now.getTime() / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Código HOTP (RFC 4226) de un paso
+ * @param {string} secret - Secreto en base32
+ * @param {number} step
+ * @returns {string}
+ */
+function generateCode(secret, step) {
+	const counter = Buffer.alloc(8);
+	counter.writeBigUInt64BE(BigInt(step));
+	const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+	const offset = hmac[hmac.length - 1] & 0x0f;
+	const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+	return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verifica un código TOTP con la tolerancia de TOTP_WINDOW pasos
+ * @param {string} secret - Secreto en base32
+ * @param {string} code - Código introducido (se ignoran los espacios)
+ * @param {Date} now
+ * @returns {number|null} Paso que coincide, para impedir reutilizar el código; null si no es válido
+ */
+function verifyCode(secret, code, now = new Date()) {
+	const normalized = String(code || '').replace(/\s/g, '');
+	if (!/^\d{6}$/.test(normalized)) {
+		return null;
+	}
+
+	const current = getTimeStep(now);
+	for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+		const expected = generateCode(secret, step);
+		if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+			return step;
+		}
+	}
+	return null;
+}
+
+/**
+ * URI otpauth:// que las aplicaciones de autenticación leen desde el QR
+ * @param {string} secret - Secreto en base32
+ * @param {string} account - Nombre de usuario
+ * @param {string} issuer - Nombre de la aplicación
+ * @returns {string}
+ */
+function buildOtpauthUri(secret, account, issuer) {
+	const label = encodeURIComponent(`${issuer}:${account}`);
+	const params = new URLSearchParams({
+		secret,
+		issuer,
+		algorithm: 'SHA1',
+		digits: String(TOTP_DIGITS),
+		period: String(TOTP_PERIOD_SECONDS),
+	});
+	return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Genera códigos de recuperación de un solo uso (ej: "a1b2c-3d4e5")
+ * @param {number} count
+ * @returns {Array<string>}
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+	return Array.from({ length: count }, () => {
+		const hex = crypto.randomBytes(5).toString('hex');
+		return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+	});
+}
+
+/**
+ * Hash con el que se guarda un código de recuperación; admite mayúsculas,
+ * espacios y el código sin guion
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+	const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+	return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+	TOTP_DIGITS,
+	TOTP_PERIOD_SECONDS,
+	RECOVERY_CODE_COUNT,
+	base32Encode,
+	base32Decode,
+	generateSecret,
+	getTimeStep,
+	generateCode,
+	verifyCode,
+	buildOtpauthUri,
+	generateRecoveryCodes,
+	hashRecoveryCode,
+};
@@ -0,0 +1,90 @@
+/**
+ * Motor del flujo de estados de los tickets
+ */
+const TicketRepository = require('../repositories/TicketRepository');
+const { loadWorkflowDefinition } = require('../config/workflow');
+
+// Etiquetas de los campos que una transición puede exigir
+const REQUIRED_FIELD_LABELS = {
+	resolution_note: 'Nota de resolución',
+};
+
+/**
+ * Crea un motor de flujo a partir de una definición, validando que solo use
+ * estados y campos conocidos
+ * @param {Object} definition - { transitions: [{ from, to, permission, required }] }
+ * @param {Array<string>} states - Estados válidos
+ * @returns {Object}
+ */
+function createWorkflow(definition, states = TicketRepository.STATUSES) {
+	const transitions = (definition.transitions || []).map(t => {
+		if (!states.includes(t.from) || !states.includes(t.to)) {
+			throw new Error(`Transición con estado desconocido: ${t.from} → ${t.to}`);
+		}
+		const required = t.required || [];
+		const unknown = required.find(field => !REQUIRED_FIELD_LABELS[field]);
+		if (unknown) {
+			throw new Error(`Campo requerido desconocido en el flujo: ${unknown}`);
+		}
+		return { from: t.from, to: t.to, permission: t.permission || null, required };
+	});
+
+	return {
+		states,
+		transitions,
+
+		/**
+		 * Busca la transición entre dos estados
+		 * @returns {Object|null}
+		 */
+		getTransition(from, to) {
+			return transitions.find(t => t.from === from && t.to === to) || null;
+		},
+
+		/**
+		 * Transiciones disponibles desde un estado para un conjunto de permisos
+		 * @param {string} from - Estado actual
+		 * @param {Array<string>} permissions - Permisos del usuario
+		 * @returns {Array<Object>}
+		 */
+		getAvailableTransitions(from, permissions = []) {
+			return transitions.filter(t => t.from === from && (!t.permission || permissions.includes(t.permission)));
+		},
+
+		/**
+		 * Campos obligatorios de una transición que faltan en los datos enviados
+		 * @param {Object} transition - Transición
+		 * @param {Object} details - Datos enviados con el cambio
+		 * @returns {Object} Errores por campo
+		 */
+		getMissingFields(transition, details = {}) {
+			const errors = {};
+			for (const field of transition.required) {
+				const value = details[field];
+				if (value === undefined || value === null || String(value).trim() === '') {
+					errors[field] = `${REQUIRED_FIELD_LABELS[field]} es requerida`;
+				}
+			}
+			return errors;
+		},
+	};
+}
+
+let _workflow = null;
+
+/**
+ * Obtiene el flujo configurado (singleton)
+ * @returns {Object}
+ */
+function getWorkflow() {
+	if (!_workflow) {
+		_workflow = createWorkflow(loadWorkflowDefinition());
+	}
+	return _workflow;
+}
+
+module.exports = {
+	REQUIRED_FIELD_LABELS,
+	createWorkflow,
+	getWorkflow,
+};
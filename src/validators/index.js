@@ -2,7 +2,23 @@
  * Esquemas de validación con Zod
  */
 const { z } = require('zod');
+const config = require('../config');
 const { SUPPORT_TYPES, PRIORITIES, STATUSES } = require('../models/tickets');
+const { EVENTS: WEBHOOK_EVENTS } = require('../repositories/WebhookRepository');
+const { STRATEGIES: ASSIGNMENT_STRATEGIES } = require('../repositories/AssignmentRuleRepository');
+const { FREQUENCIES: REPORT_FREQUENCIES } = require('../repositories/ReportSubscriptionRepository');
+const { CHANNELS, STAFF_CHANNELS, SERIES_INTERVALS } = require('../repositories/TicketRepository');
+const {
+	EVENT_TYPES: NOTIFICATION_EVENT_TYPES,
+	CHANNELS: NOTIFICATION_CHANNELS,
+	DEFAULT_CHANNEL: DEFAULT_NOTIFICATION_CHANNEL,
+} = require('../repositories/NotificationPreferenceRepository');
+const { EXPORT_COLUMN_KEYS, EXPORT_FORMATS } = require('../utils/ticketExport');
+const { IMPORT_TYPES, parseColumnMapping } = require('../utils/dataImport');
+const { checkPasswordStrength } = require('../utils/passwordPolicy');
+
+// Los checkboxes de HTML solo envían 'on' cuando están marcados
+const checkbox = z.preprocess((val) => val === 'on' || val === 'true' || val === true, z.boolean());
 
 // ============================================================================
 // Validadores de Tickets
@@ -53,33 +69,64 @@ const updateTicketSchema = z.object({
 	anydesk_code: z.string().max(50).optional().nullable(),
 });
 
+// Tickets abiertos por el personal en nombre del solicitante
+const staffCreateTicketSchema = createTicketSchema.and(z.object({
+	channel: z.enum(STAFF_CHANNELS, { error: 'Canal inválido' }),
+}));
+
+// Edición desde el panel: además de los campos del solicitante, su email y el canal
+const staffUpdateTicketSchema = updateTicketSchema.and(z.object({
+	channel: z.enum(CHANNELS, { error: 'Canal inválido' }).optional(),
+	requester_email: z.string().trim().toLowerCase().email('Email inválido')
+		.optional()
+		.or(z.literal('').transform(() => null)),
+}));
+
 const updateStatusSchema = z.object({
 	status: z.enum(STATUSES, {
 		errorMap: () => ({ message: 'Estado inválido' })
 	}),
+	resolution_note: z.string()
+		.max(5000, 'La nota de resolución no puede exceder 5000 caracteres')
+		.trim()
+		.optional(),
+});
+
+const assignTicketSchema = z.object({
+	technician_id: z.union([
+		z.coerce.number().int().positive('Técnico inválido'),
+		z.null(),
+		z.literal('').transform(() => null),
+	], { error: 'Técnico inválido' }),
 });
 
 // ============================================================================
 // Validadores de Usuarios
 // ============================================================================
 
+// Contraseña que cumple la política configurada (config.passwordPolicy)
+const strongPassword = z.string()
+	.max(100, 'La contraseña no puede exceder 100 caracteres')
+	.superRefine((password, ctx) => {
+		const missing = checkPasswordStrength(password, config.passwordPolicy);
+		if (missing.length > 0) {
+			ctx.addIssue({ code: 'custom', message: `La contraseña debe tener ${missing.join(', ')}` });
+		}
+	});
+
 const createUserSchema = z.object({
 	username: z.string()
 		.min(3, 'El usuario debe tener al menos 3 caracteres')
 		.max(50, 'El usuario no puede exceder 50 caracteres')
 		.regex(/^[a-zA-Z0-9_]+$/, 'Solo letras, números y guiones bajos')
 		.trim(),
-	password: z.string()
-		.min(6, 'La contraseña debe tener al menos 6 caracteres')
-		.max(100, 'La contraseña no puede exceder 100 caracteres'),
+	password: strongPassword,
 	role_id: z.coerce.number().positive('Debe seleccionar un rol'),
 });
 
 const updatePasswordSchema = z.object({
 	current_password: z.string().min(1, 'Contraseña actual requerida'),
-	new_password: z.string()
-		.min(6, 'La nueva contraseña debe tener al menos 6 caracteres')
-		.max(100),
+	new_password: strongPassword,
 	confirm_password: z.string(),
 }).refine(
 	(data) => data.new_password === data.confirm_password,
@@ -130,15 +177,321 @@ const createRoleSchema = z.object({
 		.max(100)
 		.trim(),
 	description: z.string().max(500).optional(),
+	require_2fa: checkbox,
 	permissions: z.array(z.coerce.number()).optional().default([]),
 });
 
 const updateRoleSchema = z.object({
 	display_name: z.string().min(2).max(100).trim(),
 	description: z.string().max(500).optional(),
+	require_2fa: checkbox,
 	permissions: z.array(z.coerce.number()).optional().default([]),
 });
 
+// ============================================================================
+// Validadores de SLA
+// ============================================================================
+
+const updateSlaPolicySchema = z.object({
+	first_response_minutes: z.coerce.number()
+		.int('Debe ser un número entero de minutos')
+		.positive('El tiempo de primera respuesta debe ser mayor a 0'),
+	resolution_minutes: z.coerce.number()
+		.int('Debe ser un número entero de minutos')
+		.positive('El tiempo de resolución debe ser mayor a 0'),
+	business_hours_only: checkbox,
+	is_active: checkbox,
+}).refine(
+	(data) => data.resolution_minutes >= data.first_response_minutes,
+	{ message: 'La resolución no puede ser menor que la primera respuesta', path: ['resolution_minutes'] }
+);
+
+const createSlaPolicySchema = updateSlaPolicySchema.and(z.object({
+	priority: z.enum(PRIORITIES, {
+		errorMap: () => ({ message: 'Prioridad inválida' })
+	}),
+	support_type: z.enum(SUPPORT_TYPES).optional().or(z.literal('').transform(() => undefined)),
+}));
+
+// ============================================================================
+// Validadores de webhooks
+// ============================================================================
+
+const webhookSchema = z.object({
+	name: z.string()
+		.min(2, 'El nombre debe tener al menos 2 caracteres')
+		.max(100, 'El nombre no puede exceder 100 caracteres')
+		.trim(),
+	url: z.string()
+		.trim()
+		.url('URL inválida')
+		.refine((val) => /^https?:\/\//i.test(val), 'La URL debe usar http o https'),
+	// Los checkboxes llegan como string si solo se marca uno
+	events: z.preprocess(
+		(val) => (val === undefined ? [] : [].concat(val)),
+		z.array(z.enum(WEBHOOK_EVENTS, { error: 'Evento inválido' }))
+			.min(1, 'Selecciona al menos un evento')
+	),
+	is_active: checkbox,
+});
+
+// ============================================================================
+// Validadores de asignación automática
+// ============================================================================
+
+// Los checkboxes llegan como string si solo se marca uno
+const checkboxList = (schema) => z.preprocess((val) => (val === undefined ? [] : [].concat(val)), z.array(schema));
+
+const assignmentRuleSchema = z.object({
+	name: z.string()
+		.min(2, 'El nombre debe tener al menos 2 caracteres')
+		.max(100, 'El nombre no puede exceder 100 caracteres')
+		.trim(),
+	department: z.string().trim().max(100, 'El departamento no puede exceder 100 caracteres')
+		.optional()
+		.transform((val) => val || null),
+	support_type: z.enum(SUPPORT_TYPES).optional().or(z.literal('').transform(() => undefined)),
+	priority: z.enum(PRIORITIES).optional().or(z.literal('').transform(() => undefined)),
+	strategy: z.enum(ASSIGNMENT_STRATEGIES, { error: 'Estrategia de asignación inválida' }),
+	technician_ids: checkboxList(z.coerce.number().int().positive()),
+	position: z.coerce.number()
+		.int('El orden debe ser un número entero')
+		.min(0, 'El orden no puede ser negativo')
+		.default(0),
+	is_active: checkbox,
+});
+
+const technicianSkillsSchema = z.object({
+	skills: checkboxList(z.enum(SUPPORT_TYPES, { error: 'Tipo de soporte inválido' })),
+});
+
+// ============================================================================
+// Validadores de macros
+// ============================================================================
+
+// Los selects sin opción elegida envían ''
+const emptyToUndefined = (val) => (val === '' ? undefined : val);
+
+const macroTemplate = z.string()
+	.trim()
+	.max(5000, 'La plantilla no puede exceder 5000 caracteres')
+	.optional()
+	.transform((val) => val || null);
+
+const macroSchema = z.object({
+	name: z.string()
+		.min(2, 'El nombre debe tener al menos 2 caracteres')
+		.max(100, 'El nombre no puede exceder 100 caracteres')
+		.trim(),
+	content: macroTemplate,
+	internal_note: macroTemplate,
+	set_status: z.preprocess(emptyToUndefined, z.enum(STATUSES, { error: 'Estado inválido' }).optional())
+		.transform((val) => val || null),
+	assign_to: z.preprocess(emptyToUndefined, z.coerce.number().int().positive('Técnico inválido').optional())
+		.transform((val) => val || null),
+	is_shared: checkbox,
+}).refine(
+	(data) => data.content || data.internal_note || data.set_status || data.assign_to,
+	{ message: 'La macro debe tener al menos una acción', path: ['content'] }
+);
+
+// ============================================================================
+// Validadores de observadores de tickets
+// ============================================================================
+
+// Un usuario del equipo o un email externo, no ambos
+const addWatcherSchema = z.object({
+	user_id: z.preprocess(emptyToUndefined, z.coerce.number().int().positive('Usuario inválido').optional()),
+	email: z.preprocess(emptyToUndefined, z.string().trim().toLowerCase().email('Email inválido').optional()),
+}).refine(
+	(data) => !data.user_id !== !data.email,
+	{ message: 'Indica un usuario del equipo o un email externo', path: ['email'] }
+);
+
+// ============================================================================
+// Validadores de preferencias de notificación
+// ============================================================================
+
+// Un canal por tipo de notificación; los tipos que no llegan quedan en el canal por defecto
+const notificationPreferencesSchema = z.object({
+	email: z.preprocess(emptyToUndefined, z.string().trim().toLowerCase().email('Email inválido').optional()),
+	preferences: z.preprocess(
+		(val) => val || {},
+		z.object(Object.fromEntries(NOTIFICATION_EVENT_TYPES.map((type) => [
+			type,
+			z.enum(NOTIFICATION_CHANNELS, { error: 'Canal de notificación inválido' }).default(DEFAULT_NOTIFICATION_CHANNEL),
+		])))
+	),
+}).refine(
+	(data) => data.email || !Object.values(data.preferences).some((channel) => channel === 'email' || channel === 'digest'),
+	{ message: 'Indica tu email para recibir notificaciones por correo', path: ['email'] }
+);
+
+// Filtros del centro de notificaciones
+const notificationFilterSchema = z.object({
+	type: z.preprocess(emptyToUndefined, z.enum(NOTIFICATION_EVENT_TYPES, { error: 'Tipo de notificación inválido' }).optional()),
+	state: z.preprocess(emptyToUndefined, z.enum(['unread', 'read'], { error: 'Estado inválido' }).optional()),
+});
+
+const notificationBulkActionSchema = z.object({
+	notification_ids: checkboxList(z.coerce.number().int().positive('Notificación inválida'))
+		.refine((ids) => ids.length > 0, 'Selecciona al menos una notificación'),
+	action: z.enum(['read', 'delete'], { error: 'Acción inválida' }),
+});
+
+// ============================================================================
+// Validadores de acciones masivas
+// ============================================================================
+
+const BULK_TICKET_ACTIONS = ['status', 'assign', 'priority', 'delete'];
+
+const bulkTicketActionSchema = z.object({
+	ticket_ids: checkboxList(z.coerce.number().int().positive('Ticket inválido'))
+		.refine((ids) => ids.length > 0, 'Selecciona al menos un ticket')
+		.refine((ids) => ids.length <= 100, 'No se pueden modificar más de 100 tickets a la vez'),
+	action: z.enum(BULK_TICKET_ACTIONS, { error: 'Acción masiva inválida' }),
+	status: z.preprocess(emptyToUndefined, z.enum(STATUSES, { error: 'Estado inválido' }).optional()),
+	resolution_note: z.string()
+		.max(5000, 'La nota de resolución no puede exceder 5000 caracteres')
+		.trim()
+		.optional(),
+	technician_id: z.preprocess(emptyToUndefined, z.coerce.number().int().positive('Técnico inválido').optional())
+		.transform((val) => val || null),
+	priority: z.preprocess(emptyToUndefined, z.enum(PRIORITIES, { error: 'Prioridad inválida' }).optional()),
+}).refine(
+	(data) => data.action !== 'status' || data.status,
+	{ message: 'Selecciona el nuevo estado', path: ['status'] }
+).refine(
+	(data) => data.action !== 'priority' || data.priority,
+	{ message: 'Selecciona la nueva prioridad', path: ['priority'] }
+);
+
+// ============================================================================
+// Validadores de reportes
+// ============================================================================
+
+// Rango máximo del reporte, para acotar las series por día
+const MAX_REPORT_RANGE_DAYS = 366;
+
+const reportDate = z.preprocess(emptyToUndefined, z.string()
+	.regex(/^\d{4}-\d{2}-\d{2}$/, 'Fecha inválida')
+	.refine((val) => {
+		const date = new Date(`${val}T00:00:00Z`);
+		return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(val);
+	}, 'Fecha inválida')
+	.optional());
+
+const analyticsFilterSchema = z.object({
+	from: reportDate,
+	to: reportDate,
+	interval: z.preprocess(emptyToUndefined, z.enum(SERIES_INTERVALS, { error: 'Agrupación inválida' }).optional()),
+}).refine(
+	(data) => !data.from || !data.to || data.from <= data.to,
+	{ message: 'La fecha inicial debe ser anterior a la final', path: ['to'] }
+).refine(
+	(data) => !data.from || !data.to || (Date.parse(data.to) - Date.parse(data.from)) / 86400000 < MAX_REPORT_RANGE_DAYS,
+	{ message: `El rango no puede superar ${MAX_REPORT_RANGE_DAYS} días`, path: ['from'] }
+);
+
+// Destinatarios máximos de un reporte programado
+const MAX_REPORT_RECIPIENTS = 20;
+
+const reportSubscriptionSchema = z.object({
+	name: z.string()
+		.min(2, 'El nombre debe tener al menos 2 caracteres')
+		.max(100, 'El nombre no puede exceder 100 caracteres')
+		.trim(),
+	frequency: z.enum(REPORT_FREQUENCIES, { error: 'Frecuencia inválida' }),
+	// Emails separados por comas, punto y coma o saltos de línea
+	recipients: z.preprocess(
+		(val) => [...new Set(String(val || '').split(/[\s,;]+/).filter(Boolean).map((email) => email.toLowerCase()))],
+		z.array(z.string().email('Email de destinatario inválido'))
+			.min(1, 'Indica al menos un destinatario')
+			.max(MAX_REPORT_RECIPIENTS, `No se pueden indicar más de ${MAX_REPORT_RECIPIENTS} destinatarios`)
+	),
+	is_active: checkbox,
+});
+
+// Formato y columnas de la exportación; los filtros son los del listado
+const exportTicketsSchema = z.object({
+	format: z.preprocess(emptyToUndefined, z.enum(Object.keys(EXPORT_FORMATS), { error: 'Formato de exportación inválido' }).default('csv')),
+	columns: checkboxList(z.enum(EXPORT_COLUMN_KEYS, { error: 'Columna de exportación inválida' })),
+});
+
+// ============================================================================
+// Validadores de importación
+// ============================================================================
+
+const importCsvSchema = z.object({
+	type: z.enum(Object.keys(IMPORT_TYPES), { error: 'Tipo de importación inválido' }),
+	dry_run: checkbox,
+	// Una línea "Columna del archivo = campo" por columna; se entrega como objeto
+	mapping: z.string()
+		.max(2000, 'El mapeo no puede exceder 2000 caracteres')
+		.optional()
+		.transform((val, ctx) => {
+			try {
+				return parseColumnMapping(val);
+			} catch (err) {
+				ctx.addIssue({ code: 'custom', message: err.message });
+				return z.NEVER;
+			}
+		}),
+});
+
+// Fechas de los sistemas anteriores: ISO (2024-03-15 09:30) o día/mes/año (15/03/2024 09:30)
+const importDate = z.preprocess((val) => {
+	const match = typeof val === 'string' && val.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T](\d{1,2}):(\d{2}))?$/);
+	if (match) {
+		const [, day, month, year, hours = 0, minutes = 0] = match.map(Number);
+		return new Date(year, month - 1, day, hours, minutes);
+	}
+	return val;
+}, z.coerce.date({ error: 'Fecha inválida' }).optional());
+
+// Referencias del sistema anterior; se usan en URLs, así que solo caracteres seguros
+const importReference = z.string()
+	.trim()
+	.max(50, 'La referencia no puede exceder 50 caracteres')
+	.regex(/^[A-Za-z0-9][A-Za-z0-9._-]*$/, 'Referencia inválida: solo letras, números, puntos y guiones');
+
+const importUserRowSchema = createUserSchema.and(z.object({
+	created_at: importDate,
+}));
+
+const importTicketRowSchema = createTicketSchema.and(z.object({
+	reference: importReference.optional(),
+	requester_email: z.string().trim().toLowerCase().email('Email inválido').optional(),
+	status: z.enum(STATUSES, { error: 'Estado inválido' }).default('Pendiente'),
+	channel: z.enum(CHANNELS, { error: 'Canal inválido' }).default('web'),
+	assigned_username: z.string().trim().optional(),
+	resolution_note: z.string()
+		.max(5000, 'La nota de resolución no puede exceder 5000 caracteres')
+		.trim()
+		.optional(),
+	created_at: importDate,
+	updated_at: importDate,
+	first_responded_at: importDate,
+	resolved_at: importDate,
+}));
+
+const importCommentRowSchema = createCommentSchema.and(z.object({
+	ticket_reference: z.string().trim(),
+	username: z.string().trim().optional(),
+	created_at: importDate,
+}));
+
+// ============================================================================
+// Validadores de API keys
+// ============================================================================
+
+const createApiKeySchema = z.object({
+	name: z.string()
+		.min(2, 'El nombre debe tener al menos 2 caracteres')
+		.max(100, 'El nombre no puede exceder 100 caracteres')
+		.trim(),
+});
+
 // ============================================================================
 // Validadores de Login
 // ============================================================================
@@ -148,6 +501,48 @@ const loginSchema = z.object({
 	password: z.string().min(1, 'Contraseña requerida'),
 });
 
+// Filtros de la auditoría de accesos
+const loginAuditFilterSchema = z.object({
+	username: z.preprocess(emptyToUndefined, z.string().trim().max(50).optional()),
+	result: z.preprocess(emptyToUndefined, z.enum(['success', 'failure'], { error: 'Resultado inválido' }).optional()),
+});
+
+// Código de la aplicación de autenticación (6 dígitos) o de recuperación (xxxxx-xxxxx)
+const twoFactorCodeSchema = z.object({
+	code: z.string().trim().min(1, 'Código requerido').max(20, 'Código inválido'),
+});
+
+// ============================================================================
+// Validadores del portal del solicitante
+// ============================================================================
+
+const requesterLoginSchema = z.object({
+	email: z.string().trim().toLowerCase().email('Email inválido'),
+});
+
+const reopenTicketSchema = z.object({
+	reason: z.string()
+		.trim()
+		.min(5, 'Indica el motivo con al menos 5 caracteres')
+		.max(2000, 'El motivo no puede exceder 2000 caracteres'),
+});
+
+// ============================================================================
+// Validadores de encuestas de satisfacción
+// ============================================================================
+
+const feedbackSchema = z.object({
+	rating: z.coerce.number()
+		.int('Calificación inválida')
+		.min(1, 'La calificación debe estar entre 1 y 5')
+		.max(5, 'La calificación debe estar entre 1 y 5'),
+	comment: z.string()
+		.trim()
+		.max(2000, 'El comentario no puede exceder 2000 caracteres')
+		.optional()
+		.transform((val) => val || null),
+});
+
 // ============================================================================
 // Función helper para validar
 // ============================================================================
@@ -171,14 +566,41 @@ module.exports = {
 	// Schemas
 	createTicketSchema,
 	updateTicketSchema,
+	staffCreateTicketSchema,
+	staffUpdateTicketSchema,
 	updateStatusSchema,
+	assignTicketSchema,
 	createUserSchema,
 	updatePasswordSchema,
 	updateUsernameSchema,
 	createCommentSchema,
 	createRoleSchema,
 	updateRoleSchema,
+	createSlaPolicySchema,
+	updateSlaPolicySchema,
+	createApiKeySchema,
+	webhookSchema,
+	assignmentRuleSchema,
+	technicianSkillsSchema,
+	macroSchema,
+	addWatcherSchema,
+	notificationPreferencesSchema,
+	notificationFilterSchema,
+	notificationBulkActionSchema,
+	bulkTicketActionSchema,
+	analyticsFilterSchema,
+	reportSubscriptionSchema,
+	exportTicketsSchema,
+	importCsvSchema,
+	importUserRowSchema,
+	importTicketRowSchema,
+	importCommentRowSchema,
 	loginSchema,
+	twoFactorCodeSchema,
+	loginAuditFilterSchema,
+	requesterLoginSchema,
+	reopenTicketSchema,
+	feedbackSchema,
 	// Helper
 	validate,
 };
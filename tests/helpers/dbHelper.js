@@ -1,6 +1,8 @@
 /**
  * Helper para base de datos en tests
  */
+import bcrypt from 'bcryptjs';
+
 import { getPool } from '../../src/db.js';
 
 /**
@@ -23,8 +25,9 @@ export async function cleanDatabase() {
  */
 export async function createTestTicket(data = {}) {
 	const pool = getPool();
+	const suffix = `${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
 	const defaults = {
-		reference: `T-TEST-${Date.now()}`,
+		reference: `T-TEST-${suffix}`,
 		requester_name: 'Test User',
 		department: 'IT',
 		support_type: 'Hardware',
@@ -32,7 +35,7 @@ export async function createTestTicket(data = {}) {
 		subject: 'Test Ticket',
 		description: 'Test description with enough characters',
 		status: 'Pendiente',
-		edit_token: `token-${Date.now()}`,
+		edit_token: `token-${suffix}`,
 	};
 
 	const ticket = { ...defaults, ...data };
@@ -57,6 +60,40 @@ export async function createTestTicket(data = {}) {
 	return rows[0];
 }
 
+/**
+ * Crear ticket de prueba a través de TicketService (referencia, SLA, eventos...)
+ */
+export async function createTicket(data = {}, email = null) {
+	const ticketService = await import('../../src/services/ticketService.js');
+	return ticketService.createTicket({
+		requester_name: 'Test User',
+		department: 'IT',
+		support_type: 'Software',
+		priority: 'Media – Puede esperar unas horas',
+		subject: 'Test Ticket',
+		description: 'Test description with enough characters',
+		...data,
+	}, email);
+}
+
+/**
+ * Crear usuario de prueba, o devolverlo a su estado inicial si ya existe
+ */
+export async function createUser(username, role = 'tecnico', { password = null, roleId = null } = {}) {
+	const pool = getPool();
+	const passwordHash = password ? bcrypt.hashSync(password, 4) : 'x';
+	const { rows } = await pool.query(
+		`INSERT INTO users (username, password_hash, role, role_id)
+		 VALUES ($1, $2, $3, COALESCE($4, (SELECT id FROM roles WHERE name = $3)))
+		 ON CONFLICT (username) DO UPDATE SET
+			password_hash = $2, role = $3, role_id = COALESCE($4, (SELECT id FROM roles WHERE name = $3)),
+			skills = '{}', failed_login_count = 0, locked_until = NULL, email = NULL, digest_sent_at = NULL
+		 RETURNING *`,
+		[username, passwordHash, role, roleId]
+	);
+	return rows[0];
+}
+
 /**
  * Obtener usuario admin de prueba
  */
@@ -6,9 +6,11 @@ import session from 'express-session';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+import adminRouter from '../../src/routes/admin.js';
+
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-export function createTestApp() {
+export function createTestApp(user = null) {
 	const app = express();
 
 	app.set('view engine', 'ejs');
@@ -28,6 +30,9 @@ export function createTestApp() {
 
 	// Variables locales para vistas
 	app.use((req, res, next) => {
+		if (user) {
+			req.session.user = user;
+		}
 		res.locals.currentUser = req.session?.user || null;
 		res.locals.currentPath = req.path;
 		next();
@@ -36,6 +41,31 @@ export function createTestApp() {
 	return app;
 }
 
+/**
+ * App con el panel de administración y la sesión iniciada como `user`
+ */
+export function createAuthenticatedApp(user) {
+	const app = createTestApp(user);
+	app.use('/admin', adminRouter);
+	return app;
+}
+
+/**
+ * App con el panel de administración sin sesión, para probar el login
+ */
+export function createLoginApp() {
+	const app = createTestApp();
+	app.use('/admin', adminRouter);
+	return app;
+}
+
+/**
+ * App autenticada a partir de una fila de la tabla users
+ */
+export function appFor(user) {
+	return createAuthenticatedApp({ id: user.id, username: user.username, role: user.role });
+}
+
 /**
  * Helper para simular sesión autenticada
  */
@@ -0,0 +1,198 @@
+/**
+ * Tests de integración para la creación y edición de tickets desde el panel
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createUser } from '../helpers/dbHelper.js';
+
+const SUBJECT = 'Staff Ticket Test';
+const SLA_SUPPORT_TYPE = 'Acceso y Permisos';
+const MINUTE = 60 * 1000;
+
+let pool;
+let adminUser;
+let tecnicoUser;
+let ticketService;
+
+const validTicket = {
+	requester_name: 'Pedro Teléfono',
+	department: 'Contabilidad',
+	email: '',
+	channel: 'phone',
+	support_type: 'Hardware',
+	priority: 'Alta – Necesito ayuda pronto',
+	subject: SUBJECT,
+	description: 'Llamó porque la impresora no imprime',
+	has_anydesk: 'no',
+	anydesk_code: '',
+};
+
+function adminApp() {
+	return createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+}
+
+async function getTicketBySubject(subject) {
+	const { rows } = await pool.query('SELECT * FROM tickets WHERE subject = $1 ORDER BY id DESC LIMIT 1', [subject]);
+	return rows[0];
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+
+	tecnicoUser = await createUser('staff_ticket_tecnico');
+
+	// Políticas 24/7 para que las fechas no dependan del horario laboral
+	await pool.query('DELETE FROM sla_policies WHERE support_type = $1', [SLA_SUPPORT_TYPE]);
+	await pool.query(
+		`INSERT INTO sla_policies (priority, support_type, first_response_minutes, resolution_minutes, business_hours_only)
+		 VALUES ('Baja – No es urgente', $1, 480, 2880, false), ('Crítica – Bloquea mi trabajo', $1, 15, 60, false)`,
+		[SLA_SUPPORT_TYPE]
+	);
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM sla_policies WHERE support_type = $1', [SLA_SUPPORT_TYPE]);
+	await pool.query("DELETE FROM tickets WHERE subject LIKE 'Staff Ticket Test%'");
+	await pool.query("DELETE FROM users WHERE username = 'staff_ticket_tecnico'");
+});
+
+describe('Admin tickets - create', () => {
+	it('should render the form with the staff channels', async () => {
+		const res = await request(adminApp()).get('/admin/tickets/nuevo');
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Nuevo ticket');
+		expect(res.text).toContain('Teléfono');
+		expect(res.text).toContain('Presencial');
+		expect(res.text).not.toContain('Formulario web');
+	});
+
+	it('should open a ticket on behalf of a caller', async () => {
+		const res = await request(adminApp())
+			.post('/admin/tickets/nuevo')
+			.type('form')
+			.send({ ...validTicket, channel: 'walk_in', email: 'pedro@example.com' });
+		const ticket = await getTicketBySubject(SUBJECT);
+		const { rows: events } = await pool.query(
+			"SELECT * FROM ticket_events WHERE ticket_id = $1 AND event_type = 'created'",
+			[ticket.id]
+		);
+
+		expect(res.headers.location).toBe(`/admin/tickets/${ticket.reference}`);
+		expect(ticket).toMatchObject({
+			requester_name: 'Pedro Teléfono',
+			channel: 'walk_in',
+			requester_email: 'pedro@example.com',
+		});
+		expect(events[0].actor_id).toBe(adminUser.id);
+	});
+
+	it('should re-render the form with errors and keep the input', async () => {
+		const res = await request(adminApp())
+			.post('/admin/tickets/nuevo')
+			.type('form')
+			.send({ ...validTicket, subject: 'Hey', channel: 'web' });
+
+		expect(res.status).toBe(400);
+		expect(res.text).toContain('El asunto debe tener al menos 5 caracteres');
+		expect(res.text).toContain('Canal inválido');
+		expect(res.text).toContain('Pedro Teléfono');
+	});
+
+	it('should require the create_tickets permission', async () => {
+		const app = createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' });
+
+		const form = await request(app).get('/admin/tickets/nuevo');
+		const create = await request(app).post('/admin/tickets/nuevo').type('form').send(validTicket);
+
+		expect(form.status).toBe(403);
+		expect(create.status).toBe(403);
+	});
+});
+
+describe('Admin tickets - edit', () => {
+	it('should update any field and record each change', async () => {
+		const ticket = await ticketService.createTicket({ ...validTicket, has_anydesk: false, subject: `${SUBJECT} editar` });
+
+		const form = await request(adminApp()).get(`/admin/tickets/${ticket.reference}/editar`);
+		const res = await request(adminApp())
+			.post(`/admin/tickets/${ticket.reference}/editar`)
+			.type('form')
+			.send({
+				...validTicket,
+				subject: `${SUBJECT} editado`,
+				priority: 'Crítica – Bloquea mi trabajo',
+				channel: 'email',
+				requester_email: 'Pedro@Example.com',
+			});
+		const { rows: updated } = await pool.query('SELECT * FROM tickets WHERE id = $1', [ticket.id]);
+		const { rows: events } = await pool.query(
+			"SELECT field, new_value, actor_id FROM ticket_events WHERE ticket_id = $1 AND event_type = 'field_change' ORDER BY field",
+			[ticket.id]
+		);
+
+		expect(form.status).toBe(200);
+		expect(form.text).toContain(`Editar ticket ${ticket.reference}`);
+		expect(res.headers.location).toBe(`/admin/tickets/${ticket.reference}`);
+		expect(updated[0]).toMatchObject({
+			subject: `${SUBJECT} editado`,
+			priority: 'Crítica – Bloquea mi trabajo',
+			channel: 'email',
+			requester_email: 'pedro@example.com',
+		});
+		expect(events.map(e => e.field)).toEqual(['channel', 'priority', 'requester_email', 'subject']);
+		expect(events.every(e => e.actor_id === adminUser.id)).toBe(true);
+	});
+
+	it('should recompute the SLA due dates from the creation date when the priority changes', async () => {
+		const ticket = await ticketService.createTicket({
+			...validTicket,
+			support_type: SLA_SUPPORT_TYPE,
+			priority: 'Baja – No es urgente',
+			has_anydesk: false,
+			subject: `${SUBJECT} sla`,
+		});
+		const createdAt = new Date('2025-03-03T09:00:00Z');
+		await pool.query('UPDATE tickets SET created_at = $2 WHERE id = $1', [ticket.id, createdAt]);
+
+		await request(adminApp())
+			.post(`/admin/tickets/${ticket.reference}/editar`)
+			.type('form')
+			.send({ ...validTicket, support_type: SLA_SUPPORT_TYPE, priority: 'Crítica – Bloquea mi trabajo', subject: `${SUBJECT} sla` });
+		const { rows } = await pool.query('SELECT first_response_due, resolution_due FROM tickets WHERE id = $1', [ticket.id]);
+
+		expect(rows[0].first_response_due).toEqual(new Date(createdAt.getTime() + 15 * MINUTE));
+		expect(rows[0].resolution_due).toEqual(new Date(createdAt.getTime() + 60 * MINUTE));
+	});
+
+	it('should show the channel change in the ticket history', async () => {
+		const ticket = await ticketService.createTicket({ ...validTicket, channel: 'web', has_anydesk: false, subject: `${SUBJECT} historial` });
+		await ticketService.updateTicket(ticket.id, { channel: 'phone' }, adminUser);
+
+		const res = await request(adminApp()).get(`/admin/tickets/${ticket.reference}`);
+
+		expect(res.text).toContain('Canal: &#34;Formulario web&#34; → &#34;Teléfono&#34;');
+	});
+
+	it('should require the edit_tickets permission', async () => {
+		const ticket = await ticketService.createTicket({ ...validTicket, has_anydesk: false, subject: `${SUBJECT} permisos` });
+		const app = createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' });
+
+		const res = await request(app)
+			.post(`/admin/tickets/${ticket.reference}/editar`)
+			.type('form')
+			.send({ ...validTicket, subject: `${SUBJECT} cambiado` });
+		const { rows } = await pool.query('SELECT subject FROM tickets WHERE id = $1', [ticket.id]);
+
+		expect(res.status).toBe(403);
+		expect(rows[0].subject).toBe(`${SUBJECT} permisos`);
+	});
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests de integración para el panel de reportes
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { appFor } from '../helpers/testApp.js';
+import { createTicket, createUser } from '../helpers/dbHelper.js';
+
+const SUBJECT = 'Analytics Test Ticket';
+const DEPARTMENT = 'Analytics Dept';
+
+let pool;
+let adminUser;
+let supervisorUser;
+let tecnicoUser;
+let ticketService;
+let analyticsService;
+
+/**
+ * Crea un ticket con fechas fijas para que las métricas del rango sean predecibles
+ */
+async function createDatedTicket({ createdAt, respondedAt = null, resolvedAt = null, supportType = 'Software', assignedTo = null }) {
+	const ticket = await createTicket({
+		requester_name: 'Ana Analytics',
+		department: DEPARTMENT,
+		support_type: supportType,
+		subject: SUBJECT,
+		description: 'Ticket used to verify the analytics dashboard',
+	});
+	await pool.query(
+		`UPDATE tickets
+		 SET created_at = $2, first_responded_at = $3, resolved_at = $4, assigned_to = $5,
+			 status = CASE WHEN $4::timestamptz IS NULL THEN status ELSE 'Resuelto' END
+		 WHERE id = $1`,
+		[ticket.id, createdAt, respondedAt, resolvedAt, assignedTo]
+	);
+	return ticket;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+	analyticsService = await import('../../src/services/analyticsService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+	supervisorUser = await createUser('analytics_supervisor', 'supervisor');
+	tecnicoUser = await createUser('analytics_tecnico', 'tecnico');
+
+	// Rango fijo en el pasado para no mezclarse con los tickets de otros tests
+	await createDatedTicket({
+		createdAt: '2025-03-03T09:00:00',
+		respondedAt: '2025-03-03T09:30:00',
+		resolvedAt: '2025-03-03T13:00:00',
+		assignedTo: tecnicoUser.id,
+	});
+	await createDatedTicket({
+		createdAt: '2025-03-03T10:00:00',
+		respondedAt: '2025-03-03T11:30:00',
+		resolvedAt: '2025-03-05T10:00:00',
+		supportType: 'Hardware',
+		assignedTo: tecnicoUser.id,
+	});
+	await createDatedTicket({ createdAt: '2025-03-04T08:00:00', respondedAt: '2025-03-04T08:20:00' });
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM tickets WHERE subject = $1', [SUBJECT]);
+	await pool.query("DELETE FROM users WHERE username IN ('analytics_supervisor', 'analytics_tecnico')");
+});
+
+describe('Analytics - metrics', () => {
+	it('should count created and resolved tickets per day', async () => {
+		const dashboard = await analyticsService.getDashboard({ from: '2025-03-02', to: '2025-03-05', interval: 'day' });
+
+		expect(dashboard.series).toEqual([
+			{ period: '2025-03-02', created: 0, resolved: 0 },
+			{ period: '2025-03-03', created: 2, resolved: 1 },
+			{ period: '2025-03-04', created: 1, resolved: 0 },
+			{ period: '2025-03-05', created: 0, resolved: 1 },
+		]);
+		expect(dashboard.totals).toMatchObject({ created: 3, resolved: 2 });
+	});
+
+	it('should group the series by week', async () => {
+		const dashboard = await analyticsService.getDashboard({ from: '2025-03-01', to: '2025-03-09', interval: 'week' });
+
+		expect(dashboard.series).toEqual([
+			{ period: '2025-02-24', created: 0, resolved: 0 },
+			{ period: '2025-03-03', created: 3, resolved: 2 },
+		]);
+	});
+
+	it('should compute mean and median response and resolution times', async () => {
+		const { times } = await analyticsService.getDashboard({ from: '2025-03-01', to: '2025-03-09' });
+
+		expect(times.firstResponse).toEqual({ count: 3, average: 47, median: 30 });
+		expect(times.resolution).toEqual({ count: 2, average: 1560, median: 1560 });
+	});
+
+	it('should break down the range by department, support type and technician', async () => {
+		const dashboard = await analyticsService.getDashboard({ from: '2025-03-01', to: '2025-03-09' });
+
+		expect(dashboard.byDepartment).toEqual([
+			{ label: DEPARTMENT, created: 3, resolved: 2, open: 1, resolutionAverage: 1560 },
+		]);
+		expect(dashboard.bySupportType.map(row => [row.label, row.created])).toEqual([['Software', 2], ['Hardware', 1]]);
+		expect(dashboard.byTechnician).toEqual([
+			{ label: 'analytics_tecnico', created: 2, resolved: 2, open: 0, resolutionAverage: 1560 },
+			{ label: 'Sin asignar', created: 1, resolved: 0, open: 1, resolutionAverage: null },
+		]);
+	});
+
+	it('should place old open tickets in the backlog aging buckets', async () => {
+		const before = await analyticsService.getDashboard();
+		const ticket = await createDatedTicket({ createdAt: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000) });
+
+		const after = await analyticsService.getDashboard();
+		const count = (dashboard, key) => dashboard.aging.find(bucket => bucket.key === key).count;
+
+		expect(count(after, 'd7_30')).toBe(count(before, 'd7_30') + 1);
+		expect(after.totals.backlog).toBe(before.totals.backlog + 1);
+
+		await ticketService.deleteTicket(ticket.id, adminUser);
+		const deleted = await analyticsService.getDashboard();
+		expect(count(deleted, 'd7_30')).toBe(count(before, 'd7_30'));
+	});
+});
+
+describe('Analytics - page', () => {
+	it('should render the report for users with view_statistics', async () => {
+		const res = await request(appFor(supervisorUser))
+			.get('/admin/reportes')
+			.query({ from: '2025-03-01', to: '2025-03-09', interval: 'week' });
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('value="2025-03-01"');
+		expect(res.text).toContain('Creados y resueltos por semana');
+		expect(res.text).toContain(DEPARTMENT);
+		expect(res.text).toContain('1 d 2 h');
+		expect(res.text).toContain('id="analytics-data"');
+	});
+
+	it('should show the error and the default range for invalid filters', async () => {
+		const res = await request(appFor(adminUser))
+			.get('/admin/reportes')
+			.query({ from: '2025-03-09', to: '2025-03-01' });
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('La fecha inicial debe ser anterior a la final');
+		expect(res.text).not.toContain('value="2025-03-09"');
+	});
+
+	it('should escape labels inside the chart data', async () => {
+		await pool.query(
+			"UPDATE tickets SET department = '</script><b>x' WHERE subject = $1 AND created_at::date = '2025-03-04'",
+			[SUBJECT]
+		);
+
+		const res = await request(appFor(adminUser)).get('/admin/reportes').query({ from: '2025-03-01', to: '2025-03-09' });
+
+		expect(res.text).not.toContain('</script><b>x');
+		expect(res.text).toContain('\\u003c/script>\\u003cb>x');
+
+		await pool.query("UPDATE tickets SET department = $2 WHERE subject = $1", [SUBJECT, DEPARTMENT]);
+	});
+
+	it('should require the view_statistics permission', async () => {
+		const res = await request(appFor(tecnicoUser)).get('/admin/reportes');
+		const panel = await request(appFor(tecnicoUser)).get('/admin');
+
+		expect(res.status).toBe(403);
+		expect(panel.text).not.toContain('href="/admin/reportes"');
+	});
+});
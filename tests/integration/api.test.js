@@ -0,0 +1,332 @@
+/**
+ * Tests de integración para la API REST v1
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createUser } from '../helpers/dbHelper.js';
+import apiRouter from '../../src/routes/api.js';
+import { apiErrorHandler } from '../../src/middleware/errorHandler.js';
+
+let pool;
+let app;
+let adminUser;
+let tecnicoUser;
+let adminKey;
+let tecnicoKey;
+let apiKeyService;
+
+const validTicket = {
+	requester_name: 'API Requester',
+	department: 'IT',
+	support_type: 'Software',
+	priority: 'Media – Puede esperar unas horas',
+	subject: 'API Test Ticket',
+	description: 'Ticket created through the REST API',
+	has_anydesk: false,
+};
+
+function createApiApp() {
+	const apiApp = express();
+	apiApp.use(express.json());
+	apiApp.use('/api/v1', apiRouter);
+	apiApp.use(apiErrorHandler);
+	return apiApp;
+}
+
+async function createApiTicket() {
+	const res = await request(app)
+		.post('/api/v1/tickets')
+		.set('Authorization', `Bearer ${adminKey}`)
+		.send(validTicket);
+	return res.body.data;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	apiKeyService = await import('../../src/services/apiKeyService.js');
+	app = createApiApp();
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+
+	tecnicoUser = await createUser('api_tecnico');
+
+	adminKey = (await apiKeyService.createKey(adminUser.id, 'API Test admin')).token;
+	tecnicoKey = (await apiKeyService.createKey(tecnicoUser.id, 'API Test tecnico')).token;
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM tickets WHERE subject LIKE 'API Test%'");
+	await pool.query("DELETE FROM api_keys WHERE name LIKE 'API Test%'");
+	await pool.query("DELETE FROM users WHERE username = 'api_tecnico'");
+});
+
+describe('API v1 authentication', () => {
+	it('should reject requests without an API key', async () => {
+		const res = await request(app).get('/api/v1/tickets');
+
+		expect(res.status).toBe(401);
+		expect(res.body.success).toBe(false);
+	});
+
+	it('should reject unknown API keys', async () => {
+		const res = await request(app)
+			.get('/api/v1/tickets')
+			.set('Authorization', 'Bearer tk_0000000000000000');
+
+		expect(res.status).toBe(401);
+	});
+
+	it('should accept bearer tokens and X-API-Key headers', async () => {
+		const bearer = await request(app).get('/api/v1/users/me').set('Authorization', `Bearer ${adminKey}`);
+		const header = await request(app).get('/api/v1/users/me').set('X-API-Key', adminKey);
+
+		expect(bearer.status).toBe(200);
+		expect(header.status).toBe(200);
+		expect(bearer.body.data.username).toBe(adminUser.username);
+		expect(bearer.body.data.permissions).toContain('manage_users');
+		expect(bearer.body.data).not.toHaveProperty('password_hash');
+	});
+
+	it('should reject revoked keys', async () => {
+		const { apiKey, token } = await apiKeyService.createKey(adminUser.id, 'API Test revoked');
+		await apiKeyService.revokeKey(apiKey.id, adminUser.id);
+
+		const res = await request(app).get('/api/v1/users/me').set('Authorization', `Bearer ${token}`);
+
+		expect(res.status).toBe(401);
+	});
+
+	it('should enforce role permissions', async () => {
+		const create = await request(app)
+			.post('/api/v1/tickets')
+			.set('Authorization', `Bearer ${tecnicoKey}`)
+			.send(validTicket);
+		const users = await request(app).get('/api/v1/users').set('Authorization', `Bearer ${tecnicoKey}`);
+
+		expect(create.status).toBe(403);
+		expect(users.status).toBe(403);
+	});
+
+	it('should return JSON 404 for unknown endpoints', async () => {
+		const res = await request(app).get('/api/v1/desconocido').set('Authorization', `Bearer ${adminKey}`);
+
+		expect(res.status).toBe(404);
+		expect(res.body.success).toBe(false);
+	});
+});
+
+describe('API v1 tickets', () => {
+	it('should create a ticket and hide the edit token', async () => {
+		const res = await request(app)
+			.post('/api/v1/tickets')
+			.set('Authorization', `Bearer ${adminKey}`)
+			.send(validTicket);
+
+		expect(res.status).toBe(201);
+		expect(res.body.data.reference).toMatch(/^T-\d{6}-/);
+		expect(res.body.data.channel).toBe('api');
+		expect(res.body.data).not.toHaveProperty('edit_token');
+
+		const { rows } = await pool.query(
+			"SELECT actor_name FROM ticket_events WHERE ticket_id = $1 AND event_type = 'created'",
+			[res.body.data.id]
+		);
+		expect(rows[0].actor_name).toBe(adminUser.username);
+	});
+
+	it('should return field errors for invalid tickets', async () => {
+		const res = await request(app)
+			.post('/api/v1/tickets')
+			.set('Authorization', `Bearer ${adminKey}`)
+			.send({ ...validTicket, subject: 'x', priority: 'Urgente' });
+
+		expect(res.status).toBe(400);
+		expect(res.body.error.details).toHaveProperty('subject');
+		expect(res.body.error.details).toHaveProperty('priority');
+	});
+
+	it('should list tickets with filters and pagination', async () => {
+		await createApiTicket();
+
+		const res = await request(app)
+			.get('/api/v1/tickets')
+			.query({ status: 'Pendiente', per_page: 2 })
+			.set('Authorization', `Bearer ${adminKey}`);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.length).toBeLessThanOrEqual(2);
+		expect(res.body.data.every(t => t.status === 'Pendiente')).toBe(true);
+		expect(res.body.data.every(t => !('edit_token' in t))).toBe(true);
+		expect(res.body.pagination.perPage).toBe(2);
+	});
+
+	it('should get a ticket by reference', async () => {
+		const ticket = await createApiTicket();
+
+		const found = await request(app).get(`/api/v1/tickets/${ticket.reference}`).set('X-API-Key', adminKey);
+		const missing = await request(app).get('/api/v1/tickets/T-000000-NOEXISTE').set('X-API-Key', adminKey);
+
+		expect(found.status).toBe(200);
+		expect(found.body.data.id).toBe(ticket.id);
+		expect(missing.status).toBe(404);
+	});
+
+	it('should only show assigned tickets to users without view_all_tickets', async () => {
+		const ticket = await createApiTicket();
+		await pool.query(
+			"DELETE FROM role_permissions WHERE role_id = $1 AND permission_id = (SELECT id FROM permissions WHERE name = 'view_all_tickets')",
+			[tecnicoUser.role_id]
+		);
+
+		try {
+			const list = await request(app).get('/api/v1/tickets').set('X-API-Key', tecnicoKey);
+			const detail = await request(app).get(`/api/v1/tickets/${ticket.reference}`).set('X-API-Key', tecnicoKey);
+
+			expect(list.body.data.every(t => t.assigned_to === tecnicoUser.id)).toBe(true);
+			expect(detail.status).toBe(403);
+		} finally {
+			await pool.query(
+				"INSERT INTO role_permissions (role_id, permission_id) SELECT $1, id FROM permissions WHERE name = 'view_all_tickets' ON CONFLICT DO NOTHING",
+				[tecnicoUser.role_id]
+			);
+		}
+	});
+
+	it('should update ticket fields and record the change', async () => {
+		const ticket = await createApiTicket();
+
+		const res = await request(app)
+			.patch(`/api/v1/tickets/${ticket.reference}`)
+			.set('X-API-Key', adminKey)
+			.send({ priority: 'Alta – Necesito ayuda pronto' });
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.priority).toBe('Alta – Necesito ayuda pronto');
+
+		const { rows } = await pool.query(
+			"SELECT * FROM ticket_events WHERE ticket_id = $1 AND event_type = 'field_change'",
+			[ticket.id]
+		);
+		expect(rows[0].field).toBe('priority');
+		expect(rows[0].actor_id).toBe(adminUser.id);
+	});
+
+	it('should reject empty updates', async () => {
+		const ticket = await createApiTicket();
+
+		const res = await request(app).patch(`/api/v1/tickets/${ticket.reference}`).set('X-API-Key', adminKey).send({});
+
+		expect(res.status).toBe(400);
+	});
+
+	it('should change status following the workflow', async () => {
+		const ticket = await createApiTicket();
+
+		const withoutNote = await request(app)
+			.post(`/api/v1/tickets/${ticket.reference}/status`)
+			.set('X-API-Key', adminKey)
+			.send({ status: 'Resuelto' });
+		expect(withoutNote.status).toBe(400);
+		expect(withoutNote.body.error.details).toHaveProperty('resolution_note');
+
+		const resolved = await request(app)
+			.post(`/api/v1/tickets/${ticket.reference}/status`)
+			.set('X-API-Key', adminKey)
+			.send({ status: 'Resuelto', resolution_note: 'Resuelto vía API' });
+		expect(resolved.status).toBe(200);
+		expect(resolved.body.data.status).toBe('Resuelto');
+
+		const invalid = await request(app)
+			.post(`/api/v1/tickets/${ticket.reference}/status`)
+			.set('X-API-Key', adminKey)
+			.send({ status: 'Pendiente' });
+		expect(invalid.status).toBe(400);
+	});
+
+	it('should assign and unassign tickets', async () => {
+		const ticket = await createApiTicket();
+
+		const assigned = await request(app)
+			.post(`/api/v1/tickets/${ticket.reference}/assign`)
+			.set('X-API-Key', adminKey)
+			.send({ technician_id: tecnicoUser.id });
+		expect(assigned.status).toBe(200);
+		expect(assigned.body.data.assigned_to).toBe(tecnicoUser.id);
+
+		const unknown = await request(app)
+			.post(`/api/v1/tickets/${ticket.reference}/assign`)
+			.set('X-API-Key', adminKey)
+			.send({ technician_id: 999999 });
+		expect(unknown.status).toBe(400);
+
+		const unassigned = await request(app)
+			.post(`/api/v1/tickets/${ticket.reference}/assign`)
+			.set('X-API-Key', adminKey)
+			.send({ technician_id: null });
+		expect(unassigned.body.data.assigned_to).toBeNull();
+	});
+});
+
+describe('API v1 comments and users', () => {
+	it('should add and list comments', async () => {
+		const ticket = await createApiTicket();
+
+		const created = await request(app)
+			.post(`/api/v1/tickets/${ticket.reference}/comments`)
+			.set('X-API-Key', adminKey)
+			.send({ content: 'Comentario desde la API' });
+		const internal = await request(app)
+			.post(`/api/v1/tickets/${ticket.reference}/comments`)
+			.set('X-API-Key', adminKey)
+			.send({ content: 'Nota interna', is_internal: true });
+
+		expect(created.status).toBe(201);
+		expect(created.body.data.author_name).toBe(adminUser.username);
+		expect(internal.body.data.is_internal).toBe(true);
+
+		const list = await request(app).get(`/api/v1/tickets/${ticket.reference}/comments`).set('X-API-Key', adminKey);
+		expect(list.body.data).toHaveLength(2);
+	});
+
+	it('should list users without password hashes', async () => {
+		const res = await request(app).get('/api/v1/users').set('X-API-Key', adminKey);
+
+		expect(res.status).toBe(200);
+		expect(res.body.data.length).toBeGreaterThan(0);
+		expect(res.body.data.every(u => !('password_hash' in u))).toBe(true);
+	});
+
+	it('should get a user by id', async () => {
+		const found = await request(app).get(`/api/v1/users/${tecnicoUser.id}`).set('X-API-Key', adminKey);
+		const invalid = await request(app).get('/api/v1/users/abc').set('X-API-Key', adminKey);
+
+		expect(found.body.data.username).toBe('api_tecnico');
+		expect(invalid.status).toBe(404);
+	});
+});
+
+describe('API keys in profile', () => {
+	it('should create a key once and allow revoking it', async () => {
+		const adminApp = createAuthenticatedApp({ id: tecnicoUser.id, username: 'api_tecnico', role: 'tecnico' });
+
+		const created = await request(adminApp).post('/admin/perfil/api-keys').type('form').send({ name: 'API Test perfil' });
+		expect(created.status).toBe(200);
+		const token = created.text.match(/tk_[0-9a-f]{48}/)[0];
+
+		const me = await request(app).get('/api/v1/users/me').set('X-API-Key', token);
+		expect(me.status).toBe(200);
+
+		const { rows } = await pool.query("SELECT id FROM api_keys WHERE name = 'API Test perfil'");
+		await request(adminApp).post(`/admin/perfil/api-keys/${rows[0].id}/revocar`);
+
+		const page = await request(adminApp).get('/admin/perfil');
+		expect(page.text).toContain('Revocada');
+		expect(page.text).not.toContain(token);
+	});
+});
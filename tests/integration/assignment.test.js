@@ -0,0 +1,171 @@
+/**
+ * Tests de integración para las reglas de asignación automática
+ */
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createTicket, createUser } from '../helpers/dbHelper.js';
+
+const SUBJECT = 'Assignment Test Ticket';
+const PRIORITY = 'Alta – Necesito ayuda pronto';
+
+let pool;
+let adminUser;
+let techA;
+let techB;
+
+async function createRule(data) {
+	const { rows } = await pool.query(
+		`INSERT INTO assignment_rules (name, department, support_type, priority, strategy, technician_ids, position)
+		 VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+		[data.name, data.department || null, data.support_type || null, data.priority || null, data.strategy, data.technician_ids || [techA.id, techB.id], data.position || 0]
+	);
+	return rows[0];
+}
+
+function createTicketFor(department, supportType = 'Hardware') {
+	return createTicket({ department, support_type: supportType, priority: PRIORITY, subject: SUBJECT });
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+	techA = await createUser('assign_tech_a');
+	techB = await createUser('assign_tech_b');
+});
+
+afterEach(async () => {
+	await pool.query('DELETE FROM assignment_rules');
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM tickets WHERE subject = $1', [SUBJECT]);
+	await pool.query("DELETE FROM users WHERE username IN ('assign_tech_a', 'assign_tech_b')");
+});
+
+describe('Automatic assignment - strategies', () => {
+	it('should leave tickets unassigned when no rule matches', async () => {
+		await createRule({ name: 'Solo Finanzas', department: 'Finanzas', strategy: 'round_robin' });
+
+		const ticket = await createTicketFor('Logística');
+
+		expect(ticket.assigned_to).toBeNull();
+	});
+
+	it('should rotate between technicians with round-robin', async () => {
+		await createRule({ name: 'Turnos', department: 'Round Robin', strategy: 'round_robin' });
+
+		const first = await createTicketFor('Round Robin');
+		const second = await createTicketFor('round robin');
+		const third = await createTicketFor('Round Robin');
+
+		expect([first.assigned_to, second.assigned_to, third.assigned_to]).toEqual([techA.id, techB.id, techA.id]);
+	});
+
+	it('should pick the technician with fewer open tickets', async () => {
+		await createRule({ name: 'Carga', department: 'Menor Carga', strategy: 'least_open' });
+		const countOpen = async (id) => {
+			const { rows } = await pool.query(
+				"SELECT COUNT(*)::int as total FROM tickets WHERE assigned_to = $1 AND status NOT IN ('Resuelto', 'Cerrado')",
+				[id]
+			);
+			return rows[0].total;
+		};
+		const loadA = await countOpen(techA.id);
+		const loadB = await countOpen(techB.id);
+		const expected = loadA <= loadB ? techA.id : techB.id;
+
+		const ticket = await createTicketFor('Menor Carga');
+
+		expect(ticket.assigned_to).toBe(expected);
+	});
+
+	it('should match technician skills and fall through to the next rule', async () => {
+		await pool.query("UPDATE users SET skills = '{\"Red e Internet\"}' WHERE id = $1", [techB.id]);
+		await createRule({ name: 'Habilidad', department: 'Habilidades', strategy: 'skill_match', position: 0 });
+		await createRule({ name: 'Respaldo', department: 'Habilidades', strategy: 'round_robin', technician_ids: [techA.id], position: 1 });
+
+		const network = await createTicketFor('Habilidades', 'Red e Internet');
+		const hardware = await createTicketFor('Habilidades', 'Hardware');
+
+		expect(network.assigned_to).toBe(techB.id);
+		expect(hardware.assigned_to).toBe(techA.id);
+	});
+
+	it('should record the rule in the ticket history and notify the technician', async () => {
+		await createRule({ name: 'Historial', department: 'Historial', strategy: 'round_robin', technician_ids: [techB.id] });
+
+		const ticket = await createTicketFor('Historial');
+		const { rows: events } = await pool.query(
+			"SELECT * FROM ticket_events WHERE ticket_id = $1 AND event_type = 'assignment'",
+			[ticket.id]
+		);
+		const { rows: notifications } = await pool.query(
+			"SELECT * FROM notifications WHERE ticket_id = $1 AND type = 'ticket_assigned' AND user_id = $2",
+			[ticket.id, techB.id]
+		);
+
+		expect(events).toHaveLength(1);
+		expect(events[0].actor_name).toBe('Asignación automática (Historial)');
+		expect(events[0].new_value).toBe('assign_tech_b');
+		expect(notifications).toHaveLength(1);
+	});
+});
+
+describe('Automatic assignment - admin page', () => {
+	it('should list rules and technicians', async () => {
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+		await createRule({ name: 'Regla visible', strategy: 'least_open' });
+
+		const res = await request(app).get('/admin/asignacion');
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Regla visible');
+		expect(res.text).toContain('assign_tech_a');
+	});
+
+	it('should create rules and reject invalid strategies', async () => {
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const created = await request(app)
+			.post('/admin/asignacion/crear')
+			.type('form')
+			.send({ name: 'Nueva regla', department: 'Ventas', support_type: 'Software', priority: '', strategy: 'round_robin', technician_ids: String(techA.id), is_active: 'on' });
+		const invalid = await request(app)
+			.post('/admin/asignacion/crear')
+			.type('form')
+			.send({ name: 'Regla rota', strategy: 'random' });
+		const { rows } = await pool.query('SELECT * FROM assignment_rules');
+
+		expect(created.headers.location).toContain('success=');
+		expect(decodeURIComponent(invalid.headers.location)).toContain('Estrategia de asignación inválida');
+		expect(rows).toHaveLength(1);
+		expect(rows[0]).toMatchObject({ department: 'Ventas', support_type: 'Software', priority: null, technician_ids: [techA.id] });
+	});
+
+	it('should update technician skills', async () => {
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(app)
+			.post(`/admin/asignacion/tecnicos/${techA.id}/habilidades`)
+			.type('form')
+			.send({ skills: ['Hardware', 'Software'] });
+		const { rows } = await pool.query('SELECT skills FROM users WHERE id = $1', [techA.id]);
+
+		expect(res.headers.location).toContain('success=');
+		expect(rows[0].skills).toEqual(['Hardware', 'Software']);
+	});
+
+	it('should deny access without the manage_assignment permission', async () => {
+		const app = createAuthenticatedApp({ id: techA.id, username: techA.username, role: 'tecnico' });
+
+		const res = await request(app).get('/admin/asignacion');
+
+		expect(res.status).toBe(403);
+	});
+});
@@ -0,0 +1,319 @@
+/**
+ * Tests de integración para adjuntos de tickets y comentarios
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import session from 'express-session';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// Misma instancia CommonJS que cargan las rutas
+const ticketService = createRequire(import.meta.url)('../../src/services/ticketService.js');
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createTicket } from '../helpers/dbHelper.js';
+import adminRouter from '../../src/routes/admin.js';
+import publicRouter from '../../src/routes/public.js';
+import config from '../../src/config/index.js';
+
+// PNG de 1x1 píxel
+const PNG = Buffer.from(
+	'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==',
+	'base64'
+);
+const PDF = Buffer.from('%PDF-1.4\n1 0 obj <<>> endobj\ntrailer <<>>\n%%EOF\n');
+const LOG = Buffer.from('2026-01-01 10:00:00 ERROR No se pudo conectar a la impresora\n');
+
+let pool;
+let adminUser;
+
+function createApp(user = null) {
+	const app = express();
+	app.set('view engine', 'ejs');
+	app.set('views', path.join(__dirname, '../../src/views'));
+	app.use(express.urlencoded({ extended: true }));
+	app.use(session({
+		secret: 'test-secret-32-chars-minimum-here',
+		resave: false,
+		saveUninitialized: false,
+	}));
+	app.use((req, res, next) => {
+		if (user) {
+			req.session.user = user;
+			res.locals.currentUser = user;
+		}
+		res.locals.currentPath = req.path;
+		next();
+	});
+	app.use('/admin', adminRouter);
+	app.use('/', publicRouter);
+	app.use((err, req, res, next) => {
+		res.status(err.statusCode || 500).send(err.message);
+	});
+	return app;
+}
+
+function createTicketRequest(app, subject) {
+	return request(app)
+		.post('/tickets')
+		.field('requester_name', 'Attachment Requester')
+		.field('department', 'IT')
+		.field('support_type', 'Hardware')
+		.field('priority', 'Media – Puede esperar unas horas')
+		.field('subject', subject)
+		.field('description', 'La impresora muestra un error al imprimir');
+}
+
+async function findTicketBySubject(subject) {
+	const { rows } = await pool.query('SELECT * FROM tickets WHERE subject = $1', [subject]);
+	return rows[0];
+}
+
+async function findAttachments(ticketId) {
+	const { rows } = await pool.query('SELECT * FROM attachments WHERE ticket_id = $1 ORDER BY id', [ticketId]);
+	return rows;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+});
+
+afterAll(async () => {
+	const { rows } = await pool.query(
+		"SELECT a.stored_name FROM attachments a JOIN tickets t ON a.ticket_id = t.id WHERE t.subject LIKE 'Attachment Test%'"
+	);
+	rows.forEach(row => fs.rmSync(path.join(config.uploads.attachmentsDir, row.stored_name), { force: true }));
+	await pool.query("DELETE FROM tickets WHERE subject LIKE 'Attachment Test%'");
+});
+
+describe('Ticket attachments', () => {
+	it('should store several files with name, mime, size and checksum', async () => {
+		const app = createApp();
+		const subject = 'Attachment Test multiple';
+
+		const res = await createTicketRequest(app, subject)
+			.attach('attachments', PNG, { filename: 'captura.png', contentType: 'image/png' })
+			.attach('attachments', PDF, { filename: 'manual.pdf', contentType: 'application/pdf' })
+			.attach('attachments', LOG, { filename: 'impresora.log', contentType: 'application/octet-stream' });
+
+		expect(res.status).toBe(302);
+
+		const ticket = await findTicketBySubject(subject);
+		const attachments = await findAttachments(ticket.id);
+
+		expect(attachments.map(a => a.original_name)).toEqual(['captura.png', 'manual.pdf', 'impresora.log']);
+		expect(attachments.map(a => a.mime_type)).toEqual(['image/png', 'application/pdf', 'text/plain']);
+		expect(attachments[1].size_bytes).toBe(PDF.length);
+		expect(attachments[1].checksum).toBe(crypto.createHash('sha256').update(PDF).digest('hex'));
+		expect(attachments.every(a => a.comment_id === null)).toBe(true);
+		expect(attachments[0].uploaded_by_name).toBe('Attachment Requester');
+
+		// El archivo se guarda fuera de /uploads con el nombre generado
+		expect(attachments[0].stored_name).not.toContain('captura');
+		expect(fs.existsSync(path.join(config.uploads.attachmentsDir, attachments[0].stored_name))).toBe(true);
+	});
+
+	it('should reject files whose extension is not allowed', async () => {
+		const app = createApp();
+		const subject = 'Attachment Test rejected';
+
+		const res = await createTicketRequest(app, subject)
+			.attach('attachments', Buffer.from('echo hola'), { filename: 'script.sh', contentType: 'application/x-sh' });
+
+		expect(res.status).toBe(400);
+		expect(await findTicketBySubject(subject)).toBeUndefined();
+	});
+
+	it('should reject files whose mime type does not match the extension', async () => {
+		const app = createApp();
+		const subject = 'Attachment Test mismatch';
+
+		const res = await createTicketRequest(app, subject)
+			.attach('attachments', Buffer.from('<html></html>'), { filename: 'factura.pdf', contentType: 'text/html' });
+
+		expect(res.status).toBe(400);
+		expect(await findTicketBySubject(subject)).toBeUndefined();
+	});
+
+	it('should reject more files than the configured limit', async () => {
+		const app = createApp();
+		let req = createTicketRequest(app, 'Attachment Test too many');
+		for (let i = 0; i <= config.uploads.maxFiles; i++) {
+			req = req.attach('attachments', LOG, { filename: `log-${i}.log`, contentType: 'text/plain' });
+		}
+
+		const res = await req;
+
+		expect(res.status).toBe(400);
+		expect(res.text).toContain(`${config.uploads.maxFiles} archivos`);
+	});
+
+	it('should remove the uploaded files when creating the ticket fails', async () => {
+		const app = createApp();
+		const before = fs.readdirSync(config.uploads.attachmentsDir);
+		const spy = vi.spyOn(ticketService, 'createTicket').mockRejectedValue(new Error('sin conexión'));
+
+		try {
+			const res = await createTicketRequest(app, 'Attachment Test create fails')
+				.attach('attachments', PDF, { filename: 'manual.pdf', contentType: 'application/pdf' });
+
+			expect(res.status).toBe(500);
+		} finally {
+			spy.mockRestore();
+		}
+
+		expect(fs.readdirSync(config.uploads.attachmentsDir)).toEqual(before);
+	});
+
+	it('should add files to an existing ticket from the edit form', async () => {
+		const app = createApp();
+		const ticket = await createTicket({
+			requester_name: 'Attachment Requester',
+			support_type: 'Hardware',
+			subject: 'Attachment Test edit',
+			description: 'Ticket para agregar adjuntos al editar',
+		});
+
+		const res = await request(app)
+			.post(`/tickets/${ticket.reference}/editar?token=${ticket.edit_token}`)
+			.field('requester_name', 'Attachment Requester')
+			.field('department', 'IT')
+			.field('support_type', 'Hardware')
+			.field('priority', 'Media – Puede esperar unas horas')
+			.field('subject', 'Attachment Test edit')
+			.field('description', 'Ticket para agregar adjuntos al editar')
+			.attach('attachments', PDF, { filename: 'presupuesto.pdf', contentType: 'application/pdf' });
+
+		expect(res.status).toBe(302);
+		const attachments = await findAttachments(ticket.id);
+		expect(attachments.map(a => a.original_name)).toEqual(['presupuesto.pdf']);
+	});
+});
+
+describe('Comment attachments', () => {
+	let ticket;
+
+	beforeAll(async () => {
+		ticket = await createTicket({
+			requester_name: 'Attachment Requester',
+			subject: 'Attachment Test comments',
+			description: 'Ticket con adjuntos en comentarios',
+		});
+
+		await request(createApp())
+			.post(`/tickets/${ticket.reference}/comments`)
+			.field('author_name', 'Solicitante')
+			.field('content', 'Adjunto el registro del error')
+			.attach('attachments', LOG, { filename: 'error.log', contentType: 'text/plain' })
+			.attach('attachments', PNG, { filename: 'pantalla.png', contentType: 'image/png' });
+
+		await request(createApp(adminUser))
+			.post(`/admin/tickets/${ticket.reference}/comments`)
+			.field('content', 'Informe interno del proveedor')
+			.field('is_internal', 'true')
+			.attach('attachments', PDF, { filename: 'proveedor.pdf', contentType: 'application/pdf' });
+	});
+
+	it('should link files to the comment they were sent with', async () => {
+		const attachments = await findAttachments(ticket.id);
+		const { rows: comments } = await pool.query(
+			'SELECT id, is_internal FROM comments WHERE ticket_id = $1 ORDER BY id',
+			[ticket.id]
+		);
+
+		expect(attachments).toHaveLength(3);
+		expect(attachments.filter(a => a.comment_id === comments[0].id).map(a => a.original_name))
+			.toEqual(['error.log', 'pantalla.png']);
+
+		const internal = attachments.find(a => a.original_name === 'proveedor.pdf');
+		expect(internal.comment_id).toBe(comments[1].id);
+		expect(internal.uploaded_by).toBe(adminUser.id);
+	});
+
+	it('should show public attachments on the public detail page', async () => {
+		const res = await request(createApp()).get(`/tickets/${ticket.reference}`);
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('error.log');
+		expect(res.text).toContain('pantalla.png');
+		expect(res.text).not.toContain('proveedor.pdf');
+	});
+
+	it('should show every attachment on the admin detail page', async () => {
+		const res = await request(createApp(adminUser)).get(`/admin/tickets/${ticket.reference}`);
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('error.log');
+		expect(res.text).toContain('proveedor.pdf');
+		expect(res.text).toContain('/admin/adjuntos/');
+	});
+
+	it('should download a public attachment with its original name', async () => {
+		const [log] = await findAttachments(ticket.id);
+
+		const res = await request(createApp()).get(`/tickets/${ticket.reference}/adjuntos/${log.id}`);
+
+		expect(res.status).toBe(200);
+		expect(res.headers['content-type']).toContain('text/plain');
+		expect(res.headers['content-disposition']).toMatch(/^attachment; filename="error.log"/);
+		expect(res.text).toBe(LOG.toString());
+	});
+
+	it('should serve images inline', async () => {
+		const image = (await findAttachments(ticket.id)).find(a => a.original_name === 'pantalla.png');
+
+		const res = await request(createApp()).get(`/tickets/${ticket.reference}/adjuntos/${image.id}`);
+
+		expect(res.status).toBe(200);
+		expect(res.headers['content-type']).toBe('image/png');
+		expect(res.headers['content-disposition']).toMatch(/^inline;/);
+	});
+
+	it('should hide internal comment attachments from the public route', async () => {
+		const internal = (await findAttachments(ticket.id)).find(a => a.original_name === 'proveedor.pdf');
+
+		const res = await request(createApp()).get(`/tickets/${ticket.reference}/adjuntos/${internal.id}`);
+
+		expect(res.status).toBe(404);
+	});
+
+	it('should not serve an attachment through another ticket reference', async () => {
+		const other = await createTicket({
+			requester_name: 'Attachment Requester',
+			subject: 'Attachment Test other',
+			description: 'Otro ticket',
+		});
+		const [log] = await findAttachments(ticket.id);
+
+		const res = await request(createApp()).get(`/tickets/${other.reference}/adjuntos/${log.id}`);
+
+		expect(res.status).toBe(404);
+	});
+
+	it('should let staff download internal attachments', async () => {
+		const internal = (await findAttachments(ticket.id)).find(a => a.original_name === 'proveedor.pdf');
+
+		const res = await request(createApp(adminUser)).get(`/admin/adjuntos/${internal.id}`);
+
+		expect(res.status).toBe(200);
+		expect(res.headers['content-type']).toBe('application/pdf');
+	});
+
+	it('should require login for the admin download route', async () => {
+		const [log] = await findAttachments(ticket.id);
+
+		const res = await request(createApp()).get(`/admin/adjuntos/${log.id}`);
+
+		expect(res.status).toBe(302);
+		expect(res.headers.location).toBe('/admin/login');
+	});
+});
@@ -242,7 +242,7 @@ describe('Critical Flow: Status Change', () => {
 			const res = await request(authApp)
 				.post(`/admin/tickets/${testTicket.reference}/estado`)
 				.type('form')
-				.send({ status });
+				.send({ status, resolution_note: 'Resuelto en la prueba de flujo' });
 
 			expect(res.status).toBe(302);
 
@@ -0,0 +1,200 @@
+/**
+ * Tests de integración para la importación de usuarios, tickets y comentarios desde CSV
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { appFor } from '../helpers/testApp.js';
+import { createUser } from '../helpers/dbHelper.js';
+
+const PREFIX = 'IMPTEST';
+const TICKET_HEADER = 'Referencia,Solicitante,Departamento,Tipo de soporte,Prioridad,Asunto,Descripción,Estado,Técnico asignado,Fecha de creación';
+
+let pool;
+let adminUser;
+let supervisorUser;
+let importService;
+
+function ticketLine(reference, { status = 'Resuelto', technician = 'imp_tecnico', createdAt = '2021-06-01 08:15' } = {}) {
+	return `${reference},Lucía Histórica,Ventas,Software,Baja – No es urgente,Ticket migrado,"Descripción del sistema anterior, con coma",${status},${technician},${createdAt}`;
+}
+
+function csv(...lines) {
+	return lines.join('\r\n') + '\r\n';
+}
+
+async function countTickets(prefix = PREFIX) {
+	const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM tickets WHERE reference LIKE $1', [`${prefix}%`]);
+	return rows[0].count;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	importService = await import('../../src/services/importService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+	supervisorUser = await createUser('imp_supervisor', 'supervisor');
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM tickets WHERE reference LIKE $1', [`${PREFIX}%`]);
+	await pool.query("DELETE FROM users WHERE username LIKE 'imp\\_%'");
+});
+
+describe('Data import - users', () => {
+	it('should import users with their role and original creation date', async () => {
+		const result = await importService.importCsv('users', csv(
+			'Usuario;Contraseña;Rol;Fecha de creación',
+			'imp_tecnico;secreto123;tecnico;15/03/2020 09:30',
+		));
+		const { rows: [user] } = await pool.query("SELECT * FROM users WHERE username = 'imp_tecnico'");
+
+		expect(result).toMatchObject({ total: 1, imported: 1, committed: true, errors: [] });
+		expect(user.role).toBe('tecnico');
+		expect(user.created_at).toEqual(new Date(2020, 2, 15, 9, 30));
+		expect(user.password_hash).toMatch(/^\$2[aby]\$/);
+	});
+
+	it('should report unknown roles and existing usernames', async () => {
+		const result = await importService.importCsv('users', csv(
+			'username,password,role',
+			'imp_tecnico,secreto123,tecnico',
+			'imp_otro,secreto123,jefe',
+		));
+
+		expect(result.committed).toBe(false);
+		expect(result.errors).toEqual([
+			{ row: 2, field: 'username', message: 'El usuario ya existe' },
+			{ row: 3, field: 'role', message: 'Rol desconocido: jefe' },
+		]);
+	});
+});
+
+describe('Data import - tickets and comments', () => {
+	it('should validate everything without writing in dry-run mode', async () => {
+		const result = await importService.importCsv('tickets', csv(TICKET_HEADER, ticketLine(`${PREFIX}-DRY`)), { dryRun: true });
+
+		expect(result).toMatchObject({ dryRun: true, total: 1, valid: 1, imported: 0, committed: false, errors: [] });
+		expect(await countTickets()).toBe(0);
+	});
+
+	it('should import nothing when any row has errors', async () => {
+		const result = await importService.importCsv('tickets', csv(
+			TICKET_HEADER,
+			ticketLine(`${PREFIX}-1`),
+			ticketLine(`${PREFIX}-2`, { status: 'Archivado' }),
+			ticketLine(`${PREFIX}-3`, { technician: 'imp_nadie' }),
+			ticketLine(`${PREFIX}-1`),
+		));
+
+		expect(result.errors).toEqual([
+			{ row: 3, field: 'status', message: 'Estado inválido' },
+			{ row: 4, field: 'assigned_username', message: 'Técnico desconocido: imp_nadie' },
+			{ row: 5, field: 'reference', message: 'La referencia ya existe' },
+		]);
+		expect(result.imported).toBe(0);
+		expect(await countTickets()).toBe(0);
+	});
+
+	it('should preserve references, statuses, timestamps and the technician', async () => {
+		const result = await importService.importCsv('tickets', csv(
+			`${TICKET_HEADER},Columna vieja`,
+			`${ticketLine(`${PREFIX}-1`)},x`,
+			ticketLine(`${PREFIX}-2`, { status: 'Pendiente', technician: '', createdAt: '' }),
+		));
+		const { rows } = await pool.query(
+			`SELECT t.*, u.username AS assigned_username
+			 FROM tickets t LEFT JOIN users u ON u.id = t.assigned_to
+			 WHERE t.reference LIKE $1 ORDER BY t.reference`,
+			[`${PREFIX}%`]
+		);
+
+		expect(result).toMatchObject({ imported: 2, committed: true, ignoredColumns: ['Columna vieja'] });
+		expect(rows[0]).toMatchObject({
+			reference: `${PREFIX}-1`,
+			status: 'Resuelto',
+			assigned_username: 'imp_tecnico',
+			description: 'Descripción del sistema anterior, con coma',
+			channel: 'web',
+			first_response_due: null,
+		});
+		expect(rows[0].created_at).toEqual(new Date(2021, 5, 1, 8, 15));
+		expect(rows[0].updated_at).toEqual(rows[0].created_at);
+		expect(rows[0].edit_token).toBeTruthy();
+		expect(rows[1].assigned_username).toBeNull();
+	});
+
+	it('should attach comments to imported tickets with an explicit column mapping', async () => {
+		const result = await importService.importCsv('comments', csv(
+			'Ticket ID,Body,usuario,interno,fecha',
+			`${PREFIX}-1,Respuesta del técnico en el sistema anterior,imp_tecnico,sí,2021-06-01 09:00`,
+		), { mapping: { 'Ticket ID': 'ticket_reference', Body: 'content' } });
+		const { rows } = await pool.query(
+			'SELECT c.* FROM comments c JOIN tickets t ON t.id = c.ticket_id WHERE t.reference = $1',
+			[`${PREFIX}-1`]
+		);
+
+		expect(result).toMatchObject({ imported: 1, committed: true });
+		expect(rows).toHaveLength(1);
+		expect(rows[0]).toMatchObject({ author_name: 'imp_tecnico', is_internal: true });
+		expect(rows[0].created_at).toEqual(new Date(2021, 5, 1, 9, 0));
+	});
+
+	it('should reject files without the required columns', async () => {
+		await expect(importService.importCsv('comments', csv('ticket,autor', `${PREFIX}-1,Ana`)))
+			.rejects.toThrow('Faltan columnas requeridas: content');
+	});
+});
+
+describe('Data import - admin page', () => {
+	it('should upload a CSV and show the row errors', async () => {
+		const res = await request(appFor(adminUser))
+			.post('/admin/importar')
+			.field('type', 'tickets')
+			.field('dry_run', 'on')
+			.attach('file', Buffer.from(csv(TICKET_HEADER, ticketLine(`${PREFIX}-9`, { status: 'Archivado' }))), 'tickets.csv');
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('No se importó nada: 1 errores en 1 de 1 filas');
+		expect(res.text).toContain('Estado inválido');
+		expect(await countTickets(`${PREFIX}-9`)).toBe(0);
+	});
+
+	it('should import the file when it is valid and not a dry run', async () => {
+		const res = await request(appFor(adminUser))
+			.post('/admin/importar')
+			.field('type', 'tickets')
+			.attach('file', Buffer.from(csv(TICKET_HEADER, ticketLine(`${PREFIX}-9`))), 'tickets.csv');
+
+		expect(res.text).toContain('Importación completada: 1 tickets importados');
+		expect(await countTickets(`${PREFIX}-9`)).toBe(1);
+	});
+
+	it('should reject non-CSV files and invalid mappings', async () => {
+		const mapping = await request(appFor(adminUser))
+			.post('/admin/importar')
+			.field('type', 'tickets')
+			.field('mapping', 'sin separador')
+			.attach('file', Buffer.from('a,b\r\n'), 'tickets.csv');
+		const file = await request(appFor(adminUser))
+			.post('/admin/importar')
+			.field('type', 'tickets')
+			.attach('file', Buffer.from('x'), 'tickets.xlsx');
+
+		expect(mapping.text).toContain('Línea de mapeo inválida');
+		expect(file.status).toBe(400);
+	});
+
+	it('should be available only to administrators', async () => {
+		const page = await request(appFor(supervisorUser)).get('/admin/importar');
+		const panel = await request(appFor(supervisorUser)).get('/admin');
+		const adminPanel = await request(appFor(adminUser)).get('/admin');
+
+		expect(page.status).toBe(403);
+		expect(panel.text).not.toContain('href="/admin/importar"');
+		expect(adminPanel.text).toContain('href="/admin/importar"');
+	});
+});
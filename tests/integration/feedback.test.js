@@ -0,0 +1,209 @@
+/**
+ * Tests de integración para las encuestas de satisfacción (CSAT)
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import session from 'express-session';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createTicket } from '../helpers/dbHelper.js';
+import adminRouter from '../../src/routes/admin.js';
+import publicRouter from '../../src/routes/public.js';
+
+const REQUESTER_EMAIL = 'csat-requester@example.com';
+const DEPARTMENT = 'Departamento CSAT Test';
+
+let pool;
+let adminUser;
+let ticketService;
+let feedbackService;
+
+function createApp(user = null) {
+	const app = express();
+	app.set('view engine', 'ejs');
+	app.set('views', path.join(__dirname, '../../src/views'));
+	app.use(express.urlencoded({ extended: true }));
+	app.use(session({
+		secret: 'test-secret-32-chars-minimum-here',
+		resave: false,
+		saveUninitialized: false,
+	}));
+	app.use((req, res, next) => {
+		if (user) {
+			req.session.user = user;
+			res.locals.currentUser = user;
+		}
+		res.locals.currentPath = req.path;
+		next();
+	});
+	app.use('/admin', adminRouter);
+	app.use('/', publicRouter);
+	app.use((err, req, res, next) => {
+		res.status(err.statusCode || 500).send(err.message);
+	});
+	return app;
+}
+
+function createCsatTicket(subject, email = REQUESTER_EMAIL) {
+	return createTicket({
+		requester_name: 'CSAT Requester',
+		department: DEPARTMENT,
+		support_type: 'Hardware',
+		subject,
+		description: 'El teclado no responde después de actualizar',
+	}, email);
+}
+
+async function findFeedback(ticketId) {
+	const { rows } = await pool.query('SELECT * FROM ticket_feedback WHERE ticket_id = $1 ORDER BY id', [ticketId]);
+	return rows;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+	feedbackService = await import('../../src/services/feedbackService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM tickets WHERE subject LIKE 'CSAT Test%'");
+});
+
+describe('CSAT - survey on resolution', () => {
+	it('should create a survey for the assigned technician when the ticket is resolved', async () => {
+		const ticket = await createCsatTicket('CSAT Test resolver');
+		await ticketService.assignTicket(ticket.id, ticket.reference, adminUser.id);
+
+		await ticketService.updateTicketStatus(ticket.id, ticket.reference, 'Resuelto', adminUser.id, null, {
+			resolution_note: 'Se reemplazó el teclado',
+		});
+		const feedback = await findFeedback(ticket.id);
+
+		expect(feedback).toHaveLength(1);
+		expect(feedback[0].technician_id).toBe(adminUser.id);
+		expect(feedback[0].rating).toBeNull();
+	});
+
+	it('should not create a survey for other statuses or tickets without email', async () => {
+		const withoutEmail = await createCsatTicket('CSAT Test sin email', null);
+		const closed = await createCsatTicket('CSAT Test cerrado');
+
+		await ticketService.updateTicketStatus(withoutEmail.id, withoutEmail.reference, 'Resuelto', null, null, {
+			resolution_note: 'Listo',
+		});
+		await ticketService.updateTicketStatus(closed.id, closed.reference, 'Cerrado');
+
+		expect(await findFeedback(withoutEmail.id)).toHaveLength(0);
+		expect(await findFeedback(closed.id)).toHaveLength(0);
+	});
+});
+
+describe('CSAT - survey page', () => {
+	it('should preselect the rating from the email link and record it only on submit', async () => {
+		const app = createApp();
+		const ticket = await createCsatTicket('CSAT Test un clic');
+		const { token } = await feedbackService.requestFeedback(ticket);
+
+		// Un escáner de correo abre todos los enlaces de calificación
+		for (const rating of [1, 2, 3, 4]) {
+			await request(app).get(`/encuesta/${token}`).query({ rating });
+		}
+		const click = await request(app).get(`/encuesta/${token}`).query({ rating: 4 });
+		expect((await findFeedback(ticket.id))[0].rating).toBeNull();
+
+		const comment = await request(app)
+			.post(`/encuesta/${token}`)
+			.type('form')
+			.send({ rating: 5, comment: 'Muy rápido, gracias' });
+		await request(app).get(`/encuesta/${token}`).query({ rating: 1 });
+		const [feedback] = await findFeedback(ticket.id);
+
+		expect(click.status).toBe(200);
+		expect(click.text).toContain('Elegiste una calificación de 4 de 5');
+		expect(click.text).toMatch(/value="4" class="sr-only" checked/);
+		expect(comment.status).toBe(200);
+		expect(comment.text).toContain('Registramos una calificación de 5 de 5');
+		expect(feedback.rating).toBe(5);
+		expect(feedback.comment).toBe('Muy rápido, gracias');
+		expect(feedback.responded_at).not.toBeNull();
+	});
+
+	it('should show the form without recording anything when no rating is given', async () => {
+		const app = createApp();
+		const ticket = await createCsatTicket('CSAT Test sin calificar');
+		const { token } = await feedbackService.requestFeedback(ticket);
+
+		const res = await request(app).get(`/encuesta/${token}`);
+		const [feedback] = await findFeedback(ticket.id);
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain(ticket.reference);
+		expect(feedback.rating).toBeNull();
+	});
+
+	it('should reject ratings out of range', async () => {
+		const app = createApp();
+		const ticket = await createCsatTicket('CSAT Test fuera de rango');
+		const { token } = await feedbackService.requestFeedback(ticket);
+
+		const res = await request(app).post(`/encuesta/${token}`).type('form').send({ rating: 9 });
+
+		expect(res.status).toBe(400);
+		expect(res.text).toContain('La calificación debe estar entre 1 y 5');
+	});
+
+	it('should return 404 for unknown surveys and 400 for expired ones', async () => {
+		const app = createApp();
+		const ticket = await createCsatTicket('CSAT Test vencida');
+		const { token, feedback } = await feedbackService.requestFeedback(ticket);
+		await pool.query("UPDATE ticket_feedback SET requested_at = NOW() - INTERVAL '90 days' WHERE id = $1", [feedback.id]);
+
+		const unknown = await request(app).get('/encuesta/no-existe').query({ rating: 5 });
+		const expired = await request(app).get(`/encuesta/${token}`).query({ rating: 5 });
+
+		expect(unknown.status).toBe(404);
+		expect(expired.status).toBe(400);
+		expect(expired.text).toContain('Esta encuesta ya no acepta respuestas');
+	});
+});
+
+describe('CSAT - admin', () => {
+	it('should show the rating and comment on the ticket detail', async () => {
+		const app = createApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+		const ticket = await createCsatTicket('CSAT Test detalle');
+		const { token } = await feedbackService.requestFeedback(ticket);
+		await feedbackService.submitFeedback(token, { rating: 2, comment: 'Tardaron demasiado' });
+
+		const res = await request(app).get(`/admin/tickets/${ticket.reference}`);
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Satisfacción');
+		expect(res.text).toContain('Tardaron demasiado');
+	});
+
+	it('should aggregate responses on the dashboard', async () => {
+		const app = createApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+		const ticket = await createCsatTicket('CSAT Test panel');
+		const { token } = await feedbackService.requestFeedback(ticket);
+		await feedbackService.submitFeedback(token, { rating: 5 });
+
+		const dashboard = await feedbackService.getDashboard();
+		const department = dashboard.byDepartment.find(row => row.label === DEPARTMENT);
+		const res = await request(app).get('/admin');
+
+		expect(department.responses).toBeGreaterThan(0);
+		expect(department.csat).toBe(Math.round((department.satisfied / department.responses) * 100));
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Satisfacción (CSAT)');
+		expect(res.text).toContain(DEPARTMENT);
+	});
+});
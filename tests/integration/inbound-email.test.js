@@ -0,0 +1,253 @@
+/**
+ * Tests de integración para la pasarela de correo entrante
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createTicket } from '../helpers/dbHelper.js';
+import config from '../../src/config/index.js';
+
+const SUBJECT_PREFIX = 'Inbound Test';
+
+let pool;
+let InboundEmailService;
+let service;
+let counter = 0;
+
+function buildMessage({ from = 'Ana Pérez <ana@empresa.com>', subject, text, headers = '', attachment = null }) {
+	counter++;
+	const messageId = `<inbound-${Date.now()}-${counter}@test.local>`;
+	const common = `From: ${from}\r\nTo: soporte@example.com\r\nSubject: ${subject}\r\nMessage-ID: ${messageId}\r\n${headers}MIME-Version: 1.0\r\n`;
+
+	if (!attachment) {
+		return `${common}Content-Type: text/plain; charset=utf-8\r\n\r\n${text}\r\n`;
+	}
+
+	return `${common}Content-Type: multipart/mixed; boundary="frontera"\r\n\r\n` +
+		`--frontera\r\nContent-Type: text/plain; charset=utf-8\r\n\r\n${text}\r\n` +
+		`--frontera\r\nContent-Type: ${attachment.contentType}\r\nContent-Disposition: attachment; filename="${attachment.filename}"\r\n` +
+		`Content-Transfer-Encoding: base64\r\n\r\n${Buffer.from(attachment.content).toString('base64')}\r\n` +
+		'--frontera--\r\n';
+}
+
+async function findTicket(subject) {
+	const { rows } = await pool.query('SELECT * FROM tickets WHERE subject = $1', [subject]);
+	return rows[0];
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	({ InboundEmailService } = await import('../../src/services/inboundEmailService.js'));
+	service = new InboundEmailService({ options: { allow: [], deny: ['@bloqueado.com'] } });
+});
+
+afterAll(async () => {
+	const { rows } = await pool.query(
+		`SELECT a.stored_name FROM attachments a JOIN tickets t ON a.ticket_id = t.id WHERE t.subject LIKE '${SUBJECT_PREFIX}%'`
+	);
+	rows.forEach(row => fs.rmSync(path.join(config.uploads.attachmentsDir, row.stored_name), { force: true }));
+	await pool.query(`DELETE FROM inbound_emails WHERE subject LIKE '%${SUBJECT_PREFIX}%'`);
+	await pool.query(`DELETE FROM tickets WHERE subject LIKE '${SUBJECT_PREFIX}%'`);
+});
+
+describe('InboundEmailService.processMessage', () => {
+	it('should create a ticket from a new email', async () => {
+		const subject = `${SUBJECT_PREFIX} impresora sin tóner`;
+		const raw = buildMessage({ subject, text: 'La impresora del tercer piso se quedó sin tóner.' });
+
+		const record = await service.processMessage(raw, 'drop_dir');
+
+		expect(record.status).toBe('ticket_created');
+		const ticket = await findTicket(subject);
+		expect(ticket.id).toBe(record.ticket_id);
+		expect(ticket.requester_name).toBe('Ana Pérez');
+		expect(ticket.department).toBe(config.inboundEmail.department);
+		expect(ticket.support_type).toBe(config.inboundEmail.supportType);
+		expect(ticket.description).toContain('sin tóner');
+		expect(ticket.channel).toBe('email');
+	});
+
+	it('should ignore a message that was already processed', async () => {
+		const subject = `${SUBJECT_PREFIX} duplicado`;
+		const raw = buildMessage({ subject, text: 'Mensaje entregado dos veces por el servidor.' });
+
+		await service.processMessage(raw);
+		const second = await service.processMessage(raw);
+
+		expect(second.duplicate).toBe(true);
+		const { rows } = await pool.query('SELECT COUNT(*)::int AS total FROM tickets WHERE subject = $1', [subject]);
+		expect(rows[0].total).toBe(1);
+	});
+
+	it('should turn a reply with a ticket reference into a public comment', async () => {
+		const ticket = await createTicket({
+			requester_name: 'Ana Pérez',
+			support_type: 'Hardware',
+			subject: `${SUBJECT_PREFIX} respuesta`,
+			description: 'Ticket que recibirá una respuesta por correo',
+		});
+		const raw = buildMessage({
+			subject: `Re: Respuesta en ticket ${ticket.reference} ${SUBJECT_PREFIX}`,
+			text: 'Ya funciona, gracias.\n\nEl lun, 13 ene 2025, Soporte escribió:\n> Reinicie el equipo',
+		});
+
+		const record = await service.processMessage(raw);
+
+		expect(record.status).toBe('comment_added');
+		expect(record.ticket_id).toBe(ticket.id);
+		const { rows } = await pool.query('SELECT * FROM comments WHERE id = $1', [record.comment_id]);
+		expect(rows[0].content).toBe('Ya funciona, gracias.');
+		expect(rows[0].is_internal).toBe(false);
+		expect(rows[0].author_email).toBe('ana@empresa.com');
+	});
+
+	it('should create a new ticket when the referenced ticket does not exist', async () => {
+		const subject = `${SUBJECT_PREFIX} T-000101-ZZZZ inexistente`;
+		const record = await service.processMessage(buildMessage({ subject, text: 'Referencia que no existe en el sistema.' }));
+
+		expect(record.status).toBe('ticket_created');
+	});
+
+	it('should store allowed attachments and report skipped ones', async () => {
+		const subject = `${SUBJECT_PREFIX} con adjuntos`;
+		const withLog = buildMessage({
+			subject,
+			text: 'Adjunto el registro del error de la aplicación.',
+			attachment: { filename: 'error.log', contentType: 'text/plain', content: 'ERROR conexión rechazada' },
+		});
+
+		const record = await service.processMessage(withLog);
+
+		const { rows } = await pool.query('SELECT * FROM attachments WHERE ticket_id = $1', [record.ticket_id]);
+		expect(rows.map(a => a.original_name)).toEqual(['error.log']);
+		expect(rows[0].comment_id).toBeNull();
+		expect(record.details).toBeNull();
+
+		const withScript = buildMessage({
+			subject: `${SUBJECT_PREFIX} con script`,
+			text: 'Este correo trae un adjunto no permitido.',
+			attachment: { filename: 'instalar.sh', contentType: 'application/x-sh', content: 'rm -rf /' },
+		});
+		const skipped = await service.processMessage(withScript);
+
+		expect(skipped.status).toBe('ticket_created');
+		expect(skipped.details).toContain('instalar.sh');
+	});
+
+	it('should keep the ticket and not duplicate it when attachments cannot be stored', async () => {
+		const subject = `${SUBJECT_PREFIX} disco lleno`;
+		const raw = buildMessage({
+			subject,
+			text: 'Adjunto el registro, pero el disco del servidor está lleno.',
+			attachment: { filename: 'error.log', contentType: 'text/plain', content: 'ERROR disco lleno' },
+		});
+		const failingService = new InboundEmailService({
+			attachmentService: { saveBuffers: async () => { throw new Error('ENOSPC: no space left on device'); } },
+			options: { allow: [], deny: [] },
+		});
+
+		const record = await failingService.processMessage(raw);
+		// El remitente reintenta el mismo mensaje
+		const retry = await failingService.processMessage(raw);
+
+		expect(record.status).toBe('ticket_created');
+		expect(record.details).toContain('Adjuntos no guardados: error.log');
+		expect(retry.duplicate).toBe(true);
+		const { rows } = await pool.query('SELECT COUNT(*)::int AS total FROM tickets WHERE subject = $1', [subject]);
+		expect(rows[0].total).toBe(1);
+	});
+
+	it('should reject senders blocked by the rules', async () => {
+		const subject = `${SUBJECT_PREFIX} bloqueado`;
+		const record = await service.processMessage(buildMessage({
+			from: 'spam@bloqueado.com',
+			subject,
+			text: 'Oferta irrepetible para su empresa.',
+		}));
+
+		expect(record.status).toBe('rejected');
+		expect(record.details).toBe('Remitente bloqueado');
+		expect(await findTicket(subject)).toBeUndefined();
+	});
+
+	it('should require the allow list when configured', async () => {
+		const strict = new InboundEmailService({ options: { allow: ['@empresa.com'], deny: [] } });
+		const subject = `${SUBJECT_PREFIX} externo`;
+
+		const record = await strict.processMessage(buildMessage({
+			from: 'alguien@externo.com',
+			subject,
+			text: 'Correo de un remitente que no está permitido.',
+		}));
+
+		expect(record.status).toBe('rejected');
+		expect(await findTicket(subject)).toBeUndefined();
+	});
+
+	it('should ignore automatic replies', async () => {
+		const subject = `${SUBJECT_PREFIX} fuera de oficina`;
+		const record = await service.processMessage(buildMessage({
+			subject,
+			text: 'Estoy fuera de la oficina hasta el lunes.',
+			headers: 'Auto-Submitted: auto-replied\r\n',
+		}));
+
+		expect(record.status).toBe('rejected');
+		expect(await findTicket(subject)).toBeUndefined();
+	});
+});
+
+describe('InboundEmailService drop directory', () => {
+	let dropDir;
+
+	beforeAll(() => {
+		dropDir = fs.mkdtempSync(path.join(os.tmpdir(), 'inbound-email-'));
+	});
+
+	afterAll(() => {
+		fs.rmSync(dropDir, { recursive: true, force: true });
+	});
+
+	it('should process .eml files and move them to processed/', async () => {
+		const subject = `${SUBJECT_PREFIX} carpeta`;
+		fs.writeFileSync(path.join(dropDir, '001.eml'), buildMessage({ subject, text: 'Correo dejado en la carpeta de entrada.' }));
+		fs.writeFileSync(path.join(dropDir, 'notas.txt'), 'no es un correo');
+
+		const dirService = new InboundEmailService({ options: { dropDir, allow: [], deny: [] } });
+		const result = await dirService.processDropDirectory();
+
+		expect(result).toEqual({ processed: 1, failed: 0 });
+		expect(await findTicket(subject)).toBeDefined();
+		expect(fs.existsSync(path.join(dropDir, 'processed', '001.eml'))).toBe(true);
+		expect(fs.existsSync(path.join(dropDir, 'notas.txt'))).toBe(true);
+	});
+});
+
+describe('InboundEmailService SMTP listener', () => {
+	it('should accept messages over SMTP and create tickets', async () => {
+		const smtpServer = service.createSmtpServer();
+		await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+		const { port } = smtpServer.server.address();
+
+		const subject = `${SUBJECT_PREFIX} smtp`;
+		try {
+			const transport = nodemailer.createTransport({ host: '127.0.0.1', port, secure: false, ignoreTLS: true });
+			await transport.sendMail({
+				from: 'Luis Gómez <luis@empresa.com>',
+				to: 'soporte@example.com',
+				subject,
+				text: 'El correo corporativo no sincroniza en el móvil.',
+			});
+		} finally {
+			await new Promise(resolve => smtpServer.close(resolve));
+		}
+
+		const ticket = await findTicket(subject);
+		expect(ticket.requester_name).toBe('Luis Gómez');
+	});
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests de integración para el bloqueo de cuentas, el cambio de contraseña
+ * obligatorio y la auditoría de accesos
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp, createLoginApp } from '../helpers/testApp.js';
+import { createUser } from '../helpers/dbHelper.js';
+import config from '../../src/config/index.js';
+
+const PASSWORD = 'Segura123';
+const USER_AGENT = 'LoginSecurityTest/1.0';
+const USERNAMES = ['lock_test', 'first_login_test', 'audit_tecnico_test'];
+
+let pool;
+let adminUser;
+let lockUser;
+let tecnicoUser;
+
+async function findUser(username) {
+	const { rows } = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
+	return rows[0];
+}
+
+function login(agent, username, password) {
+	return agent.post('/admin/login').type('form')
+		.set('User-Agent', USER_AGENT)
+		.send({ username, password });
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+
+	const { rows: admins } = await pool.query("SELECT * FROM users WHERE role = 'admin' ORDER BY id LIMIT 1");
+	adminUser = admins[0];
+
+	await pool.query('DELETE FROM users WHERE username = ANY($1)', [USERNAMES]);
+	await pool.query('DELETE FROM login_audit WHERE username = ANY($1)', [USERNAMES]);
+	lockUser = await createUser('lock_test', 'tecnico', { password: PASSWORD });
+	tecnicoUser = await createUser('audit_tecnico_test', 'tecnico', { password: PASSWORD });
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM users WHERE username = ANY($1)', [USERNAMES]);
+	await pool.query('DELETE FROM login_audit WHERE username = ANY($1)', [USERNAMES]);
+});
+
+describe('Login security - account lockout', () => {
+	it('should lock the account after the maximum of failed attempts', async () => {
+		const agent = request.agent(createLoginApp());
+
+		for (let i = 1; i < config.auth.maxFailedAttempts; i++) {
+			const res = await login(agent, 'lock_test', 'Incorrecta1');
+			expect(res.text).toContain('Usuario o contraseña incorrectos');
+		}
+
+		const locked = await login(agent, 'lock_test', 'Incorrecta1');
+		expect(locked.text).toContain('Cuenta bloqueada por demasiados intentos fallidos');
+		expect((await findUser('lock_test')).locked_until).not.toBeNull();
+
+		// Ni siquiera la contraseña correcta entra mientras dura el bloqueo
+		const correct = await login(agent, 'lock_test', PASSWORD);
+		expect(correct.status).toBe(200);
+		expect(correct.text).toContain('Cuenta bloqueada');
+	});
+
+	it('should record every attempt with IP and user agent', async () => {
+		const { rows } = await pool.query(
+			'SELECT * FROM login_audit WHERE username = $1 ORDER BY id',
+			['lock_test']
+		);
+
+		expect(rows).toHaveLength(config.auth.maxFailedAttempts + 1);
+		expect(rows[0]).toMatchObject({ user_id: lockUser.id, success: false, reason: 'invalid_password', user_agent: USER_AGENT });
+		expect(rows[0].ip).toContain('127.0.0.1');
+		expect(rows[rows.length - 1].reason).toBe('locked');
+	});
+
+	it('should let an admin unlock the account', async () => {
+		const adminApp = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const page = await request(adminApp).get('/admin/usuarios');
+		expect(page.text).toContain(`/admin/usuarios/${lockUser.id}/desbloquear`);
+
+		const res = await request(adminApp).post(`/admin/usuarios/${lockUser.id}/desbloquear`);
+		expect(res.text).toContain('Cuenta de lock_test desbloqueada');
+
+		const agent = request.agent(createLoginApp());
+		const loginRes = await login(agent, 'lock_test', PASSWORD);
+		expect(loginRes.headers.location).toBe('/admin');
+	});
+});
+
+describe('Login security - forced password change', () => {
+	it('should reject weak passwords when creating users', async () => {
+		const adminApp = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(adminApp).post('/admin/usuarios/crear').type('form')
+			.send({ username: 'first_login_test', password: 'debil', role_id: tecnicoUser.role_id });
+
+		expect(res.text).toContain('La contraseña debe tener al menos 8 caracteres, al menos un número');
+		expect(await findUser('first_login_test')).toBeUndefined();
+	});
+
+	it('should require a new password on the first login', async () => {
+		const adminApp = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+		await request(adminApp).post('/admin/usuarios/crear').type('form')
+			.send({ username: 'first_login_test', password: PASSWORD, role_id: tecnicoUser.role_id });
+		expect((await findUser('first_login_test')).must_change_password).toBe(true);
+
+		const agent = request.agent(createLoginApp());
+		const res = await login(agent, 'first_login_test', PASSWORD);
+		expect(res.headers.location).toBe('/admin/cambiar-contrasena');
+
+		// El resto del panel queda bloqueado hasta cambiarla
+		const panel = await agent.get('/admin/perfil');
+		expect(panel.headers.location).toBe('/admin/cambiar-contrasena');
+
+		const form = await agent.get('/admin/cambiar-contrasena');
+		expect(form.text).toContain('es tu primer acceso');
+
+		const reused = await agent.post('/admin/cambiar-contrasena').type('form')
+			.send({ current_password: PASSWORD, new_password: PASSWORD, confirm_password: PASSWORD });
+		expect(reused.text).toContain(`La nueva contraseña no puede ser ninguna de las últimas ${config.passwordPolicy.historySize}`);
+
+		const changed = await agent.post('/admin/cambiar-contrasena').type('form')
+			.send({ current_password: PASSWORD, new_password: 'Propia4567', confirm_password: 'Propia4567' });
+		expect(changed.headers.location).toBe('/admin');
+
+		const profile = await agent.get('/admin/perfil');
+		expect(profile.status).toBe(200);
+		expect((await findUser('first_login_test')).must_change_password).toBe(false);
+	});
+});
+
+describe('Login security - audit page', () => {
+	it('should list and filter the attempts for admins', async () => {
+		const adminApp = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(adminApp).get('/admin/auditoria-accesos?username=lock_test&result=failure');
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Contraseña incorrecta');
+		expect(res.text).toContain('Cuenta bloqueada');
+		expect(res.text).toContain(USER_AGENT);
+		expect(res.text).not.toContain('Acceso correcto');
+	});
+
+	it('should be forbidden for technicians', async () => {
+		const app = createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' });
+
+		const res = await request(app).get('/admin/auditoria-accesos');
+
+		expect(res.status).toBe(403);
+	});
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests de integración para las macros de respuesta
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createTicket, createUser } from '../helpers/dbHelper.js';
+
+const SUBJECT = 'Macro Test Ticket';
+const TICKET = {
+	requester_name: 'Marta Macro',
+	subject: SUBJECT,
+	description: 'Ticket used to verify macros',
+};
+
+let pool;
+let adminUser;
+let tecnicoUser;
+
+async function createMacro(data) {
+	const { rows } = await pool.query(
+		`INSERT INTO macros (name, content, internal_note, set_status, assign_to, owner_id, is_shared)
+		 VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+		[data.name, data.content || null, data.internal_note || null, data.set_status || null, data.assign_to || null, data.owner_id, !!data.is_shared]
+	);
+	return rows[0];
+}
+
+async function getComments(ticketId) {
+	const { rows } = await pool.query('SELECT * FROM comments WHERE ticket_id = $1 ORDER BY id', [ticketId]);
+	return rows;
+}
+
+async function getTicket(id) {
+	const { rows } = await pool.query('SELECT * FROM tickets WHERE id = $1', [id]);
+	return rows[0];
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+
+	tecnicoUser = await createUser('macro_tecnico');
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM macros WHERE name LIKE 'Macro Test%'");
+	await pool.query('DELETE FROM tickets WHERE subject = $1', [SUBJECT]);
+	await pool.query("DELETE FROM users WHERE username = 'macro_tecnico'");
+});
+
+describe('Macros - management', () => {
+	it('should create a macro owned by the current user', async () => {
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(app)
+			.post('/admin/macros/crear')
+			.type('form')
+			.send({ name: 'Macro Test crear', content: 'Hola {{requester_name}}', set_status: '', assign_to: '', is_shared: 'on' });
+		const { rows } = await pool.query("SELECT * FROM macros WHERE name = 'Macro Test crear'");
+
+		expect(res.headers.location).toContain('success=');
+		expect(rows[0]).toMatchObject({ owner_id: adminUser.id, is_shared: true, set_status: null, assign_to: null });
+	});
+
+	it('should reject unknown placeholders and macros without actions', async () => {
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const unknown = await request(app)
+			.post('/admin/macros/crear')
+			.type('form')
+			.send({ name: 'Macro Test desconocido', content: 'Hola {{nombre}}' });
+		const empty = await request(app)
+			.post('/admin/macros/crear')
+			.type('form')
+			.send({ name: 'Macro Test vacía' });
+
+		expect(decodeURIComponent(unknown.headers.location)).toContain('Marcadores desconocidos: {{nombre}}');
+		expect(decodeURIComponent(empty.headers.location)).toContain('La macro debe tener al menos una acción');
+	});
+
+	it('should only let the author edit a shared macro', async () => {
+		const macro = await createMacro({ name: 'Macro Test compartida', content: 'Texto', owner_id: adminUser.id, is_shared: true });
+		const app = createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' });
+
+		const list = await request(app).get('/admin/macros');
+		const edit = await request(app)
+			.post(`/admin/macros/${macro.id}/actualizar`)
+			.type('form')
+			.send({ name: 'Macro Test cambiada', content: 'Otro texto' });
+
+		expect(list.status).toBe(200);
+		expect(list.text).toContain('Macro Test compartida');
+		expect(decodeURIComponent(edit.headers.location)).toContain('Solo el autor puede modificar esta macro');
+	});
+
+	it('should hide personal macros from other users', async () => {
+		const macro = await createMacro({ name: 'Macro Test personal', content: 'Privado', owner_id: adminUser.id });
+		const ticket = await createTicket(TICKET);
+		const app = createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' });
+
+		const list = await request(app).get('/admin/macros');
+		const apply = await request(app)
+			.post(`/admin/tickets/${ticket.reference}/macro`)
+			.type('form')
+			.send({ macro_id: macro.id });
+
+		expect(list.text).not.toContain('Macro Test personal');
+		expect(decodeURIComponent(apply.headers.location)).toContain('Macro no encontrado');
+		expect(await getComments(ticket.id)).toHaveLength(0);
+	});
+});
+
+describe('Macros - apply', () => {
+	it('should change status, assign and add the rendered comments in one click', async () => {
+		const macro = await createMacro({
+			name: 'Macro Test completa',
+			content: 'Hola {{requester_name}}, {{technician_name}} revisa el ticket {{reference}} ({{status}}).',
+			internal_note: 'Tomado por {{agent_name}}',
+			set_status: 'En Proceso',
+			assign_to: tecnicoUser.id,
+			owner_id: adminUser.id,
+		});
+		const ticket = await createTicket(TICKET);
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(app)
+			.post(`/admin/tickets/${ticket.reference}/macro`)
+			.type('form')
+			.send({ macro_id: macro.id });
+		const updated = await getTicket(ticket.id);
+		const comments = await getComments(ticket.id);
+
+		expect(res.headers.location).toBe(`/admin/tickets/${ticket.reference}`);
+		expect(updated.status).toBe('En Proceso');
+		expect(updated.assigned_to).toBe(tecnicoUser.id);
+		expect(comments).toHaveLength(2);
+		expect(comments[0]).toMatchObject({
+			is_internal: false,
+			content: `Hola Marta Macro, macro_tecnico revisa el ticket ${ticket.reference} (En Proceso).`,
+		});
+		expect(comments[1]).toMatchObject({ is_internal: true, content: `Tomado por ${adminUser.username}` });
+	});
+
+	it('should use the public comment as resolution note', async () => {
+		const macro = await createMacro({
+			name: 'Macro Test resolver',
+			content: 'Se reinstaló el programa',
+			set_status: 'Resuelto',
+			owner_id: adminUser.id,
+		});
+		const ticket = await createTicket(TICKET);
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		await request(app).post(`/admin/tickets/${ticket.reference}/macro`).type('form').send({ macro_id: macro.id });
+		const updated = await getTicket(ticket.id);
+
+		expect(updated.status).toBe('Resuelto');
+		expect(updated.resolution_note).toBe('Se reinstaló el programa');
+	});
+
+	it('should not apply anything when the user cannot assign tickets', async () => {
+		const macro = await createMacro({
+			name: 'Macro Test asignar',
+			content: 'Reasignado',
+			assign_to: adminUser.id,
+			owner_id: adminUser.id,
+			is_shared: true,
+		});
+		const ticket = await createTicket(TICKET);
+		const app = createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' });
+
+		const res = await request(app)
+			.post(`/admin/tickets/${ticket.reference}/macro`)
+			.type('form')
+			.send({ macro_id: macro.id });
+
+		expect(decodeURIComponent(res.headers.location)).toContain('No tienes permisos para asignar tickets');
+		expect((await getTicket(ticket.id)).assigned_to).toBeNull();
+		expect(await getComments(ticket.id)).toHaveLength(0);
+	});
+
+	it('should offer the macros on the ticket detail', async () => {
+		await createMacro({ name: 'Macro Test detalle', content: 'Gracias', owner_id: adminUser.id });
+		const ticket = await createTicket(TICKET);
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(app).get(`/admin/tickets/${ticket.reference}`);
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Aplicar macro');
+		expect(res.text).toContain('Macro Test detalle (comentario)');
+	});
+});
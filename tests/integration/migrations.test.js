@@ -0,0 +1,93 @@
+/**
+ * Tests de integración para las migraciones versionadas del esquema
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { Migrator, loadMigrations } from '../../src/migrations/index.js';
+
+// Versiones altas para no chocar con las migraciones reales
+const TEST_VERSIONS = [9001, 9002];
+
+let pool;
+
+function createTestMigrations() {
+	return [
+		...loadMigrations(),
+		{
+			version: 9001,
+			name: 'create_migration_test',
+			up: async (client) => {
+				// La pausa mantiene el bloqueo mientras la otra instancia espera
+				await client.query('SELECT pg_sleep(0.2)');
+				await client.query('CREATE TABLE migration_test (id SERIAL PRIMARY KEY)');
+			},
+			down: async (client) => client.query('DROP TABLE migration_test'),
+		},
+		{
+			version: 9002,
+			name: 'add_migration_test_label',
+			up: async (client) => client.query('ALTER TABLE migration_test ADD COLUMN label TEXT'),
+			down: async (client) => client.query('ALTER TABLE migration_test DROP COLUMN label'),
+		},
+	];
+}
+
+async function tableExists(name) {
+	const { rows } = await pool.query('SELECT to_regclass($1) AS table', [name]);
+	return rows[0].table !== null;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+});
+
+afterAll(async () => {
+	await pool.query('DROP TABLE IF EXISTS migration_test');
+	await pool.query('DELETE FROM schema_migrations WHERE version = ANY($1)', [TEST_VERSIONS]);
+});
+
+describe('Migrations - schema_migrations', () => {
+	it('should record the baseline when the database is initialized', async () => {
+		const status = await new Migrator({ pool }).status();
+
+		expect(status[0]).toMatchObject({ version: 1, name: 'baseline', missing: false });
+		expect(status.every(row => row.appliedAt)).toBe(true);
+	});
+
+	it('should apply pending migrations once when two instances race', async () => {
+		const [first, second] = await Promise.all([
+			new Migrator({ pool, migrations: createTestMigrations() }).up(),
+			new Migrator({ pool, migrations: createTestMigrations() }).up(),
+		]);
+
+		expect([...first, ...second].map(migration => migration.version)).toEqual(TEST_VERSIONS);
+		const { rows } = await pool.query('SELECT version FROM schema_migrations WHERE version = ANY($1)', [TEST_VERSIONS]);
+		expect(rows).toHaveLength(2);
+		expect(await tableExists('migration_test')).toBe(true);
+	});
+
+	it('should revert the latest migrations', async () => {
+		const migrator = new Migrator({ pool, migrations: createTestMigrations() });
+
+		const reverted = await migrator.down(2);
+
+		expect(reverted.map(migration => migration.version)).toEqual([9002, 9001]);
+		expect(await tableExists('migration_test')).toBe(false);
+		const status = await migrator.status();
+		expect(status.filter(row => TEST_VERSIONS.includes(row.version)).every(row => row.appliedAt === null)).toBe(true);
+	});
+
+	it('should leave no trace of a failed migration', async () => {
+		const migrations = createTestMigrations();
+		const failing = migrations.length - 1;
+		migrations[failing] = { ...migrations[failing], up: async (client) => client.query('ALTER TABLE migration_test ADD COLUMN id TEXT') };
+
+		await expect(new Migrator({ pool, migrations }).up()).rejects.toThrow('La migración 9002_add_migration_test_label (up) falló');
+
+		// La 9001 se aplicó en su propia transacción; la 9002 no quedó registrada
+		const { rows } = await pool.query('SELECT version FROM schema_migrations WHERE version = ANY($1)', [TEST_VERSIONS]);
+		expect(rows.map(row => row.version)).toEqual([9001]);
+	});
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests de integración para el centro de notificaciones
+ */
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createUser } from '../helpers/dbHelper.js';
+
+let pool;
+let ownerUser;
+let otherUser;
+let app;
+let notificationService;
+
+async function createNotification(userId, { type = 'new_comment', title = 'Aviso', isRead = false, daysAgo = 0 } = {}) {
+	const { rows } = await pool.query(
+		`INSERT INTO notifications (user_id, type, title, message, is_read, created_at)
+		 VALUES ($1, $2, $3, 'Mensaje de prueba', $4, NOW() - make_interval(days => $5))
+		 RETURNING *`,
+		[userId, type, title, isRead, daysAgo]
+	);
+	return rows[0];
+}
+
+async function getNotificationIds(userId) {
+	const { rows } = await pool.query('SELECT id FROM notifications WHERE user_id = $1 ORDER BY id', [userId]);
+	return rows.map(row => row.id);
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	notificationService = await import('../../src/services/notificationService.js');
+
+	ownerUser = await createUser('center_owner');
+	otherUser = await createUser('center_other');
+	app = createAuthenticatedApp({ id: ownerUser.id, username: ownerUser.username, role: 'tecnico' });
+});
+
+beforeEach(async () => {
+	await pool.query('DELETE FROM notifications WHERE user_id = ANY($1)', [[ownerUser.id, otherUser.id]]);
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM users WHERE username IN ('center_owner', 'center_other')");
+});
+
+describe('Notification center - history', () => {
+	it('should list only the user notifications, filtered by type and read state', async () => {
+		await createNotification(ownerUser.id, { type: 'new_comment', title: 'Comentario sin leer' });
+		await createNotification(ownerUser.id, { type: 'new_comment', title: 'Comentario leído', isRead: true });
+		await createNotification(ownerUser.id, { type: 'sla_breach', title: 'SLA sin leer' });
+		await createNotification(otherUser.id, { title: 'Aviso de otro usuario' });
+
+		const all = await request(app).get('/admin/notificaciones');
+		expect(all.status).toBe(200);
+		expect(all.text).toContain('Notificaciones (3)');
+		expect(all.text).not.toContain('Aviso de otro usuario');
+
+		const filtered = await request(app).get('/admin/notificaciones?type=new_comment&state=unread');
+		expect(filtered.text).toContain('Comentario sin leer');
+		expect(filtered.text).not.toContain('Comentario leído');
+		expect(filtered.text).not.toContain('SLA sin leer');
+
+		const invalid = await request(app).get('/admin/notificaciones?type=spam');
+		expect(invalid.text).toContain('Tipo de notificación inválido');
+	});
+
+	it('should paginate the history keeping the filters', async () => {
+		for (let i = 0; i < 21; i++) {
+			await createNotification(ownerUser.id, { type: 'status_change', title: `Estado ${i}` });
+		}
+
+		const first = await request(app).get('/admin/notificaciones?type=status_change');
+		const second = await request(app).get('/admin/notificaciones?type=status_change&page=2');
+
+		expect(first.text).toContain('Página 1 de 2');
+		expect(first.text).toContain('?type=status_change&amp;page=2');
+		expect(second.text).toContain('Estado 0');
+		expect(second.text).not.toContain('Estado 20');
+	});
+});
+
+describe('Notification center - bulk actions', () => {
+	it('should mark as read and delete only the user notifications', async () => {
+		const [first, second] = await Promise.all([
+			createNotification(ownerUser.id),
+			createNotification(ownerUser.id),
+		]);
+		const foreign = await createNotification(otherUser.id);
+
+		const read = await request(app).post('/admin/notificaciones/masivo').type('form')
+			.send(`action=read&notification_ids=${first.id}&notification_ids=${foreign.id}`);
+		expect(decodeURIComponent(read.headers.location)).toContain('1 notificación(es) marcada(s) como leída(s)');
+
+		const { rows } = await pool.query('SELECT id, is_read FROM notifications WHERE id = ANY($1) ORDER BY id', [[first.id, foreign.id]]);
+		expect(rows.find(row => row.id === first.id).is_read).toBe(true);
+		expect(rows.find(row => row.id === foreign.id).is_read).toBe(false);
+
+		await request(app).post('/admin/notificaciones/masivo').type('form')
+			.send(`action=delete&notification_ids=${second.id}&notification_ids=${foreign.id}`);
+		expect(await getNotificationIds(ownerUser.id)).toEqual([first.id]);
+		expect(await getNotificationIds(otherUser.id)).toEqual([foreign.id]);
+
+		const empty = await request(app).post('/admin/notificaciones/masivo').type('form').send({ action: 'read' });
+		expect(decodeURIComponent(empty.headers.location)).toContain('Selecciona al menos una notificación');
+	});
+});
+
+describe('Notification center - retention', () => {
+	it('should delete notifications older than the retention period', async () => {
+		const recent = await createNotification(ownerUser.id, { daysAgo: 5 });
+		await createNotification(ownerUser.id, { daysAgo: 15, isRead: true });
+		await createNotification(ownerUser.id, { daysAgo: 40 });
+
+		await notificationService.cleanOld(10);
+
+		expect(await getNotificationIds(ownerUser.id)).toEqual([recent.id]);
+	});
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests de integración para las preferencias de notificación y el resumen diario
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createTicket, createUser } from '../helpers/dbHelper.js';
+
+const SUBJECT = 'Notification Preferences Test Ticket';
+const TICKET = {
+	requester_name: 'Nora Notify',
+	subject: SUBJECT,
+	description: 'Ticket used to verify notification preferences',
+};
+
+let pool;
+let staffUser;
+let ticketService;
+let NotificationService;
+
+async function getNotifications(ticketId) {
+	const { rows } = await pool.query(
+		'SELECT * FROM notifications WHERE ticket_id = $1 AND user_id = $2 ORDER BY id',
+		[ticketId, staffUser.id]
+	);
+	return rows;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+	({ NotificationService } = await import('../../src/services/notificationService.js'));
+
+	staffUser = await createUser('prefs_supervisor', 'supervisor');
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM tickets WHERE subject = $1', [SUBJECT]);
+	await pool.query("DELETE FROM users WHERE username = 'prefs_supervisor'");
+});
+
+describe('Notification preferences - profile', () => {
+	it('should save the email and a channel per event type', async () => {
+		const app = createAuthenticatedApp({ id: staffUser.id, username: staffUser.username, role: 'supervisor' });
+
+		const invalid = await request(app).post('/admin/perfil/notificaciones').type('form')
+			.send({ email: '', 'preferences[new_comment]': 'email' });
+		expect(invalid.text).toContain('Indica tu email para recibir notificaciones por correo');
+
+		const saved = await request(app).post('/admin/perfil/notificaciones').type('form')
+			.send({ email: 'Prefs@Example.com', 'preferences[new_ticket]': 'off', 'preferences[new_comment]': 'digest' });
+		expect(saved.text).toContain('Preferencias de notificación actualizadas');
+		expect(saved.text).toContain('prefs@example.com');
+
+		const { rows } = await pool.query(
+			'SELECT event_type, channel FROM notification_preferences WHERE user_id = $1 ORDER BY event_type',
+			[staffUser.id]
+		);
+		expect(rows).toEqual([
+			{ event_type: 'new_comment', channel: 'digest' },
+			{ event_type: 'new_ticket', channel: 'off' },
+		]);
+	});
+});
+
+describe('Notification preferences - delivery', () => {
+	it('should skip muted events and batch digest events into one email', async () => {
+		// Preferencias guardadas por el test anterior: new_ticket desactivado, new_comment en el resumen
+		const ticket = await createTicket(TICKET);
+		expect(await getNotifications(ticket.id)).toHaveLength(0);
+
+		await pool.query('INSERT INTO ticket_watchers (ticket_id, user_id) VALUES ($1, $2)', [ticket.id, staffUser.id]);
+		await ticketService.addComment(ticket.id, ticket.reference, {
+			author_name: 'Nora Notify',
+			author_email: 'nora@example.com',
+			content: 'Sigue sin funcionar',
+			is_internal: false,
+		});
+		expect((await getNotifications(ticket.id)).map(n => n.type)).toEqual(['new_comment']);
+
+		const emailService = {
+			getTransporter: () => ({}),
+			sendNotificationDigestEmail: vi.fn(async () => true),
+		};
+		const service = new NotificationService({ emailService, options: { digestHour: 0 } });
+		const otherInstance = new NotificationService({ emailService, options: { digestHour: 0 } });
+
+		await Promise.all([service.sendDigests(), otherInstance.sendDigests()]);
+		await service.sendDigests();
+
+		const digests = emailService.sendNotificationDigestEmail.mock.calls.filter(([user]) => user.email === 'prefs@example.com');
+		expect(digests).toHaveLength(1);
+		expect(digests[0][1].map(n => n.ticket_reference)).toContain(ticket.reference);
+		const [notification] = await getNotifications(ticket.id);
+		expect(notification.emailed_at).not.toBeNull();
+	});
+});
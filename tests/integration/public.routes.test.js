@@ -141,24 +141,50 @@ describe('Public Routes - Create Ticket', () => {
 });
 
 describe('Public Routes - List Tickets', () => {
-	it('GET /tickets should return ticket list', async () => {
+	const requesterEmail = 'public-routes@example.com';
+	let agent;
+
+	beforeEach(async () => {
+		// El listado exige entrar al portal con un enlace de acceso
+		await pool.query(
+			`INSERT INTO tickets (reference, requester_name, department, support_type, priority, subject, description, status, edit_token, requester_email)
+			 VALUES ($1, 'Test User', 'IT', 'Hardware', 'Media – Puede esperar unas horas', 'Test Subject', 'Test description here', 'Pendiente', $2, $3)`,
+			[`T-TEST-LIST-${Date.now()}`, `token-${Date.now()}`, requesterEmail]
+		);
+		const requesterPortalService = await import('../../src/services/requesterPortalService.js');
+		const { token } = await requesterPortalService.requestLoginLink(requesterEmail);
+		agent = request.agent(app);
+		await agent.get(`/acceso/${token}`);
+	});
+
+	afterAll(async () => {
+		await pool.query('DELETE FROM requester_login_tokens WHERE email = $1', [requesterEmail]);
+	});
+
+	it('GET /tickets should redirect to the access page without a requester session', async () => {
 		const res = await request(app).get('/tickets');
+		expect(res.status).toBe(302);
+		expect(res.headers.location).toBe('/acceso');
+	});
+
+	it('GET /tickets should return ticket list', async () => {
+		const res = await agent.get('/tickets');
 		expect(res.status).toBe(200);
-		expect(res.text).toContain('Listado');
+		expect(res.text).toContain('Mis Tickets');
 	});
 
 	it('GET /tickets should support pagination', async () => {
-		const res = await request(app).get('/tickets?page=1');
+		const res = await agent.get('/tickets?page=1');
 		expect(res.status).toBe(200);
 	});
 
 	it('GET /tickets should support status filter', async () => {
-		const res = await request(app).get('/tickets?status=Pendiente');
+		const res = await agent.get('/tickets?status=Pendiente');
 		expect(res.status).toBe(200);
 	});
 
 	it('GET /tickets should support priority filter', async () => {
-		const res = await request(app).get('/tickets?priority=Alta');
+		const res = await agent.get('/tickets?priority=Alta');
 		expect(res.status).toBe(200);
 	});
 });
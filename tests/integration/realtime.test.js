@@ -0,0 +1,155 @@
+/**
+ * Tests de integración para los eventos en tiempo real (SSE sobre LISTEN/NOTIFY)
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createTicket, createUser } from '../helpers/dbHelper.js';
+
+const SUBJECT = 'Realtime Test Ticket';
+
+let pool;
+let adminUser;
+let tecnicoUser;
+let ticketService;
+
+/**
+ * Abre /admin/eventos en un servidor efímero y acumula los eventos recibidos
+ */
+async function openEventStream(user) {
+	const server = createAuthenticatedApp(user).listen(0);
+	await new Promise(resolve => server.once('listening', resolve));
+
+	const events = [];
+	const response = await new Promise((resolve, reject) => {
+		const req = http.get(`http://127.0.0.1:${server.address().port}/admin/eventos`, resolve);
+		req.on('error', reject);
+	});
+
+	let buffer = '';
+	response.setEncoding('utf8');
+	response.on('data', chunk => {
+		buffer += chunk;
+		const blocks = buffer.split('\n\n');
+		buffer = blocks.pop();
+		blocks.forEach(block => {
+			const kind = block.match(/^event: (.+)$/m);
+			const data = block.match(/^data: (.+)$/m);
+			if (kind && data) {
+				events.push({ kind: kind[1], ...JSON.parse(data[1]) });
+			}
+		});
+	});
+
+	// Espera a que la suscripción tenga abierta la conexión de escucha
+	await waitFor(async () => (await countListeners()) > 0);
+
+	return {
+		response,
+		events,
+		close: () => new Promise(resolve => {
+			response.destroy();
+			server.close(resolve);
+		}),
+	};
+}
+
+async function countListeners() {
+	const { rows } = await pool.query(
+		"SELECT COUNT(*)::int AS count FROM pg_stat_activity WHERE query = 'LISTEN ticket_events' AND pid <> pg_backend_pid()"
+	);
+	return rows[0].count;
+}
+
+async function waitFor(check, timeout = 3000) {
+	const started = Date.now();
+	while (!(await check())) {
+		if (Date.now() - started > timeout) {
+			throw new Error('Tiempo de espera agotado');
+		}
+		await new Promise(resolve => setTimeout(resolve, 20));
+	}
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' ORDER BY id LIMIT 1");
+	adminUser = rows[0];
+
+	tecnicoUser = await createUser('realtime_tecnico');
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM tickets WHERE subject = $1', [SUBJECT]);
+	await pool.query("DELETE FROM users WHERE username = 'realtime_tecnico'");
+});
+
+describe('Realtime - event stream', () => {
+	it('should push ticket changes, comments and own notifications to connected staff', async () => {
+		const stream = await openEventStream({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		try {
+			expect(stream.response.headers['content-type']).toContain('text/event-stream');
+
+			const ticket = await createTicket({
+				requester_name: 'Rita Realtime',
+				subject: SUBJECT,
+				description: 'Ticket used to verify realtime events',
+			});
+			await ticketService.updateTicketStatus(ticket.id, ticket.reference, 'En Proceso', null, { id: adminUser.id, username: adminUser.username });
+			await ticketService.addComment(ticket.id, ticket.reference, {
+				author_name: 'Rita Realtime',
+				author_email: 'rita@example.com',
+				content: 'Sigue fallando',
+				is_internal: false,
+			});
+			// Notificación de otro usuario: no debe llegar a este stream
+			await pool.query(
+				"INSERT INTO notifications (user_id, type, title, message, ticket_id) VALUES ($1, 'status_change', 'x', 'y', $2)",
+				[tecnicoUser.id, ticket.id]
+			);
+			await pool.query(
+				"INSERT INTO notifications (user_id, type, title, message, ticket_id) VALUES ($1, 'status_change', 'x', 'y', $2)",
+				[adminUser.id, ticket.id]
+			);
+
+			const forTicket = () => stream.events.filter(event => event.ticket_id === ticket.id);
+			await waitFor(() => forTicket().some(event => event.kind === 'notification' && event.type === 'status_change'));
+
+			const ticketEvents = forTicket().filter(event => event.kind === 'ticket');
+			expect(ticketEvents.map(event => event.change)).toEqual(['created', 'status']);
+			expect(ticketEvents[1]).toMatchObject({ reference: ticket.reference, status: 'En Proceso', previous_status: 'Pendiente' });
+			expect(forTicket().filter(event => event.kind === 'comment')).toHaveLength(1);
+			expect(forTicket().filter(event => event.kind === 'notification').every(event => event.user_id === adminUser.id)).toBe(true);
+		} finally {
+			await stream.close();
+		}
+	});
+
+	it('should release the listening connection when the last client disconnects', async () => {
+		const stream = await openEventStream({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+		expect(await countListeners()).toBe(1);
+
+		await stream.close();
+
+		await waitFor(async () => (await countListeners()) === 0);
+	});
+});
+
+describe('Realtime - dashboard counters', () => {
+	it('should return the general and personal counters as JSON', async () => {
+		const app = createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' });
+
+		const res = await request(app).get('/admin/estadisticas');
+
+		expect(res.status).toBe(200);
+		expect(res.body.stats).toEqual(expect.objectContaining({ total: expect.any(Number), pendiente: expect.any(Number) }));
+		expect(res.body.myStats).toEqual(expect.objectContaining({ total: expect.any(Number), resuelto: expect.any(Number) }));
+	});
+});
@@ -0,0 +1,256 @@
+/**
+ * Tests de integración para el portal del solicitante (acceso con enlace por email)
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import session from 'express-session';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createTicket } from '../helpers/dbHelper.js';
+import publicRouter from '../../src/routes/public.js';
+
+const OWNER_EMAIL = 'portal-owner@example.com';
+const OTHER_EMAIL = 'portal-other@example.com';
+
+let pool;
+let app;
+let adminUser;
+let ticketService;
+let portalService;
+let ownTicket;
+let otherTicket;
+
+function createApp() {
+	const app = express();
+	app.set('view engine', 'ejs');
+	app.set('views', path.join(__dirname, '../../src/views'));
+	app.use(express.urlencoded({ extended: true }));
+	app.use(session({
+		secret: 'test-secret-32-chars-minimum-here',
+		resave: false,
+		saveUninitialized: false,
+	}));
+	app.use('/', publicRouter);
+	app.use((err, req, res, next) => {
+		res.status(err.statusCode || 500).send(err.message);
+	});
+	return app;
+}
+
+function createPortalTicket(subject, email) {
+	return createTicket({
+		requester_name: 'Portal Requester',
+		subject,
+		description: 'El programa de facturación se cierra al abrirlo',
+	}, email);
+}
+
+async function loginAs(email) {
+	const { token } = await portalService.requestLoginLink(email);
+	const agent = request.agent(app);
+	await agent.get(`/acceso/${token}`);
+	return agent;
+}
+
+async function resolveTicket(ticket, resolvedAt = null) {
+	await pool.query(
+		"UPDATE tickets SET status = 'Resuelto', resolved_at = COALESCE($2, NOW()), resolution_note = 'Reinstalado' WHERE id = $1",
+		[ticket.id, resolvedAt]
+	);
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+	portalService = await import('../../src/services/requesterPortalService.js');
+	app = createApp();
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+
+	ownTicket = await createPortalTicket('Portal Test ticket propio', 'Portal-Owner@Example.com');
+	otherTicket = await createPortalTicket('Portal Test ticket ajeno', OTHER_EMAIL);
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM tickets WHERE subject LIKE 'Portal Test%'");
+	await pool.query('DELETE FROM requester_login_tokens WHERE email = ANY($1)', [[OWNER_EMAIL, OTHER_EMAIL]]);
+});
+
+describe('Requester portal - access links', () => {
+	it('should store the requester email in lowercase when creating a ticket', () => {
+		expect(ownTicket.requester_email).toBe(OWNER_EMAIL);
+	});
+
+	it('should render the access form', async () => {
+		const res = await request(app).get('/acceso');
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Enviar enlace de acceso');
+	});
+
+	it('should answer the same way for unknown addresses without creating a link', async () => {
+		const res = await request(app).post('/acceso').type('form').send({ email: 'nadie@example.com' });
+		const { rows } = await pool.query("SELECT * FROM requester_login_tokens WHERE email = 'nadie@example.com'");
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('recibirás un enlace de acceso');
+		expect(rows).toHaveLength(0);
+	});
+
+	it('should create a link for addresses with tickets', async () => {
+		const res = await request(app).post('/acceso').type('form').send({ email: ' PORTAL-OWNER@example.com ' });
+		const { rows } = await pool.query('SELECT * FROM requester_login_tokens WHERE email = $1', [OWNER_EMAIL]);
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('recibirás un enlace de acceso');
+		expect(rows.length).toBeGreaterThan(0);
+	});
+
+	it('should reject an invalid email', async () => {
+		const res = await request(app).post('/acceso').type('form').send({ email: 'no-es-un-email' });
+
+		expect(res.status).toBe(400);
+		expect(res.text).toContain('Email inválido');
+	});
+
+	it('should log in with a link only once', async () => {
+		const { token } = await portalService.requestLoginLink(OWNER_EMAIL);
+
+		const first = await request(app).get(`/acceso/${token}`);
+		const second = await request(app).get(`/acceso/${token}`);
+
+		expect(first.status).toBe(302);
+		expect(first.headers.location).toBe('/tickets');
+		expect(second.status).toBe(400);
+		expect(second.text).toContain('El enlace no es válido');
+	});
+
+	it('should reject an expired link', async () => {
+		const token = 'expired-portal-token';
+		await pool.query(
+			"INSERT INTO requester_login_tokens (email, token_hash, expires_at) VALUES ($1, $2, NOW() - INTERVAL '1 minute')",
+			[OWNER_EMAIL, portalService.hashToken(token)]
+		);
+
+		const res = await request(app).get(`/acceso/${token}`);
+
+		expect(res.status).toBe(400);
+	});
+
+	it('should end the requester session on logout', async () => {
+		const agent = await loginAs(OWNER_EMAIL);
+
+		const logout = await agent.post('/salir');
+		const list = await agent.get('/tickets');
+
+		expect(logout.headers.location).toBe('/acceso');
+		expect(list.status).toBe(302);
+		expect(list.headers.location).toBe('/acceso');
+	});
+});
+
+describe('Requester portal - my tickets', () => {
+	it('should only list the tickets of the logged-in requester', async () => {
+		const agent = await loginAs(OWNER_EMAIL);
+
+		const res = await agent.get('/tickets');
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain(OWNER_EMAIL);
+		expect(res.text).toContain(ownTicket.reference);
+		expect(res.text).not.toContain(otherTicket.reference);
+	});
+
+	it('should prefill the reply form for the owner of the ticket', async () => {
+		const agent = await loginAs(OWNER_EMAIL);
+
+		const own = await agent.get(`/tickets/${ownTicket.reference}`);
+		const other = await agent.get(`/tickets/${otherTicket.reference}`);
+
+		expect(own.text).toContain(`value="${OWNER_EMAIL}"`);
+		expect(other.text).not.toContain(`value="${OWNER_EMAIL}"`);
+	});
+});
+
+describe('Requester portal - reopen', () => {
+	it('should not offer reopening for an open ticket', async () => {
+		const agent = await loginAs(OWNER_EMAIL);
+
+		const detail = await agent.get(`/tickets/${ownTicket.reference}`);
+		const res = await agent.post(`/tickets/${ownTicket.reference}/reabrir`).type('form').send({ reason: 'Sigue fallando' });
+
+		expect(detail.text).not.toContain('Reabrir Ticket');
+		expect(res.status).toBe(302);
+		expect(decodeURIComponent(res.headers.location)).toContain('Solo se pueden reabrir tickets resueltos o cerrados');
+	});
+
+	it('should reopen a resolved ticket within the window', async () => {
+		const ticket = await createPortalTicket('Portal Test reabrir', OWNER_EMAIL);
+		await ticketService.assignTicket(ticket.id, ticket.reference, adminUser.id);
+		await resolveTicket(ticket);
+		const agent = await loginAs(OWNER_EMAIL);
+
+		const detail = await agent.get(`/tickets/${ticket.reference}`);
+		const res = await agent.post(`/tickets/${ticket.reference}/reabrir`).type('form').send({ reason: 'El programa volvió a cerrarse' });
+
+		const { rows: [updated] } = await pool.query('SELECT * FROM tickets WHERE id = $1', [ticket.id]);
+		const { rows: comments } = await pool.query('SELECT * FROM comments WHERE ticket_id = $1', [ticket.id]);
+		const { rows: events } = await pool.query(
+			"SELECT * FROM ticket_events WHERE ticket_id = $1 AND event_type = 'status_change'",
+			[ticket.id]
+		);
+		const { rows: notifications } = await pool.query(
+			"SELECT * FROM notifications WHERE ticket_id = $1 AND type = 'status_change'",
+			[ticket.id]
+		);
+
+		expect(detail.text).toContain('Reabrir Ticket');
+		expect(res.status).toBe(302);
+		expect(decodeURIComponent(res.headers.location)).toContain('Ticket reabierto');
+		expect(updated.status).toBe('En Proceso');
+		expect(updated.resolved_at).toBeNull();
+		expect(comments[0].content).toContain('El programa volvió a cerrarse');
+		expect(comments[0].is_internal).toBe(false);
+		expect(events[0]).toMatchObject({ old_value: 'Resuelto', new_value: 'En Proceso', actor_name: 'Portal Requester' });
+		expect(notifications[0].user_id).toBe(adminUser.id);
+	});
+
+	it('should reject reopening after the window', async () => {
+		const ticket = await createPortalTicket('Portal Test plazo vencido', OWNER_EMAIL);
+		await resolveTicket(ticket, new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+		const agent = await loginAs(OWNER_EMAIL);
+
+		const detail = await agent.get(`/tickets/${ticket.reference}`);
+		const res = await agent.post(`/tickets/${ticket.reference}/reabrir`).type('form').send({ reason: 'Sigue fallando' });
+		const { rows: [updated] } = await pool.query('SELECT status FROM tickets WHERE id = $1', [ticket.id]);
+
+		expect(detail.text).not.toContain('Reabrir Ticket');
+		expect(decodeURIComponent(res.headers.location)).toContain('El plazo para reabrir este ticket venció');
+		expect(updated.status).toBe('Resuelto');
+	});
+
+	it('should forbid reopening tickets of another requester', async () => {
+		await resolveTicket(otherTicket);
+		const agent = await loginAs(OWNER_EMAIL);
+
+		const res = await agent.post(`/tickets/${otherTicket.reference}/reabrir`).type('form').send({ reason: 'Sigue fallando' });
+
+		expect(res.status).toBe(403);
+	});
+
+	it('should require a requester session and a reason', async () => {
+		const anonymous = await request(app).post(`/tickets/${ownTicket.reference}/reabrir`).type('form').send({ reason: 'Sigue fallando' });
+		const agent = await loginAs(OWNER_EMAIL);
+		const empty = await agent.post(`/tickets/${ownTicket.reference}/reabrir`).type('form').send({ reason: '' });
+
+		expect(anonymous.headers.location).toBe('/acceso');
+		expect(decodeURIComponent(empty.headers.location)).toContain('Indica el motivo');
+	});
+});
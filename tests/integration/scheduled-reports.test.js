@@ -0,0 +1,214 @@
+/**
+ * Tests de integración para los reportes programados por email
+ */
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { appFor } from '../helpers/testApp.js';
+import { createTicket, createUser } from '../helpers/dbHelper.js';
+
+const SUBJECT = 'Scheduled Report Test Ticket';
+const NAME_PREFIX = 'Reporte de prueba';
+
+let pool;
+let supervisorUser;
+let tecnicoUser;
+let ticketRepo;
+let ScheduledReportService;
+
+/**
+ * Crea un ticket con fechas y vencimientos de SLA fijos
+ */
+async function createDatedTicket({ createdAt, responseDue = null, respondedAt = null, resolutionDue = null, resolvedAt = null }) {
+	const ticket = await createTicket({
+		requester_name: 'Rita Reportes',
+		department: 'Reportes Dept',
+		subject: SUBJECT,
+		description: 'Ticket used to verify the scheduled reports',
+	});
+	await pool.query(
+		`UPDATE tickets
+		 SET created_at = $2, first_response_due = $3, first_responded_at = $4, resolution_due = $5, resolved_at = $6
+		 WHERE id = $1`,
+		[ticket.id, createdAt, responseDue, respondedAt, resolutionDue, resolvedAt]
+	);
+	return ticket;
+}
+
+async function findSubscription(name) {
+	const { rows } = await pool.query('SELECT * FROM report_subscriptions WHERE name = $1', [name]);
+	return rows[0];
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	const { getRepositoryContainer } = await import('../../src/repositories/index.js');
+	ticketRepo = getRepositoryContainer(pool).tickets;
+	({ ScheduledReportService } = await import('../../src/services/scheduledReportService.js'));
+
+	supervisorUser = await createUser('scheduled_supervisor', 'supervisor');
+	tecnicoUser = await createUser('scheduled_tecnico', 'tecnico');
+
+	// Semana del 4 al 10 de marzo de 2019, fuera del rango de los demás tests
+	await createDatedTicket({
+		createdAt: '2019-03-04T10:00:00',
+		responseDue: '2019-03-04T12:00:00',
+		respondedAt: '2019-03-04T11:00:00',
+		resolutionDue: '2019-03-05T10:00:00',
+		resolvedAt: '2019-03-06T10:00:00',
+	});
+	await createDatedTicket({
+		createdAt: '2019-03-05T10:00:00',
+		responseDue: '2019-03-05T12:00:00',
+		resolutionDue: '2099-01-01T00:00:00',
+	});
+	await createDatedTicket({ createdAt: '2019-03-06T10:00:00' });
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM tickets WHERE subject = $1', [SUBJECT]);
+	await pool.query('DELETE FROM report_subscriptions WHERE name LIKE $1', [`${NAME_PREFIX}%`]);
+	await pool.query("DELETE FROM users WHERE username IN ('scheduled_supervisor', 'scheduled_tecnico')");
+});
+
+describe('Scheduled reports - SLA compliance', () => {
+	it('should count met and breached targets of the tickets created in the range', async () => {
+		const compliance = await ticketRepo.getSlaCompliance('2019-03-04', '2019-03-10');
+
+		expect(compliance).toEqual({
+			response: { met: 1, breached: 1, rate: 50 },
+			resolution: { met: 0, breached: 1, rate: 0 },
+		});
+	});
+});
+
+describe('Scheduled reports - admin page', () => {
+	it('should create a subscription with the parsed recipients', async () => {
+		const res = await request(appFor(supervisorUser))
+			.post('/admin/reportes-programados/crear')
+			.type('form')
+			.send({ name: `${NAME_PREFIX} semanal`, frequency: 'weekly', recipients: 'Gerencia@example.com\r\nsoporte@example.com', is_active: 'on' });
+		const subscription = await findSubscription(`${NAME_PREFIX} semanal`);
+
+		expect(res.status).toBe(302);
+		expect(res.headers.location).toContain('success=');
+		expect(subscription).toMatchObject({
+			frequency: 'weekly',
+			recipients: ['gerencia@example.com', 'soporte@example.com'],
+			is_active: true,
+			created_by: supervisorUser.id,
+		});
+
+		const page = await request(appFor(supervisorUser)).get('/admin/reportes-programados');
+		expect(page.status).toBe(200);
+		expect(page.text).toContain(`${NAME_PREFIX} semanal`);
+		expect(page.text).toContain('Último periodo cerrado: Semana del');
+	});
+
+	it('should reject invalid recipients', async () => {
+		const res = await request(appFor(supervisorUser))
+			.post('/admin/reportes-programados/crear')
+			.type('form')
+			.send({ name: `${NAME_PREFIX} inválido`, frequency: 'monthly', recipients: 'no-es-email' });
+
+		expect(decodeURIComponent(res.headers.location)).toContain('Email de destinatario inválido');
+		expect(await findSubscription(`${NAME_PREFIX} inválido`)).toBeUndefined();
+	});
+
+	it('should preview the PDF of the last closed period inline', async () => {
+		const subscription = await findSubscription(`${NAME_PREFIX} semanal`);
+		const res = await request(appFor(supervisorUser))
+			.get(`/admin/reportes-programados/${subscription.id}/vista-previa`)
+			.buffer(true)
+			.parse((response, callback) => {
+				const chunks = [];
+				response.on('data', chunk => chunks.push(chunk));
+				response.on('end', () => callback(null, Buffer.concat(chunks)));
+			});
+
+		expect(res.status).toBe(200);
+		expect(res.headers['content-type']).toBe('application/pdf');
+		expect(res.headers['content-disposition']).toMatch(/^inline; filename="reporte-\d{4}-\d{2}-\d{2}-\d{4}-\d{2}-\d{2}\.pdf"$/);
+		expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+	});
+
+	it('should record the error when the report cannot be sent', async () => {
+		const subscription = await findSubscription(`${NAME_PREFIX} semanal`);
+		const res = await request(appFor(supervisorUser)).post(`/admin/reportes-programados/${subscription.id}/enviar`);
+		const updated = await findSubscription(`${NAME_PREFIX} semanal`);
+
+		// Sin SMTP configurado en los tests el envío no es posible
+		expect(decodeURIComponent(res.headers.location)).toContain('No se pudo enviar el reporte');
+		expect(updated.last_error).toContain('No se pudo enviar el email');
+		expect(updated.last_period_start).toBeNull();
+	});
+
+	it('should update and delete subscriptions', async () => {
+		const subscription = await findSubscription(`${NAME_PREFIX} semanal`);
+		await request(appFor(supervisorUser))
+			.post(`/admin/reportes-programados/${subscription.id}/actualizar`)
+			.type('form')
+			.send({ name: `${NAME_PREFIX} mensual`, frequency: 'monthly', recipients: 'gerencia@example.com' });
+		const updated = await findSubscription(`${NAME_PREFIX} mensual`);
+
+		expect(updated).toMatchObject({ id: subscription.id, frequency: 'monthly', is_active: false });
+
+		await request(appFor(supervisorUser)).post(`/admin/reportes-programados/${subscription.id}/eliminar`);
+		expect(await findSubscription(`${NAME_PREFIX} mensual`)).toBeUndefined();
+	});
+
+	it('should require the manage_reports permission', async () => {
+		const res = await request(appFor(tecnicoUser)).get('/admin/reportes-programados');
+		const panel = await request(appFor(tecnicoUser)).get('/admin');
+		const supervisorPanel = await request(appFor(supervisorUser)).get('/admin');
+
+		expect(res.status).toBe(403);
+		expect(panel.text).not.toContain('href="/admin/reportes-programados"');
+		expect(supervisorPanel.text).toContain('href="/admin/reportes-programados"');
+	});
+});
+
+describe('Scheduled reports - background delivery', () => {
+	const name = `${NAME_PREFIX} concurrente`;
+
+	async function getLastPeriod() {
+		const { rows } = await pool.query(
+			"SELECT to_char(last_period_start, 'YYYY-MM-DD') AS period, last_error FROM report_subscriptions WHERE name = $1",
+			[name]
+		);
+		return rows[0];
+	}
+
+	function createInstance(emailService) {
+		return new ScheduledReportService({ emailService, options: { sendHour: 0 } });
+	}
+
+	beforeAll(async () => {
+		await pool.query(
+			`INSERT INTO report_subscriptions (name, frequency, recipients, is_active, last_period_start)
+			 VALUES ($1, 'weekly', ARRAY['gerencia@example.com'], true, '2019-01-07')`,
+			[name]
+		);
+	});
+
+	it('should send each period once when several instances check at the same time', async () => {
+		const emailService = { getTransporter: () => ({}), sendScheduledReportEmail: vi.fn(async () => true) };
+
+		await Promise.all([createInstance(emailService).sendDue(), createInstance(emailService).sendDue()]);
+
+		const sent = emailService.sendScheduledReportEmail.mock.calls.filter(([subscription]) => subscription.name === name);
+		expect(sent).toHaveLength(1);
+		expect((await getLastPeriod()).period).toBe(sent[0][1].from);
+	});
+
+	it('should release the period when the send fails so it is retried', async () => {
+		await pool.query("UPDATE report_subscriptions SET last_period_start = '2019-01-07' WHERE name = $1", [name]);
+		const emailService = { getTransporter: () => ({}), sendScheduledReportEmail: vi.fn(async () => false) };
+
+		await createInstance(emailService).sendDue();
+
+		expect(await getLastPeriod()).toEqual({ period: '2019-01-07', last_error: expect.stringContaining('No se pudo enviar el email') });
+	});
+});
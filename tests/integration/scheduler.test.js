@@ -0,0 +1,57 @@
+/**
+ * Tests de integración para el planificador de tareas con varias instancias
+ */
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { registerJob, runJob, JOB_LOCK_KEY } from '../../src/jobs/scheduler.js';
+
+let pool;
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+});
+
+describe('Scheduler - advisory lock', () => {
+	it('should skip a job while another instance holds its lock', async () => {
+		const handler = vi.fn(async () => 'done');
+		registerJob('scheduler-test-locked', 60000, handler);
+
+		// Otra instancia ejecutando la misma tarea
+		const other = await pool.connect();
+		try {
+			await other.query('SELECT pg_advisory_lock($1, hashtext($2))', [JOB_LOCK_KEY, 'scheduler-test-locked']);
+
+			expect(await runJob('scheduler-test-locked')).toBeUndefined();
+			expect(handler).not.toHaveBeenCalled();
+
+			await other.query('SELECT pg_advisory_unlock($1, hashtext($2))', [JOB_LOCK_KEY, 'scheduler-test-locked']);
+		} finally {
+			other.release();
+		}
+
+		expect(await runJob('scheduler-test-locked')).toBe('done');
+		expect(handler).toHaveBeenCalledTimes(1);
+	});
+
+	it('should only block the job that holds the lock and release it after running', async () => {
+		registerJob('scheduler-test-first', 60000, async () => {
+			const { rows } = await pool.query(
+				"SELECT COUNT(*)::int AS count FROM pg_locks WHERE locktype = 'advisory' AND classid = $1 AND granted",
+				[JOB_LOCK_KEY]
+			);
+			return rows[0].count;
+		});
+		registerJob('scheduler-test-second', 60000, async () => 'second');
+
+		expect(await runJob('scheduler-test-first')).toBe(1);
+		expect(await runJob('scheduler-test-second')).toBe('second');
+
+		const { rows } = await pool.query(
+			"SELECT COUNT(*)::int AS count FROM pg_locks WHERE locktype = 'advisory' AND classid = $1",
+			[JOB_LOCK_KEY]
+		);
+		expect(rows[0].count).toBe(0);
+	});
+});
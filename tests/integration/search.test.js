@@ -0,0 +1,189 @@
+/**
+ * Tests de integración para la búsqueda de texto completo
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import session from 'express-session';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createTicket } from '../helpers/dbHelper.js';
+import adminRouter from '../../src/routes/admin.js';
+import publicRouter from '../../src/routes/public.js';
+
+// Palabra poco común para aislar los tickets de este archivo
+const MARKER = 'zarandajas';
+const REQUESTER_EMAIL = 'search-requester@example.com';
+
+let pool;
+let adminUser;
+let ticketService;
+let printerTicket;
+let networkTicket;
+let commentTicket;
+
+function createApp(user = null, requester = null) {
+	const app = express();
+	app.set('view engine', 'ejs');
+	app.set('views', path.join(__dirname, '../../src/views'));
+	app.use(express.urlencoded({ extended: true }));
+	app.use(session({
+		secret: 'test-secret-32-chars-minimum-here',
+		resave: false,
+		saveUninitialized: false,
+	}));
+	app.use((req, res, next) => {
+		if (user) {
+			req.session.user = user;
+			res.locals.currentUser = user;
+		}
+		if (requester) {
+			req.session.requester = requester;
+		}
+		res.locals.currentPath = req.path;
+		next();
+	});
+	app.use('/admin', adminRouter);
+	app.use('/', publicRouter);
+	return app;
+}
+
+function createSearchTicket(subject, description, requesterName = 'Search Requester') {
+	return createTicket({
+		requester_name: requesterName,
+		support_type: 'Hardware',
+		subject,
+		description,
+	}, REQUESTER_EMAIL);
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+
+	printerTicket = await createSearchTicket(
+		`Search Test impresora ${MARKER}`,
+		'La impresora del segundo piso no imprime los documentos en color'
+	);
+	networkTicket = await createSearchTicket(
+		`Search Test red ${MARKER}`,
+		'Sin conexión a internet; la impresora compartida tampoco responde'
+	);
+	commentTicket = await createSearchTicket(
+		`Search Test pantalla ${MARKER}`,
+		'El monitor parpadea al encender el equipo'
+	);
+	await ticketService.addComment(commentTicket.id, commentTicket.reference, {
+		author_name: 'Técnico',
+		content: 'Se reemplazó el cable del proyector <b>HDMI</b>',
+		is_internal: false,
+	});
+	await ticketService.addComment(commentTicket.id, commentTicket.reference, {
+		author_name: 'Técnico',
+		content: 'Nota interna: revisar garantía del teclado',
+		is_internal: true,
+	});
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM tickets WHERE subject LIKE 'Search Test%'");
+});
+
+describe('TicketRepository full-text search', () => {
+	it('should match Spanish word variants and rank the best match first', async () => {
+		const { tickets } = await ticketService.listTickets({ search: `impresoras ${MARKER}` }, 1, 10);
+
+		expect(tickets.map(t => t.id)).toEqual([printerTicket.id, networkTicket.id]);
+		expect(Number(tickets[0].search_rank)).toBeGreaterThan(Number(tickets[1].search_rank));
+		expect(tickets[0].search_snippet).toContain('impresora');
+	});
+
+	it('should find tickets by public comment content', async () => {
+		const { tickets, pagination } = await ticketService.listTickets({ search: 'proyector' }, 1, 10);
+
+		expect(tickets.map(t => t.id)).toContain(commentTicket.id);
+		expect(pagination.totalTickets).toBeGreaterThanOrEqual(1);
+		const match = tickets.find(t => t.id === commentTicket.id);
+		expect(match.comment_snippet).toContain('proyector');
+	});
+
+	it('should only search internal comments when requested', async () => {
+		const publicResult = await ticketService.listTickets({ search: 'garantía teclado' }, 1, 10);
+		const staffResult = await ticketService.listTickets({ search: 'garantía teclado', include_internal: true }, 1, 10);
+
+		expect(publicResult.tickets.map(t => t.id)).not.toContain(commentTicket.id);
+		expect(staffResult.tickets.map(t => t.id)).toContain(commentTicket.id);
+	});
+
+	it('should find tickets by partial reference', async () => {
+		const partial = printerTicket.reference.slice(-6);
+		const { tickets } = await ticketService.listTickets({ search: partial }, 1, 10);
+
+		expect(tickets.map(t => t.id)).toContain(printerTicket.id);
+	});
+
+	it('should combine search with the existing filters', async () => {
+		const { tickets } = await ticketService.listTickets({ search: MARKER, status: 'Cerrado' }, 1, 10);
+
+		expect(tickets).toHaveLength(0);
+	});
+});
+
+describe('Search in list views', () => {
+	it('should filter the admin list and highlight matches', async () => {
+		const app = createApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(app).get('/admin').query({ q: `impresora ${MARKER}` });
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain(printerTicket.reference);
+		expect(res.text).not.toContain(commentTicket.reference);
+		expect(res.text).toContain('<mark class="bg-yellow-200 rounded px-0.5">impresora</mark>');
+	});
+
+	it('should filter the public list without exposing internal comments', async () => {
+		const app = createApp(null, { email: REQUESTER_EMAIL });
+
+		const found = await request(app).get('/tickets').query({ q: 'proyector' });
+		const internal = await request(app).get('/tickets').query({ q: 'garantía teclado' });
+
+		expect(found.text).toContain(commentTicket.reference);
+		expect(found.text).toContain('<mark class="bg-yellow-200 rounded px-0.5">proyector</mark>');
+		expect(found.text).not.toContain('<b>HDMI</b>');
+		expect(internal.text).not.toContain(commentTicket.reference);
+	});
+
+	it('should return JSON results from the admin search endpoint', async () => {
+		const app = createApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(app).get('/admin/buscar').query({ q: `impresora ${MARKER}`, limit: 1 });
+
+		expect(res.status).toBe(200);
+		expect(res.body.results).toHaveLength(1);
+		expect(res.body.results[0].reference).toBe(printerTicket.reference);
+		expect(res.body.results[0].url).toBe(`/admin/tickets/${printerTicket.reference}`);
+		expect(res.body.results[0].snippet).toContain('<mark');
+	});
+
+	it('should return no results for an empty search', async () => {
+		const app = createApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(app).get('/admin/buscar').query({ q: '   ' });
+
+		expect(res.body.results).toEqual([]);
+	});
+
+	it('should require authentication for the admin search endpoint', async () => {
+		const res = await request(createApp()).get('/admin/buscar').query({ q: 'impresora' });
+
+		expect(res.status).toBe(302);
+	});
+});
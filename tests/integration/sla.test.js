@@ -0,0 +1,220 @@
+/**
+ * Tests de integración para políticas de SLA y detección de incumplimientos
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createTicket } from '../helpers/dbHelper.js';
+
+const PRIORITY = 'Crítica – Bloquea mi trabajo';
+const SUPPORT_TYPE = 'Otro';
+const TICKET = {
+	requester_name: 'SLA Requester',
+	support_type: SUPPORT_TYPE,
+	priority: PRIORITY,
+	subject: 'SLA Test Ticket',
+	description: 'Ticket used to verify SLA tracking',
+};
+
+let pool;
+let adminUser;
+let ticketService;
+let SlaService;
+
+async function getTicket(id) {
+	const { rows } = await pool.query('SELECT * FROM tickets WHERE id = $1', [id]);
+	return rows[0];
+}
+
+async function getNotifications(ticketId, type) {
+	const { rows } = await pool.query(
+		'SELECT * FROM notifications WHERE ticket_id = $1 AND type = $2 AND user_id = $3',
+		[ticketId, type, adminUser.id]
+	);
+	return rows;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+	({ SlaService } = await import('../../src/services/slaService.js'));
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+
+	// Política específica 24/7 para que el cálculo no dependa de la hora de ejecución
+	await pool.query('DELETE FROM sla_policies WHERE priority = $1 AND support_type = $2', [PRIORITY, SUPPORT_TYPE]);
+	await pool.query(
+		`INSERT INTO sla_policies (priority, support_type, first_response_minutes, resolution_minutes, business_hours_only)
+		 VALUES ($1, $2, 15, 60, false)`,
+		[PRIORITY, SUPPORT_TYPE]
+	);
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM tickets WHERE subject LIKE 'SLA Test%'");
+	await pool.query('DELETE FROM sla_policies WHERE support_type = $1', [SUPPORT_TYPE]);
+});
+
+describe('SLA', () => {
+	let ticket;
+
+	beforeEach(async () => {
+		ticket = await createTicket(TICKET);
+	});
+
+	it('should compute due dates from the most specific policy on creation', async () => {
+		const created = new Date(ticket.created_at).getTime();
+
+		expect(new Date(ticket.first_response_due).getTime() - created).toBeLessThan(16 * 60 * 1000);
+		expect(new Date(ticket.first_response_due).getTime() - created).toBeGreaterThan(14 * 60 * 1000);
+		expect(new Date(ticket.resolution_due).getTime() - created).toBeLessThan(61 * 60 * 1000);
+		expect(ticket.sla_response_breached).toBe(false);
+	});
+
+	it('should record the first public staff comment as first response', async () => {
+		await ticketService.addComment(ticket.id, ticket.reference, {
+			author_name: 'Soporte',
+			content: 'Nota interna',
+			is_internal: true,
+			user_id: adminUser.id,
+		});
+		expect((await getTicket(ticket.id)).first_responded_at).toBeNull();
+
+		await ticketService.addComment(ticket.id, ticket.reference, {
+			author_name: 'Soporte',
+			content: 'Estamos revisando',
+			is_internal: false,
+			user_id: adminUser.id,
+		});
+		const responded = await getTicket(ticket.id);
+		expect(responded.first_responded_at).not.toBeNull();
+		expect(responded.sla_response_breached).toBe(false);
+	});
+
+	it('should flag late responses as breached', async () => {
+		await pool.query("UPDATE tickets SET first_response_due = NOW() - INTERVAL '1 minute' WHERE id = $1", [ticket.id]);
+
+		await ticketService.updateTicketStatus(ticket.id, ticket.reference, 'En Proceso', null, adminUser);
+
+		const updated = await getTicket(ticket.id);
+		expect(updated.first_responded_at).not.toBeNull();
+		expect(updated.sla_response_breached).toBe(true);
+	});
+
+	it('should set resolved_at on resolution and clear it when reopened', async () => {
+		const resolved = await ticketService.updateTicketStatus(ticket.id, ticket.reference, 'Resuelto', null, adminUser, {
+			resolution_note: 'Solucionado',
+		});
+		expect(resolved.resolved_at).not.toBeNull();
+		expect(resolved.sla_resolution_breached).toBe(false);
+
+		const reopened = await ticketService.updateTicketStatus(ticket.id, ticket.reference, 'En Proceso', null, adminUser);
+		expect(reopened.resolved_at).toBeNull();
+	});
+
+	it('should notify warnings and breaches only once', async () => {
+		await pool.query(
+			`UPDATE tickets
+			 SET first_response_due = NOW() - INTERVAL '1 minute', resolution_due = NOW() + INTERVAL '10 minutes'
+			 WHERE id = $1`,
+			[ticket.id]
+		);
+		const slaService = new SlaService({ warningMinutes: 30 });
+
+		const result = await slaService.checkBreaches();
+		expect(result.breaches).toBeGreaterThanOrEqual(1);
+		expect(result.warnings).toBeGreaterThanOrEqual(1);
+
+		const updated = await getTicket(ticket.id);
+		expect(updated.sla_response_breached).toBe(true);
+		expect(updated.sla_resolution_warned).toBe(true);
+		expect(updated.sla_resolution_breached).toBe(false);
+		expect(await getNotifications(ticket.id, 'sla_breach')).toHaveLength(1);
+		expect(await getNotifications(ticket.id, 'sla_warning')).toHaveLength(1);
+
+		await slaService.checkBreaches();
+		expect(await getNotifications(ticket.id, 'sla_breach')).toHaveLength(1);
+		expect(await getNotifications(ticket.id, 'sla_warning')).toHaveLength(1);
+	});
+
+	it('should show SLA status on the admin detail page', async () => {
+		const app = createAuthenticatedApp(adminUser);
+
+		const res = await request(app).get(`/admin/tickets/${ticket.reference}`);
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Primera respuesta');
+		expect(res.text).toContain('En plazo');
+	});
+});
+
+describe('SLA policies admin', () => {
+	let app;
+
+	beforeEach(() => {
+		app = createAuthenticatedApp(adminUser);
+	});
+
+	it('should list policies', async () => {
+		const res = await request(app).get('/admin/sla');
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Políticas de SLA');
+		expect(res.text).toContain(PRIORITY);
+	});
+
+	it('should create, update and delete a policy', async () => {
+		const created = await request(app)
+			.post('/admin/sla/crear')
+			.type('form')
+			.send({
+				priority: 'Baja – No es urgente',
+				support_type: SUPPORT_TYPE,
+				first_response_minutes: '120',
+				resolution_minutes: '600',
+				business_hours_only: 'on',
+				is_active: 'on',
+			});
+		expect(created.status).toBe(302);
+		expect(created.headers.location).toContain('success');
+
+		const { rows } = await pool.query(
+			'SELECT * FROM sla_policies WHERE priority = $1 AND support_type = $2',
+			['Baja – No es urgente', SUPPORT_TYPE]
+		);
+		expect(rows).toHaveLength(1);
+		expect(rows[0].business_hours_only).toBe(true);
+
+		const duplicate = await request(app)
+			.post('/admin/sla/crear')
+			.type('form')
+			.send({ priority: 'Baja – No es urgente', support_type: SUPPORT_TYPE, first_response_minutes: '60', resolution_minutes: '60' });
+		expect(duplicate.headers.location).toContain('error');
+
+		await request(app)
+			.post(`/admin/sla/${rows[0].id}/actualizar`)
+			.type('form')
+			.send({ first_response_minutes: '30', resolution_minutes: '300', is_active: 'on' });
+		const updated = await pool.query('SELECT * FROM sla_policies WHERE id = $1', [rows[0].id]);
+		expect(updated.rows[0].first_response_minutes).toBe(30);
+		expect(updated.rows[0].business_hours_only).toBe(false);
+
+		await request(app).post(`/admin/sla/${rows[0].id}/eliminar`);
+		const deleted = await pool.query('SELECT * FROM sla_policies WHERE id = $1', [rows[0].id]);
+		expect(deleted.rows).toHaveLength(0);
+	});
+
+	it('should reject invalid targets', async () => {
+		const res = await request(app)
+			.post('/admin/sla/crear')
+			.type('form')
+			.send({ priority: 'Baja – No es urgente', first_response_minutes: '120', resolution_minutes: '60' });
+
+		expect(res.status).toBe(302);
+		expect(res.headers.location).toContain('error');
+	});
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests de integración para la exportación del listado de tickets
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { PassThrough } from 'stream';
+import ExcelJS from 'exceljs';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { appFor } from '../helpers/testApp.js';
+import { createTicket, createUser } from '../helpers/dbHelper.js';
+
+const SUBJECT = 'Export Test Ticket';
+const SEARCH = 'exportacionprueba';
+const TICKET = {
+	requester_name: 'Elena Export',
+	department: 'Finanzas',
+	subject: SUBJECT,
+	description: `Ticket ${SEARCH} used to verify the export`,
+};
+
+let pool;
+let adminUser;
+let supervisorUser;
+let tecnicoUser;
+let ticketService;
+let tickets;
+
+// Acumula el cuerpo binario de la respuesta (para el archivo de Excel)
+function binaryParser(res, callback) {
+	const chunks = [];
+	res.on('data', chunk => chunks.push(chunk));
+	res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+	supervisorUser = await createUser('export_supervisor', 'supervisor');
+	tecnicoUser = await createUser('export_tecnico', 'tecnico');
+
+	tickets = [
+		await createTicket({ ...TICKET, priority: 'Alta – Necesito ayuda pronto' }),
+		await createTicket({ ...TICKET, priority: 'Alta – Necesito ayuda pronto' }),
+		await createTicket({ ...TICKET, priority: 'Baja – No es urgente' }),
+	];
+	await ticketService.deleteTicket(tickets[1].id, adminUser);
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM tickets WHERE subject = $1', [SUBJECT]);
+	await pool.query("DELETE FROM users WHERE username IN ('export_supervisor', 'export_tecnico')");
+});
+
+describe('Ticket export', () => {
+	it('should export the filtered list as CSV with the chosen columns', async () => {
+		const res = await request(appFor(adminUser))
+			.get('/admin/tickets/exportar')
+			.query({ q: SEARCH, priority: 'Alta – Necesito ayuda pronto', format: 'csv', columns: ['reference', 'priority', 'channel'] });
+		const lines = res.text.trim().split('\r\n');
+
+		expect(res.status).toBe(200);
+		expect(res.headers['content-type']).toContain('text/csv');
+		expect(res.headers['content-disposition']).toMatch(/attachment; filename="tickets-\d{8}-\d{4}\.csv"/);
+		expect(lines).toEqual([
+			'Referencia,Prioridad,Canal',
+			`${tickets[0].reference},Alta – Necesito ayuda pronto,Formulario web`,
+		]);
+	});
+
+	it('should export the default columns as an Excel workbook', async () => {
+		const res = await request(appFor(supervisorUser))
+			.get('/admin/tickets/exportar')
+			.query({ q: SEARCH, format: 'xlsx' })
+			.buffer(true)
+			.parse(binaryParser);
+		const workbook = new ExcelJS.Workbook();
+		await workbook.xlsx.load(res.body);
+		const sheet = workbook.getWorksheet('Tickets');
+
+		expect(res.status).toBe(200);
+		expect(res.headers['content-type']).toContain('spreadsheetml');
+		expect(sheet.getRow(1).values.slice(1)).toContain('Técnico asignado');
+		expect(sheet.rowCount).toBe(3);
+		expect([sheet.getRow(2).getCell(1).value, sheet.getRow(3).getCell(1).value])
+			.toEqual([tickets[2].reference, tickets[0].reference]);
+	});
+
+	it('should read the rows in batches with a cursor', async () => {
+		const { ExportService } = await import('../../src/services/exportService.js');
+		const service = new ExportService({ batchSize: 1 });
+		const output = new PassThrough();
+		const chunks = [];
+		output.on('data', chunk => chunks.push(chunk));
+
+		const total = await service.exportTickets({ search: SEARCH, include_internal: true }, { format: 'csv', columns: ['reference'] }, output);
+
+		expect(total).toBe(2);
+		expect(Buffer.concat(chunks).toString()).toContain(tickets[0].reference);
+	});
+
+	it('should reject invalid formats and columns', async () => {
+		const format = await request(appFor(adminUser)).get('/admin/tickets/exportar').query({ format: 'pdf' });
+		const columns = await request(appFor(adminUser)).get('/admin/tickets/exportar').query({ columns: 'edit_token' });
+
+		expect(decodeURIComponent(format.headers.location)).toContain('Formato de exportación inválido');
+		expect(decodeURIComponent(columns.headers.location)).toContain('Columna de exportación inválida');
+	});
+
+	it('should require the export_tickets or view_statistics permission', async () => {
+		const res = await request(appFor(tecnicoUser)).get('/admin/tickets/exportar');
+		const panel = await request(appFor(tecnicoUser)).get('/admin');
+		const adminPanel = await request(appFor(adminUser)).get(`/admin?q=${SEARCH}`);
+
+		expect(res.status).toBe(403);
+		expect(panel.text).not.toContain('/admin/tickets/exportar');
+		expect(adminPanel.text).toContain('action="/admin/tickets/exportar"');
+		expect(adminPanel.text).toContain(`name="q" value="${SEARCH}"`);
+	});
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests de integración para el historial de eventos de tickets
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createTicket } from '../helpers/dbHelper.js';
+
+let pool;
+let adminUser;
+let ticketService;
+
+async function getEvents(ticketId) {
+	const { rows } = await pool.query(
+		'SELECT * FROM ticket_events WHERE ticket_id = $1 ORDER BY id ASC',
+		[ticketId]
+	);
+	return rows;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM tickets WHERE subject LIKE 'History Test%'");
+});
+
+describe('Ticket History', () => {
+	let ticket;
+
+	beforeEach(async () => {
+		ticket = await createTicket({
+			requester_name: 'History Requester',
+			support_type: 'Hardware',
+			subject: 'History Test Ticket',
+			description: 'Ticket used to verify the audit trail',
+		});
+	});
+
+	it('should record creation with the requester as actor', async () => {
+		const events = await getEvents(ticket.id);
+
+		expect(events).toHaveLength(1);
+		expect(events[0].event_type).toBe('created');
+		expect(events[0].actor_name).toBe('History Requester');
+	});
+
+	it('should record status changes with old and new value', async () => {
+		await ticketService.updateTicketStatus(ticket.id, ticket.reference, 'En Proceso', null, adminUser);
+
+		const events = await getEvents(ticket.id);
+		const change = events.find(e => e.event_type === 'status_change');
+
+		expect(change.old_value).toBe('Pendiente');
+		expect(change.new_value).toBe('En Proceso');
+		expect(change.actor_id).toBe(adminUser.id);
+	});
+
+	it('should not record a status change when the status is unchanged', async () => {
+		await ticketService.updateTicketStatus(ticket.id, ticket.reference, 'Pendiente', null, adminUser);
+
+		const events = await getEvents(ticket.id);
+		expect(events.some(e => e.event_type === 'status_change')).toBe(false);
+	});
+
+	it('should record assignment and unassignment by username', async () => {
+		await ticketService.assignTicket(ticket.id, ticket.reference, adminUser.id, adminUser);
+		await ticketService.assignTicket(ticket.id, ticket.reference, null, adminUser);
+
+		const assignments = (await getEvents(ticket.id)).filter(e => e.event_type === 'assignment');
+
+		expect(assignments).toHaveLength(2);
+		expect(assignments[0].old_value).toBeNull();
+		expect(assignments[0].new_value).toBe(adminUser.username);
+		expect(assignments[1].old_value).toBe(adminUser.username);
+		expect(assignments[1].new_value).toBeNull();
+	});
+
+	it('should record only the fields changed through the edit token', async () => {
+		await ticketService.updateTicketByToken(ticket.edit_token, {
+			priority: 'Alta – Necesito ayuda pronto',
+			department: 'IT',
+		});
+
+		const changes = (await getEvents(ticket.id)).filter(e => e.event_type === 'field_change');
+
+		expect(changes).toHaveLength(1);
+		expect(changes[0].field).toBe('priority');
+		expect(changes[0].old_value).toBe('Media – Puede esperar unas horas');
+		expect(changes[0].new_value).toBe('Alta – Necesito ayuda pronto');
+		expect(changes[0].actor_name).toBe('History Requester');
+	});
+
+	it('should record public and internal comments separately', async () => {
+		await ticketService.addComment(ticket.id, ticket.reference, {
+			author_name: 'History Requester',
+			content: 'Public comment',
+			is_internal: false,
+		});
+		await ticketService.addComment(ticket.id, ticket.reference, {
+			user_id: adminUser.id,
+			author_name: adminUser.username,
+			content: 'Internal note',
+			is_internal: true,
+		});
+
+		const types = (await getEvents(ticket.id)).map(e => e.event_type);
+		expect(types).toContain('comment');
+		expect(types).toContain('internal_comment');
+
+		const publicHistory = await ticketService.getTicketHistory(ticket.id, false);
+		expect(publicHistory.some(e => e.event_type === 'internal_comment')).toBe(false);
+	});
+
+	it('should render the timeline on the admin detail page', async () => {
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		await request(app)
+			.post(`/admin/tickets/${ticket.reference}/estado`)
+			.type('form')
+			.send({ status: 'En Proceso' });
+
+		const res = await request(app).get(`/admin/tickets/${ticket.reference}`);
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Historial');
+		expect(res.text).toContain('Estado cambiado de &#34;Pendiente&#34; a &#34;En Proceso&#34;');
+	});
+});
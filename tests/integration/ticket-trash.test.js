@@ -0,0 +1,235 @@
+/**
+ * Tests de integración para la papelera de tickets y las acciones masivas
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createTicket, createUser } from '../helpers/dbHelper.js';
+
+const SUBJECT = 'Trash Test Ticket';
+const SLA_SUPPORT_TYPE = 'Correo Electrónico';
+const MINUTE = 60 * 1000;
+const TICKET = {
+	requester_name: 'Tomás Trash',
+	subject: SUBJECT,
+	description: 'Ticket used to verify the trash and bulk actions',
+};
+
+let pool;
+let adminUser;
+let tecnicoUser;
+let ticketService;
+
+async function getTicket(id) {
+	const { rows } = await pool.query('SELECT * FROM tickets WHERE id = $1', [id]);
+	return rows[0];
+}
+
+async function getEvents(ticketId, eventType) {
+	const { rows } = await pool.query(
+		'SELECT * FROM ticket_events WHERE ticket_id = $1 AND event_type = $2 ORDER BY id',
+		[ticketId, eventType]
+	);
+	return rows;
+}
+
+function adminApp() {
+	return createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+
+	tecnicoUser = await createUser('trash_tecnico');
+
+	// Políticas 24/7 para que las fechas no dependan del horario laboral
+	await pool.query('DELETE FROM sla_policies WHERE support_type = $1', [SLA_SUPPORT_TYPE]);
+	await pool.query(
+		`INSERT INTO sla_policies (priority, support_type, first_response_minutes, resolution_minutes, business_hours_only)
+		 VALUES ('Baja – No es urgente', $1, 480, 2880, false), ('Alta – Necesito ayuda pronto', $1, 30, 240, false)`,
+		[SLA_SUPPORT_TYPE]
+	);
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM sla_policies WHERE support_type = $1', [SLA_SUPPORT_TYPE]);
+	await pool.query('DELETE FROM tickets WHERE subject = $1', [SUBJECT]);
+	await pool.query("DELETE FROM users WHERE username = 'trash_tecnico'");
+});
+
+describe('Ticket trash', () => {
+	it('should send a ticket to the trash and hide it everywhere', async () => {
+		const ticket = await createTicket(TICKET);
+		const app = adminApp();
+
+		const res = await request(app).post(`/admin/tickets/${ticket.reference}/eliminar`);
+		const detail = await request(app).get(`/admin/tickets/${ticket.reference}`);
+		const search = await request(app).get(`/admin/buscar?q=${ticket.reference}`);
+		const stored = await getTicket(ticket.id);
+
+		expect(decodeURIComponent(res.headers.location)).toContain(`Ticket ${ticket.reference} enviado a la papelera`);
+		expect(detail.status).toBe(404);
+		expect(search.body.results).toHaveLength(0);
+		expect(stored.deleted_at).not.toBeNull();
+		expect(stored.deleted_by).toBe(adminUser.id);
+		expect(await getEvents(ticket.id, 'deleted')).toHaveLength(1);
+	});
+
+	it('should list deleted tickets and restore them', async () => {
+		const ticket = await createTicket(TICKET);
+		await ticketService.deleteTicket(ticket.id, adminUser);
+		const app = adminApp();
+
+		const trash = await request(app).get('/admin/papelera');
+		const res = await request(app).post(`/admin/papelera/${ticket.id}/restaurar`);
+		const detail = await request(app).get(`/admin/tickets/${ticket.reference}`);
+
+		expect(trash.status).toBe(200);
+		expect(trash.text).toContain(ticket.reference);
+		expect(decodeURIComponent(res.headers.location)).toContain(`Ticket ${ticket.reference} restaurado`);
+		expect(detail.status).toBe(200);
+		expect(detail.text).toContain('Ticket restaurado de la papelera');
+		expect((await getTicket(ticket.id)).deleted_at).toBeNull();
+	});
+
+	it('should deny deleting and the trash without the delete_tickets permission', async () => {
+		const ticket = await createTicket(TICKET);
+		const app = createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' });
+
+		const res = await request(app).post(`/admin/tickets/${ticket.reference}/eliminar`);
+		const trash = await request(app).get('/admin/papelera');
+
+		expect(res.status).toBe(403);
+		expect(trash.status).toBe(403);
+		expect((await getTicket(ticket.id)).deleted_at).toBeNull();
+	});
+
+	it('should purge only the tickets past the retention period', async () => {
+		const expired = await createTicket(TICKET);
+		const recent = await createTicket(TICKET);
+		await ticketService.deleteTicket(expired.id, adminUser);
+		await ticketService.deleteTicket(recent.id, adminUser);
+		await pool.query("UPDATE tickets SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = $1", [expired.id]);
+
+		const purged = await ticketService.purgeDeletedTickets(30);
+
+		expect(purged).toBeGreaterThanOrEqual(1);
+		expect(await getTicket(expired.id)).toBeUndefined();
+		expect(await getTicket(recent.id)).toBeDefined();
+	});
+});
+
+describe('Bulk ticket actions', () => {
+	it('should change the status of several tickets and record each change', async () => {
+		const first = await createTicket(TICKET);
+		const second = await createTicket(TICKET);
+
+		const res = await request(adminApp())
+			.post('/admin/tickets/masivo')
+			.type('form')
+			.send({ ticket_ids: [first.id, second.id], action: 'status', status: 'En Proceso' });
+
+		expect(decodeURIComponent(res.headers.location)).toContain('Acción aplicada a 2 ticket(s)');
+		expect((await getTicket(first.id)).status).toBe('En Proceso');
+		expect((await getTicket(second.id)).status).toBe('En Proceso');
+		expect(await getEvents(first.id, 'status_change')).toHaveLength(1);
+		expect(await getEvents(second.id, 'status_change')).toHaveLength(1);
+	});
+
+	it('should report the tickets the workflow rejects and apply the rest', async () => {
+		const open = await createTicket(TICKET);
+		const closed = await createTicket(TICKET);
+		await pool.query("UPDATE tickets SET status = 'En Proceso' WHERE id = $1", [open.id]);
+		await pool.query("UPDATE tickets SET status = 'Cerrado' WHERE id = $1", [closed.id]);
+
+		const res = await request(adminApp())
+			.post('/admin/tickets/masivo')
+			.type('form')
+			.send({ ticket_ids: [open.id, closed.id], action: 'status', status: 'Pendiente' });
+		const location = decodeURIComponent(res.headers.location);
+
+		expect(location).toContain('Acción aplicada a 1 ticket(s)');
+		expect(location).toContain(`${closed.reference}: Transición no permitida: Cerrado → Pendiente`);
+		expect((await getTicket(open.id)).status).toBe('Pendiente');
+		expect((await getTicket(closed.id)).status).toBe('Cerrado');
+	});
+
+	it('should assign, reprioritize and delete in bulk', async () => {
+		const first = await createTicket(TICKET);
+		const second = await createTicket(TICKET);
+		const app = adminApp();
+
+		await request(app).post('/admin/tickets/masivo').type('form')
+			.send({ ticket_ids: [first.id, second.id], action: 'assign', technician_id: tecnicoUser.id });
+		await request(app).post('/admin/tickets/masivo').type('form')
+			.send({ ticket_ids: [first.id, second.id], action: 'priority', priority: 'Crítica – Bloquea mi trabajo' });
+		await request(app).post('/admin/tickets/masivo').type('form')
+			.send({ ticket_ids: [first.id], action: 'delete' });
+
+		const updated = await getTicket(second.id);
+		expect(updated.assigned_to).toBe(tecnicoUser.id);
+		expect(updated.priority).toBe('Crítica – Bloquea mi trabajo');
+		expect(await getEvents(second.id, 'assignment')).toHaveLength(1);
+		expect(await getEvents(second.id, 'field_change')).toHaveLength(1);
+		expect((await getTicket(first.id)).deleted_at).not.toBeNull();
+		expect(updated.deleted_at).toBeNull();
+	});
+
+	it('should recompute the SLA due dates when reprioritizing in bulk', async () => {
+		const ticket = await createTicket({ ...TICKET, support_type: SLA_SUPPORT_TYPE, priority: 'Baja – No es urgente' });
+		const createdAt = new Date('2025-03-03T09:00:00Z');
+		await pool.query('UPDATE tickets SET created_at = $2 WHERE id = $1', [ticket.id, createdAt]);
+
+		await request(adminApp()).post('/admin/tickets/masivo').type('form')
+			.send({ ticket_ids: [ticket.id], action: 'priority', priority: 'Alta – Necesito ayuda pronto' });
+
+		const updated = await getTicket(ticket.id);
+		expect(updated.priority).toBe('Alta – Necesito ayuda pronto');
+		expect(updated.first_response_due).toEqual(new Date(createdAt.getTime() + 30 * MINUTE));
+		expect(updated.resolution_due).toEqual(new Date(createdAt.getTime() + 240 * MINUTE));
+	});
+
+	it('should reject actions the user has no permission for', async () => {
+		const ticket = await createTicket(TICKET);
+		const app = createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' });
+
+		const priority = await request(app).post('/admin/tickets/masivo').type('form')
+			.send({ ticket_ids: [ticket.id], action: 'priority', priority: 'Baja – No es urgente' });
+		const remove = await request(app).post('/admin/tickets/masivo').type('form')
+			.send({ ticket_ids: [ticket.id], action: 'delete' });
+
+		expect(decodeURIComponent(priority.headers.location)).toContain('No tienes permisos para editar tickets');
+		expect(decodeURIComponent(remove.headers.location)).toContain('No tienes permisos para eliminar tickets');
+		expect(await getTicket(ticket.id)).toMatchObject({ priority: 'Media – Puede esperar unas horas', deleted_at: null });
+	});
+
+	it('should require at least one ticket and the action value', async () => {
+		const ticket = await createTicket(TICKET);
+		const app = adminApp();
+
+		const empty = await request(app).post('/admin/tickets/masivo').type('form').send({ action: 'delete' });
+		const noStatus = await request(app).post('/admin/tickets/masivo').type('form')
+			.send({ ticket_ids: [ticket.id], action: 'status', status: '' });
+
+		expect(decodeURIComponent(empty.headers.location)).toContain('Selecciona al menos un ticket');
+		expect(decodeURIComponent(noStatus.headers.location)).toContain('Selecciona el nuevo estado');
+	});
+
+	it('should show the bulk actions allowed to the user on the list', async () => {
+		const admin = await request(adminApp()).get('/admin');
+		const tecnico = await request(
+			createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' })
+		).get('/admin');
+
+		expect(admin.text).toContain('Enviar a la papelera');
+		expect(tecnico.text).toContain('Cambiar estado');
+		expect(tecnico.text).not.toContain('Enviar a la papelera');
+	});
+});
@@ -0,0 +1,225 @@
+/**
+ * Tests de integración para la verificación en dos pasos (TOTP)
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp, createLoginApp } from '../helpers/testApp.js';
+import { createUser } from '../helpers/dbHelper.js';
+import config from '../../src/config/index.js';
+import totp from '../../src/utils/totp.js';
+
+const PASSWORD = 'Segura123';
+const ROLE_NAME = 'twofa_required_test';
+
+let pool;
+let adminUser;
+let optionalUser;
+let requiredUser;
+let requiredRole;
+
+async function findUser(id) {
+	const { rows } = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+	return rows[0];
+}
+
+/**
+ * Código válido de un paso posterior al último usado, para no chocar con la
+ * protección contra reutilización cuando dos tests caen en el mismo paso
+ */
+async function nextCode(userId) {
+	const user = await findUser(userId);
+	const step = Math.max(totp.getTimeStep(), Number(user.totp_last_step || 0) + 1);
+	return totp.generateCode(user.totp_secret, step);
+}
+
+function login(agent, username) {
+	return agent.post('/admin/login').type('form').send({ username, password: PASSWORD });
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+
+	const { rows: admins } = await pool.query("SELECT * FROM users WHERE role = 'admin' ORDER BY id LIMIT 1");
+	adminUser = admins[0];
+
+	const { rows: roles } = await pool.query(
+		`INSERT INTO roles (name, display_name, description, require_2fa, is_system)
+		 VALUES ($1, 'Rol con 2FA', 'Rol de prueba', true, false)
+		 ON CONFLICT (name) DO UPDATE SET require_2fa = true
+		 RETURNING *`,
+		[ROLE_NAME]
+	);
+	requiredRole = roles[0];
+
+	optionalUser = await createUser('twofa_optional', 'tecnico', { password: PASSWORD });
+	requiredUser = await createUser('twofa_required', 'tecnico', { password: PASSWORD, roleId: requiredRole.id });
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM users WHERE username IN ('twofa_optional', 'twofa_required')");
+	await pool.query('DELETE FROM roles WHERE name = $1', [ROLE_NAME]);
+});
+
+describe('Two-factor - enrolment from the profile', () => {
+	let recoveryCodes;
+
+	it('should show the QR and activate with a valid code', async () => {
+		const agent = request.agent(createAuthenticatedApp({ id: optionalUser.id, username: optionalUser.username, role: 'tecnico' }));
+
+		const started = await agent.post('/admin/perfil/2fa/iniciar');
+		expect(started.status).toBe(200);
+		expect(started.text).toContain('src="data:image/png;base64,');
+		const secret = started.text.match(/font-mono text-gray-900 bg-gray-100[^>]*>([A-Z2-7]{32})</)[1];
+
+		const wrong = await agent.post('/admin/perfil/2fa/activar').type('form').send({ code: '12' });
+		expect(wrong.text).toContain('El código no es válido');
+
+		const res = await agent.post('/admin/perfil/2fa/activar').type('form')
+			.send({ code: totp.generateCode(secret, totp.getTimeStep()) });
+		recoveryCodes = [...res.text.matchAll(/<code class="text-sm font-mono text-gray-900">([0-9a-f]{5}-[0-9a-f]{5})<\/code>/g)].map(match => match[1]);
+		const user = await findUser(optionalUser.id);
+
+		expect(res.text).toContain('Verificación en dos pasos activada');
+		expect(recoveryCodes).toHaveLength(totp.RECOVERY_CODE_COUNT);
+		expect(user.totp_secret).toBe(secret);
+		expect(user.totp_enabled_at).not.toBeNull();
+		expect(user.recovery_code_hashes).toEqual(recoveryCodes.map(code => totp.hashRecoveryCode(code)));
+	});
+
+	it('should ask for the code after the password and reject it reused', async () => {
+		const agent = request.agent(createLoginApp());
+
+		const res = await login(agent, 'twofa_optional');
+		expect(res.status).toBe(302);
+		expect(res.headers.location).toBe('/admin/login/2fa');
+
+		// Sin el segundo paso no hay sesión
+		const panel = await agent.get('/admin');
+		expect(panel.headers.location).toBe('/admin/login');
+
+		const code = await nextCode(optionalUser.id);
+		const verified = await agent.post('/admin/login/2fa').type('form').send({ code });
+		expect(verified.headers.location).toBe('/admin');
+
+		const replay = request.agent(createLoginApp());
+		await login(replay, 'twofa_optional');
+		const rejected = await replay.post('/admin/login/2fa').type('form').send({ code });
+		expect(rejected.status).toBe(200);
+		expect(rejected.text).toContain('Código incorrecto');
+	});
+
+	it('should accept each recovery code only once', async () => {
+		const agent = request.agent(createLoginApp());
+		await login(agent, 'twofa_optional');
+
+		const res = await agent.post('/admin/login/2fa').type('form').send({ code: recoveryCodes[0].toUpperCase() });
+		expect(decodeURIComponent(res.headers.location)).toContain(`te quedan ${totp.RECOVERY_CODE_COUNT - 1}`);
+
+		const again = request.agent(createLoginApp());
+		await login(again, 'twofa_optional');
+		const rejected = await again.post('/admin/login/2fa').type('form').send({ code: recoveryCodes[0] });
+		expect(rejected.text).toContain('Código incorrecto');
+	});
+
+	it('should stop pending logins once the account is locked and reset the failures on success', async () => {
+		const pendingBefore = request.agent(createLoginApp());
+		const pendingAfter = request.agent(createLoginApp());
+		await login(pendingBefore, 'twofa_optional');
+
+		// La cuenta se bloquea mientras el primer login espera el código
+		await pool.query("UPDATE users SET locked_until = NOW() + INTERVAL '10 minutes' WHERE id = $1", [optionalUser.id]);
+		const locked = await pendingBefore.post('/admin/login/2fa').type('form').send({ code: recoveryCodes[1] });
+		expect(locked.text).toContain('Cuenta bloqueada por demasiados intentos fallidos');
+		expect((await pendingBefore.get('/admin/login/2fa')).headers.location).toBe('/admin/login');
+
+		await pool.query('UPDATE users SET locked_until = NULL, failed_login_count = 0 WHERE id = $1', [optionalUser.id]);
+		await login(pendingAfter, 'twofa_optional');
+		await pendingAfter.post('/admin/login/2fa').type('form').send({ code: 'ffffffffff' });
+		expect((await findUser(optionalUser.id)).failed_login_count).toBe(1);
+
+		const verified = await pendingAfter.post('/admin/login/2fa').type('form').send({ code: recoveryCodes[1] });
+		expect(verified.headers.location).toMatch(/^\/admin\/perfil\?success=/);
+		expect((await findUser(optionalUser.id)).failed_login_count).toBe(0);
+	});
+
+	it('should lock the account when wrong codes alternate with the correct password', async () => {
+		const agent = request.agent(createLoginApp());
+
+		let res;
+		for (let attempt = 0; attempt < config.auth.maxFailedAttempts; attempt++) {
+			// Volver a enviar la contraseña no reinicia los códigos fallidos
+			expect((await login(agent, 'twofa_optional')).headers.location).toBe('/admin/login/2fa');
+			res = await agent.post('/admin/login/2fa').type('form').send({ code: 'ffffffffff' });
+		}
+
+		expect(res.text).toContain('Cuenta bloqueada por demasiados intentos fallidos');
+		expect((await login(agent, 'twofa_optional')).text).toContain('Cuenta bloqueada por demasiados intentos fallidos');
+		expect((await findUser(optionalUser.id)).locked_until).not.toBeNull();
+
+		await pool.query('UPDATE users SET locked_until = NULL, failed_login_count = 0 WHERE id = $1', [optionalUser.id]);
+	});
+
+	it('should let an admin reset it, but not their own', async () => {
+		const adminApp = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const page = await request(adminApp).get('/admin/usuarios');
+		expect(page.text).toContain(`/admin/usuarios/${optionalUser.id}/2fa/restablecer`);
+
+		const own = await request(adminApp).post(`/admin/usuarios/${adminUser.id}/2fa/restablecer`);
+		expect(own.text).toContain('No puedes restablecer tu propia verificación en dos pasos');
+
+		const res = await request(adminApp).post(`/admin/usuarios/${optionalUser.id}/2fa/restablecer`);
+		const user = await findUser(optionalUser.id);
+		expect(res.text).toContain('Verificación en dos pasos de twofa_optional restablecida');
+		expect(user.totp_secret).toBeNull();
+		expect(user.recovery_code_hashes).toEqual([]);
+
+		const agent = request.agent(createLoginApp());
+		const loginRes = await login(agent, 'twofa_optional');
+		expect(loginRes.headers.location).toBe('/admin');
+	});
+});
+
+describe('Two-factor - required by role', () => {
+	it('should force the enrolment at login and not allow disabling it', async () => {
+		const agent = request.agent(createLoginApp());
+
+		const res = await login(agent, 'twofa_required');
+		expect(res.headers.location).toBe('/admin/login/2fa');
+
+		const setup = await agent.get('/admin/login/2fa');
+		expect(setup.text).toContain('Tu rol requiere la verificación en dos pasos');
+		const secret = setup.text.match(/<code class="text-sm font-mono[^>]*>([A-Z2-7]{32})</)[1];
+
+		const done = await agent.post('/admin/login/2fa').type('form')
+			.send({ code: totp.generateCode(secret, totp.getTimeStep()) });
+		expect(done.status).toBe(200);
+		expect(done.text).toContain('Guarda estos códigos de recuperación');
+
+		const profile = await agent.get('/admin/perfil');
+		expect(profile.status).toBe(200);
+		expect(profile.text).toContain('Tu rol requiere la verificación en dos pasos, así que no puedes desactivarla');
+
+		const disabled = await agent.post('/admin/perfil/2fa/desactivar').type('form')
+			.send({ code: await nextCode(requiredUser.id) });
+		expect(disabled.text).toContain('Tu rol requiere la verificación en dos pasos');
+		expect((await findUser(requiredUser.id)).totp_enabled_at).not.toBeNull();
+	});
+
+	it('should save the requirement from the role form', async () => {
+		const adminApp = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		await request(adminApp).post(`/admin/roles/${requiredRole.id}/actualizar`).type('form')
+			.send({ display_name: 'Rol con 2FA', description: 'Rol de prueba' });
+		const { rows } = await pool.query('SELECT require_2fa FROM roles WHERE id = $1', [requiredRole.id]);
+		expect(rows[0].require_2fa).toBe(false);
+
+		await request(adminApp).post(`/admin/roles/${requiredRole.id}/actualizar`).type('form')
+			.send({ display_name: 'Rol con 2FA', description: 'Rol de prueba', require_2fa: 'on' });
+		const page = await request(adminApp).get(`/admin/roles/${requiredRole.id}`);
+		expect(page.text).toMatch(/name="require_2fa"[^>]*checked/);
+	});
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests de integración para los observadores de tickets
+ */
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createTicket, createUser } from '../helpers/dbHelper.js';
+
+const SUBJECT = 'Watcher Test Ticket';
+const TICKET = {
+	requester_name: 'Walter Watcher',
+	subject: SUBJECT,
+	description: 'Ticket used to verify watchers',
+};
+
+let pool;
+let adminUser;
+let tecnicoUser;
+let ticketService;
+
+async function getWatchers(ticketId) {
+	const { rows } = await pool.query('SELECT * FROM ticket_watchers WHERE ticket_id = $1 ORDER BY id', [ticketId]);
+	return rows;
+}
+
+async function getNotifications(ticketId, userId) {
+	const { rows } = await pool.query(
+		'SELECT * FROM notifications WHERE ticket_id = $1 AND user_id = $2 ORDER BY id',
+		[ticketId, userId]
+	);
+	return rows;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' ORDER BY id LIMIT 1");
+	adminUser = rows[0];
+
+	tecnicoUser = await createUser('watcher_tecnico');
+});
+
+afterAll(async () => {
+	await pool.query('DELETE FROM tickets WHERE subject = $1', [SUBJECT]);
+	await pool.query("DELETE FROM users WHERE username = 'watcher_tecnico'");
+});
+
+describe('Watchers - subscription', () => {
+	it('should let staff follow and unfollow a ticket from the detail page', async () => {
+		const ticket = await createTicket(TICKET);
+		const app = createAuthenticatedApp({ id: tecnicoUser.id, username: tecnicoUser.username, role: 'tecnico' });
+
+		const before = await request(app).get(`/admin/tickets/${ticket.reference}`);
+		expect(before.text).toContain('Seguir este ticket');
+
+		await request(app).post(`/admin/tickets/${ticket.reference}/seguir`);
+		// Seguir dos veces no duplica la suscripción
+		await request(app).post(`/admin/tickets/${ticket.reference}/seguir`);
+		expect(await getWatchers(ticket.id)).toHaveLength(1);
+
+		const after = await request(app).get(`/admin/tickets/${ticket.reference}`);
+		expect(after.text).toContain('Dejar de seguir');
+
+		await request(app).post(`/admin/tickets/${ticket.reference}/dejar-de-seguir`);
+		expect(await getWatchers(ticket.id)).toHaveLength(0);
+	});
+
+	it('should add and remove external emails', async () => {
+		const ticket = await createTicket(TICKET);
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		await request(app).post(`/admin/tickets/${ticket.reference}/observadores`).type('form')
+			.send({ user_id: '', email: 'Jefe@Example.com' });
+		const duplicate = await request(app).post(`/admin/tickets/${ticket.reference}/observadores`).type('form')
+			.send({ user_id: '', email: 'jefe@example.com' });
+		const invalid = await request(app).post(`/admin/tickets/${ticket.reference}/observadores`).type('form')
+			.send({ user_id: '', email: '' });
+
+		expect(decodeURIComponent(duplicate.headers.location)).toContain('jefe@example.com ya sigue este ticket');
+		expect(decodeURIComponent(invalid.headers.location)).toContain('Indica un usuario del equipo o un email externo');
+		const watchers = await getWatchers(ticket.id);
+		expect(watchers).toHaveLength(1);
+		expect(watchers[0]).toMatchObject({ email: 'jefe@example.com', user_id: null, added_by: adminUser.id });
+
+		const page = await request(app).get(`/admin/tickets/${ticket.reference}`);
+		expect(page.text).toContain('jefe@example.com');
+
+		await request(app).post(`/admin/tickets/${ticket.reference}/observadores/${watchers[0].id}/eliminar`);
+		expect(await getWatchers(ticket.id)).toHaveLength(0);
+	});
+});
+
+describe('Watchers - notifications', () => {
+	it('should notify staff watchers of status changes, assignments and public comments', async () => {
+		const ticket = await createTicket(TICKET);
+		const actor = { id: adminUser.id, username: adminUser.username };
+		// Descarta los avisos de ticket nuevo que reciben los administradores
+		await pool.query('DELETE FROM notifications WHERE ticket_id = $1', [ticket.id]);
+		await pool.query('INSERT INTO ticket_watchers (ticket_id, user_id) VALUES ($1, $2)', [ticket.id, tecnicoUser.id]);
+		await pool.query('INSERT INTO ticket_watchers (ticket_id, user_id) VALUES ($1, $2)', [ticket.id, adminUser.id]);
+
+		await ticketService.updateTicketStatus(ticket.id, ticket.reference, 'En Proceso', null, actor);
+		await ticketService.assignTicket(ticket.id, ticket.reference, adminUser.id, actor);
+		await ticketService.addComment(ticket.id, ticket.reference, {
+			user_id: adminUser.id,
+			author_name: adminUser.username,
+			content: 'Revisando el equipo',
+			is_internal: false,
+		});
+		await ticketService.addComment(ticket.id, ticket.reference, {
+			user_id: adminUser.id,
+			author_name: adminUser.username,
+			content: 'Nota interna',
+			is_internal: true,
+		});
+
+		const watcherNotifications = await getNotifications(ticket.id, tecnicoUser.id);
+		expect(watcherNotifications.map(n => n.type)).toEqual(['status_change', 'ticket_assigned', 'new_comment']);
+		expect(watcherNotifications[1].message).toContain(`fue asignado a ${adminUser.username}`);
+
+		// Quien hace el cambio no recibe avisos, salvo el de su propia asignación
+		const actorNotifications = await getNotifications(ticket.id, adminUser.id);
+		expect(actorNotifications.map(n => n.title)).toEqual(['📋 Ticket asignado']);
+	});
+});
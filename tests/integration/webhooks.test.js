@@ -0,0 +1,268 @@
+/**
+ * Tests de integración para webhooks salientes
+ * Usa un servidor HTTP local como receptor de las entregas.
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+import http from 'http';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createTicket } from '../helpers/dbHelper.js';
+
+const TICKET = {
+	requester_name: 'Webhook Requester',
+	priority: 'Baja – No es urgente',
+	subject: 'Webhook Test Ticket',
+	description: 'Ticket used to verify outgoing webhooks',
+};
+
+let pool;
+let adminUser;
+let ticketService;
+let webhookService;
+let stub;
+let stubUrl;
+let webhook;
+
+// Receptor local: guarda cada petición y responde con el código configurado
+function startStub() {
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => { body += chunk; });
+		req.on('end', () => {
+			server.received.push({ headers: req.headers, body, json: JSON.parse(body) });
+			res.writeHead(server.responseStatus);
+			res.end('recibido');
+		});
+	});
+	server.received = [];
+	server.responseStatus = 200;
+	return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function waitFor(check, timeout = 5000) {
+	const start = Date.now();
+	while (Date.now() - start < timeout) {
+		const result = await check();
+		if (result) {
+			return result;
+		}
+		await new Promise(resolve => setTimeout(resolve, 50));
+	}
+	throw new Error('Tiempo de espera agotado');
+}
+
+function receivedFor(ticket, event) {
+	return stub.received.find(r => r.json.event === event && r.json.data.ticket?.id === ticket.id);
+}
+
+async function getDeliveries(event) {
+	const { rows } = await pool.query(
+		'SELECT * FROM webhook_deliveries WHERE webhook_id = $1 AND event = $2 ORDER BY id DESC',
+		[webhook.id, event]
+	);
+	return rows;
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+	webhookService = await import('../../src/services/webhookService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+
+	stub = await startStub();
+	stubUrl = `http://127.0.0.1:${stub.address().port}/hook`;
+
+	webhook = await webhookService.createWebhook({
+		name: 'Webhook Test receptor',
+		url: stubUrl,
+		events: ['ticket.created', 'ticket.assigned', 'ticket.status_changed', 'ticket.commented'],
+		is_active: true,
+	}, adminUser);
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM webhooks WHERE name LIKE 'Webhook Test%'");
+	await pool.query("DELETE FROM tickets WHERE subject = 'Webhook Test Ticket'");
+	await new Promise(resolve => stub.close(resolve));
+});
+
+beforeEach(() => {
+	stub.responseStatus = 200;
+});
+
+describe('Webhook dispatch from TicketService', () => {
+	it('should deliver a signed payload when a ticket is created', async () => {
+		const ticket = await createTicket(TICKET);
+
+		const received = await waitFor(() => receivedFor(ticket, 'ticket.created'));
+
+		expect(received.headers['x-webhook-event']).toBe('ticket.created');
+		expect(received.headers['x-webhook-signature']).toBe(webhookService.signPayload(webhook.secret, received.body));
+		expect(received.json.data.ticket.reference).toBe(ticket.reference);
+		expect(received.json.data.ticket).not.toHaveProperty('edit_token');
+
+		const [delivery] = await waitFor(async () => {
+			const rows = await getDeliveries('ticket.created');
+			return rows[0]?.status === 'success' ? rows : null;
+		});
+		expect(delivery.attempts).toBe(1);
+		expect(delivery.response_status).toBe(200);
+	});
+
+	it('should deliver assignment, status change and public comment events', async () => {
+		const ticket = await createTicket(TICKET);
+
+		await ticketService.assignTicket(ticket.id, ticket.reference, adminUser.id, adminUser);
+		await ticketService.updateTicketStatus(ticket.id, ticket.reference, 'En Proceso', adminUser.id, adminUser);
+		await ticketService.addComment(ticket.id, ticket.reference, {
+			user_id: adminUser.id,
+			author_name: adminUser.username,
+			content: 'Comentario público',
+			is_internal: false,
+		});
+
+		const assigned = await waitFor(() => receivedFor(ticket, 'ticket.assigned'));
+		const status = await waitFor(() => receivedFor(ticket, 'ticket.status_changed'));
+		const comment = await waitFor(() => receivedFor(ticket, 'ticket.commented'));
+
+		expect(assigned.json.data.assignee.username).toBe(adminUser.username);
+		expect(status.json.data.previous_status).toBe('Pendiente');
+		expect(status.json.data.ticket.status).toBe('En Proceso');
+		expect(comment.json.data.comment.content).toBe('Comentario público');
+	});
+
+	it('should not send internal comments', async () => {
+		const ticket = await createTicket(TICKET);
+
+		await ticketService.addComment(ticket.id, ticket.reference, {
+			user_id: adminUser.id,
+			author_name: adminUser.username,
+			content: 'Nota interna',
+			is_internal: true,
+		});
+		await waitFor(() => receivedFor(ticket, 'ticket.created'));
+
+		expect(receivedFor(ticket, 'ticket.commented')).toBeUndefined();
+	});
+
+	it('should schedule a retry on failure and succeed on redelivery', async () => {
+		stub.responseStatus = 500;
+		const ticket = await createTicket(TICKET);
+
+		const failed = await waitFor(async () => {
+			const { rows } = await pool.query(
+				"SELECT * FROM webhook_deliveries WHERE webhook_id = $1 AND payload->'data'->'ticket'->>'id' = $2",
+				[webhook.id, String(ticket.id)]
+			);
+			return rows[0]?.attempts === 1 ? rows[0] : null;
+		});
+		expect(failed.status).toBe('pending');
+		expect(failed.error).toBe('HTTP 500');
+		expect(new Date(failed.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+
+		stub.responseStatus = 200;
+		const redelivered = await webhookService.redeliver(failed.id);
+
+		expect(redelivered.status).toBe('success');
+		expect(redelivered.attempts).toBe(1);
+	});
+
+	it('should retry due deliveries from the background job', async () => {
+		stub.responseStatus = 500;
+		const ticket = await createTicket(TICKET);
+		const pending = await waitFor(async () => {
+			const { rows } = await pool.query(
+				"SELECT * FROM webhook_deliveries WHERE webhook_id = $1 AND payload->'data'->'ticket'->>'id' = $2 AND attempts = 1",
+				[webhook.id, String(ticket.id)]
+			);
+			return rows[0];
+		});
+
+		stub.responseStatus = 200;
+		await pool.query("UPDATE webhook_deliveries SET next_attempt_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [pending.id]);
+		const result = await webhookService.processRetries();
+
+		expect(result.succeeded).toBeGreaterThanOrEqual(1);
+		const { rows } = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [pending.id]);
+		expect(rows[0].status).toBe('success');
+		expect(rows[0].attempts).toBe(2);
+	});
+
+	it('should send a due delivery only once when retries run concurrently', async () => {
+		stub.responseStatus = 500;
+		const ticket = await createTicket(TICKET);
+		const pending = await waitFor(async () => {
+			const { rows } = await pool.query(
+				"SELECT * FROM webhook_deliveries WHERE webhook_id = $1 AND payload->'data'->'ticket'->>'id' = $2 AND attempts = 1",
+				[webhook.id, String(ticket.id)]
+			);
+			return rows[0];
+		});
+
+		stub.responseStatus = 200;
+		await pool.query("UPDATE webhook_deliveries SET next_attempt_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [pending.id]);
+		await Promise.all([webhookService.processRetries(), webhookService.processRetries()]);
+
+		// El primer envío fallido y un solo reintento
+		const sent = stub.received.filter(r => r.headers['x-webhook-delivery'] === String(pending.id));
+		expect(sent).toHaveLength(2);
+		const { rows } = await pool.query('SELECT * FROM webhook_deliveries WHERE id = $1', [pending.id]);
+		expect(rows[0].attempts).toBe(2);
+	});
+});
+
+describe('Webhook admin routes', () => {
+	it('should list webhooks and deliveries', async () => {
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(app).get('/admin/webhooks');
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Webhook Test receptor');
+		expect(res.text).toContain('Entregas recientes');
+	});
+
+	it('should create, update and delete a webhook', async () => {
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const created = await request(app)
+			.post('/admin/webhooks/crear')
+			.type('form')
+			.send({ name: 'Webhook Test admin', url: stubUrl, events: 'ticket.created', is_active: 'on' });
+		expect(created.headers.location).toContain('success=');
+
+		const { rows } = await pool.query("SELECT * FROM webhooks WHERE name = 'Webhook Test admin'");
+		expect(rows[0].events).toEqual(['ticket.created']);
+		expect(rows[0].secret).toMatch(/^whsec_/);
+
+		await request(app)
+			.post(`/admin/webhooks/${rows[0].id}/actualizar`)
+			.type('form')
+			.send({ name: 'Webhook Test admin', url: stubUrl, events: ['ticket.assigned', 'ticket.commented'] });
+		const { rows: updated } = await pool.query('SELECT * FROM webhooks WHERE id = $1', [rows[0].id]);
+		expect(updated[0].events).toEqual(['ticket.assigned', 'ticket.commented']);
+		expect(updated[0].is_active).toBe(false);
+
+		await request(app).post(`/admin/webhooks/${rows[0].id}/eliminar`);
+		const { rows: deleted } = await pool.query('SELECT * FROM webhooks WHERE id = $1', [rows[0].id]);
+		expect(deleted).toHaveLength(0);
+	});
+
+	it('should reject invalid webhook data', async () => {
+		const app = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+
+		const res = await request(app)
+			.post('/admin/webhooks/crear')
+			.type('form')
+			.send({ name: 'Webhook Test inválido', url: 'ftp://example.com' });
+
+		expect(res.headers.location).toContain('error=');
+		const { rows } = await pool.query("SELECT * FROM webhooks WHERE name = 'Webhook Test inválido'");
+		expect(rows).toHaveLength(0);
+	});
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests de integración para el flujo de estados de tickets
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import request from 'supertest';
+
+import { ensureDatabaseInitialized, getPool } from '../../src/db.js';
+import { createAuthenticatedApp } from '../helpers/testApp.js';
+import { createTestTicket, createUser } from '../helpers/dbHelper.js';
+
+let pool;
+let adminUser;
+let tecnicoUser;
+let ticketService;
+
+function createTicketWithStatus(status) {
+	return createTestTicket({ requester_name: 'Workflow User', support_type: 'Software', subject: 'Workflow Test', description: 'Testing workflow', status });
+}
+
+async function getStatus(id) {
+	const { rows } = await pool.query('SELECT status, resolution_note FROM tickets WHERE id = $1', [id]);
+	return rows[0];
+}
+
+beforeAll(async () => {
+	await ensureDatabaseInitialized();
+	pool = getPool();
+	ticketService = await import('../../src/services/ticketService.js');
+
+	const { rows } = await pool.query("SELECT * FROM users WHERE role = 'admin' LIMIT 1");
+	adminUser = rows[0];
+
+	tecnicoUser = await createUser('workflow_tecnico');
+});
+
+afterAll(async () => {
+	await pool.query("DELETE FROM tickets WHERE subject = 'Workflow Test'");
+	await pool.query("DELETE FROM users WHERE username = 'workflow_tecnico'");
+});
+
+describe('Status Workflow', () => {
+	let adminApp;
+
+	beforeEach(() => {
+		adminApp = createAuthenticatedApp({ id: adminUser.id, username: adminUser.username, role: 'admin' });
+	});
+
+	it('should reject transitions not defined in the workflow', async () => {
+		const ticket = await createTicketWithStatus('Cerrado');
+
+		const res = await request(adminApp)
+			.post(`/admin/tickets/${ticket.reference}/estado`)
+			.type('form')
+			.send({ status: 'Pendiente' });
+
+		expect(res.status).toBe(302);
+		expect(decodeURIComponent(res.headers.location)).toContain('Transición no permitida');
+		expect((await getStatus(ticket.id)).status).toBe('Cerrado');
+	});
+
+	it('should require a resolution note when moving to Resuelto', async () => {
+		const ticket = await createTicketWithStatus('En Proceso');
+
+		const res = await request(adminApp)
+			.post(`/admin/tickets/${ticket.reference}/estado`)
+			.type('form')
+			.send({ status: 'Resuelto', resolution_note: '' });
+
+		expect(decodeURIComponent(res.headers.location)).toContain('Nota de resolución es requerida');
+		expect((await getStatus(ticket.id)).status).toBe('En Proceso');
+	});
+
+	it('should store the resolution note', async () => {
+		const ticket = await createTicketWithStatus('En Proceso');
+
+		await request(adminApp)
+			.post(`/admin/tickets/${ticket.reference}/estado`)
+			.type('form')
+			.send({ status: 'Resuelto', resolution_note: 'Se reinstaló el controlador' });
+
+		const updated = await getStatus(ticket.id);
+		expect(updated.status).toBe('Resuelto');
+		expect(updated.resolution_note).toBe('Se reinstaló el controlador');
+	});
+
+	it('should enforce the permission required by the transition', async () => {
+		const ticket = await createTicketWithStatus('Cerrado');
+
+		await expect(
+			ticketService.updateTicketStatus(ticket.id, ticket.reference, 'En Proceso', null, tecnicoUser)
+		).rejects.toThrow('No tienes permisos');
+
+		await ticketService.updateTicketStatus(ticket.id, ticket.reference, 'En Proceso', null, adminUser);
+		expect((await getStatus(ticket.id)).status).toBe('En Proceso');
+	});
+
+	it('should only offer allowed transitions in the detail dropdown', async () => {
+		const ticket = await createTicketWithStatus('Resuelto');
+
+		const res = await request(adminApp).get(`/admin/tickets/${ticket.reference}`);
+
+		expect(res.status).toBe(200);
+		expect(res.text).toContain('Resuelto (actual)');
+		expect(res.text).toContain('<option value="Cerrado"');
+		expect(res.text).not.toContain('<option value="Pendiente"');
+	});
+
+	it('should show the workflow error on the detail page', async () => {
+		const ticket = await createTicketWithStatus('Pendiente');
+
+		const res = await request(adminApp)
+			.get(`/admin/tickets/${ticket.reference}?error=${encodeURIComponent('Transición no permitida')}`);
+
+		expect(res.text).toContain('Transición no permitida');
+	});
+});
@@ -17,6 +17,21 @@ const CommentRepository = require('../src/repositories/CommentRepository');
 const NotificationRepository = require('../src/repositories/NotificationRepository');
 const UserRepository = require('../src/repositories/UserRepository');
 const PermissionRepository = require('../src/repositories/PermissionRepository');
+const TicketEventRepository = require('../src/repositories/TicketEventRepository');
+const SlaPolicyRepository = require('../src/repositories/SlaPolicyRepository');
+const ApiKeyRepository = require('../src/repositories/ApiKeyRepository');
+const WebhookDeliveryRepository = require('../src/repositories/WebhookDeliveryRepository');
+const AttachmentRepository = require('../src/repositories/AttachmentRepository');
+const InboundEmailRepository = require('../src/repositories/InboundEmailRepository');
+const RequesterLoginTokenRepository = require('../src/repositories/RequesterLoginTokenRepository');
+const TicketFeedbackRepository = require('../src/repositories/TicketFeedbackRepository');
+const AssignmentRuleRepository = require('../src/repositories/AssignmentRuleRepository');
+const MacroRepository = require('../src/repositories/MacroRepository');
+const ReportSubscriptionRepository = require('../src/repositories/ReportSubscriptionRepository');
+const PasswordHistoryRepository = require('../src/repositories/PasswordHistoryRepository');
+const LoginAuditRepository = require('../src/repositories/LoginAuditRepository');
+const TicketWatcherRepository = require('../src/repositories/TicketWatcherRepository');
+const NotificationPreferenceRepository = require('../src/repositories/NotificationPreferenceRepository');
 
 describe('BaseRepository', () => {
     it('debe requerir un pool de conexión', () => {
@@ -153,6 +168,175 @@ describe('TicketRepository', () => {
 
         expect(result).toBe(42);
     });
+
+    it('count debe aplicar la búsqueda de texto completo', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ total: '1' }] });
+
+        await ticketRepo.count({ search: 'impresora 100%' });
+
+        const [query, params] = mockPool.query.mock.calls[0];
+        expect(query).toContain("websearch_to_tsquery('spanish', $1)");
+        expect(query).toContain('c.is_internal = false');
+        expect(params).toEqual(['impresora 100%', '%impresora 100\\%%']);
+    });
+
+    it('findAll debe ordenar por relevancia al buscar', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await ticketRepo.findAll({ search: 'red', include_internal: true }, 10, 0);
+
+        const [query, params] = mockPool.query.mock.calls[0];
+        expect(query).toContain('ORDER BY search_rank DESC');
+        expect(query).toContain('ts_headline');
+        expect(query).not.toContain('c.is_internal = false');
+        expect(params.slice(-2)).toEqual([10, 0]);
+    });
+
+    it('findAll debe excluir los tickets de la papelera', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await ticketRepo.findAll({}, 10, 0);
+        await ticketRepo.count({ deleted: true });
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('t.deleted_at IS NULL');
+        expect(mockPool.query.mock.calls[1][0]).toContain('t.deleted_at IS NOT NULL');
+    });
+
+    it('softDelete solo debe afectar tickets que no estén en la papelera', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        const result = await ticketRepo.softDelete(5, 2);
+
+        const [query, params] = mockPool.query.mock.calls[0];
+        expect(result).toBeNull();
+        expect(query).toContain('WHERE id = $1 AND deleted_at IS NULL');
+        expect(params).toEqual([5, 2]);
+    });
+
+    it('restore debe limpiar los datos de eliminación', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 5, deleted_at: null }] });
+
+        const result = await ticketRepo.restore(5);
+
+        const [query, params] = mockPool.query.mock.calls[0];
+        expect(result.deleted_at).toBeNull();
+        expect(query).toContain('deleted_at = NULL, deleted_by = NULL');
+        expect(params).toEqual([5]);
+    });
+
+    it('getVolumeSeries debe rechazar intervalos inválidos', async () => {
+        await expect(ticketRepo.getVolumeSeries('2026-01-01', '2026-01-31', 'month'))
+            .rejects.toThrow('Intervalo de serie inválido');
+        expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('getVolumeSeries debe convertir los conteos a números', async () => {
+        mockPool.query.mockResolvedValue({ rows: [
+            { period: '2026-01-05', created: '3', resolved: null },
+            { period: '2026-01-12', created: null, resolved: '2' },
+        ] });
+
+        const series = await ticketRepo.getVolumeSeries('2026-01-05', '2026-01-18', 'week');
+
+        expect(series).toEqual([
+            { period: '2026-01-05', created: 3, resolved: 0 },
+            { period: '2026-01-12', created: 0, resolved: 2 },
+        ]);
+        expect(mockPool.query.mock.calls[0][0]).toContain("date_trunc('week'");
+        expect(mockPool.query.mock.calls[0][1]).toEqual(['2026-01-05', '2026-01-18']);
+    });
+
+    it('getResponseTimes debe retornar null sin tickets en el rango', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{
+            response_count: '2', response_average: '45', response_median: '30',
+            resolution_count: '0', resolution_average: null, resolution_median: null,
+        }] });
+
+        const times = await ticketRepo.getResponseTimes('2026-01-01', '2026-01-31');
+
+        expect(times).toEqual({
+            firstResponse: { count: 2, average: 45, median: 30 },
+            resolution: { count: 0, average: null, median: null },
+        });
+    });
+
+    it('getBacklogAging debe retornar todos los tramos en orden', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ lt_1d: '4', d1_3: '0', d3_7: '1', d7_30: '0', gt_30d: '2' }] });
+
+        const aging = await ticketRepo.getBacklogAging();
+
+        expect(aging.map(bucket => bucket.key)).toEqual(TicketRepository.AGING_BUCKETS.map(bucket => bucket.key));
+        expect(aging.map(bucket => bucket.count)).toEqual([4, 0, 1, 0, 2]);
+        expect(mockPool.query.mock.calls[0][1]).toEqual([TicketRepository.FINAL_STATUSES]);
+    });
+
+    it('streamAll debe leer por lotes y liberar la conexión', async () => {
+        const batches = [[{ id: 3 }, { id: 2 }], [{ id: 1 }], []];
+        const cursor = { read: vi.fn(async () => batches.shift()), close: vi.fn(async () => {}) };
+        const client = { query: vi.fn(() => cursor), release: vi.fn() };
+        mockPool.connect.mockResolvedValue(client);
+
+        const received = [];
+        for await (const rows of ticketRepo.streamAll({ status: 'Pendiente' }, 2)) {
+            received.push(rows.map(row => row.id));
+        }
+
+        const submitted = client.query.mock.calls[0][0];
+        expect(received).toEqual([[3, 2], [1]]);
+        expect(cursor.read).toHaveBeenCalledWith(2);
+        expect(submitted.text).toContain('t.deleted_at IS NULL');
+        expect(submitted.values).toEqual(['Pendiente']);
+        expect(cursor.close).toHaveBeenCalled();
+        expect(client.release).toHaveBeenCalled();
+    });
+
+    it('streamAll debe cerrar el cursor si se deja de iterar', async () => {
+        const cursor = { read: vi.fn(async () => [{ id: 1 }]), close: vi.fn(async () => {}) };
+        const client = { query: vi.fn(() => cursor), release: vi.fn() };
+        mockPool.connect.mockResolvedValue(client);
+
+        for await (const rows of ticketRepo.streamAll()) {
+            expect(rows).toHaveLength(1);
+            break;
+        }
+
+        expect(cursor.read).toHaveBeenCalledTimes(1);
+        expect(cursor.close).toHaveBeenCalled();
+        expect(client.release).toHaveBeenCalled();
+    });
+
+    it('getBreakdown debe rechazar agrupaciones inválidas', async () => {
+        await expect(ticketRepo.getBreakdown('priority', '2026-01-01', '2026-01-31'))
+            .rejects.toThrow('Agrupación de reporte inválida');
+        expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('createImported debe insertar en la transacción conservando referencia y fechas', async () => {
+        const client = { query: vi.fn().mockResolvedValue({ rows: [{ id: 9, reference: 'HD-1' }] }) };
+        const createdAt = new Date('2020-01-05T10:00:00Z');
+
+        const result = await ticketRepo.createImported({
+            reference: 'HD-1', status: 'Cerrado', channel: 'phone', has_anydesk: false, anydesk_code: '123',
+            created_at: createdAt,
+        }, client);
+
+        const [query, params] = client.query.mock.calls[0];
+        expect(result).toEqual({ id: 9, reference: 'HD-1' });
+        expect(mockPool.query).not.toHaveBeenCalled();
+        expect(query).toContain('COALESCE($19, $18, NOW())');
+        expect(params[0]).toBe('HD-1');
+        expect(params[8]).toBeNull();
+        expect(params[9]).toBe('Cerrado');
+        expect(params[17]).toBe(createdAt);
+    });
+
+    it('createImported debe generar la referencia si no viene', async () => {
+        const client = { query: vi.fn().mockResolvedValue({ rows: [{ id: 1 }] }) };
+
+        await ticketRepo.createImported({ status: 'Pendiente', channel: 'web' }, client);
+
+        expect(client.query.mock.calls[0][1][0]).toMatch(/^T-\d{6}-[A-F0-9]{8}$/);
+    });
 });
 
 describe('CommentRepository', () => {
@@ -211,6 +395,40 @@ describe('NotificationRepository', () => {
             [100, 1]
         );
     });
+
+    it('findAll debe filtrar el historial por tipo y estado de lectura', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await notificationRepo.findAll(1, { type: 'new_comment', is_read: false }, 20, 40);
+
+        const sql = mockPool.query.mock.calls[0][0];
+        expect(sql).toContain('n.user_id = $1 AND n.type = $2 AND n.is_read = $3');
+        expect(sql).toContain('LIMIT $4 OFFSET $5');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([1, 'new_comment', false, 20, 40]);
+    });
+
+    it('cleanOld debe usar el periodo de retención indicado', async () => {
+        mockPool.query.mockResolvedValue({ rowCount: 3 });
+
+        const deleted = await notificationRepo.cleanOld(90);
+
+        expect(deleted).toBe(3);
+        expect(mockPool.query.mock.calls[0][0]).toContain('make_interval(days => $1)');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([90]);
+    });
+
+    it('findDigestPending debe limitarse a no leídas, sin enviar y de tipos en el resumen', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+        const before = new Date('2026-03-10T08:00:00');
+
+        await notificationRepo.findDigestPending(before);
+
+        const sql = mockPool.query.mock.calls[0][0];
+        expect(sql).toContain("p.channel = 'digest'");
+        expect(sql).toContain('n.emailed_at IS NULL');
+        expect(sql).toContain('u.digest_sent_at < $1');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([before]);
+    });
 });
 
 describe('UserRepository', () => {
@@ -247,6 +465,105 @@ describe('UserRepository', () => {
         expect(query).toContain('ORDER BY');
         expect(query).toContain("WHEN 'admin' THEN 1");
     });
+
+    it('markTotpStep solo debe aceptar pasos posteriores al último usado', async () => {
+        mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1 }] }).mockResolvedValueOnce({ rows: [] });
+
+        expect(await userRepo.markTotpStep(1, 100)).toBe(true);
+        expect(await userRepo.markTotpStep(1, 100)).toBe(false);
+
+        const [query, params] = mockPool.query.mock.calls[0];
+        expect(query).toContain('totp_last_step < $2');
+        expect(params).toEqual([1, 100]);
+    });
+
+    it('consumeRecoveryCode debe quitar el hash solo si existe', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        const result = await userRepo.consumeRecoveryCode(1, 'abc');
+
+        const [query, params] = mockPool.query.mock.calls[0];
+        expect(result).toBe(false);
+        expect(query).toContain('array_remove(recovery_code_hashes, $2)');
+        expect(query).toContain('$2 = ANY(recovery_code_hashes)');
+        expect(params).toEqual([1, 'abc']);
+    });
+
+    it('requiresTwoFactor debe leer la exigencia del rol del usuario', async () => {
+        mockPool.query.mockResolvedValueOnce({ rows: [{ require_2fa: true }] }).mockResolvedValueOnce({ rows: [] });
+
+        expect(await userRepo.requiresTwoFactor(1)).toBe(true);
+        expect(await userRepo.requiresTwoFactor(2)).toBe(false);
+        expect(mockPool.query.mock.calls[0][0]).toContain('r.require_2fa');
+    });
+
+    it('registerFailedLogin debe bloquear al alcanzar el máximo de intentos', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ failed_login_count: 0, locked_until: new Date() }] });
+
+        await userRepo.registerFailedLogin(1, 5, 15);
+
+        const [query, params] = mockPool.query.mock.calls[0];
+        expect(query).toContain('failed_login_count + 1 >= $2');
+        expect(query).toContain('make_interval(mins => $3)');
+        expect(params).toEqual([1, 5, 15]);
+    });
+
+    it('updatePassword debe quitar el cambio obligatorio', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await userRepo.updatePassword(1, 'hash');
+
+        const query = mockPool.query.mock.calls[0][0];
+        expect(query).toContain('password_changed_at = NOW()');
+        expect(query).toContain('must_change_password = false');
+    });
+});
+
+describe('PasswordHistoryRepository', () => {
+    it('add debe conservar solo las contraseñas más recientes', async () => {
+        const mockClient = {
+            query: vi.fn().mockResolvedValue({ rows: [] }),
+            release: vi.fn(),
+        };
+        const mockPool = createMockPool();
+        mockPool.connect.mockResolvedValue(mockClient);
+
+        await new PasswordHistoryRepository(mockPool).add(1, 'hash', 4);
+
+        const calls = mockClient.query.mock.calls;
+        expect(calls[1]).toEqual(['INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)', [1, 'hash']]);
+        expect(calls[2][0]).toContain('LIMIT $2');
+        expect(calls[2][1]).toEqual([1, 4]);
+        expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+});
+
+describe('LoginAuditRepository', () => {
+    let mockPool;
+    let auditRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        auditRepo = new LoginAuditRepository(mockPool);
+    });
+
+    it('findAll debe filtrar por usuario parcial y resultado', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await auditRepo.findAll({ username: 'ana', success: false }, 50, 100);
+
+        const [query, params] = mockPool.query.mock.calls[0];
+        expect(query).toContain('WHERE username ILIKE $1 AND success = $2');
+        expect(query).toContain('LIMIT $3 OFFSET $4');
+        expect(params).toEqual(['%ana%', false, 50, 100]);
+    });
+
+    it('deleteOlderThan debe devolver los registros eliminados', async () => {
+        mockPool.query.mockResolvedValue({ rows: [], rowCount: 7 });
+
+        expect(await auditRepo.deleteOlderThan(180)).toBe(7);
+        expect(mockPool.query.mock.calls[0][1]).toEqual([180]);
+    });
 });
 
 describe('PermissionRepository', () => {
@@ -278,3 +595,454 @@ describe('PermissionRepository', () => {
         );
     });
 });
+
+describe('TicketEventRepository', () => {
+    let mockPool;
+    let eventRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        eventRepo = new TicketEventRepository(mockPool);
+    });
+
+    it('create debe rechazar tipos de evento desconocidos', async () => {
+        await expect(eventRepo.create({ ticket_id: 1, event_type: 'desconocido' }))
+            .rejects.toThrow('Tipo de evento inválido');
+        expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('create debe convertir valores a texto', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await eventRepo.create({ ticket_id: 1, event_type: 'field_change', field: 'has_anydesk', old_value: false, new_value: true });
+
+        const params = mockPool.query.mock.calls[0][1];
+        expect(params).toEqual([1, 'field_change', 'has_anydesk', 'false', 'true', null, null]);
+    });
+
+    it('findByTicketId debe excluir comentarios internos si se solicita', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await eventRepo.findByTicketId(1, false);
+
+        const query = mockPool.query.mock.calls[0][0];
+        expect(query).toContain("event_type <> 'internal_comment'");
+    });
+});
+
+describe('SlaPolicyRepository', () => {
+    let mockPool;
+    let slaRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        slaRepo = new SlaPolicyRepository(mockPool);
+    });
+
+    it('findApplicable debe preferir la política del tipo de soporte', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await slaRepo.findApplicable('Alta – Necesito ayuda pronto', 'Hardware');
+
+        const [query, params] = mockPool.query.mock.calls[0];
+        expect(query).toContain('support_type IS NULL');
+        expect(query).toContain('ORDER BY support_type NULLS LAST');
+        expect(params).toEqual(['Alta – Necesito ayuda pronto', 'Hardware']);
+    });
+
+    it('create debe guardar tipo de soporte vacío como NULL', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await slaRepo.create({ priority: 'Baja – No es urgente', support_type: '', first_response_minutes: 60, resolution_minutes: 120 });
+
+        const params = mockPool.query.mock.calls[0][1];
+        expect(params).toEqual(['Baja – No es urgente', null, 60, 120, true, true]);
+    });
+});
+
+describe('TicketRepository SLA', () => {
+    let mockPool;
+    let ticketRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        ticketRepo = new TicketRepository(mockPool);
+    });
+
+    it('updateSlaFlags debe ignorar columnas no permitidas', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await ticketRepo.updateSlaFlags(1, { sla_response_breached: true, status: 'Cerrado' });
+
+        const [query, params] = mockPool.query.mock.calls[0];
+        expect(query).toContain('sla_response_breached = $1');
+        expect(query).not.toContain('status');
+        expect(params).toEqual([true, 1]);
+    });
+
+    it('markFirstResponse solo debe actualizar tickets sin respuesta previa', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        const result = await ticketRepo.markFirstResponse(1);
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('first_responded_at IS NULL');
+        expect(result).toBeNull();
+    });
+
+    it('getSlaCompliance debe calcular el porcentaje de cumplimiento', async () => {
+        mockPool.query.mockResolvedValue({
+            rows: [{ response_met: '7', response_breached: '1', resolution_met: '0', resolution_breached: '0' }],
+        });
+
+        const result = await ticketRepo.getSlaCompliance('2026-10-05', '2026-10-11');
+
+        expect(mockPool.query.mock.calls[0][1]).toEqual(['2026-10-05', '2026-10-11']);
+        expect(result).toEqual({
+            response: { met: 7, breached: 1, rate: 87.5 },
+            resolution: { met: 0, breached: 0, rate: null },
+        });
+    });
+});
+
+describe('ApiKeyRepository', () => {
+    let mockPool;
+    let apiKeyRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        apiKeyRepo = new ApiKeyRepository(mockPool);
+    });
+
+    it('findActiveByHash debe ignorar claves revocadas', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        const result = await apiKeyRepo.findActiveByHash('abc');
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('revoked_at IS NULL');
+        expect(result).toBeNull();
+    });
+
+    it('create no debe devolver el hash de la clave', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await apiKeyRepo.create({ user_id: 1, name: 'ERP', key_prefix: 'tk_1234', key_hash: 'hash' });
+
+        const query = mockPool.query.mock.calls[0][0];
+        expect(query).not.toMatch(/RETURNING \*/);
+        expect(query).not.toMatch(/RETURNING[^;]*key_hash/);
+    });
+});
+
+describe('WebhookDeliveryRepository', () => {
+    let mockPool;
+    let deliveryRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        deliveryRepo = new WebhookDeliveryRepository(mockPool);
+    });
+
+    it('claimDue debe reservar solo entregas pendientes de webhooks activos', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+        const leaseUntil = new Date('2026-01-01T10:01:00Z');
+
+        await deliveryRepo.claimDue(leaseUntil, 10);
+
+        const query = mockPool.query.mock.calls[0][0];
+        expect(query).toContain("d.status = 'pending'");
+        expect(query).toContain('w.is_active = true');
+        expect(query).toContain('FOR UPDATE OF d SKIP LOCKED');
+        expect(query).toContain('SET next_attempt_at = $1');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([leaseUntil, 10]);
+    });
+
+    it('recordAttempt debe rechazar estados inválidos', async () => {
+        await expect(deliveryRepo.recordAttempt(1, { status: 'unknown' }))
+            .rejects.toThrow('Estado de entrega inválido');
+        expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('findRecent debe ignorar filtros de estado desconocidos', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await deliveryRepo.findRecent({ status: 'borrado' }, 20, 0);
+
+        expect(mockPool.query.mock.calls[0][0]).not.toContain('d.status =');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([20, 0]);
+    });
+});
+
+describe('AttachmentRepository', () => {
+    let mockPool;
+    let attachmentRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        attachmentRepo = new AttachmentRepository(mockPool);
+    });
+
+    it('create debe guardar el adjunto como del ticket si no hay comentario', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await attachmentRepo.create({
+            ticket_id: 5,
+            original_name: 'log.txt',
+            stored_name: '123-abc.txt',
+            mime_type: 'text/plain',
+            size_bytes: 10,
+            checksum: 'abc',
+        });
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('INSERT INTO attachments');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([5, null, 'log.txt', '123-abc.txt', 'text/plain', 10, 'abc', null, null]);
+    });
+
+    it('findByTicketId debe excluir adjuntos de comentarios internos si se indica', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await attachmentRepo.findByTicketId(5, false);
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('c.is_internal IS NOT TRUE');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([5]);
+    });
+
+    it('findByTicketId debe incluir todos los adjuntos por defecto', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await attachmentRepo.findByTicketId(5);
+
+        expect(mockPool.query.mock.calls[0][0]).not.toContain('IS NOT TRUE');
+    });
+});
+
+describe('InboundEmailRepository', () => {
+    let mockPool;
+    let inboundEmailRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        inboundEmailRepo = new InboundEmailRepository(mockPool);
+    });
+
+    it('record debe rechazar estados inválidos', async () => {
+        await expect(inboundEmailRepo.record({ message_id: '<a@b>', source: 'smtp', status: 'unknown' }))
+            .rejects.toThrow('Estado de correo entrante inválido');
+        expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('record debe actualizar el registro si el Message-ID ya existe', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 1 }] });
+
+        await inboundEmailRepo.record({ message_id: '<a@b>', source: 'smtp', status: 'failed', details: 'error' });
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('ON CONFLICT (message_id) DO UPDATE');
+        expect(mockPool.query.mock.calls[0][1]).toEqual(['<a@b>', 'smtp', null, null, 'failed', null, null, 'error']);
+    });
+});
+
+describe('RequesterLoginTokenRepository', () => {
+    let mockPool;
+    let tokenRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        tokenRepo = new RequesterLoginTokenRepository(mockPool);
+    });
+
+    it('consume debe aceptar solo enlaces vigentes y sin usar', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        const result = await tokenRepo.consume('hash');
+
+        expect(result).toBeNull();
+        expect(mockPool.query.mock.calls[0][0]).toContain('used_at IS NULL AND expires_at > NOW()');
+        expect(mockPool.query.mock.calls[0][1]).toEqual(['hash']);
+    });
+
+    it('count de tickets debe filtrar por email del solicitante en minúsculas', async () => {
+        const ticketRepo = new TicketRepository(mockPool);
+        mockPool.query.mockResolvedValue({ rows: [{ total: '2' }] });
+
+        const total = await ticketRepo.count({ requester_email: 'Ana@Example.com' });
+
+        expect(total).toBe(2);
+        expect(mockPool.query.mock.calls[0][0]).toContain('t.requester_email = $1');
+        expect(mockPool.query.mock.calls[0][1]).toEqual(['ana@example.com']);
+    });
+
+});
+
+describe('TicketFeedbackRepository', () => {
+    let mockPool;
+    let feedbackRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        feedbackRepo = new TicketFeedbackRepository(mockPool);
+    });
+
+    it('getSummary debe rechazar agrupaciones inválidas', async () => {
+        await expect(feedbackRepo.getSummary('priority')).rejects.toThrow('Agrupación de satisfacción inválida');
+        expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('getTotals debe retornar promedio null sin respuestas', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ sent: '3', responses: '0', average: null, satisfied: '0' }] });
+
+        const totals = await feedbackRepo.getTotals();
+
+        expect(totals).toEqual({ sent: 3, responses: 0, average: null, satisfied: 0 });
+    });
+});
+
+describe('AssignmentRuleRepository', () => {
+    let mockPool;
+    let ruleRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        ruleRepo = new AssignmentRuleRepository(mockPool);
+    });
+
+    it('create debe rechazar estrategias inválidas', async () => {
+        await expect(ruleRepo.create({ name: 'Regla', strategy: 'random' }))
+            .rejects.toThrow('Estrategia de asignación inválida');
+        expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    it('findActive debe ordenar por posición', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await ruleRepo.findActive();
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('WHERE is_active = true');
+        expect(mockPool.query.mock.calls[0][0]).toContain('ORDER BY position, id');
+    });
+
+    it('count de tickets debe excluir resueltos y cerrados con el filtro open', async () => {
+        const ticketRepo = new TicketRepository(mockPool);
+        mockPool.query.mockResolvedValue({ rows: [{ total: '1' }] });
+
+        await ticketRepo.count({ assigned_to: 4, open: true });
+
+        expect(mockPool.query.mock.calls[0][0]).toContain("t.status NOT IN ('Resuelto', 'Cerrado')");
+        expect(mockPool.query.mock.calls[0][1]).toEqual([4]);
+    });
+});
+
+describe('MacroRepository', () => {
+    let mockPool;
+    let macroRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        macroRepo = new MacroRepository(mockPool);
+    });
+
+    it('findVisible debe incluir las macros propias y las compartidas', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await macroRepo.findVisible(5);
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('WHERE m.owner_id = $1 OR m.is_shared = true');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([5]);
+    });
+});
+
+describe('ReportSubscriptionRepository', () => {
+    let mockPool;
+    let subscriptionRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        subscriptionRepo = new ReportSubscriptionRepository(mockPool);
+    });
+
+    it('markSent debe guardar el periodo enviado y limpiar el último error', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 3 }] });
+
+        await subscriptionRepo.markSent(3, '2026-10-05');
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('last_error = NULL');
+        expect(mockPool.query.mock.calls[0][1]).toEqual(['2026-10-05', 3]);
+    });
+
+    it('claimPeriod debe reservar solo un periodo distinto del último', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        expect(await subscriptionRepo.claimPeriod(3, '2026-10-12')).toBeNull();
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('last_period_start IS DISTINCT FROM $1');
+        expect(mockPool.query.mock.calls[0][1]).toEqual(['2026-10-12', 3]);
+    });
+
+    it('markFailed debe deshacer solo la reserva del periodo fallido', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 3 }] });
+
+        await subscriptionRepo.markFailed(3, 'SMTP caído', { periodStart: '2026-10-12', previous: '2026-10-05' });
+        await subscriptionRepo.markFailed(3, 'SMTP caído');
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('CASE WHEN last_period_start = $3 THEN $4');
+        expect(mockPool.query.mock.calls[0][1]).toEqual(['SMTP caído', 3, '2026-10-12', '2026-10-05']);
+        expect(mockPool.query.mock.calls[1][1]).toEqual(['SMTP caído', 3, null, null]);
+    });
+});
+
+describe('TicketWatcherRepository', () => {
+    let mockPool;
+    let watcherRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        watcherRepo = new TicketWatcherRepository(mockPool);
+    });
+
+    it('addEmail debe ignorar los emails que ya observan el ticket', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        const watcher = await watcherRepo.addEmail(7, 'cc@example.com', 2);
+
+        expect(watcher).toBeNull();
+        expect(mockPool.query.mock.calls[0][0]).toContain('ON CONFLICT DO NOTHING');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([7, 'cc@example.com', 2]);
+    });
+
+    it('remove debe limitarse a los observadores del ticket indicado', async () => {
+        mockPool.query.mockResolvedValue({ rows: [{ id: 3 }] });
+
+        await watcherRepo.remove(7, 3);
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('WHERE ticket_id = $1 AND id = $2');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([7, 3]);
+    });
+});
+
+describe('NotificationPreferenceRepository', () => {
+    let mockPool;
+    let preferenceRepo;
+
+    beforeEach(() => {
+        mockPool = createMockPool();
+        preferenceRepo = new NotificationPreferenceRepository(mockPool);
+    });
+
+    it('findChannels debe usar el canal por defecto para los tipos sin preferencia', async () => {
+        mockPool.query.mockResolvedValue({ rows: [] });
+
+        await preferenceRepo.findChannels([1, 2], 'new_comment');
+
+        expect(mockPool.query.mock.calls[0][0]).toContain('COALESCE(p.channel, $3)');
+        expect(mockPool.query.mock.calls[0][1]).toEqual([[1, 2], 'new_comment', 'in_app']);
+    });
+
+    it('replaceForUser no debe guardar los tipos en el canal por defecto', async () => {
+        const client = { query: vi.fn(async () => ({ rows: [] })), release: vi.fn() };
+        mockPool.connect.mockResolvedValue(client);
+
+        await preferenceRepo.replaceForUser(4, { new_ticket: 'in_app', sla_breach: 'email', new_comment: 'off' });
+
+        const inserts = client.query.mock.calls.filter(([sql]) => sql.startsWith('INSERT'));
+        expect(inserts.map(([, params]) => params)).toEqual([[4, 'sla_breach', 'email'], [4, 'new_comment', 'off']]);
+        expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+});
@@ -1,6 +1,8 @@
 /**
  * Setup global para tests
  */
+import os from 'os';
+import path from 'path';
 
 // Variables de entorno para tests
 process.env.NODE_ENV = 'test';
@@ -13,5 +15,8 @@ process.env.PGUSER = process.env.PGUSER || 'postgres';
 process.env.PGPASSWORD = process.env.PGPASSWORD || 'admin123';
 process.env.PGDATABASE = process.env.PGDATABASE || 'tickets_test';
 
+// Los adjuntos subidos en tests no se mezclan con los del proyecto
+process.env.ATTACHMENTS_DIR = process.env.ATTACHMENTS_DIR || path.join(os.tmpdir(), 'tickets-test-attachments');
+
 // Silenciar logs durante tests
 process.env.LOG_LEVEL = 'error';
@@ -0,0 +1,70 @@
+/**
+ * Tests unitarios para el servicio de reportes
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const {
+	AnalyticsService,
+	resolveRange,
+	formatDuration,
+} = require('../../src/services/analyticsService.js');
+
+describe('Reportes', () => {
+	describe('resolveRange', () => {
+		it('debe usar los últimos 30 días agrupados por día por defecto', () => {
+			const range = resolveRange({}, new Date(2026, 2, 15, 10, 30));
+
+			expect(range).toEqual({ from: '2026-02-14', to: '2026-03-15', interval: 'day' });
+		});
+
+		it('debe calcular el inicio a partir de la fecha final indicada', () => {
+			expect(resolveRange({ to: '2026-01-10', interval: 'week' })).toEqual({
+				from: '2025-12-12',
+				to: '2026-01-10',
+				interval: 'week',
+			});
+		});
+
+		it('debe respetar un rango completo', () => {
+			const filters = { from: '2026-01-01', to: '2026-01-31', interval: 'day' };
+			expect(resolveRange(filters)).toEqual(filters);
+		});
+	});
+
+	describe('formatDuration', () => {
+		it('debe mostrar minutos, horas y días', () => {
+			expect(formatDuration(45)).toBe('45 min');
+			expect(formatDuration(120)).toBe('2 h');
+			expect(formatDuration(200.4)).toBe('3 h 20 min');
+			expect(formatDuration(3120)).toBe('2 d 4 h');
+			expect(formatDuration(2880)).toBe('2 d');
+		});
+
+		it('debe mostrar un guion sin datos', () => {
+			expect(formatDuration(null)).toBe('—');
+		});
+	});
+
+	describe('getDashboard', () => {
+		it('debe consultar el rango y sumar los totales', async () => {
+			const ticketRepo = {
+				getVolumeSeries: vi.fn(async () => [
+					{ period: '2026-01-01', created: 3, resolved: 1 },
+					{ period: '2026-01-02', created: 2, resolved: 4 },
+				]),
+				getResponseTimes: vi.fn(async () => ({ firstResponse: {}, resolution: {} })),
+				getBacklogAging: vi.fn(async () => [{ key: 'lt_1d', count: 2 }, { key: 'd1_3', count: 5 }]),
+				getBreakdown: vi.fn(async (groupBy) => [{ label: groupBy }]),
+			};
+			const service = new AnalyticsService({ ticketRepository: ticketRepo });
+
+			const dashboard = await service.getDashboard({ from: '2026-01-01', to: '2026-01-02', interval: 'day' });
+
+			expect(ticketRepo.getVolumeSeries).toHaveBeenCalledWith('2026-01-01', '2026-01-02', 'day');
+			expect(ticketRepo.getResponseTimes).toHaveBeenCalledWith('2026-01-01', '2026-01-02');
+			expect(dashboard.totals).toEqual({ created: 5, resolved: 5, backlog: 7 });
+			expect(dashboard.byDepartment).toEqual([{ label: 'department' }]);
+			expect(dashboard.bySupportType).toEqual([{ label: 'support_type' }]);
+			expect(dashboard.byTechnician).toEqual([{ label: 'technician' }]);
+		});
+	});
+});
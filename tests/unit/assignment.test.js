@@ -0,0 +1,102 @@
+/**
+ * Tests unitarios para la asignación automática de tickets
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const {
+	AssignmentService,
+	ruleMatches,
+	pickRoundRobin,
+	pickLeastLoaded,
+} = require('../../src/services/assignmentService.js');
+
+const TECHNICIANS = [
+	{ id: 7, username: 'carla', skills: ['Hardware'] },
+	{ id: 3, username: 'ana', skills: [] },
+	{ id: 5, username: 'bruno', skills: ['Hardware', 'Software'] },
+];
+
+function createService(rules, openCounts = {}) {
+	const ruleRepo = {
+		findActive: vi.fn(async () => rules),
+		updateLastAssigned: vi.fn(async () => {}),
+	};
+	const ticketRepo = { count: vi.fn(async (filters) => openCounts[filters.assigned_to] || 0) };
+	const userRepo = { findAllTechnicians: vi.fn(async () => TECHNICIANS) };
+	const service = new AssignmentService({
+		assignmentRuleRepository: ruleRepo,
+		ticketRepository: ticketRepo,
+		userRepository: userRepo,
+	});
+	return { service, ruleRepo, ticketRepo };
+}
+
+describe('Asignación automática', () => {
+	describe('ruleMatches', () => {
+		const ticket = { department: 'Ventas ', support_type: 'Hardware', priority: 'Alta – Necesito ayuda pronto' };
+
+		it('debe aceptar cualquier valor en los criterios vacíos', () => {
+			expect(ruleMatches({ department: null, support_type: null, priority: null }, ticket)).toBe(true);
+		});
+
+		it('debe comparar el departamento sin distinguir mayúsculas', () => {
+			expect(ruleMatches({ department: 'ventas', support_type: 'Hardware' }, ticket)).toBe(true);
+			expect(ruleMatches({ department: 'Compras' }, ticket)).toBe(false);
+			expect(ruleMatches({ priority: 'Baja – No es urgente' }, ticket)).toBe(false);
+		});
+	});
+
+	describe('pickRoundRobin', () => {
+		it('debe elegir el siguiente ID y volver al inicio', () => {
+			expect(pickRoundRobin(TECHNICIANS, null).id).toBe(3);
+			expect(pickRoundRobin(TECHNICIANS, 3).id).toBe(5);
+			expect(pickRoundRobin(TECHNICIANS, 7).id).toBe(3);
+		});
+	});
+
+	describe('pickLeastLoaded', () => {
+		it('debe elegir la menor carga y desempatar por ID', () => {
+			const loads = [
+				{ technician: TECHNICIANS[0], open: 1 },
+				{ technician: TECHNICIANS[1], open: 2 },
+				{ technician: TECHNICIANS[2], open: 1 },
+			];
+			expect(pickLeastLoaded(loads).id).toBe(5);
+			expect(pickLeastLoaded([])).toBeNull();
+		});
+	});
+
+	describe('findAssignee', () => {
+		it('debe contar solo tickets abiertos de los candidatos de la regla', async () => {
+			const rule = { id: 1, strategy: 'least_open', technician_ids: [3, 7] };
+			const { service, ticketRepo, ruleRepo } = createService([rule], { 3: 4, 7: 1 });
+
+			const result = await service.findAssignee({ support_type: 'Otro' });
+
+			expect(result.technician.id).toBe(7);
+			expect(ticketRepo.count).toHaveBeenCalledWith({ assigned_to: 3, open: true });
+			expect(ticketRepo.count).toHaveBeenCalledTimes(2);
+			expect(ruleRepo.updateLastAssigned).toHaveBeenCalledWith(1, 7);
+		});
+
+		it('debe pasar a la siguiente regla si nadie tiene la habilidad', async () => {
+			const rules = [
+				{ id: 1, strategy: 'skill_match', technician_ids: [] },
+				{ id: 2, strategy: 'round_robin', technician_ids: [], last_assigned_id: 5 },
+			];
+			const { service } = createService(rules);
+
+			const skilled = await service.findAssignee({ support_type: 'Software' });
+			const fallback = await service.findAssignee({ support_type: 'Red e Internet' });
+
+			expect(skilled).toMatchObject({ rule: { id: 1 }, technician: { id: 5 } });
+			expect(fallback).toMatchObject({ rule: { id: 2 }, technician: { id: 7 } });
+		});
+
+		it('debe retornar null sin reglas aplicables', async () => {
+			const { service, ruleRepo } = createService([{ id: 1, department: 'Finanzas', strategy: 'round_robin', technician_ids: [] }]);
+
+			expect(await service.findAssignee({ department: 'Ventas' })).toBeNull();
+			expect(ruleRepo.updateLastAssigned).not.toHaveBeenCalled();
+		});
+	});
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests unitarios para la validación y presentación de adjuntos
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const { resolveMimeType } = require('../../src/middleware/upload.js');
+const { formatFileSize, getFileIcon } = require('../../src/utils/attachments.js');
+const { groupAttachments } = require('../../src/services/attachmentService.js');
+
+describe('Attachment helpers', () => {
+	describe('resolveMimeType', () => {
+		it('debe aceptar imágenes cuyo MIME coincide con la extensión', () => {
+			expect(resolveMimeType('foto.JPEG', 'image/jpeg')).toBe('image/jpeg');
+			expect(resolveMimeType('foto.jpg', 'image/jpg')).toBe('image/jpeg');
+			expect(resolveMimeType('captura.png', 'image/png')).toBe('image/png');
+		});
+
+		it('debe aceptar documentos y devolver su MIME canónico', () => {
+			expect(resolveMimeType('manual.pdf', 'application/pdf')).toBe('application/pdf');
+			expect(resolveMimeType('error.log', 'application/octet-stream')).toBe('text/plain');
+			expect(resolveMimeType('datos.csv', 'application/vnd.ms-excel')).toBe('text/csv');
+			expect(resolveMimeType(
+				'informe.docx',
+				'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+			)).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+		});
+
+		it('debe rechazar extensiones o MIME no permitidos', () => {
+			expect(resolveMimeType('script.sh', 'application/x-sh')).toBeNull();
+			expect(resolveMimeType('pagina.html', 'text/html')).toBeNull();
+			expect(resolveMimeType('programa.exe', 'application/octet-stream')).toBeNull();
+			expect(resolveMimeType('sin-extension', 'application/pdf')).toBeNull();
+		});
+
+		it('debe rechazar archivos cuyo MIME no corresponde a la extensión', () => {
+			expect(resolveMimeType('factura.pdf', 'text/html')).toBeNull();
+			expect(resolveMimeType('foto.png', 'image/jpeg')).toBeNull();
+			expect(resolveMimeType('manual.pdf', 'image/png')).toBeNull();
+		});
+	});
+
+	describe('formatFileSize', () => {
+		it('debe usar la unidad adecuada', () => {
+			expect(formatFileSize(512)).toBe('512 B');
+			expect(formatFileSize(2048)).toBe('2.0 KB');
+			expect(formatFileSize(5 * 1024 * 1024)).toBe('5.0 MB');
+		});
+	});
+
+	describe('getFileIcon', () => {
+		it('debe usar un icono genérico para tipos sin icono propio', () => {
+			expect(getFileIcon('application/pdf')).toBe('📕');
+			expect(getFileIcon('application/zip')).toBe('📎');
+		});
+	});
+
+	describe('groupAttachments', () => {
+		it('debe separar los adjuntos del ticket de los de cada comentario', () => {
+			const groups = groupAttachments([
+				{ id: 1, comment_id: null },
+				{ id: 2, comment_id: 7 },
+				{ id: 3, comment_id: 7 },
+				{ id: 4, comment_id: 9 },
+			]);
+
+			expect(groups.ticket.map(a => a.id)).toEqual([1]);
+			expect(groups.byComment[7].map(a => a.id)).toEqual([2, 3]);
+			expect(groups.byComment[9].map(a => a.id)).toEqual([4]);
+		});
+	});
+});
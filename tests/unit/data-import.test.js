@@ -0,0 +1,86 @@
+/**
+ * Tests unitarios para la lectura y el mapeo de los CSV de importación
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const {
+	parseCsv,
+	parseColumnMapping,
+	mapColumns,
+	buildRow,
+	normalizeHeader,
+} = require('../../src/utils/dataImport.js');
+
+describe('Importación de datos', () => {
+	describe('parseCsv', () => {
+		it('debe leer campos entre comillas con comas, comillas y saltos de línea', () => {
+			const rows = parseCsv('a,b,c\r\n1,"dos, ""2""","línea 1\nlínea 2"\r\n');
+
+			expect(rows).toEqual([
+				['a', 'b', 'c'],
+				['1', 'dos, "2"', 'línea 1\nlínea 2'],
+			]);
+		});
+
+		it('debe detectar el punto y coma, omitir el BOM y las filas vacías', () => {
+			const rows = parseCsv('\uFEFFUsuario;Rol\n\nana;tecnico\n;\n');
+
+			expect(rows).toEqual([['Usuario', 'Rol'], ['ana', 'tecnico']]);
+		});
+
+		it('debe rechazar comillas sin cerrar', () => {
+			expect(() => parseCsv('a\n"sin cerrar\n')).toThrow('comillas sin cerrar');
+		});
+	});
+
+	describe('mapeo de columnas', () => {
+		it('debe reconocer campos, alias y los encabezados de la exportación', () => {
+			const { columns, ignored, missing } = mapColumns('tickets', [
+				'Referencia', 'requester name', 'Departamento', 'Tipo de soporte', 'PRIORIDAD',
+				'Asunto', 'Descripción', 'Técnico asignado', 'Otra',
+			]);
+
+			expect(columns).toEqual([
+				'reference', 'requester_name', 'department', 'support_type', 'priority',
+				'subject', 'description', 'assigned_username', null,
+			]);
+			expect(ignored).toEqual(['Otra']);
+			expect(missing).toEqual([]);
+		});
+
+		it('debe aplicar el mapeo explícito y listar los campos requeridos que faltan', () => {
+			const { columns, missing } = mapColumns('comments', ['Ticket ID', 'Body'], { 'ticket id': 'ticket_reference' });
+
+			expect(columns).toEqual(['ticket_reference', null]);
+			expect(missing).toEqual(['content']);
+			expect(() => mapColumns('users', ['x'], { x: 'email' })).toThrow('Campo desconocido en el mapeo: email');
+		});
+
+		it('debe leer el mapeo escrito una columna por línea', () => {
+			expect(parseColumnMapping('Ticket ID = ticket_reference\n\nA=B = content')).toEqual({
+				'Ticket ID': 'ticket_reference',
+				'A=B': 'content',
+			});
+			expect(() => parseColumnMapping('sin separador')).toThrow('Línea de mapeo inválida');
+		});
+
+		it('debe normalizar acentos, mayúsculas y guiones bajos', () => {
+			expect(normalizeHeader(' Fecha_de  Creación ')).toBe('fecha de creacion');
+		});
+	});
+
+	describe('buildRow', () => {
+		it('debe omitir vacíos, convertir booleanos y etiquetas de canal', () => {
+			const row = buildRow(
+				['subject', 'is_internal', 'channel', 'department', null],
+				[' Asunto ', 'Sí', 'Teléfono', '', 'ignorado']
+			);
+
+			expect(row).toEqual({ subject: 'Asunto', is_internal: true, channel: 'phone' });
+		});
+
+		it('debe marcar AnyDesk instalado cuando solo viene el código', () => {
+			expect(buildRow(['anydesk_code'], ['123456789'])).toEqual({ anydesk_code: '123456789', has_anydesk: true });
+			expect(buildRow(['has_anydesk', 'anydesk_code'], ['no', '1'])).toMatchObject({ has_anydesk: false });
+		});
+	});
+});
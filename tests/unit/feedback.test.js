@@ -0,0 +1,83 @@
+/**
+ * Tests unitarios para las encuestas de satisfacción (CSAT)
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const {
+	FeedbackService,
+	hashToken,
+	getCsatScore,
+} = require('../../src/services/feedbackService.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createService(options = {}) {
+	const feedbackRepo = {
+		create: vi.fn(async (data) => ({ id: 1, ...data })),
+		findByTokenHash: vi.fn(async () => null),
+		respond: vi.fn(async (id, rating, comment) => ({ id, rating, comment })),
+	};
+	const emailService = { sendFeedbackRequestEmail: vi.fn(async () => true) };
+	const service = new FeedbackService({
+		ticketFeedbackRepository: feedbackRepo,
+		emailService,
+		options: { enabled: true, surveyDays: 30, ...options },
+	});
+	return { service, feedbackRepo, emailService };
+}
+
+describe('Encuestas de satisfacción', () => {
+	describe('getCsatScore', () => {
+		it('debe calcular el porcentaje de respuestas satisfechas', () => {
+			expect(getCsatScore({ responses: 8, satisfied: 6 })).toBe(75);
+			expect(getCsatScore({ responses: 3, satisfied: 2 })).toBe(67);
+		});
+
+		it('debe retornar null sin respuestas', () => {
+			expect(getCsatScore({ responses: 0, satisfied: 0 })).toBeNull();
+		});
+	});
+
+	describe('requestFeedback', () => {
+		it('debe guardar el hash del token y enviar el enlace al solicitante', async () => {
+			const { service, feedbackRepo, emailService } = createService();
+			const ticket = { id: 10, assigned_to: 3, requester_email: 'ana@example.com' };
+
+			const { token } = await service.requestFeedback(ticket);
+
+			expect(feedbackRepo.create).toHaveBeenCalledWith({ ticket_id: 10, technician_id: 3, token_hash: hashToken(token) });
+			expect(emailService.sendFeedbackRequestEmail.mock.calls[0][1]).toBe('ana@example.com');
+			expect(emailService.sendFeedbackRequestEmail.mock.calls[0][2]).toMatch(new RegExp(`/encuesta/${token}$`));
+		});
+
+		it('no debe enviar encuestas sin email o con CSAT deshabilitado', async () => {
+			const withoutEmail = createService();
+			const disabled = createService({ enabled: false });
+
+			expect(await withoutEmail.service.requestFeedback({ id: 1, requester_email: null })).toBeNull();
+			expect(await disabled.service.requestFeedback({ id: 1, requester_email: 'ana@example.com' })).toBeNull();
+			expect(withoutEmail.feedbackRepo.create).not.toHaveBeenCalled();
+			expect(disabled.feedbackRepo.create).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('submitFeedback', () => {
+		it('debe rechazar encuestas vencidas', async () => {
+			const { service, feedbackRepo } = createService();
+			feedbackRepo.findByTokenHash.mockResolvedValue({ id: 1, requested_at: new Date(Date.now() - 31 * DAY) });
+
+			await expect(service.submitFeedback('token', { rating: 5 })).rejects.toThrow('Esta encuesta ya no acepta respuestas');
+			expect(feedbackRepo.respond).not.toHaveBeenCalled();
+		});
+
+		it('debe registrar la calificación de una encuesta vigente', async () => {
+			const { service, feedbackRepo } = createService();
+			feedbackRepo.findByTokenHash.mockResolvedValue({ id: 1, reference: 'TCK-1', requested_at: new Date() });
+
+			const result = await service.submitFeedback('token', { rating: 4, comment: 'Bien' });
+
+			expect(feedbackRepo.findByTokenHash).toHaveBeenCalledWith(hashToken('token'));
+			expect(feedbackRepo.respond).toHaveBeenCalledWith(1, 4, 'Bien');
+			expect(result).toMatchObject({ reference: 'TCK-1', rating: 4 });
+		});
+	});
+});
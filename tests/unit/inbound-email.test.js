@@ -0,0 +1,66 @@
+/**
+ * Tests unitarios para el procesamiento de correo entrante
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const { extractReference, checkSender, extractReplyText } = require('../../src/services/inboundEmailService.js');
+
+describe('Inbound email helpers', () => {
+	describe('extractReference', () => {
+		it('debe encontrar la referencia en el asunto de una respuesta', () => {
+			expect(extractReference('Re: Respuesta en ticket T-250114-1A2B3C4D')).toBe('T-250114-1A2B3C4D');
+			expect(extractReference('RE: [t-250114-abcd] impresora')).toBe('T-250114-ABCD');
+		});
+
+		it('debe devolver null si no hay referencia', () => {
+			expect(extractReference('La impresora no funciona')).toBeNull();
+			expect(extractReference('T-2501-ABCD')).toBeNull();
+			expect(extractReference(undefined)).toBeNull();
+		});
+	});
+
+	describe('checkSender', () => {
+		it('debe permitir cualquier remitente sin reglas', () => {
+			expect(checkSender('ana@empresa.com', { allow: [], deny: [] })).toEqual({ allowed: true });
+		});
+
+		it('debe rechazar remitentes de la lista de bloqueados', () => {
+			const rules = { allow: [], deny: ['spam@empresa.com', '@spam.com'] };
+			expect(checkSender('spam@empresa.com', rules).allowed).toBe(false);
+			expect(checkSender('otro@spam.com', rules).reason).toBe('Remitente bloqueado');
+			expect(checkSender('ana@empresa.com', rules).allowed).toBe(true);
+		});
+
+		it('debe exigir la lista de permitidos si existe', () => {
+			const rules = { allow: ['*@empresa.com', 'externo@proveedor.com'], deny: [] };
+			expect(checkSender('ana@empresa.com', rules).allowed).toBe(true);
+			expect(checkSender('externo@proveedor.com', rules).allowed).toBe(true);
+			expect(checkSender('otro@proveedor.com', rules).reason).toBe('Remitente no permitido');
+			expect(checkSender('ana@empresa.com.evil.io', rules).allowed).toBe(false);
+		});
+
+		it('debe dar prioridad a la denegación', () => {
+			const rules = { allow: ['@empresa.com'], deny: ['becario@empresa.com'] };
+			expect(checkSender('becario@empresa.com', rules).allowed).toBe(false);
+		});
+
+		it('debe rechazar mensajes sin remitente', () => {
+			expect(checkSender('', { allow: [], deny: [] }).reason).toBe('Remitente desconocido');
+		});
+	});
+
+	describe('extractReplyText', () => {
+		it('debe quitar el mensaje citado', () => {
+			const text = 'Ya funciona, gracias.\n\nEl lun, 13 ene 2025 a las 10:00, Soporte escribió:\n> Reinicie el equipo';
+			expect(extractReplyText(text)).toBe('Ya funciona, gracias.');
+		});
+
+		it('debe quitar las líneas citadas y los encabezados de Outlook', () => {
+			const text = 'Sigue fallando\r\n> texto anterior\r\n-----Original Message-----\r\nFrom: soporte';
+			expect(extractReplyText(text)).toBe('Sigue fallando');
+		});
+
+		it('debe conservar el texto completo si todo es cita', () => {
+			expect(extractReplyText('> solo cita')).toBe('> solo cita');
+		});
+	});
+});
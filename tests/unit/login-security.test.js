@@ -0,0 +1,213 @@
+/**
+ * Tests unitarios para el bloqueo de cuentas y la política de contraseñas
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const bcrypt = require('bcryptjs');
+const { describePasswordPolicy, checkPasswordStrength, isPasswordExpired } = require('../../src/utils/passwordPolicy.js');
+const { AuthService } = require('../../src/services/authService.js');
+const { UserService } = require('../../src/services/userService.js');
+const { ValidationError } = require('../../src/middleware/errorHandler.js');
+
+const POLICY = {
+	minLength: 8,
+	requireMixedCase: false,
+	requireNumber: true,
+	requireSymbol: false,
+	historySize: 3,
+	maxAgeDays: 0,
+};
+
+const PASSWORD_HASH = bcrypt.hashSync('Actual123', 4);
+
+function createAuthService(user, registerResult = { failed_login_count: 1, locked_until: null }) {
+	const userRepo = {
+		findByUsername: vi.fn(async () => user),
+		registerFailedLogin: vi.fn(async () => registerResult),
+		resetFailedLogins: vi.fn(async () => ({ id: 1, username: 'ana' })),
+	};
+	const auditRepo = {
+		create: vi.fn(async () => ({})),
+	};
+	const service = new AuthService({
+		userRepository: userRepo,
+		loginAuditRepository: auditRepo,
+		options: { maxFailedAttempts: 5, lockoutMinutes: 15 },
+		passwordPolicy: POLICY,
+	});
+	return { service, userRepo, auditRepo };
+}
+
+function createUserRow(overrides = {}) {
+	return {
+		id: 1,
+		username: 'ana',
+		role: 'tecnico',
+		role_id: 3,
+		password_hash: PASSWORD_HASH,
+		failed_login_count: 0,
+		locked_until: null,
+		must_change_password: false,
+		password_changed_at: new Date(),
+		...overrides,
+	};
+}
+
+describe('Seguridad del inicio de sesión', () => {
+	describe('utils/passwordPolicy', () => {
+		it('debe describir solo los requisitos activos', () => {
+			expect(describePasswordPolicy(POLICY)).toEqual(['al menos 8 caracteres', 'al menos un número']);
+			expect(describePasswordPolicy({ ...POLICY, requireMixedCase: true, requireSymbol: true })).toEqual([
+				'al menos 8 caracteres',
+				'mayúsculas y minúsculas',
+				'al menos un número',
+				'al menos un símbolo',
+			]);
+		});
+
+		it('debe devolver los requisitos que no se cumplen', () => {
+			const strict = { ...POLICY, requireMixedCase: true, requireSymbol: true };
+
+			expect(checkPasswordStrength('corta1', POLICY)).toEqual(['al menos 8 caracteres']);
+			expect(checkPasswordStrength('sinnumeros', POLICY)).toEqual(['al menos un número']);
+			expect(checkPasswordStrength('minusculas1!', strict)).toEqual(['mayúsculas y minúsculas']);
+			expect(checkPasswordStrength('Completa1!', strict)).toEqual([]);
+		});
+
+		it('debe considerar caducada la contraseña pasados maxAgeDays', () => {
+			const now = new Date('2026-03-31T12:00:00Z');
+			const policy = { ...POLICY, maxAgeDays: 90 };
+
+			expect(isPasswordExpired(new Date('2026-01-01T12:00:00Z'), policy, now)).toBe(false);
+			expect(isPasswordExpired(new Date('2025-12-30T12:00:00Z'), policy, now)).toBe(true);
+			expect(isPasswordExpired(new Date('2020-01-01T12:00:00Z'), POLICY, now)).toBe(false);
+		});
+	});
+
+	describe('AuthService.login', () => {
+		it('debe auditar un usuario inexistente sin asociarlo a una cuenta', async () => {
+			const { service, auditRepo } = createAuthService(null);
+
+			const result = await service.login('nadie', 'x', { ip: '10.0.0.1', userAgent: 'Firefox' });
+
+			expect(result.user).toBeNull();
+			expect(auditRepo.create).toHaveBeenCalledWith({
+				user_id: null,
+				username: 'nadie',
+				success: false,
+				reason: 'unknown_user',
+				ip: '10.0.0.1',
+				user_agent: 'Firefox',
+			});
+		});
+
+		it('debe contar la contraseña incorrecta e informar del bloqueo', async () => {
+			const lockedUntil = new Date(Date.now() + 15 * 60 * 1000);
+			const { service, userRepo, auditRepo } = createAuthService(createUserRow(), { failed_login_count: 0, locked_until: lockedUntil });
+
+			const result = await service.login('ana', 'Incorrecta1');
+
+			expect(userRepo.registerFailedLogin).toHaveBeenCalledWith(1, 5, 15);
+			expect(auditRepo.create.mock.calls[0][0].reason).toBe('invalid_password');
+			expect(result).toEqual({ user: null, lockedUntil, passwordChange: null });
+		});
+
+		it('debe rechazar una cuenta bloqueada sin comprobar la contraseña', async () => {
+			const lockedUntil = new Date(Date.now() + 60 * 1000);
+			const { service, userRepo, auditRepo } = createAuthService(createUserRow({ locked_until: lockedUntil }));
+
+			const result = await service.login('ana', 'Actual123');
+
+			expect(result.user).toBeNull();
+			expect(result.lockedUntil).toEqual(lockedUntil);
+			expect(userRepo.registerFailedLogin).not.toHaveBeenCalled();
+			expect(auditRepo.create.mock.calls[0][0].reason).toBe('locked');
+		});
+
+		it('no debe reiniciar el contador solo con la contraseña correcta', async () => {
+			const { service, userRepo, auditRepo } = createAuthService(createUserRow({ failed_login_count: 2 }));
+
+			const result = await service.login('ana', 'Actual123');
+
+			expect(result.user).toEqual({ id: 1, username: 'ana', role: 'tecnico', role_id: 3 });
+			expect(result.passwordChange).toBeNull();
+			// El contador se reinicia y el acceso se audita al completar la sesión
+			expect(userRepo.resetFailedLogins).not.toHaveBeenCalled();
+			expect(auditRepo.create).not.toHaveBeenCalled();
+		});
+
+		it('debe pedir el cambio de contraseña en el primer acceso o si caducó', async () => {
+			const { service } = createAuthService(createUserRow({ must_change_password: true }));
+			expect((await service.login('ana', 'Actual123')).passwordChange).toBe('first_login');
+
+			service.passwordPolicy = { ...POLICY, maxAgeDays: 30 };
+			service.userRepo.findByUsername.mockResolvedValue(createUserRow({ password_changed_at: new Date('2020-01-01') }));
+			expect((await service.login('ana', 'Actual123')).passwordChange).toBe('expired');
+		});
+
+		it('no debe impedir el acceso si falla la auditoría', async () => {
+			const { service, auditRepo } = createAuthService(createUserRow());
+			auditRepo.create.mockRejectedValue(new Error('sin conexión'));
+			vi.spyOn(console, 'error').mockImplementation(() => {});
+
+			await expect(service.recordSuccess({ id: 1, username: 'ana' })).resolves.toBeNull();
+		});
+	});
+
+	describe('AuthService.listAudit', () => {
+		it('debe paginar la auditoría', async () => {
+			const { service, auditRepo } = createAuthService(null);
+			auditRepo.findAll = vi.fn(async () => [{ id: 3 }]);
+			auditRepo.count = vi.fn(async () => 120);
+
+			const { pagination } = await service.listAudit({ success: false }, 2);
+
+			expect(auditRepo.findAll).toHaveBeenCalledWith({ success: false }, 50, 50);
+			expect(pagination).toEqual({
+				currentPage: 2,
+				totalPages: 3,
+				totalEntries: 120,
+				perPage: 50,
+				hasNext: true,
+				hasPrev: true,
+			});
+		});
+	});
+
+	describe('UserService.changePassword', () => {
+		function createUserService(previousPasswords = []) {
+			const userRepo = {
+				findById: vi.fn(async () => createUserRow()),
+				updatePassword: vi.fn(async () => ({})),
+			};
+			const passwordHistoryRepo = {
+				findRecent: vi.fn(async () => previousPasswords.map(password => ({ password_hash: bcrypt.hashSync(password, 4) }))),
+				add: vi.fn(async () => {}),
+			};
+			const service = new UserService({
+				userRepository: userRepo,
+				permissionRepository: {},
+				passwordHistoryRepository: passwordHistoryRepo,
+				passwordPolicy: POLICY,
+			});
+			return { service, userRepo, passwordHistoryRepo };
+		}
+
+		it('debe rechazar la contraseña actual y las del historial', async () => {
+			const { service, userRepo, passwordHistoryRepo } = createUserService(['Anterior123']);
+
+			await expect(service.changePassword(1, 'Actual123', 'Actual123')).rejects.toThrow(ValidationError);
+			await expect(service.changePassword(1, 'Actual123', 'Anterior123')).rejects.toThrow('ninguna de las últimas 3');
+			expect(passwordHistoryRepo.findRecent).toHaveBeenCalledWith(1, 2);
+			expect(userRepo.updatePassword).not.toHaveBeenCalled();
+		});
+
+		it('debe guardar la contraseña anterior en el historial', async () => {
+			const { service, userRepo, passwordHistoryRepo } = createUserService(['Anterior123']);
+
+			await service.changePassword(1, 'Actual123', 'Nueva12345');
+
+			expect(bcrypt.compareSync('Nueva12345', userRepo.updatePassword.mock.calls[0][1])).toBe(true);
+			expect(passwordHistoryRepo.add).toHaveBeenCalledWith(1, PASSWORD_HASH, 2);
+		});
+	});
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests unitarios para las plantillas de macros
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const { buildContext, findUnknownPlaceholders, renderTemplate } = require('../../src/utils/macros.js');
+const { canEditMacro } = require('../../src/services/macroService.js');
+
+const TICKET = {
+	reference: 'T-260101-ABCD',
+	requester_name: 'Ana',
+	subject: 'Sin impresora',
+	status: 'Pendiente',
+	priority: 'Baja – No es urgente',
+	department: 'Ventas',
+	support_type: 'Hardware',
+	assigned_username: null,
+};
+
+describe('Macros', () => {
+	describe('renderTemplate', () => {
+		it('debe reemplazar los marcadores con los valores del ticket', () => {
+			const context = buildContext(TICKET, { agent_name: 'luis' });
+			expect(renderTemplate('Hola {{requester_name}}, soy {{ agent_name }} ({{reference}})', context))
+				.toBe('Hola Ana, soy luis (T-260101-ABCD)');
+		});
+
+		it('debe dejar vacíos los valores ausentes y conservar marcadores desconocidos', () => {
+			const context = buildContext(TICKET);
+			expect(renderTemplate('Técnico: {{technician_name}}. {{otro}}', context)).toBe('Técnico: . {{otro}}');
+		});
+
+		it('debe retornar null para plantillas vacías', () => {
+			expect(renderTemplate(null, {})).toBeNull();
+			expect(renderTemplate('', {})).toBeNull();
+		});
+
+		it('debe usar el estado y técnico que recibe en lugar de los del ticket', () => {
+			const context = buildContext(TICKET, { status: 'Resuelto', technician_name: 'marta' });
+			expect(renderTemplate('{{status}} por {{technician_name}}', context)).toBe('Resuelto por marta');
+		});
+	});
+
+	describe('findUnknownPlaceholders', () => {
+		it('debe listar una sola vez cada marcador desconocido', () => {
+			expect(findUnknownPlaceholders('{{nombre}} {{reference}} {{nombre}} {{fecha}}')).toEqual(['nombre', 'fecha']);
+			expect(findUnknownPlaceholders(null)).toEqual([]);
+		});
+	});
+
+	describe('canEditMacro', () => {
+		it('debe permitir editar solo al autor o a un admin', () => {
+			const macro = { owner_id: 3, is_shared: true };
+			expect(canEditMacro(macro, { id: 3, role: 'tecnico' })).toBe(true);
+			expect(canEditMacro(macro, { id: 4, role: 'tecnico' })).toBe(false);
+			expect(canEditMacro(macro, { id: 4, role: 'admin' })).toBe(true);
+		});
+	});
+});
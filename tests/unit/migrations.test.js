@@ -0,0 +1,156 @@
+/**
+ * Tests unitarios para las migraciones versionadas del esquema
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Migrator, loadMigrations, formatMigration, LOCK_KEY } = require('../../src/migrations/index.js');
+
+/**
+ * Pool simulado: schema_migrations vive en memoria y cada consulta queda registrada
+ */
+function createMockPool(appliedVersions = []) {
+	const applied = appliedVersions.map(version => ({ version, name: `m${version}`, applied_at: new Date('2026-01-01') }));
+	const queries = [];
+	const client = {
+		query: vi.fn(async (sql, params) => {
+			queries.push(sql.trim().split('\n')[0]);
+			if (sql.startsWith('SELECT version')) {
+				return { rows: [...applied] };
+			}
+			if (sql.startsWith('INSERT INTO schema_migrations')) {
+				applied.push({ version: params[0], name: params[1], applied_at: new Date() });
+			}
+			if (sql.startsWith('DELETE FROM schema_migrations')) {
+				applied.splice(applied.findIndex(row => row.version === params[0]), 1);
+			}
+			return { rows: [] };
+		}),
+		release: vi.fn(),
+	};
+	return { pool: { connect: vi.fn(async () => client) }, client, queries, applied };
+}
+
+function createMigration(version, overrides = {}) {
+	return {
+		version,
+		name: `m${version}`,
+		up: vi.fn(async (client) => client.query(`-- up ${version}`)),
+		down: vi.fn(async (client) => client.query(`-- down ${version}`)),
+		...overrides,
+	};
+}
+
+describe('Migraciones', () => {
+	describe('loadMigrations', () => {
+		let directory;
+
+		beforeEach(() => {
+			directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+		});
+
+		afterEach(() => {
+			fs.rmSync(directory, { recursive: true, force: true });
+		});
+
+		it('debe cargar los archivos numerados ordenados por versión', () => {
+			const source = 'module.exports = { up: async () => {}, down: async () => {} };';
+			fs.writeFileSync(path.join(directory, '0010_add_watchers.js'), source);
+			fs.writeFileSync(path.join(directory, '0002_add_channel.js'), source);
+			fs.writeFileSync(path.join(directory, 'README.md'), '');
+
+			const migrations = loadMigrations(directory);
+
+			expect(migrations.map(formatMigration)).toEqual(['0002_add_channel', '0010_add_watchers']);
+		});
+
+		it('debe rechazar versiones duplicadas y migraciones sin down', () => {
+			fs.writeFileSync(path.join(directory, '0001_a.js'), 'module.exports = { up: async () => {}, down: async () => {} };');
+			fs.writeFileSync(path.join(directory, '001_b.js'), 'module.exports = { up: async () => {}, down: async () => {} };');
+			expect(() => loadMigrations(directory)).toThrow('Hay dos migraciones con la versión 1');
+
+			fs.rmSync(path.join(directory, '001_b.js'));
+			fs.writeFileSync(path.join(directory, '0002_c.js'), 'module.exports = { up: async () => {} };');
+			expect(() => loadMigrations(directory)).toThrow('La migración 0002_c.js debe exportar up(client) y down(client)');
+		});
+
+		it('debe incluir la migración base del esquema', () => {
+			expect(loadMigrations().map(formatMigration)[0]).toBe('0001_baseline');
+		});
+	});
+
+	describe('Migrator', () => {
+		it('debe aplicar solo las pendientes, cada una en su transacción y bajo el bloqueo', async () => {
+			const { pool, client, queries } = createMockPool([1]);
+			const migrations = [createMigration(1), createMigration(2), createMigration(3)];
+
+			const applied = await new Migrator({ pool, migrations }).up();
+
+			expect(applied).toEqual([{ version: 2, name: 'm2' }, { version: 3, name: 'm3' }]);
+			expect(migrations[0].up).not.toHaveBeenCalled();
+			expect(client.query).toHaveBeenCalledWith('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+			expect(queries.slice(-5)).toEqual([
+				'BEGIN',
+				'-- up 3',
+				'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+				'COMMIT',
+				'SELECT pg_advisory_unlock($1)',
+			]);
+			expect(queries.filter(sql => sql === 'BEGIN')).toHaveLength(2);
+			expect(client.release).toHaveBeenCalled();
+		});
+
+		it('debe detenerse en la versión indicada', async () => {
+			const { pool } = createMockPool();
+			const migrations = [createMigration(1), createMigration(2)];
+
+			const applied = await new Migrator({ pool, migrations }).up({ to: 1 });
+
+			expect(applied.map(migration => migration.version)).toEqual([1]);
+			expect(migrations[1].up).not.toHaveBeenCalled();
+		});
+
+		it('debe deshacer la migración que falla y liberar el bloqueo', async () => {
+			const { pool, queries, applied } = createMockPool();
+			const failing = createMigration(2, { up: vi.fn(async () => { throw new Error('columna duplicada'); }) });
+
+			await expect(new Migrator({ pool, migrations: [createMigration(1), failing] }).up())
+				.rejects.toThrow('La migración 0002_m2 (up) falló: columna duplicada');
+
+			expect(applied.map(row => row.version)).toEqual([1]);
+			expect(queries).toContain('ROLLBACK');
+			expect(queries[queries.length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+		});
+
+		it('debe revertir las últimas aplicadas en orden inverso', async () => {
+			const { pool, applied } = createMockPool([1, 2, 3]);
+			const migrations = [createMigration(1), createMigration(2), createMigration(3)];
+
+			const reverted = await new Migrator({ pool, migrations }).down(2);
+
+			expect(reverted.map(migration => migration.version)).toEqual([3, 2]);
+			expect(migrations[2].down.mock.invocationCallOrder[0]).toBeLessThan(migrations[1].down.mock.invocationCallOrder[0]);
+			expect(applied.map(row => row.version)).toEqual([1]);
+		});
+
+		it('debe informar de las aplicadas sin archivo', async () => {
+			const { pool } = createMockPool([1, 7]);
+
+			const status = await new Migrator({ pool, migrations: [createMigration(1), createMigration(2)] }).status();
+
+			expect(status.map(({ version, missing, appliedAt }) => [version, missing, !!appliedAt])).toEqual([
+				[1, false, true],
+				[2, false, false],
+				[7, true, true],
+			]);
+		});
+
+		it('no debe revertir una migración cuyo archivo falta', async () => {
+			const { pool } = createMockPool([1, 7]);
+
+			await expect(new Migrator({ pool, migrations: [createMigration(1)] }).down())
+				.rejects.toThrow('No se encuentra el archivo de la migración aplicada 0007_m7');
+		});
+	});
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests unitarios para las preferencias de notificación y el resumen diario
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const { NotificationService } = require('../../src/services/notificationService.js');
+
+const NOTICE = { type: 'new_comment', title: '💬 Nuevo comentario', message: 'Nuevo comentario en el ticket TKT-0010', ticket_id: 10, ticket_reference: 'TKT-0010' };
+
+function createService({ channels = [], pending = [], transporter = {} } = {}) {
+	let nextId = 1;
+	const notificationRepo = {
+		create: vi.fn(async (data) => ({ id: nextId++, ...data })),
+		markEmailed: vi.fn(async () => {}),
+		findDigestPending: vi.fn(async () => pending),
+	};
+	const preferenceRepo = {
+		findChannels: vi.fn(async () => channels),
+		findByUserId: vi.fn(async () => [{ event_type: 'sla_breach', channel: 'email' }]),
+		replaceForUser: vi.fn(async () => {}),
+	};
+	const userRepo = {
+		findById: vi.fn(async () => ({ id: 4, email: 'ana@example.com' })),
+		update: vi.fn(async () => ({})),
+		claimDigest: vi.fn(async () => true),
+		releaseDigest: vi.fn(async () => ({})),
+	};
+	const emailService = {
+		getTransporter: vi.fn(() => transporter),
+		sendNotificationEmail: vi.fn(async () => true),
+		sendNotificationDigestEmail: vi.fn(async () => true),
+	};
+	const service = new NotificationService({
+		notificationRepository: notificationRepo,
+		notificationPreferenceRepository: preferenceRepo,
+		userRepository: userRepo,
+		emailService,
+		options: { digestHour: 8 },
+	});
+	return { service, notificationRepo, preferenceRepo, userRepo, emailService };
+}
+
+describe('Preferencias de notificación', () => {
+	describe('notify', () => {
+		it('debe entregar cada aviso por el canal elegido por el usuario', async () => {
+			const { service, notificationRepo, emailService } = createService({
+				channels: [
+					{ user_id: 1, email: 'uno@example.com', channel: 'in_app' },
+					{ user_id: 2, email: 'dos@example.com', channel: 'email' },
+					{ user_id: 3, email: 'tres@example.com', channel: 'digest' },
+					{ user_id: 4, email: 'cuatro@example.com', channel: 'off' },
+				],
+			});
+
+			await service.notify([1, 2, 3, 4], NOTICE);
+
+			expect(notificationRepo.create.mock.calls.map(([data]) => data.user_id)).toEqual([1, 2, 3]);
+			expect(emailService.sendNotificationEmail).toHaveBeenCalledTimes(1);
+			expect(emailService.sendNotificationEmail).toHaveBeenCalledWith(
+				'dos@example.com',
+				expect.objectContaining({ title: '💬 Nuevo comentario', ticket_reference: 'TKT-0010' })
+			);
+			expect(notificationRepo.markEmailed).toHaveBeenCalledWith([2]);
+		});
+
+		it('no debe consultar preferencias sin destinatarios', async () => {
+			const { service, preferenceRepo } = createService();
+
+			expect(await service.notify([null], NOTICE)).toEqual([]);
+			expect(preferenceRepo.findChannels).not.toHaveBeenCalled();
+		});
+	});
+
+	it('debe completar las preferencias sin guardar con el canal por defecto', async () => {
+		const { service } = createService();
+
+		const { email, preferences } = await service.getPreferences(4);
+
+		expect(email).toBe('ana@example.com');
+		expect(preferences.sla_breach).toBe('email');
+		expect(preferences.new_ticket).toBe('in_app');
+	});
+
+	describe('sendDigests', () => {
+		const pending = [
+			{ id: 1, user_id: 4, username: 'ana', email: 'ana@example.com', title: 'a' },
+			{ id: 2, user_id: 4, username: 'ana', email: 'ana@example.com', title: 'b' },
+			{ id: 3, user_id: 5, username: 'luis', email: 'luis@example.com', title: 'c' },
+		];
+
+		it('debe enviar un solo email por usuario y marcar sus notificaciones', async () => {
+			const { service, notificationRepo, userRepo, emailService } = createService({ pending });
+			const now = new Date('2026-03-10T09:30:00');
+
+			const result = await service.sendDigests(now);
+
+			expect(result).toEqual({ users: 2, sent: 2, failed: 0 });
+			expect(notificationRepo.findDigestPending).toHaveBeenCalledWith(new Date('2026-03-10T08:00:00'));
+			expect(emailService.sendNotificationDigestEmail).toHaveBeenCalledWith(
+				{ username: 'ana', email: 'ana@example.com' },
+				[pending[0], pending[1]]
+			);
+			expect(notificationRepo.markEmailed).toHaveBeenCalledWith([1, 2]);
+			expect(userRepo.claimDigest).toHaveBeenCalledWith(4, now, new Date('2026-03-10T08:00:00'));
+			expect(userRepo.releaseDigest).not.toHaveBeenCalled();
+		});
+
+		it('no debe enviar el resumen de un usuario ya reservado por otra ejecución', async () => {
+			const { service, userRepo, emailService } = createService({ pending });
+			userRepo.claimDigest.mockImplementation(async (userId) => userId !== 4);
+
+			const result = await service.sendDigests(new Date('2026-03-10T09:30:00'));
+
+			expect(result).toEqual({ users: 1, sent: 1, failed: 0 });
+			expect(emailService.sendNotificationDigestEmail).toHaveBeenCalledTimes(1);
+			expect(emailService.sendNotificationDigestEmail).toHaveBeenCalledWith(
+				{ username: 'luis', email: 'luis@example.com' },
+				[pending[2]]
+			);
+		});
+
+		it('no debe enviar antes de la hora del resumen ni sin SMTP', async () => {
+			const early = createService({ pending });
+			const noSmtp = createService({ pending, transporter: null });
+
+			await early.service.sendDigests(new Date('2026-03-10T07:59:00'));
+			await noSmtp.service.sendDigests(new Date('2026-03-10T09:00:00'));
+
+			expect(early.notificationRepo.findDigestPending).not.toHaveBeenCalled();
+			expect(noSmtp.notificationRepo.findDigestPending).not.toHaveBeenCalled();
+		});
+
+		it('no debe marcar como enviadas las notificaciones de un resumen fallido', async () => {
+			const { service, notificationRepo, userRepo, emailService } = createService({ pending: [pending[2]] });
+			emailService.sendNotificationDigestEmail.mockResolvedValueOnce(false);
+			const now = new Date('2026-03-10T09:00:00');
+
+			const result = await service.sendDigests(now);
+
+			expect(result).toEqual({ users: 1, sent: 0, failed: 1 });
+			expect(notificationRepo.markEmailed).not.toHaveBeenCalled();
+			expect(userRepo.releaseDigest).toHaveBeenCalledWith(5, now);
+		});
+	});
+});
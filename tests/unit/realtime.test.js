@@ -0,0 +1,103 @@
+/**
+ * Tests unitarios para el reparto de eventos en tiempo real
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const { EventEmitter } = require('events');
+const { RealtimeService } = require('../../src/services/realtimeService.js');
+
+function createClient() {
+	const client = new EventEmitter();
+	client.query = vi.fn(async () => ({ rows: [] }));
+	client.release = vi.fn();
+	return client;
+}
+
+function createService() {
+	const clients = [];
+	const pool = {
+		connect: vi.fn(async () => {
+			const client = createClient();
+			clients.push(client);
+			return client;
+		}),
+	};
+	const service = new RealtimeService({ pool, options: { reconnectDelay: 1000 } });
+	return { service, pool, clients };
+}
+
+const emit = (client, event) => client.emit('notification', { channel: 'ticket_events', payload: JSON.stringify(event) });
+
+describe('Eventos en tiempo real', () => {
+	it('debe compartir una sola conexión de escucha entre suscriptores', async () => {
+		const { service, pool, clients } = createService();
+
+		await Promise.all([
+			service.subscribe({ id: 1 }, vi.fn()),
+			service.subscribe({ id: 2 }, vi.fn()),
+		]);
+
+		expect(pool.connect).toHaveBeenCalledTimes(1);
+		expect(clients[0].query).toHaveBeenCalledWith('LISTEN ticket_events');
+		expect(service.countSubscribers()).toBe(2);
+	});
+
+	it('debe enviar las notificaciones solo a su destinatario y el resto de eventos a todos', async () => {
+		const { service, clients } = createService();
+		const ana = vi.fn();
+		const luis = vi.fn();
+		await service.subscribe({ id: 1 }, ana);
+		await service.subscribe({ id: 2 }, luis);
+
+		emit(clients[0], { kind: 'notification', id: 9, user_id: 2, type: 'new_comment', ticket_id: 10 });
+		emit(clients[0], { kind: 'comment', id: 4, ticket_id: 10, user_id: null, is_internal: false });
+
+		expect(ana.mock.calls.map(([kind]) => kind)).toEqual(['comment']);
+		expect(luis.mock.calls.map(([kind]) => kind)).toEqual(['notification', 'comment']);
+		expect(luis).toHaveBeenCalledWith('notification', { id: 9, user_id: 2, type: 'new_comment', ticket_id: 10 });
+	});
+
+	it('debe liberar la conexión al irse el último suscriptor', async () => {
+		const { service, clients } = createService();
+		const first = await service.subscribe({ id: 1 }, vi.fn());
+		const second = await service.subscribe({ id: 2 }, vi.fn());
+
+		first();
+		expect(clients[0].release).not.toHaveBeenCalled();
+		second();
+
+		expect(clients[0].release).toHaveBeenCalledWith(true);
+		expect(service.countSubscribers()).toBe(0);
+	});
+
+	it('debe reconectar tras perder la conexión', async () => {
+		vi.useFakeTimers();
+		try {
+			const { service, pool, clients } = createService();
+			const send = vi.fn();
+			await service.subscribe({ id: 1 }, send);
+
+			clients[0].emit('error', new Error('Connection terminated'));
+			expect(clients[0].release).toHaveBeenCalled();
+
+			await vi.advanceTimersByTimeAsync(1000);
+			expect(pool.connect).toHaveBeenCalledTimes(2);
+
+			emit(clients[1], { kind: 'ticket', change: 'status', ticket_id: 10, reference: 'TKT-0010', status: 'Resuelto' });
+			expect(send).toHaveBeenCalledWith('ticket', expect.objectContaining({ status: 'Resuelto' }));
+		} finally {
+			vi.useRealTimers();
+		}
+	});
+
+	it('debe ignorar payloads inválidos', async () => {
+		const { service, clients } = createService();
+		const send = vi.fn();
+		await service.subscribe({ id: 1 }, send);
+		const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+		clients[0].emit('notification', { channel: 'ticket_events', payload: 'no es json' });
+
+		expect(send).not.toHaveBeenCalled();
+		consoleError.mockRestore();
+	});
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests unitarios para el portal del solicitante
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const crypto = require('crypto');
+const {
+	RequesterPortalService,
+	hashToken,
+	ownsTicket,
+	getReopenDeadline,
+} = require('../../src/services/requesterPortalService.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createService(overrides = {}) {
+	const tokenRepo = {
+		create: vi.fn(async (data) => ({ id: 1, ...data })),
+		consume: vi.fn(async () => null),
+	};
+	const ticketRepo = { count: vi.fn(async () => 1) };
+	const emailService = { sendRequesterLoginEmail: vi.fn(async () => true) };
+	const service = new RequesterPortalService({
+		requesterLoginTokenRepository: tokenRepo,
+		ticketRepository: ticketRepo,
+		ticketService: {},
+		emailService,
+		options: { linkTtlMinutes: 30, reopenWindowDays: 7 },
+		...overrides,
+	});
+	return { service, tokenRepo, ticketRepo, emailService };
+}
+
+describe('Portal del solicitante', () => {
+	describe('hashToken', () => {
+		it('debe guardar el SHA-256 del token', () => {
+			const expected = crypto.createHash('sha256').update('abc').digest('hex');
+			expect(hashToken('abc')).toBe(expected);
+		});
+	});
+
+	describe('ownsTicket', () => {
+		it('debe comparar el email sin distinguir mayúsculas', () => {
+			expect(ownsTicket({ requester_email: 'ana@example.com' }, ' Ana@Example.com ')).toBe(true);
+			expect(ownsTicket({ requester_email: 'ana@example.com' }, 'otro@example.com')).toBe(false);
+		});
+
+		it('no debe dar acceso a tickets sin email', () => {
+			expect(ownsTicket({ requester_email: null }, '')).toBe(false);
+		});
+	});
+
+	describe('getReopenDeadline', () => {
+		it('debe sumar el plazo a la fecha de resolución', () => {
+			const resolvedAt = new Date('2026-03-01T10:00:00Z');
+			const deadline = getReopenDeadline({ status: 'Resuelto', resolved_at: resolvedAt }, 7);
+			expect(deadline.toISOString()).toBe('2026-03-08T10:00:00.000Z');
+		});
+
+		it('debe retornar null para tickets abiertos', () => {
+			expect(getReopenDeadline({ status: 'En Proceso', resolved_at: null }, 7)).toBeNull();
+		});
+	});
+
+	describe('canReopen', () => {
+		it('debe permitir reabrir solo al dueño y dentro del plazo', () => {
+			const { service } = createService();
+			const recent = { status: 'Cerrado', requester_email: 'ana@example.com', resolved_at: new Date(Date.now() - DAY) };
+			const old = { ...recent, resolved_at: new Date(Date.now() - 8 * DAY) };
+
+			expect(service.canReopen(recent, 'ana@example.com')).toBe(true);
+			expect(service.canReopen(recent, 'otro@example.com')).toBe(false);
+			expect(service.canReopen(old, 'ana@example.com')).toBe(false);
+		});
+	});
+
+	describe('requestLoginLink', () => {
+		it('no debe crear enlaces para direcciones sin tickets', async () => {
+			const { service, ticketRepo, tokenRepo, emailService } = createService();
+			ticketRepo.count.mockResolvedValue(0);
+
+			const result = await service.requestLoginLink('nadie@example.com');
+
+			expect(result).toBeNull();
+			expect(tokenRepo.create).not.toHaveBeenCalled();
+			expect(emailService.sendRequesterLoginEmail).not.toHaveBeenCalled();
+		});
+
+		it('debe guardar solo el hash del token y enviar el enlace', async () => {
+			const { service, tokenRepo, emailService } = createService();
+
+			const { token } = await service.requestLoginLink('Ana@Example.com');
+
+			expect(tokenRepo.create.mock.calls[0][0]).toMatchObject({ email: 'ana@example.com', token_hash: hashToken(token) });
+			expect(emailService.sendRequesterLoginEmail.mock.calls[0][1]).toMatch(new RegExp(`/acceso/${token}$`));
+		});
+	});
+});
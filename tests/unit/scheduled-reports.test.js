@@ -0,0 +1,148 @@
+/**
+ * Tests unitarios para los reportes programados
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const {
+	ScheduledReportService,
+	resolvePeriod,
+} = require('../../src/services/scheduledReportService.js');
+const { generateSummaryReport } = require('../../src/services/reportService.js');
+
+const TOTALS = { created: 12, resolved: 9, backlog: 4 };
+
+function createService({ subscriptions = [], delivered = true, transporter = {} } = {}) {
+	const subscriptionRepo = {
+		findActive: vi.fn(async () => subscriptions),
+		claimPeriod: vi.fn(async (id) => ({ id })),
+		markSent: vi.fn(async () => ({})),
+		markFailed: vi.fn(async () => ({})),
+	};
+	const ticketRepo = {
+		getSlaCompliance: vi.fn(async () => ({
+			response: { met: 3, breached: 1, rate: 75 },
+			resolution: { met: 2, breached: 0, rate: 100 },
+		})),
+	};
+	const analyticsService = {
+		getDashboard: vi.fn(async (filters) => ({
+			range: filters,
+			totals: TOTALS,
+			series: [{ period: filters.from, created: 12, resolved: 9 }],
+			times: {
+				firstResponse: { count: 4, average: 45, median: 30 },
+				resolution: { count: 9, average: 1500, median: 600 },
+			},
+			aging: [],
+			byDepartment: [{ label: 'Ventas', created: 12, resolved: 9, open: 3, resolutionAverage: 1500 }],
+			bySupportType: [],
+			byTechnician: [{ label: 'Sin asignar', created: 12, resolved: 9, open: 3, resolutionAverage: null }],
+		})),
+	};
+	const emailService = {
+		getTransporter: vi.fn(() => transporter),
+		sendScheduledReportEmail: vi.fn(async () => delivered),
+	};
+	const service = new ScheduledReportService({
+		reportSubscriptionRepository: subscriptionRepo,
+		ticketRepository: ticketRepo,
+		analyticsService,
+		reportService: { generateSummaryReport },
+		emailService,
+		options: { sendHour: 7 },
+	});
+	return { service, subscriptionRepo, analyticsService, emailService };
+}
+
+describe('Reportes programados', () => {
+	describe('resolvePeriod', () => {
+		it('debe tomar la semana de lunes a domingo anterior', () => {
+			// Jueves 15 y lunes 19 de octubre de 2026
+			expect(resolvePeriod('weekly', new Date(2026, 9, 15, 10))).toEqual({
+				from: '2026-10-05',
+				to: '2026-10-11',
+				label: 'Semana del 05/10/2026 al 11/10/2026',
+			});
+			expect(resolvePeriod('weekly', new Date(2026, 9, 19, 8))).toMatchObject({ from: '2026-10-12', to: '2026-10-18' });
+		});
+
+		it('debe tomar el mes anterior completo, también al cambiar de año', () => {
+			expect(resolvePeriod('monthly', new Date(2026, 2, 1))).toEqual({
+				from: '2026-02-01',
+				to: '2026-02-28',
+				label: 'Febrero de 2026',
+			});
+			expect(resolvePeriod('monthly', new Date(2027, 0, 10))).toMatchObject({ from: '2026-12-01', to: '2026-12-31' });
+		});
+	});
+
+	describe('sendDue', () => {
+		const now = new Date(2026, 9, 19, 8);
+
+		it('debe enviar el PDF de los periodos pendientes y registrar el envío', async () => {
+			const { service, subscriptionRepo, analyticsService, emailService } = createService({
+				subscriptions: [
+					{ id: 1, name: 'Semanal', frequency: 'weekly', recipients: ['a@example.com'], last_period_start: new Date(2026, 9, 5) },
+					{ id: 2, name: 'Mensual', frequency: 'monthly', recipients: ['b@example.com'], last_period_start: null },
+				],
+			});
+
+			const result = await service.sendDue(now);
+
+			expect(result).toEqual({ checked: 2, sent: 2, failed: 0 });
+			expect(analyticsService.getDashboard).toHaveBeenCalledWith({ from: '2026-10-12', to: '2026-10-18', interval: 'day' });
+			expect(analyticsService.getDashboard).toHaveBeenCalledWith({ from: '2026-09-01', to: '2026-09-30', interval: 'week' });
+			const [subscription, period, totals, pdf] = emailService.sendScheduledReportEmail.mock.calls[0];
+			expect(subscription.id).toBe(1);
+			expect(period.from).toBe('2026-10-12');
+			expect(totals).toEqual(TOTALS);
+			expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+			expect(subscriptionRepo.claimPeriod).toHaveBeenCalledWith(1, '2026-10-12');
+			expect(subscriptionRepo.markSent).toHaveBeenCalledWith(1, '2026-10-12');
+			expect(subscriptionRepo.markSent).toHaveBeenCalledWith(2, '2026-09-01');
+		});
+
+		it('no debe enviar un periodo ya reservado por otra ejecución', async () => {
+			const { service, subscriptionRepo, emailService } = createService({
+				subscriptions: [{ id: 1, name: 'Semanal', frequency: 'weekly', recipients: ['a@example.com'], last_period_start: new Date(2026, 9, 5) }],
+			});
+			subscriptionRepo.claimPeriod.mockResolvedValueOnce(null);
+
+			expect(await service.sendDue(now)).toEqual({ checked: 1, sent: 0, failed: 0 });
+			expect(emailService.sendScheduledReportEmail).not.toHaveBeenCalled();
+		});
+
+		it('no debe repetir un periodo ya enviado', async () => {
+			const { service, emailService } = createService({
+				subscriptions: [{ id: 1, name: 'Semanal', frequency: 'weekly', recipients: ['a@example.com'], last_period_start: new Date(2026, 9, 12) }],
+			});
+
+			expect(await service.sendDue(now)).toEqual({ checked: 1, sent: 0, failed: 0 });
+			expect(emailService.sendScheduledReportEmail).not.toHaveBeenCalled();
+		});
+
+		it('debe dejar el periodo pendiente cuando el envío falla', async () => {
+			const { service, subscriptionRepo } = createService({
+				subscriptions: [{ id: 1, name: 'Semanal', frequency: 'weekly', recipients: ['a@example.com'], last_period_start: new Date(2026, 9, 5) }],
+				delivered: false,
+			});
+
+			expect(await service.sendDue(now)).toEqual({ checked: 1, sent: 0, failed: 1 });
+			expect(subscriptionRepo.markSent).not.toHaveBeenCalled();
+			expect(subscriptionRepo.markFailed).toHaveBeenCalledWith(
+				1,
+				expect.stringContaining('No se pudo enviar el email'),
+				{ periodStart: '2026-10-12', previous: '2026-10-05' }
+			);
+		});
+
+		it('no debe hacer nada sin SMTP o antes de la hora de envío', async () => {
+			const withoutSmtp = createService({ transporter: null });
+			const early = createService();
+
+			expect(await withoutSmtp.service.sendDue(now)).toEqual({ checked: 0, sent: 0, failed: 0 });
+			expect(await early.service.sendDue(new Date(2026, 9, 19, 6, 59))).toEqual({ checked: 0, sent: 0, failed: 0 });
+			expect(withoutSmtp.subscriptionRepo.findActive).not.toHaveBeenCalled();
+			expect(early.subscriptionRepo.findActive).not.toHaveBeenCalled();
+		});
+	});
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests unitarios para la presentación de resultados de búsqueda
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const { highlightSnippet, normalizeSearchTerm } = require('../../src/utils/search.js');
+const { HIGHLIGHT_START, HIGHLIGHT_STOP } = require('../../src/repositories/TicketRepository.js');
+
+describe('Search helpers', () => {
+	describe('highlightSnippet', () => {
+		it('debe convertir los marcadores en <mark>', () => {
+			const snippet = `La ${HIGHLIGHT_START}impresora${HIGHLIGHT_STOP} no imprime`;
+			expect(highlightSnippet(snippet)).toBe('La <mark class="bg-yellow-200 rounded px-0.5">impresora</mark> no imprime');
+		});
+
+		it('debe escapar el HTML del contenido', () => {
+			const snippet = `<script>alert(1)</script> ${HIGHLIGHT_START}"red"${HIGHLIGHT_STOP}`;
+			const html = highlightSnippet(snippet);
+			expect(html).not.toContain('<script>');
+			expect(html).toContain('&lt;script&gt;');
+			expect(html).toContain('<mark class="bg-yellow-200 rounded px-0.5">&quot;red&quot;</mark>');
+		});
+
+		it('debe eliminar marcadores sin pareja', () => {
+			expect(highlightSnippet(`texto ${HIGHLIGHT_START}cortado`)).toBe('texto cortado');
+		});
+
+		it('debe devolver cadena vacía sin fragmento', () => {
+			expect(highlightSnippet(null)).toBe('');
+		});
+	});
+
+	describe('normalizeSearchTerm', () => {
+		it('debe recortar espacios y limitar la longitud', () => {
+			expect(normalizeSearchTerm('  impresora  ')).toBe('impresora');
+			expect(normalizeSearchTerm('a'.repeat(300))).toHaveLength(200);
+		});
+
+		it('debe ignorar valores que no son texto', () => {
+			expect(normalizeSearchTerm(['a', 'b'])).toBe('');
+			expect(normalizeSearchTerm(undefined)).toBe('');
+		});
+	});
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests unitarios para los cálculos de SLA
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const { addBusinessMinutes, computeDueDates, evaluateSla } = require('../../src/utils/sla.js');
+
+// Lunes a viernes de 9:00 a 18:00
+const businessHours = { start: 9, end: 18, days: [1, 2, 3, 4, 5] };
+
+describe('SLA', () => {
+	// =========================================================================
+	// addBusinessMinutes
+	// =========================================================================
+	describe('addBusinessMinutes', () => {
+		it('debe sumar minutos dentro del mismo día laboral', () => {
+			const start = new Date(2025, 0, 6, 10, 0); // lunes 10:00
+			const result = addBusinessMinutes(start, 90, businessHours);
+			expect(result).toEqual(new Date(2025, 0, 6, 11, 30));
+		});
+
+		it('debe continuar al siguiente día laboral al terminar la jornada', () => {
+			const start = new Date(2025, 0, 6, 17, 0); // lunes 17:00
+			const result = addBusinessMinutes(start, 120, businessHours);
+			expect(result).toEqual(new Date(2025, 0, 7, 10, 0));
+		});
+
+		it('debe saltar el fin de semana', () => {
+			const start = new Date(2025, 0, 10, 17, 30); // viernes 17:30
+			const result = addBusinessMinutes(start, 60, businessHours);
+			expect(result).toEqual(new Date(2025, 0, 13, 9, 30));
+		});
+
+		it('debe empezar a contar al inicio de la jornada si se crea antes', () => {
+			const start = new Date(2025, 0, 11, 8, 0); // sábado 8:00
+			const result = addBusinessMinutes(start, 30, businessHours);
+			expect(result).toEqual(new Date(2025, 0, 13, 9, 30));
+		});
+
+		it('debe usar tiempo calendario si no hay días laborables', () => {
+			const start = new Date(2025, 0, 11, 8, 0);
+			const result = addBusinessMinutes(start, 30, { start: 9, end: 18, days: [] });
+			expect(result).toEqual(new Date(2025, 0, 11, 8, 30));
+		});
+	});
+
+	// =========================================================================
+	// computeDueDates
+	// =========================================================================
+	describe('computeDueDates', () => {
+		it('debe devolver null sin política aplicable', () => {
+			expect(computeDueDates(null, new Date(), businessHours))
+				.toEqual({ first_response_due: null, resolution_due: null });
+		});
+
+		it('debe usar tiempo calendario en políticas 24/7', () => {
+			const start = new Date(2025, 0, 11, 23, 0); // sábado 23:00
+			const policy = { first_response_minutes: 30, resolution_minutes: 240, business_hours_only: false };
+			const result = computeDueDates(policy, start, businessHours);
+			expect(result.first_response_due).toEqual(new Date(2025, 0, 11, 23, 30));
+			expect(result.resolution_due).toEqual(new Date(2025, 0, 12, 3, 0));
+		});
+
+		it('debe respetar el horario laboral cuando la política lo indica', () => {
+			const start = new Date(2025, 0, 6, 16, 0); // lunes 16:00
+			const policy = { first_response_minutes: 60, resolution_minutes: 480, business_hours_only: true };
+			const result = computeDueDates(policy, start, businessHours);
+			expect(result.first_response_due).toEqual(new Date(2025, 0, 6, 17, 0));
+			expect(result.resolution_due).toEqual(new Date(2025, 0, 7, 15, 0));
+		});
+	});
+
+	// =========================================================================
+	// evaluateSla
+	// =========================================================================
+	describe('evaluateSla', () => {
+		const now = new Date(2025, 0, 6, 12, 0);
+
+		it('debe marcar objetivos sin vencimiento como none', () => {
+			expect(evaluateSla({}, now, 30)).toEqual({ response: 'none', resolution: 'none' });
+		});
+
+		it('debe detectar avisos e incumplimientos', () => {
+			const ticket = {
+				first_response_due: new Date(2025, 0, 6, 11, 0),
+				resolution_due: new Date(2025, 0, 6, 12, 20),
+			};
+			expect(evaluateSla(ticket, now, 30)).toEqual({ response: 'breached', resolution: 'warning' });
+		});
+
+		it('debe evaluar objetivos completados según la fecha de cumplimiento', () => {
+			const ticket = {
+				first_response_due: new Date(2025, 0, 6, 11, 0),
+				first_responded_at: new Date(2025, 0, 6, 10, 0),
+				resolution_due: new Date(2025, 0, 6, 11, 0),
+				resolved_at: new Date(2025, 0, 6, 11, 30),
+			};
+			expect(evaluateSla(ticket, now, 30)).toEqual({ response: 'met', resolution: 'breached' });
+		});
+
+		it('debe considerar en plazo lo que vence fuera de la ventana de aviso', () => {
+			const ticket = { resolution_due: new Date(2025, 0, 6, 15, 0) };
+			expect(evaluateSla(ticket, now, 30).resolution).toBe('ok');
+		});
+	});
+});
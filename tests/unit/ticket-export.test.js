@@ -0,0 +1,150 @@
+/**
+ * Tests unitarios para la exportación de tickets a CSV y Excel
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const {
+	DEFAULT_EXPORT_COLUMNS,
+	resolveColumns,
+	getCellValue,
+	toCsvField,
+	toCsvLine,
+	buildExportFilename,
+} = require('../../src/utils/ticketExport.js');
+const { ExportService } = require('../../src/services/exportService.js');
+
+/**
+ * Repositorio falso que entrega los tickets en los lotes indicados
+ */
+function createRepo(batches) {
+	const state = { closed: false, read: 0 };
+	const ticketRepository = {
+		streamAll: vi.fn(async function* () {
+			try {
+				for (const batch of batches) {
+					state.read++;
+					yield batch;
+				}
+			} finally {
+				state.closed = true;
+			}
+		}),
+	};
+	return { ticketRepository, state };
+}
+
+/**
+ * Acumula lo escrito en un stream hasta que se cierra
+ */
+function collect(output) {
+	const chunks = [];
+	output.on('data', chunk => chunks.push(Buffer.from(chunk)));
+	return new Promise(resolve => output.on('end', () => resolve(Buffer.concat(chunks))));
+}
+
+const ticket = {
+	reference: 'T-260315-AB12',
+	created_at: new Date(2026, 2, 15, 9, 5),
+	status: 'Pendiente',
+	channel: 'walk_in',
+	requester_name: 'Ana, "la de compras"',
+	subject: '=HYPERLINK("http://example.com")',
+	assigned_username: null,
+};
+
+describe('Exportación de tickets', () => {
+	describe('toCsvField', () => {
+		it('debe escapar comas, comillas y saltos de línea', () => {
+			expect(toCsvField('simple')).toBe('simple');
+			expect(toCsvField('Ana, "la de compras"')).toBe('"Ana, ""la de compras"""');
+			expect(toCsvField('línea 1\nlínea 2')).toBe('"línea 1\nlínea 2"');
+		});
+
+		it('debe neutralizar textos que se interpretarían como fórmulas', () => {
+			expect(toCsvField('=1+1')).toBe("'=1+1");
+			expect(toCsvField('@SUM(A1)')).toBe("'@SUM(A1)");
+			expect(toCsvField('+34 600')).toBe("'+34 600");
+		});
+
+		it('debe formatear fechas y dejar vacíos los nulos', () => {
+			expect(toCsvField(new Date(2026, 0, 2, 3, 4))).toBe('2026-01-02 03:04');
+			expect(toCsvField(null)).toBe('');
+		});
+
+		it('debe terminar las líneas con CRLF', () => {
+			expect(toCsvLine(['a', 1, null])).toBe('a,1,\r\n');
+		});
+	});
+
+	describe('columnas', () => {
+		it('debe respetar el orden de la definición y usar las columnas por defecto', () => {
+			expect(resolveColumns(['subject', 'reference']).map(c => c.key)).toEqual(['reference', 'subject']);
+			expect(resolveColumns([]).map(c => c.key)).toEqual(DEFAULT_EXPORT_COLUMNS);
+		});
+
+		it('debe mostrar la etiqueta del canal y convertir fechas', () => {
+			const [created, channel] = resolveColumns(['channel', 'created_at']);
+
+			expect(getCellValue(channel, ticket)).toBe('Presencial');
+			expect(getCellValue(created, { created_at: '2026-03-15T09:05:00Z' })).toBeInstanceOf(Date);
+			expect(getCellValue(channel, { channel: '' })).toBeNull();
+		});
+
+		it('debe nombrar el archivo con la fecha y el formato', () => {
+			expect(buildExportFilename('xlsx', new Date(2026, 2, 15, 10, 30))).toBe('tickets-20260315-1030.xlsx');
+		});
+	});
+
+	describe('ExportService', () => {
+		it('debe escribir un CSV con BOM, encabezados y una línea por ticket', async () => {
+			const { ticketRepository, state } = createRepo([[ticket], [{ ...ticket, reference: 'T-2' }]]);
+			const service = new ExportService({ ticketRepository, batchSize: 1 });
+			const output = new PassThrough();
+			const content = collect(output);
+
+			const total = await service.exportTickets({ status: 'Pendiente' }, {
+				format: 'csv',
+				columns: ['reference', 'requester_name', 'subject', 'assigned_username'],
+			}, output);
+			const lines = (await content).toString('utf8').split('\r\n');
+
+			expect(total).toBe(2);
+			expect(ticketRepository.streamAll).toHaveBeenCalledWith({ status: 'Pendiente' }, 1);
+			expect(lines[0]).toBe('\uFEFFReferencia,Solicitante,Asunto,Técnico asignado');
+			expect(lines[1]).toBe('T-260315-AB12,"Ana, ""la de compras""","\'=HYPERLINK(""http://example.com"")",');
+			expect(lines[2]).toMatch(/^T-2,/);
+			expect(state.closed).toBe(true);
+		});
+
+		it('debe escribir un libro de Excel con las columnas elegidas', async () => {
+			const { ticketRepository } = createRepo([[ticket]]);
+			const service = new ExportService({ ticketRepository });
+			const output = new PassThrough();
+			const content = collect(output);
+
+			await service.exportTickets({}, { format: 'xlsx', columns: ['reference', 'created_at', 'channel'] }, output);
+			const workbook = new ExcelJS.Workbook();
+			await workbook.xlsx.load(await content);
+			const sheet = workbook.getWorksheet('Tickets');
+
+			expect(sheet.getRow(1).values.slice(1)).toEqual(['Referencia', 'Fecha de creación', 'Canal']);
+			expect(sheet.getRow(2).getCell(1).value).toBe('T-260315-AB12');
+			expect(sheet.getRow(2).getCell(2).value).toBeInstanceOf(Date);
+			expect(sheet.getRow(2).getCell(3).value).toBe('Presencial');
+		});
+
+		it('debe dejar de leer si el cliente cortó la descarga', async () => {
+			const { ticketRepository, state } = createRepo([[ticket], [ticket], [ticket]]);
+			const service = new ExportService({ ticketRepository });
+			const output = new PassThrough();
+			output.destroy();
+
+			const total = await service.exportTickets({}, { format: 'csv' }, output);
+
+			expect(total).toBe(0);
+			expect(state.read).toBe(1);
+			expect(state.closed).toBe(true);
+		});
+	});
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests unitarios para la verificación en dos pasos (TOTP)
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const totp = require('../../src/utils/totp.js');
+const { TwoFactorService } = require('../../src/services/twoFactorService.js');
+
+// Secreto de los vectores de prueba del RFC 6238 ("12345678901234567890" en base32)
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+function createService(user = {}) {
+	const userRepo = {
+		findById: vi.fn(async () => ({ id: 1, username: 'ana', recovery_code_hashes: [], ...user })),
+		requiresTwoFactor: vi.fn(async () => false),
+		enableTwoFactor: vi.fn(async () => ({})),
+		disableTwoFactor: vi.fn(async () => ({})),
+		setRecoveryCodes: vi.fn(async () => ({})),
+		markTotpStep: vi.fn(async () => true),
+		consumeRecoveryCode: vi.fn(async () => true),
+	};
+	const service = new TwoFactorService({ userRepository: userRepo, options: { issuer: 'Tickets' } });
+	return { service, userRepo };
+}
+
+describe('Verificación en dos pasos', () => {
+	describe('utils/totp', () => {
+		it('debe generar los códigos de los vectores del RFC 6238', () => {
+			expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(new Date(59 * 1000)))).toBe('287082');
+			expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(new Date(1111111109 * 1000)))).toBe('081804');
+			expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(new Date(1234567890 * 1000)))).toBe('005924');
+		});
+
+		it('debe aceptar un paso de desfase y devolver el paso verificado', () => {
+			const now = new Date(1111111109 * 1000);
+			const step = totp.getTimeStep(now);
+
+			expect(totp.verifyCode(RFC_SECRET, '081804', now)).toBe(step);
+			expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+			expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), now)).toBeNull();
+			expect(totp.verifyCode(RFC_SECRET, 'abc', now)).toBeNull();
+		});
+
+		it('debe codificar y decodificar base32', () => {
+			const bytes = Buffer.from('12345678901234567890');
+
+			expect(totp.base32Encode(bytes)).toBe(RFC_SECRET);
+			expect(totp.base32Decode(RFC_SECRET.toLowerCase()).equals(bytes)).toBe(true);
+			expect(totp.generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+		});
+
+		it('debe construir la URI otpauth del código QR', () => {
+			const uri = totp.buildOtpauthUri(RFC_SECRET, 'ana', 'Mesa de Ayuda');
+
+			expect(uri).toMatch(/^otpauth:\/\/totp\/Mesa%20de%20Ayuda%3Aana\?/);
+			expect(uri).toContain(`secret=${RFC_SECRET}`);
+			expect(uri).toContain('digits=6');
+		});
+
+		it('debe generar códigos de recuperación con un hash tolerante al formato', () => {
+			const codes = totp.generateRecoveryCodes();
+
+			expect(codes).toHaveLength(totp.RECOVERY_CODE_COUNT);
+			expect(new Set(codes).size).toBe(codes.length);
+			expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+			expect(totp.hashRecoveryCode('AB12C-3D4E5')).toBe(totp.hashRecoveryCode('ab12c3d4e5'));
+		});
+	});
+
+	describe('TwoFactorService', () => {
+		it('debe pedir el código, el alta o nada según el usuario y su rol', async () => {
+			const enabled = createService({ totp_enabled_at: new Date() });
+			const required = createService();
+			required.userRepo.requiresTwoFactor.mockResolvedValue(true);
+			const optional = createService();
+
+			expect(await enabled.service.getLoginRequirement({ id: 1 })).toBe('verify');
+			expect(await required.service.getLoginRequirement({ id: 1 })).toBe('setup');
+			expect(await optional.service.getLoginRequirement({ id: 1 })).toBeNull();
+		});
+
+		it('debe activar la verificación solo con un código correcto', async () => {
+			const { service, userRepo } = createService();
+			const secret = totp.generateSecret();
+			const step = totp.getTimeStep();
+
+			await expect(service.confirmEnrollment(1, secret, totp.generateCode(secret, step + 5)))
+				.rejects.toThrow('El código no es válido');
+			const codes = await service.confirmEnrollment(1, secret, totp.generateCode(secret, step));
+
+			expect(codes).toHaveLength(totp.RECOVERY_CODE_COUNT);
+			const [userId, savedSecret, hashes] = userRepo.enableTwoFactor.mock.calls[0];
+			expect([userId, savedSecret]).toEqual([1, secret]);
+			expect(hashes).toEqual(codes.map(code => totp.hashRecoveryCode(code)));
+		});
+
+		it('debe rechazar un código ya usado y aceptar códigos de recuperación', async () => {
+			const secret = totp.generateSecret();
+			const { service, userRepo } = createService({ totp_secret: secret, totp_enabled_at: new Date() });
+			const code = totp.generateCode(secret, totp.getTimeStep());
+
+			expect(await service.verifyLogin(1, code)).toBe('totp');
+			userRepo.markTotpStep.mockResolvedValue(false);
+			expect(await service.verifyLogin(1, code)).toBeNull();
+
+			expect(await service.verifyLogin(1, 'AB12C-3D4E5')).toBe('recovery');
+			expect(userRepo.consumeRecoveryCode).toHaveBeenCalledWith(1, totp.hashRecoveryCode('ab12c3d4e5'));
+		});
+
+		it('debe tratar como código de recuperación uno solo de dígitos escrito sin guion', async () => {
+			const { service, userRepo } = createService({ totp_secret: RFC_SECRET, totp_enabled_at: new Date() });
+
+			expect(await service.verifyLogin(1, '1234567890')).toBe('recovery');
+			expect(userRepo.consumeRecoveryCode).toHaveBeenCalledWith(1, totp.hashRecoveryCode('12345-67890'));
+			expect(userRepo.markTotpStep).not.toHaveBeenCalled();
+		});
+
+		it('no debe permitir desactivarla si el rol la exige', async () => {
+			const { service, userRepo } = createService({ totp_secret: RFC_SECRET, totp_enabled_at: new Date() });
+			userRepo.requiresTwoFactor.mockResolvedValue(true);
+
+			await expect(service.disable(1, '123456')).rejects.toThrow('Tu rol requiere la verificación en dos pasos');
+			expect(userRepo.disableTwoFactor).not.toHaveBeenCalled();
+		});
+
+		it('no debe permitir restablecer la propia verificación', async () => {
+			const { service, userRepo } = createService({ totp_enabled_at: new Date() });
+
+			await expect(service.resetForUser(1, 1)).rejects.toThrow('No puedes restablecer tu propia verificación');
+			expect(await service.resetForUser(1, 2)).toEqual({ id: 1, username: 'ana' });
+			expect(userRepo.disableTwoFactor).toHaveBeenCalledWith(1);
+		});
+	});
+});
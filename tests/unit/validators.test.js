@@ -6,11 +6,25 @@ const {
 	validate,
 	createTicketSchema,
 	updateTicketSchema,
+	staffCreateTicketSchema,
+	staffUpdateTicketSchema,
+	addWatcherSchema,
+	notificationPreferencesSchema,
+	notificationFilterSchema,
+	notificationBulkActionSchema,
+	bulkTicketActionSchema,
+	analyticsFilterSchema,
+	reportSubscriptionSchema,
+	exportTicketsSchema,
+	importCsvSchema,
+	importTicketRowSchema,
 	createUserSchema,
 	updatePasswordSchema,
 	createCommentSchema,
 	createRoleSchema,
 	loginSchema,
+	twoFactorCodeSchema,
+	loginAuditFilterSchema,
 } = require('../../src/validators/index.js');
 
 describe('Validators', () => {
@@ -154,6 +168,266 @@ describe('Validators', () => {
 		});
 	});
 
+	// =========================================================================
+	// staffCreateTicketSchema / staffUpdateTicketSchema
+	// =========================================================================
+	describe('staff ticket schemas', () => {
+		const validTicket = {
+			requester_name: 'Juan Pérez',
+			department: 'Contabilidad',
+			support_type: 'Hardware',
+			priority: 'Alta – Necesito ayuda pronto',
+			subject: 'Impresora no funciona',
+			description: 'La impresora del piso 2 no imprime',
+			has_anydesk: 'no',
+		};
+
+		it('should require a staff channel when opening a ticket', () => {
+			expect(validate(staffCreateTicketSchema, { ...validTicket, channel: 'phone' }).success).toBe(true);
+
+			const result = validate(staffCreateTicketSchema, { ...validTicket, channel: 'web' });
+			expect(result.success).toBe(false);
+			expect(result.errors.channel).toBe('Canal inválido');
+		});
+
+		it('should keep the ticket validations', () => {
+			const result = validate(staffCreateTicketSchema, { ...validTicket, subject: 'Hi', channel: 'walk_in' });
+			expect(result.success).toBe(false);
+			expect(result.errors).toHaveProperty('subject');
+		});
+
+		it('should allow editing the channel and requester email', () => {
+			const result = validate(staffUpdateTicketSchema, { channel: 'web', requester_email: ' Ana@Example.com ' });
+			expect(result.success).toBe(true);
+			expect(result.data).toEqual({ channel: 'web', requester_email: 'ana@example.com' });
+		});
+
+		it('should clear the requester email when empty', () => {
+			const result = validate(staffUpdateTicketSchema, { requester_email: '' });
+			expect(result.success).toBe(true);
+			expect(result.data.requester_email).toBeNull();
+		});
+	});
+
+	// =========================================================================
+	// addWatcherSchema
+	// =========================================================================
+	describe('addWatcherSchema', () => {
+		it('should normalize external emails and ignore the empty user', () => {
+			const result = validate(addWatcherSchema, { user_id: '', email: ' CC@Example.com ' });
+			expect(result.success).toBe(true);
+			expect(result.data).toEqual({ email: 'cc@example.com' });
+		});
+
+		it('should require exactly one of user or email', () => {
+			const empty = validate(addWatcherSchema, { user_id: '', email: '' });
+			const both = validate(addWatcherSchema, { user_id: '3', email: 'cc@example.com' });
+			expect(empty.errors.email).toBe('Indica un usuario del equipo o un email externo');
+			expect(both.errors.email).toBe('Indica un usuario del equipo o un email externo');
+		});
+	});
+
+	// =========================================================================
+	// notificationPreferencesSchema
+	// =========================================================================
+	describe('notificationPreferencesSchema', () => {
+		it('should default missing event types to the in-app channel', () => {
+			const result = validate(notificationPreferencesSchema, { email: '', preferences: { sla_breach: 'off' } });
+			expect(result.success).toBe(true);
+			expect(result.data.preferences.sla_breach).toBe('off');
+			expect(result.data.preferences.new_ticket).toBe('in_app');
+		});
+
+		it('should require an email for email and digest channels and reject unknown channels', () => {
+			const withoutEmail = validate(notificationPreferencesSchema, { email: '', preferences: { new_comment: 'digest' } });
+			const unknown = validate(notificationPreferencesSchema, { email: 'ana@example.com', preferences: { new_comment: 'sms' } });
+			expect(withoutEmail.errors.email).toBe('Indica tu email para recibir notificaciones por correo');
+			expect(unknown.errors['preferences.new_comment']).toBe('Canal de notificación inválido');
+		});
+	});
+
+	// =========================================================================
+	// notificationFilterSchema / notificationBulkActionSchema
+	// =========================================================================
+	describe('notificationFilterSchema', () => {
+		it('should ignore empty filters and reject unknown types', () => {
+			expect(validate(notificationFilterSchema, { type: '', state: 'unread' }).data).toEqual({ state: 'unread' });
+			expect(validate(notificationFilterSchema, { type: 'spam' }).errors.type).toBe('Tipo de notificación inválido');
+		});
+	});
+
+	describe('notificationBulkActionSchema', () => {
+		it('should accept a single checkbox and require a selection', () => {
+			const single = validate(notificationBulkActionSchema, { notification_ids: '7', action: 'read' });
+			const empty = validate(notificationBulkActionSchema, { action: 'delete' });
+			expect(single.data).toEqual({ notification_ids: [7], action: 'read' });
+			expect(empty.errors.notification_ids).toBe('Selecciona al menos una notificación');
+		});
+	});
+
+	// =========================================================================
+	// bulkTicketActionSchema
+	// =========================================================================
+	describe('bulkTicketActionSchema', () => {
+		it('should accept a single selected ticket', () => {
+			const result = validate(bulkTicketActionSchema, { ticket_ids: '7', action: 'delete' });
+			expect(result.success).toBe(true);
+			expect(result.data.ticket_ids).toEqual([7]);
+		});
+
+		it('should treat an empty technician as unassign', () => {
+			const result = validate(bulkTicketActionSchema, { ticket_ids: ['1', '2'], action: 'assign', technician_id: '' });
+			expect(result.success).toBe(true);
+			expect(result.data.technician_id).toBeNull();
+		});
+
+		it('should require the new status for status changes', () => {
+			const result = validate(bulkTicketActionSchema, { ticket_ids: ['1'], action: 'status', status: '' });
+			expect(result.success).toBe(false);
+			expect(result.errors.status).toBe('Selecciona el nuevo estado');
+		});
+
+		it('should reject unknown actions and empty selections', () => {
+			const result = validate(bulkTicketActionSchema, { action: 'archive' });
+			expect(result.success).toBe(false);
+			expect(result.errors.action).toBe('Acción masiva inválida');
+			expect(result.errors.ticket_ids).toBe('Selecciona al menos un ticket');
+		});
+	});
+
+	// =========================================================================
+	// analyticsFilterSchema
+	// =========================================================================
+	describe('analyticsFilterSchema', () => {
+		it('should accept empty filters', () => {
+			const result = validate(analyticsFilterSchema, { from: '', to: '', interval: '' });
+			expect(result.success).toBe(true);
+			expect(result.data).toEqual({});
+		});
+
+		it('should reject invalid dates and intervals', () => {
+			const result = validate(analyticsFilterSchema, { from: '2026-02-30', to: 'ayer', interval: 'month' });
+			expect(result.success).toBe(false);
+			expect(result.errors.from).toBe('Fecha inválida');
+			expect(result.errors.to).toBe('Fecha inválida');
+			expect(result.errors.interval).toBe('Agrupación inválida');
+		});
+
+		it('should require the start date before the end date', () => {
+			const result = validate(analyticsFilterSchema, { from: '2026-03-01', to: '2026-02-01' });
+			expect(result.success).toBe(false);
+			expect(result.errors.to).toBe('La fecha inicial debe ser anterior a la final');
+		});
+
+		it('should limit the range to one year', () => {
+			expect(validate(analyticsFilterSchema, { from: '2025-01-01', to: '2025-12-31' }).success).toBe(true);
+
+			const result = validate(analyticsFilterSchema, { from: '2024-01-01', to: '2025-06-01' });
+			expect(result.success).toBe(false);
+			expect(result.errors.from).toBe('El rango no puede superar 366 días');
+		});
+	});
+
+	// =========================================================================
+	// reportSubscriptionSchema
+	// =========================================================================
+	describe('reportSubscriptionSchema', () => {
+		it('should split recipients on commas and new lines without duplicates', () => {
+			const result = validate(reportSubscriptionSchema, {
+				name: 'Resumen semanal',
+				frequency: 'weekly',
+				recipients: 'Gerencia@Example.com,\r\nsoporte@example.com; gerencia@example.com',
+				is_active: 'on',
+			});
+			expect(result.success).toBe(true);
+			expect(result.data).toEqual({
+				name: 'Resumen semanal',
+				frequency: 'weekly',
+				recipients: ['gerencia@example.com', 'soporte@example.com'],
+				is_active: true,
+			});
+		});
+
+		it('should reject unknown frequencies and invalid or missing recipients', () => {
+			const invalid = validate(reportSubscriptionSchema, { name: 'Resumen', frequency: 'daily', recipients: 'ana@example.com, no-es-email' });
+			const empty = validate(reportSubscriptionSchema, { name: 'Resumen', frequency: 'monthly', recipients: ' ' });
+
+			expect(invalid.errors.frequency).toBe('Frecuencia inválida');
+			expect(invalid.errors['recipients.1']).toBe('Email de destinatario inválido');
+			expect(empty.errors.recipients).toBe('Indica al menos un destinatario');
+		});
+	});
+
+	// =========================================================================
+	// exportTicketsSchema
+	// =========================================================================
+	describe('exportTicketsSchema', () => {
+		it('should default to CSV with no explicit columns', () => {
+			const result = validate(exportTicketsSchema, {});
+			expect(result.success).toBe(true);
+			expect(result.data).toEqual({ format: 'csv', columns: [] });
+		});
+
+		it('should accept a single column and the Excel format', () => {
+			const result = validate(exportTicketsSchema, { format: 'xlsx', columns: 'subject' });
+			expect(result.success).toBe(true);
+			expect(result.data.columns).toEqual(['subject']);
+		});
+
+		it('should reject unknown formats and columns', () => {
+			expect(validate(exportTicketsSchema, { format: 'pdf' }).errors.format).toBe('Formato de exportación inválido');
+			expect(validate(exportTicketsSchema, { columns: ['reference', 'edit_token'] }).success).toBe(false);
+		});
+	});
+
+	// =========================================================================
+	// Importación
+	// =========================================================================
+	describe('import schemas', () => {
+		const validTicket = {
+			requester_name: 'Ana Gómez',
+			department: 'Ventas',
+			support_type: 'Software',
+			priority: 'Baja – No es urgente',
+			subject: 'Licencia vencida',
+			description: 'La licencia del programa de facturación venció',
+			has_anydesk: false,
+		};
+
+		it('should parse the column mapping of the upload form', () => {
+			const result = validate(importCsvSchema, { type: 'comments', dry_run: 'on', mapping: 'Ticket ID = ticket_reference' });
+
+			expect(result.success).toBe(true);
+			expect(result.data).toEqual({ type: 'comments', dry_run: true, mapping: { 'Ticket ID': 'ticket_reference' } });
+			expect(validate(importCsvSchema, { type: 'roles' }).errors.type).toBe('Tipo de importación inválido');
+			expect(validate(importCsvSchema, { type: 'users', mapping: 'sin separador' }).success).toBe(false);
+		});
+
+		it('should keep historical references, statuses and dates of imported tickets', () => {
+			const result = validate(importTicketRowSchema, {
+				...validTicket,
+				reference: 'HD-1042',
+				status: 'Cerrado',
+				channel: 'email',
+				created_at: '15/03/2024 09:30',
+				resolved_at: '2024-03-16 10:00',
+			});
+
+			expect(result.success).toBe(true);
+			expect(result.data).toMatchObject({ reference: 'HD-1042', status: 'Cerrado', channel: 'email' });
+			expect(result.data.created_at).toEqual(new Date(2024, 2, 15, 9, 30));
+			expect(result.data.resolved_at).toBeInstanceOf(Date);
+		});
+
+		it('should default the status and channel and reject unsafe references or bad dates', () => {
+			expect(validate(importTicketRowSchema, validTicket).data).toMatchObject({ status: 'Pendiente', channel: 'web' });
+
+			const result = validate(importTicketRowSchema, { ...validTicket, reference: '../x', created_at: 'ayer' });
+			expect(result.errors.reference).toContain('Referencia inválida');
+			expect(result.errors.created_at).toBe('Fecha inválida');
+		});
+	});
+
 	// =========================================================================
 	// createUserSchema
 	// =========================================================================
@@ -188,7 +462,13 @@ describe('Validators', () => {
 		it('should reject short password', () => {
 			const result = validate(createUserSchema, { ...validUser, password: '12345' });
 			expect(result.success).toBe(false);
-			expect(result.errors.password).toContain('6');
+			expect(result.errors.password).toContain('8');
+		});
+
+		it('should reject a password without numbers', () => {
+			const result = validate(createUserSchema, { ...validUser, password: 'sinnumeros' });
+			expect(result.success).toBe(false);
+			expect(result.errors.password).toBe('La contraseña debe tener al menos un número');
 		});
 
 		it('should reject missing role_id', () => {
@@ -337,6 +617,13 @@ describe('Validators', () => {
 			expect(result.success).toBe(true);
 			expect(result.data.permissions).toEqual([]);
 		});
+
+		it('should read the require_2fa checkbox', () => {
+			const checked = validate(createRoleSchema, { name: 'test_role', display_name: 'Test', require_2fa: 'on' });
+			const unchecked = validate(createRoleSchema, { name: 'test_role', display_name: 'Test' });
+			expect(checked.data.require_2fa).toBe(true);
+			expect(unchecked.data.require_2fa).toBe(false);
+		});
 	});
 
 	// =========================================================================
@@ -376,4 +663,39 @@ describe('Validators', () => {
 			expect(result.data.username).toBe('admin');
 		});
 	});
+
+	// =========================================================================
+	// twoFactorCodeSchema
+	// =========================================================================
+	describe('twoFactorCodeSchema', () => {
+		it('should trim the code', () => {
+			const result = validate(twoFactorCodeSchema, { code: ' 123456 ' });
+			expect(result.success).toBe(true);
+			expect(result.data.code).toBe('123456');
+		});
+
+		it('should reject an empty code', () => {
+			const result = validate(twoFactorCodeSchema, { code: '   ' });
+			expect(result.success).toBe(false);
+			expect(result.errors.code).toBe('Código requerido');
+		});
+	});
+
+	// =========================================================================
+	// loginAuditFilterSchema
+	// =========================================================================
+	describe('loginAuditFilterSchema', () => {
+		it('should treat empty filters as absent', () => {
+			const result = validate(loginAuditFilterSchema, { username: '', result: '' });
+			expect(result.success).toBe(true);
+			expect(result.data.username).toBeUndefined();
+			expect(result.data.result).toBeUndefined();
+		});
+
+		it('should reject an unknown result', () => {
+			const result = validate(loginAuditFilterSchema, { result: 'locked' });
+			expect(result.success).toBe(false);
+			expect(result.errors.result).toBe('Resultado inválido');
+		});
+	});
 });
@@ -0,0 +1,122 @@
+/**
+ * Tests unitarios para los observadores de tickets y su despachador de avisos
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const { WatcherService } = require('../../src/services/watcherService.js');
+const { NotFoundError, ValidationError } = require('../../src/middleware/errorHandler.js');
+
+const TICKET = { id: 10, reference: 'TKT-0010', subject: 'Impresora', assigned_to: 3 };
+
+function createService({ watchers = [], comments = [] } = {}) {
+	const watcherRepo = {
+		findByTicketId: vi.fn(async () => watchers),
+		addUser: vi.fn(async (ticketId, userId) => ({ id: 1, ticket_id: ticketId, user_id: userId })),
+		addEmail: vi.fn(async (ticketId, email) => ({ id: 2, ticket_id: ticketId, email })),
+		remove: vi.fn(async () => null),
+		removeUser: vi.fn(async () => null),
+	};
+	const notificationService = { notify: vi.fn(async () => []) };
+	const commentRepo = { findByTicketId: vi.fn(async () => comments) };
+	const userRepo = { findById: vi.fn(async (id) => (id === 5 ? { id: 5, username: 'maria' } : null)) };
+	const emailService = {
+		sendTicketUpdateEmail: vi.fn(async () => true),
+		sendCommentNotificationEmail: vi.fn(async () => true),
+	};
+	const service = new WatcherService({
+		ticketWatcherRepository: watcherRepo,
+		notificationService,
+		commentRepository: commentRepo,
+		userRepository: userRepo,
+		emailService,
+	});
+	return { service, watcherRepo, notificationService, commentRepo, emailService };
+}
+
+const notifiedUsers = (notificationService) => notificationService.notify.mock.calls.flatMap(([userIds]) => userIds);
+
+describe('Observadores de tickets', () => {
+	describe('addWatcher', () => {
+		it('debe agregar usuarios del equipo y emails externos', async () => {
+			const { service, watcherRepo } = createService();
+
+			await service.addWatcher(10, { user_id: 5 }, { id: 1 });
+			await service.addWatcher(10, { email: 'cc@example.com' }, { id: 1 });
+
+			expect(watcherRepo.addUser).toHaveBeenCalledWith(10, 5, 1);
+			expect(watcherRepo.addEmail).toHaveBeenCalledWith(10, 'cc@example.com', 1);
+		});
+
+		it('debe rechazar duplicados y usuarios inexistentes', async () => {
+			const { service, watcherRepo } = createService();
+			watcherRepo.addUser.mockResolvedValueOnce(null).mockResolvedValueOnce(null);
+
+			await expect(service.addWatcher(10, { user_id: 5 }, { id: 1 })).rejects.toThrow('maria ya sigue este ticket');
+			await expect(service.addWatcher(10, { user_id: 5 }, { id: 1 })).rejects.toThrow(ValidationError);
+			await expect(service.addWatcher(10, { user_id: 99 }, { id: 1 })).rejects.toThrow(NotFoundError);
+		});
+
+		it('debe fallar al quitar un observador de otro ticket', async () => {
+			const { service } = createService();
+
+			await expect(service.removeWatcher(10, 7)).rejects.toThrow('Observador no encontrado');
+		});
+	});
+
+	describe('despachador', () => {
+		const watchers = [
+			{ id: 1, user_id: 4, email: null },
+			{ id: 2, user_id: 3, email: null },
+			{ id: 3, user_id: null, email: 'cc@example.com' },
+		];
+
+		it('debe avisar del cambio de estado al asignado y a los observadores, salvo a quien lo hizo', async () => {
+			const { service, notificationService, emailService } = createService({ watchers });
+
+			await service.notifyStatusChange(TICKET, { title: '🔄 Estado actualizado', message: 'El ticket TKT-0010 ahora está: Resuelto' }, { id: 4 });
+
+			expect(notifiedUsers(notificationService)).toEqual([3]);
+			expect(notificationService.notify.mock.calls[0][1]).toMatchObject({ type: 'status_change', ticket_id: 10, ticket_reference: 'TKT-0010' });
+			expect(emailService.sendTicketUpdateEmail).toHaveBeenCalledWith(
+				TICKET,
+				expect.objectContaining({ title: '🔄 Estado actualizado' }),
+				['cc@example.com']
+			);
+		});
+
+		it('debe dar al técnico asignado su propio aviso aunque se asigne a sí mismo', async () => {
+			const { service, notificationService } = createService({ watchers });
+
+			await service.notifyAssignment(TICKET, { id: 3, username: 'pedro' }, { id: 3 });
+
+			const byUser = Object.fromEntries(notificationService.notify.mock.calls.flatMap(([userIds, data]) =>
+				userIds.map(userId => [userId, data.title])));
+			expect(byUser).toEqual({ 3: '📋 Ticket asignado', 4: '📋 Ticket reasignado' });
+		});
+
+		it('debe enviar los comentarios a observadores y participantes, sin repetir ni incluir al autor', async () => {
+			const comments = [
+				{ author_email: 'ana@example.com' },
+				{ author_email: 'CC@example.com' },
+				{ author_email: 'luis@example.com' },
+			];
+			const { service, notificationService, emailService } = createService({ watchers, comments });
+
+			await service.notifyComment(TICKET, { user_id: null, author_email: 'luis@example.com', content: 'Ya funciona' });
+
+			expect(notifiedUsers(notificationService).sort()).toEqual([3, 4]);
+			expect(emailService.sendCommentNotificationEmail).toHaveBeenCalledWith(
+				TICKET,
+				{ content: 'Ya funciona' },
+				['cc@example.com', 'ana@example.com']
+			);
+		});
+
+		it('no debe enviar emails sin destinatarios', async () => {
+			const { service, emailService } = createService({ watchers: [{ id: 1, user_id: 4, email: null }] });
+
+			await service.notifyStatusChange(TICKET, { title: 'x', message: 'y' });
+
+			expect(emailService.sendTicketUpdateEmail).not.toHaveBeenCalled();
+		});
+	});
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests unitarios para la firma y entrega de webhooks
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const crypto = require('crypto');
+const { WebhookService, signPayload, getRetryDelay } = require('../../src/services/webhookService.js');
+
+const options = { timeout: 1000, maxAttempts: 3, retryBaseSeconds: 60 };
+
+function createService(fetchImpl) {
+	const deliveryRepo = {
+		recordAttempt: vi.fn(async (id, result) => ({ id, ...result })),
+	};
+	const service = new WebhookService({
+		webhookRepository: {},
+		webhookDeliveryRepository: deliveryRepo,
+		fetch: fetchImpl,
+		options,
+	});
+	return { service, deliveryRepo };
+}
+
+function createDelivery(overrides = {}) {
+	return {
+		id: 7,
+		event: 'ticket.created',
+		payload: { event: 'ticket.created', data: { ticket: { reference: 'T-250101-ABCD' } } },
+		attempts: 0,
+		url: 'http://localhost/hook',
+		secret: 'whsec_test',
+		...overrides,
+	};
+}
+
+describe('Webhooks', () => {
+	describe('signPayload', () => {
+		it('debe generar un HMAC-SHA256 del cuerpo con prefijo sha256=', () => {
+			const body = '{"a":1}';
+			const expected = crypto.createHmac('sha256', 'secreto').update(body).digest('hex');
+			expect(signPayload('secreto', body)).toBe(`sha256=${expected}`);
+		});
+	});
+
+	describe('getRetryDelay', () => {
+		it('debe duplicar la espera en cada intento', () => {
+			expect(getRetryDelay(1, 60)).toBe(60);
+			expect(getRetryDelay(2, 60)).toBe(120);
+			expect(getRetryDelay(4, 60)).toBe(480);
+		});
+	});
+
+	describe('deliver', () => {
+		it('debe enviar el cuerpo firmado con las cabeceras del evento', async () => {
+			const fetchImpl = vi.fn(async () => new Response('ok', { status: 200 }));
+			const { service, deliveryRepo } = createService(fetchImpl);
+			const delivery = createDelivery();
+
+			await service.deliver(delivery);
+
+			const [url, init] = fetchImpl.mock.calls[0];
+			expect(url).toBe('http://localhost/hook');
+			expect(init.headers['X-Webhook-Event']).toBe('ticket.created');
+			expect(init.headers['X-Webhook-Delivery']).toBe('7');
+			expect(init.headers['X-Webhook-Signature']).toBe(signPayload('whsec_test', init.body));
+			expect(JSON.parse(init.body)).toEqual(delivery.payload);
+			expect(deliveryRepo.recordAttempt).toHaveBeenCalledWith(7, expect.objectContaining({
+				status: 'success',
+				response_status: 200,
+			}));
+		});
+
+		it('debe programar un reintento si el endpoint responde con error', async () => {
+			const { service, deliveryRepo } = createService(async () => new Response('boom', { status: 500 }));
+			const before = Date.now();
+
+			await service.deliver(createDelivery({ attempts: 1 }));
+
+			const result = deliveryRepo.recordAttempt.mock.calls[0][1];
+			expect(result.status).toBe('pending');
+			expect(result.error).toBe('HTTP 500');
+			// Segundo intento fallido: espera de 2 × 60 segundos
+			expect(result.next_attempt_at.getTime()).toBeGreaterThanOrEqual(before + 120 * 1000);
+		});
+
+		it('debe marcar la entrega como fallida al agotar los intentos', async () => {
+			const { service, deliveryRepo } = createService(async () => {
+				throw new Error('connect ECONNREFUSED');
+			});
+
+			await service.deliver(createDelivery({ attempts: 2 }));
+
+			const result = deliveryRepo.recordAttempt.mock.calls[0][1];
+			expect(result.status).toBe('failed');
+			expect(result.error).toBe('connect ECONNREFUSED');
+			expect(result.next_attempt_at).toBeUndefined();
+		});
+	});
+});
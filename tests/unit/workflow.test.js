@@ -0,0 +1,45 @@
+/**
+ * Tests unitarios para el motor de flujo de estados
+ * Usa globals de vitest (configurado en vitest.config.js)
+ */
+const { createWorkflow } = require('../../src/utils/workflow.js');
+const { DEFAULT_WORKFLOW } = require('../../src/config/workflow.js');
+
+describe('Workflow', () => {
+	const workflow = createWorkflow(DEFAULT_WORKFLOW);
+
+	it('debe rechazar definiciones con estados desconocidos', () => {
+		expect(() => createWorkflow({ transitions: [{ from: 'Pendiente', to: 'Archivado' }] }))
+			.toThrow('Transición con estado desconocido');
+	});
+
+	it('debe rechazar campos requeridos desconocidos', () => {
+		expect(() => createWorkflow({ transitions: [{ from: 'Pendiente', to: 'Cerrado', required: ['motivo'] }] }))
+			.toThrow('Campo requerido desconocido');
+	});
+
+	it('no debe permitir volver de Cerrado a Pendiente', () => {
+		expect(workflow.getTransition('Cerrado', 'Pendiente')).toBeNull();
+	});
+
+	it('debe filtrar las transiciones según los permisos', () => {
+		const withoutReopen = workflow.getAvailableTransitions('Cerrado', ['change_ticket_status']);
+		const withReopen = workflow.getAvailableTransitions('Cerrado', ['reopen_tickets']);
+
+		expect(withoutReopen).toHaveLength(0);
+		expect(withReopen.map(t => t.to)).toEqual(['En Proceso']);
+	});
+
+	it('debe exigir la nota de resolución al pasar a Resuelto', () => {
+		const transition = workflow.getTransition('En Proceso', 'Resuelto');
+
+		expect(workflow.getMissingFields(transition, {})).toHaveProperty('resolution_note');
+		expect(workflow.getMissingFields(transition, { resolution_note: '   ' })).toHaveProperty('resolution_note');
+		expect(workflow.getMissingFields(transition, { resolution_note: 'Reinstalado' })).toEqual({});
+	});
+
+	it('debe permitir transiciones sin permiso definido', () => {
+		const open = createWorkflow({ transitions: [{ from: 'Pendiente', to: 'Cerrado' }] });
+		expect(open.getAvailableTransitions('Pendiente', [])).toHaveLength(1);
+	});
+});